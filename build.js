@@ -3,6 +3,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const DIST = path.join(__dirname, 'dist');
 const API_KEY = process.env.MBTA_API_KEY;
@@ -209,11 +210,60 @@ console.log(`Polylines: validated ${staticData.routes.length} routes — all coo
 // ── End polyline validation ──────────────────────────────────────────────────
 
 // Generate config.js from template with API key injected
-const configContent = fs.readFileSync(
+// (and the Web Push relay URL, when PUSH_RELAY_URL is set)
+let configContent = fs.readFileSync(
     path.join(__dirname, 'config.example.js'), 'utf-8'
 ).replaceAll('YOUR_API_KEY_HERE', API_KEY);
 
+if (process.env.PUSH_RELAY_URL) {
+    configContent = configContent.replace('relayUrl: null,', `relayUrl: ${JSON.stringify(process.env.PUSH_RELAY_URL)},`);
+}
+
 fs.writeFileSync(path.join(DIST, 'config.js'), configContent, 'utf-8');
 
+// ── Service worker precache manifest ─────────────────────────────────────────
+// Lists every file copied to dist/ (plus the pinned Leaflet CDN files index.html loads)
+// and versions the list by content hash, so each deploy gets a fresh app-shell cache.
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const full = path.join(dir, entry.name);
+        return entry.isDirectory() ? listFiles(full) : [full];
+    });
+}
+
+const shellFiles = listFiles(DIST)
+    .map(file => '/' + path.relative(DIST, file).split(path.sep).join('/'))
+    .filter(url => url !== '/sw.js')
+    .sort();
+
+const indexHtml = fs.readFileSync(path.join(DIST, 'index.html'), 'utf-8');
+const cdnUrls = [...indexHtml.matchAll(/(?:src|href)="(https:\/\/unpkg\.com\/[^"]+)"/g)].map(m => m[1]);
+
+const hash = crypto.createHash('sha256');
+for (const url of shellFiles) {
+    hash.update(url);
+    hash.update(fs.readFileSync(path.join(DIST, url)));
+}
+cdnUrls.forEach(url => hash.update(url));
+
+const precacheManifest = {
+    version: hash.digest('hex').slice(0, 12),
+    urls: ['/', ...shellFiles, ...cdnUrls],
+};
+
+const MANIFEST_PLACEHOLDER = /const PRECACHE_MANIFEST = \{ version: 'dev', urls: \[\] \};/;
+if (!MANIFEST_PLACEHOLDER.test(swContent)) {
+    console.error('ERROR: sw.js is missing the PRECACHE_MANIFEST placeholder build.js replaces.');
+    process.exit(1);
+}
+fs.writeFileSync(
+    path.join(DIST, 'sw.js'),
+    swContent.replace(MANIFEST_PLACEHOLDER, `const PRECACHE_MANIFEST = ${JSON.stringify(precacheManifest)};`),
+    'utf-8'
+);
+console.log(`Precache: ${precacheManifest.urls.length} URLs, version ${precacheManifest.version}`);
+// ── End precache manifest ────────────────────────────────────────────────────
+
 console.log(`Build complete. API key injected. Output: dist/`);
 console.log(`Files: ${rootFiles.length} root + ${srcFiles.length} src + config.js`);
@@ -36,4 +36,51 @@ export const config = {
         fadeOutDuration: 200,
         snapThreshold: 100, // meters — snap instead of animate above this
     },
+    stream: {
+        routeFilter: true, // stream only the routes shown (plus alert, recorded and trip planner routes); false = every route, always
+        maxRoutes: 30, // beyond this many routes the stream carries every route instead of a route list
+        resubscribeDelay: 2000, // ms after the last route change before the stream is reopened with the new routes
+        stallSeconds: 60, // reconnect when the stream sends nothing for this long (0 = never)
+    },
+    aging: {
+        fadeSeconds: 120, // vehicles whose last report is older than this are faded on the map
+        hideSeconds: 600, // ... and older than this are hidden until they report again
+    },
+    headways: {
+        bunchingMeters: 400, // consecutive same-direction vehicles closer than this are flagged as bunched
+        gapMeters: 4000, // spacing beyond this is flagged as a gap
+    },
+    adherence: {
+        markerRing: true, // ring early (yellow) and late (red) vehicles on the map; popups always show adherence
+        earlySeconds: 60, // ahead of schedule by more than this is early
+        lateSeconds: 300, // behind schedule by more than this is late
+    },
+    crowding: {
+        markerTint: false, // tint vehicles reporting crowding green/amber/red on the map; popups always show the crowding meter
+    },
+    consist: {
+        minZoom: 16, // from this zoom, subway and light rail trains reporting their cars are drawn car by car
+    },
+    metrics: {
+        retentionDays: 14, // daily route metric aggregates kept for the dashboard
+    },
+    push: {
+        relayUrl: null, // Web Push relay (scripts/push-relay.mjs), e.g. 'https://push.example.com'; null = notifications only while the page is open
+    },
+    dataSource: {
+        type: 'mbta', // 'mbta' (V3 API stream), 'gtfs-rt' (poll a VehiclePositions feed) or 'replay' (recorded feed file)
+        url: null, // gtfs-rt: feed URL (.pb, or JSON form); replay: JSON array of feed messages
+        pollInterval: 15000, // gtfs-rt: ms between polls
+        headers: {}, // gtfs-rt: request headers, e.g. { 'x-api-key': '...' } for feeds that need a key
+        speed: 1, // replay: playback speed multiplier
+        loop: true, // replay: start over after the last frame
+    },
+    nearby: {
+        radiusMeters: 500, // "Near me" finds stops within this distance of the user's location
+        maxStops: 8, // nearest stops kept (their routes are shown and their arrivals listed)
+    },
+    history: {
+        retentionHours: 12, // recorded vehicle positions kept for playback
+        routeTypes: [0, 1], // GTFS route types recorded (0 = light rail, 1 = heavy rail)
+    },
 };
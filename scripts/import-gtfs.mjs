@@ -0,0 +1,424 @@
+// scripts/import-gtfs.mjs
+// Builds data/mbta-static.json from a GTFS static feed (zip on disk) instead of the MBTA V3 API.
+// Works offline and without an API key; any agency's GTFS produces the same bundle shape.
+// Usage: node scripts/import-gtfs.mjs <gtfs.zip> [--output data/mbta-static.json] [--route-types 0,1,2,3,4]
+//   MBTA feed: https://cdn.mbta.com/MBTA_GTFS.zip
+// Requires Node 18+.
+
+import { readFileSync } from 'fs';
+import { Readable } from 'stream';
+import { createInterface } from 'readline';
+import { createInflateRaw } from 'zlib';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join, basename, resolve } from 'path';
+
+import {
+    mergeRoutePolylines,
+    filterStopsNearPolylines,
+    classifyStopDirections,
+    writeStaticBundle,
+} from './static-bundle.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_ROUTE_TYPES = [0, 1, 2, 3, 4];
+
+// Without route_patterns.txt, a shape is "typical" when it runs at least this share of the trips
+// of the busiest shape in its route and direction (keeps both branches of a split line, drops short turns)
+const TYPICAL_SHAPE_SHARE = 0.5;
+
+// Zip record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * List the files in a zip archive. Stored and deflated entries only; no zip64.
+ * Entries are keyed by base name, since some feeds zip the GTFS files inside a folder.
+ *
+ * @param {Buffer} zip — whole archive
+ * @returns {Map<string, {method: number, offset: number, size: number}>} — offset/size of the compressed data
+ * @throws {Error} if the archive is not a readable zip
+ */
+export function readZipEntries(zip) {
+    // The end-of-central-directory record is in the last 22 bytes plus up to a 64 KiB comment
+    let eocd = -1;
+    for (let i = zip.length - 22; i >= Math.max(0, zip.length - 22 - 0xffff); i--) {
+        if (zip.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not a zip file');
+
+    const count = zip.readUInt16LE(eocd + 10);
+    let pos = zip.readUInt32LE(eocd + 16);
+    if (pos === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (zip.readUInt32LE(pos) !== CENTRAL_DIRECTORY_ENTRY) throw new Error('Corrupt zip central directory');
+        const method = zip.readUInt16LE(pos + 10);
+        const size = zip.readUInt32LE(pos + 20);
+        const nameLength = zip.readUInt16LE(pos + 28);
+        const extraLength = zip.readUInt16LE(pos + 30);
+        const commentLength = zip.readUInt16LE(pos + 32);
+        const headerOffset = zip.readUInt32LE(pos + 42);
+        const name = zip.toString('utf-8', pos + 46, pos + 46 + nameLength);
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // Directory
+        if (zip.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) throw new Error(`Corrupt zip entry ${name}`);
+        // The local header's name/extra lengths can differ from the central directory's
+        const offset = headerOffset + 30 + zip.readUInt16LE(headerOffset + 26) + zip.readUInt16LE(headerOffset + 28);
+        entries.set(basename(name), { method, offset, size });
+    }
+    return entries;
+}
+
+/**
+ * Split one CSV record into fields (RFC 4180: quoted fields, doubled quotes).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+export function parseCsvLine(line) {
+    if (!line.includes('"')) return line.split(',');
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Stream the rows of a GTFS file as objects keyed by column name.
+ * Large files (stop_times.txt) are inflated and parsed line by line rather than held in memory.
+ *
+ * @param {Buffer} zip
+ * @param {Map} entries — readZipEntries() output
+ * @param {string} name — e.g. 'routes.txt'
+ * @returns {AsyncGenerator<Object<string, string>>} — nothing if the file is absent
+ */
+async function* readCsvRows(zip, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return;
+    if (entry.method !== 0 && entry.method !== 8) throw new Error(`${name}: unsupported compression method ${entry.method}`);
+
+    const data = zip.subarray(entry.offset, entry.offset + entry.size);
+    const input = entry.method === 8 ? Readable.from([data]).pipe(createInflateRaw()) : Readable.from([data]);
+    const lines = createInterface({ input, crlfDelay: Infinity });
+
+    let header = null;
+    let pending = '';
+    for await (const line of lines) {
+        // A quoted field can contain a newline: keep reading until the quotes balance
+        const record = pending ? `${pending}\n${line}` : line;
+        if (record.includes('"') && (record.split('"').length - 1) % 2 === 1) {
+            pending = record;
+            continue;
+        }
+        pending = '';
+        if (!header) {
+            header = parseCsvLine(record.replace(/^\uFEFF/, '')).map(h => h.trim());
+            continue;
+        }
+        if (record.trim() === '') continue;
+        const values = parseCsvLine(record);
+        const row = {};
+        header.forEach((column, i) => { row[column] = values[i] ?? ''; });
+        yield row;
+    }
+}
+
+/**
+ * Map a GTFS route type, including the extended types some agencies use, to the basic
+ * types T-Tracker renders (0 light rail, 1 subway, 2 rail, 3 bus, 4 ferry).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {number} type — route_type
+ * @returns {number|null} — basic type, or null for modes T-Tracker doesn't show (cable car, gondola, ...)
+ */
+export function normalizeRouteType(type) {
+    if (type >= 0 && type <= 4) return type;
+    if (type === 11) return 3; // Trolleybus
+    if (type === 12) return 1; // Monorail
+    if (type >= 100 && type < 200) return 2; // Railway services
+    if (type >= 200 && type < 300) return 3; // Coach
+    if (type >= 400 && type < 500) return 1; // Urban railway / metro
+    if (type >= 700 && type < 800) return 3; // Bus
+    if (type === 800) return 3; // Trolleybus
+    if (type >= 900 && type < 1000) return 0; // Tram
+    if (type === 1000 || type === 1200) return 4; // Water transport / ferry
+    return null;
+}
+
+/**
+ * Choose each route's typical shapes: the shapes of typicality-1 route patterns when the feed
+ * has route_patterns.txt (MBTA), otherwise the shapes running at least TYPICAL_SHAPE_SHARE of
+ * the busiest shape's trips per route and direction.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Map<string, Object>} shapeUsage — `${routeId}|${directionId}|${shapeId}` →
+ *   {count, tripId, typicalTripId, routeId, directionId}: trips using the shape, one of them, and the
+ *   representative trip of a typical pattern using it (null if none)
+ * @param {boolean} hasRoutePatterns — the feed has route_patterns.txt
+ * @returns {Map<string, Array<{shapeId: string, tripId: string, directionId: number}>>} — route ID → typical shapes
+ */
+export function selectTypicalShapes(shapeUsage, hasRoutePatterns) {
+    const busiest = new Map(); // `${routeId}|${directionId}` → highest trip count
+    for (const [key, usage] of shapeUsage) {
+        const group = key.slice(0, key.lastIndexOf('|'));
+        busiest.set(group, Math.max(busiest.get(group) || 0, usage.count));
+    }
+
+    const selected = new Map();
+    for (const [key, usage] of shapeUsage) {
+        const group = key.slice(0, key.lastIndexOf('|'));
+        const typical = hasRoutePatterns
+            ? usage.typicalTripId != null
+            : usage.count >= busiest.get(group) * TYPICAL_SHAPE_SHARE;
+        if (!typical) continue;
+        if (!selected.has(usage.routeId)) selected.set(usage.routeId, []);
+        selected.get(usage.routeId).push({
+            shapeId: key.slice(key.lastIndexOf('|') + 1),
+            tripId: usage.typicalTripId ?? usage.tripId,
+            directionId: usage.directionId,
+        });
+    }
+    return selected;
+}
+
+/**
+ * Build the static data bundle from a GTFS zip.
+ *
+ * @param {Buffer} zip — GTFS static feed
+ * @param {{routeTypes?: Array<number>}} [options] — basic route types to include
+ * @returns {Promise<{routes: Array, stops: Object, routeStops: Object, routeStopDirections: Object}>}
+ */
+export async function buildBundleFromGtfs(zip, { routeTypes = DEFAULT_ROUTE_TYPES } = {}) {
+    const entries = readZipEntries(zip);
+    for (const required of ['routes.txt', 'trips.txt', 'stops.txt', 'stop_times.txt']) {
+        if (!entries.has(required)) throw new Error(`GTFS feed is missing ${required}`);
+    }
+
+    // ── Routes ────────────────────────────────────────────────────────────────
+    console.log('Reading routes...');
+    const routeRows = [];
+    for await (const row of readCsvRows(zip, entries, 'routes.txt')) {
+        const type = normalizeRouteType(parseInt(row.route_type, 10));
+        if (type === null || !routeTypes.includes(type)) continue;
+        routeRows.push({ row, type, sortOrder: row.route_sort_order === '' ? Infinity : Number(row.route_sort_order) });
+    }
+    // Stable sort: feeds without route_sort_order keep file order
+    routeRows.sort((a, b) => a.sortOrder - b.sortOrder);
+    const routeIds = new Set(routeRows.map(r => r.row.route_id));
+
+    // directions.txt (MBTA extension) names each direction; otherwise the most common headsign is the destination
+    const directions = new Map(); // route ID → {names, destinations}
+    for await (const row of readCsvRows(zip, entries, 'directions.txt')) {
+        if (!routeIds.has(row.route_id)) continue;
+        if (!directions.has(row.route_id)) directions.set(row.route_id, { names: [], destinations: [] });
+        const direction = directions.get(row.route_id);
+        const id = parseInt(row.direction_id, 10);
+        direction.names[id] = row.direction;
+        direction.destinations[id] = row.direction_destination;
+    }
+
+    // ── Typical shapes ────────────────────────────────────────────────────────
+    console.log('Reading trips...');
+    let typicalTrips = null; // Representative trips of typical patterns, when the feed has route_patterns.txt
+    if (entries.has('route_patterns.txt')) {
+        typicalTrips = new Set();
+        for await (const row of readCsvRows(zip, entries, 'route_patterns.txt')) {
+            if (routeIds.has(row.route_id) && row.route_pattern_typicality === '1' && row.representative_trip_id) {
+                typicalTrips.add(row.representative_trip_id);
+            }
+        }
+    }
+
+    const trips = new Map(); // trip ID → {routeId, directionId}
+    const shapeUsage = new Map();
+    const headsigns = new Map(); // `${routeId}|${directionId}` → headsign → trip count
+    for await (const row of readCsvRows(zip, entries, 'trips.txt')) {
+        if (!routeIds.has(row.route_id)) continue;
+        const directionId = parseInt(row.direction_id, 10) || 0;
+        trips.set(row.trip_id, { routeId: row.route_id, directionId });
+
+        const group = `${row.route_id}|${directionId}`;
+        if (row.trip_headsign) {
+            if (!headsigns.has(group)) headsigns.set(group, new Map());
+            const counts = headsigns.get(group);
+            counts.set(row.trip_headsign, (counts.get(row.trip_headsign) || 0) + 1);
+        }
+
+        if (!row.shape_id) continue;
+        const key = `${group}|${row.shape_id}`;
+        if (!shapeUsage.has(key)) {
+            shapeUsage.set(key, { count: 0, tripId: row.trip_id, typicalTripId: null, routeId: row.route_id, directionId });
+        }
+        const usage = shapeUsage.get(key);
+        usage.count++;
+        if (typicalTrips?.has(row.trip_id)) usage.typicalTripId = row.trip_id;
+    }
+    const typicalShapes = selectTypicalShapes(shapeUsage, typicalTrips !== null);
+
+    console.log('Reading shapes...');
+    const wantedShapes = new Set([...typicalShapes.values()].flat().map(s => s.shapeId));
+    const shapePoints = new Map(); // shape ID → [{lat, lng, sequence}]
+    for await (const row of readCsvRows(zip, entries, 'shapes.txt')) {
+        if (!wantedShapes.has(row.shape_id)) continue;
+        if (!shapePoints.has(row.shape_id)) shapePoints.set(row.shape_id, []);
+        shapePoints.get(row.shape_id).push({
+            lat: parseFloat(row.shape_pt_lat),
+            lng: parseFloat(row.shape_pt_lon),
+            sequence: parseInt(row.shape_pt_sequence, 10),
+        });
+    }
+
+    const routes = [];
+    for (const { row, type } of routeRows) {
+        const routeId = row.route_id;
+        const shapes = typicalShapes.get(routeId) || [];
+        const polylines = shapes
+            .map(s => shapePoints.get(s.shapeId))
+            .filter(points => points && points.length >= 2)
+            .map(points => points.sort((a, b) => a.sequence - b.sequence).map(({ lat, lng }) => ({ lat, lng })));
+
+        const named = directions.get(routeId);
+        const commonHeadsign = (directionId) => {
+            const counts = headsigns.get(`${routeId}|${directionId}`);
+            return counts ? [...counts].sort((a, b) => b[1] - a[1])[0][0] : '';
+        };
+
+        routes.push({
+            id: routeId,
+            color: `#${row.route_color || '000000'}`,
+            shortName: row.route_short_name || '',
+            longName: row.route_long_name || '',
+            type,
+            directionNames: named?.names || [],
+            directionDestinations: named?.destinations || [commonHeadsign(0), commonHeadsign(1)],
+            polylines: mergeRoutePolylines(routeId, type, polylines),
+        });
+    }
+    console.log(`  ${routes.length} routes processed`);
+
+    // ── Stops served, in trip order ───────────────────────────────────────────
+    console.log('Reading stop times...');
+    const orderTrips = new Map(); // trip ID → [{sequence, stopId}] for the trips that give stop order
+    for (const shapes of typicalShapes.values()) {
+        for (const { tripId } of shapes) orderTrips.set(tripId, []);
+    }
+    const served = new Map(); // `${routeId}|${directionId}` → Set of stop IDs
+    for await (const row of readCsvRows(zip, entries, 'stop_times.txt')) {
+        const trip = trips.get(row.trip_id);
+        if (!trip) continue;
+        const group = `${trip.routeId}|${trip.directionId}`;
+        if (!served.has(group)) served.set(group, new Set());
+        served.get(group).add(row.stop_id);
+        orderTrips.get(row.trip_id)?.push({ sequence: parseInt(row.stop_sequence, 10), stopId: row.stop_id });
+    }
+
+    console.log('Reading stops...');
+    const allStops = {};
+    for await (const row of readCsvRows(zip, entries, 'stops.txt')) {
+        const locationType = parseInt(row.location_type, 10) || 0;
+        if (locationType !== 0 && locationType !== 1) continue; // Entrances, nodes, boarding areas
+        allStops[row.stop_id] = {
+            id: row.stop_id,
+            name: row.stop_name,
+            lat: parseFloat(row.stop_lat),
+            lng: parseFloat(row.stop_lon),
+            parentStopId: row.parent_station || null,
+        };
+    }
+
+    // Route stops are listed as stations where the platform has one (as the MBTA API returns them),
+    // in direction 0 trip order, then any stops only served in direction 1 or on other trips
+    const stops = {};
+    const routeStops = {};
+    const routeStopDirections = {};
+    const include = (stopId) => {
+        const stop = allStops[stopId];
+        if (!stop) return;
+        stops[stopId] = stop;
+        if (stop.parentStopId && allStops[stop.parentStopId]) stops[stop.parentStopId] = allStops[stop.parentStopId];
+    };
+
+    for (const route of routes) {
+        const shapes = [...(typicalShapes.get(route.id) || [])].sort((a, b) => a.directionId - b.directionId);
+        const ordered = [];
+        for (const { tripId, directionId } of shapes) {
+            const tripStops = orderTrips.get(tripId).sort((a, b) => a.sequence - b.sequence).map(s => s.stopId);
+            ordered.push(...(directionId === 1 ? tripStops.reverse() : tripStops));
+        }
+        const dir0 = served.get(`${route.id}|0`) || new Set();
+        const dir1 = served.get(`${route.id}|1`) || new Set();
+        ordered.push(...dir0, ...dir1);
+        ordered.forEach(include);
+
+        const stationIds = [...new Set(ordered
+            .filter(id => allStops[id])
+            .map(id => (stops[allStops[id].parentStopId] ? allStops[id].parentStopId : id)))];
+        const candidates = stationIds.map(id => stops[id]);
+        routeStops[route.id] = filterStopsNearPolylines(candidates, route.polylines).map(s => s.id);
+
+        // Direction-specific stops, for rail routes with typical trips both ways (as fetch-mbta-data.mjs)
+        const bothDirections = shapes.some(s => s.directionId === 0) && shapes.some(s => s.directionId === 1);
+        if (bothDirections && (route.type === 0 || route.type === 1)) {
+            const dirMap = classifyStopDirections(routeStops[route.id], dir0, dir1, stops);
+            if (dirMap) routeStopDirections[route.id] = dirMap;
+        }
+    }
+    console.log(`  ${Object.keys(stops).length} stops, ${Object.keys(routeStopDirections).length} routes with direction-specific stops`);
+
+    return { routes, stops, routeStops, routeStopDirections };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+    };
+    const zipPath = args.find((arg, i) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+    if (!zipPath) {
+        console.error('Usage: node scripts/import-gtfs.mjs <gtfs.zip> [--output data/mbta-static.json] [--route-types 0,1,2,3,4]');
+        process.exit(1);
+    }
+    const outputPath = resolve(option('output', join(__dirname, '..', 'data', 'mbta-static.json')));
+    const routeTypes = option('route-types', DEFAULT_ROUTE_TYPES.join(',')).split(',').map(Number);
+
+    const bundle = await buildBundleFromGtfs(readFileSync(zipPath), { routeTypes });
+    writeStaticBundle(outputPath, bundle);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(e => {
+        console.error('Fatal error:', e.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,179 @@
+// scripts/mock-mbta-server.mjs
+// Local stand-in for the MBTA V3 API, for running the push relay without a key or live trains.
+// Serves /vehicles as an SSE stream (reset on connect, then whatever is sent) and /predictions as JSON:API.
+// Usage: node scripts/mock-mbta-server.mjs [--port 8090] [--route Red] [--interval 5]
+//   Replays a demo: one vehicle stopping at each of the route's stops in turn.
+//   Point the relay at it with MBTA_BASE_URL=http://localhost:8090
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Build a JSON:API vehicle resource as the MBTA streams it.
+ *
+ * @param {Object} vehicle — {id, routeId, stopId, tripId, directionId, currentStatus, currentStopSequence, latitude, longitude, label}
+ * @returns {Object} — JSON:API vehicle object (parseVehicle input)
+ */
+export function vehicleResource(vehicle) {
+    const relationship = (type, id) => ({ data: id ? { type, id } : null });
+    return {
+        type: 'vehicle',
+        id: vehicle.id,
+        attributes: {
+            bearing: vehicle.bearing ?? 0,
+            current_status: vehicle.currentStatus ?? 'IN_TRANSIT_TO',
+            current_stop_sequence: vehicle.currentStopSequence ?? null,
+            direction_id: vehicle.directionId ?? 0,
+            label: vehicle.label ?? vehicle.id,
+            latitude: vehicle.latitude ?? 42.3601,
+            longitude: vehicle.longitude ?? -71.0589,
+            speed: vehicle.speed ?? null,
+            updated_at: vehicle.updatedAt ?? new Date().toISOString(),
+        },
+        relationships: {
+            route: relationship('route', vehicle.routeId),
+            stop: relationship('stop', vehicle.stopId),
+            trip: relationship('trip', vehicle.tripId),
+        },
+    };
+}
+
+/**
+ * Start the mock API server.
+ *
+ * @param {{port?: number}} [options] — port 0 picks a free port
+ * @returns {Promise<Object>} — {url, send(event, resource), setPredictions(list), connections(), lastVehiclesQuery(), close()}
+ */
+export function startMockMbtaServer({ port = 0 } = {}) {
+    const vehicles = new Map(); // id → JSON:API resource, replayed as the reset of each new stream
+    const streams = new Set();
+    let predictions = []; // JSON:API prediction resources
+    let lastQuery = null;
+
+    const server = createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/vehicles') {
+            lastQuery = url.searchParams;
+            const routes = url.searchParams.get('filter[route]')?.split(',') ?? null;
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+            });
+            const stream = { res, routes };
+            streams.add(stream);
+            const visible = [...vehicles.values()].filter(v => !routes || routes.includes(v.relationships.route.data?.id));
+            res.write(`event: reset\ndata: ${JSON.stringify(visible)}\n\n`);
+            req.on('close', () => streams.delete(stream));
+            return;
+        }
+
+        if (url.pathname === '/predictions') {
+            const route = url.searchParams.get('filter[route]');
+            const direction = url.searchParams.get('filter[direction_id]');
+            const data = predictions.filter(p =>
+                (!route || p.relationships?.route?.data?.id === route) &&
+                (direction === null || String(p.attributes?.direction_id) === direction));
+            res.writeHead(200, { 'Content-Type': 'application/vnd.api+json' });
+            res.end(JSON.stringify({ data }));
+            return;
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    /**
+     * Send a vehicle event to every open stream whose route filter matches.
+     * @param {'add'|'update'|'remove'} event
+     * @param {Object} resource — vehicleResource() output ({id} is enough for remove)
+     */
+    function send(event, resource) {
+        if (event === 'remove') {
+            vehicles.delete(resource.id);
+        } else {
+            vehicles.set(resource.id, resource);
+        }
+        const routeId = resource.relationships?.route?.data?.id;
+        const data = event === 'remove' ? { id: resource.id, type: 'vehicle' } : resource;
+        for (const { res, routes } of streams) {
+            if (event !== 'remove' && routes && !routes.includes(routeId)) continue;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    }
+
+    return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                send,
+                setPredictions(list) { predictions = list; },
+                connections: () => streams.size,
+                lastVehiclesQuery: () => lastQuery,
+                close() {
+                    for (const { res } of streams) res.end();
+                    streams.clear();
+                    return new Promise(done => server.close(done));
+                },
+            });
+        });
+    });
+}
+
+/**
+ * Demo: one vehicle on the given route stops at each of its stops in turn, forever.
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+    };
+    const port = parseInt(option('port', '8090'), 10);
+    const routeId = option('route', 'Red');
+    const intervalMs = parseFloat(option('interval', '5')) * 1000;
+
+    const bundle = JSON.parse(readFileSync(join(__dirname, '..', 'data', 'mbta-static.json'), 'utf-8'));
+    // Route stops are listed in direction 0 order (Alewife → Braintree for Red)
+    const stopIds = (bundle.routeStops[routeId] || []).filter(id => bundle.stops[id]);
+    if (stopIds.length === 0) {
+        console.error(`Error: no stops for route ${routeId} in data/mbta-static.json`);
+        process.exit(1);
+    }
+
+    const mock = await startMockMbtaServer({ port });
+    console.log(`Mock MBTA API on ${mock.url} — demo vehicle on ${routeId} (${stopIds.length} stops, every ${intervalMs / 1000}s)`);
+
+    let index = 0;
+    setInterval(() => {
+        const stop = bundle.stops[stopIds[index % stopIds.length]];
+        const resource = vehicleResource({
+            id: 'mock-1',
+            label: 'mock-1',
+            routeId,
+            stopId: stop.id,
+            tripId: 'mock-trip',
+            directionId: 0,
+            currentStatus: 'STOPPED_AT',
+            currentStopSequence: index % stopIds.length + 1,
+            latitude: stop.lat,
+            longitude: stop.lng,
+        });
+        mock.send(index === 0 ? 'add' : 'update', resource);
+        console.log(`mock-1 STOPPED_AT ${stop.name} (${stop.id})`);
+        index++;
+    }, intervalMs);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(err => {
+        console.error('Mock server failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,657 @@
+// scripts/push-relay.mjs
+// Web Push relay: watches the MBTA vehicles SSE feed and evaluates every subscriber's
+// notification pairs with the same shouldNotify() the page uses, so alerts arrive with the tab closed.
+//
+// Usage:
+//   node scripts/push-relay.mjs --generate-vapid-keys
+//   MBTA_API_KEY=<key> VAPID_PUBLIC_KEY=<key> VAPID_PRIVATE_KEY=<key> VAPID_SUBJECT=mailto:<you> \
+//     PUSH_RELAY_ORIGIN=<app origin, the only one allowed to register> node scripts/push-relay.mjs
+// Optional: PUSH_RELAY_PORT (8787), PUSH_RELAY_STORE (.push-relay/subscriptions.json),
+//   PUSH_RELAY_PUSH_HOSTS (extra push service hosts, comma-separated), MBTA_BASE_URL (e.g. the
+//   mock server — node scripts/mock-mbta-server.mjs — in which case MBTA_API_KEY is optional).
+// Requires Node 18+ (native fetch).
+//
+// HTTP API (called by src/push.js):
+//   GET    /vapid-public-key  → {publicKey}
+//   POST   /subscriptions     {subscription, pairs, paused} → {pairs: [{id, remainingCount}], expired}
+//                              (no pairs removes the subscription; the relay owns counted pairs' countdown)
+//   DELETE /subscriptions     {endpoint} → 204
+//   GET    /status            → {subscriptions, routes, streaming}
+
+import { createServer } from 'http';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+import { parseVehicle, parsePrediction } from '../src/mbta-parsers.js';
+import {
+    MAX_PAIRS, DEFAULT_LEAD, validateLead, validateTarget, validateSchedule, isWithinSchedule,
+    shouldNotify, getLeadDistance, formatLeadDistance, buildNotificationContent,
+} from '../src/notifications.js';
+import { generateVapidKeys, sendWebPush } from './web-push.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Stream reconnection backoff, as in src/api.js
+const INITIAL_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+const RECONNECT_MULTIPLIER = 2;
+
+// Route predictions are re-fetched this often while any pair has a lead (as in notifications.js)
+const PREDICTION_POLL_MS = 30000;
+
+// Registration bodies are a subscription and at most MAX_PAIRS pairs
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Push services of the major browsers (Chrome, Firefox, Edge, Safari). Registration is
+// unauthenticated, so the relay only POSTs to these, never to an arbitrary URL.
+export const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'push.services.mozilla.com', 'notify.windows.com', 'push.apple.com'];
+
+/**
+ * Split buffered SSE text into complete messages.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} buffer — text received so far
+ * @returns {{messages: Array<{event: string, data: string}>, rest: string}} — rest is an incomplete trailing message
+ */
+export function parseSseMessages(buffer) {
+    const blocks = buffer.replace(/\r\n/g, '\n').split('\n\n');
+    const rest = blocks.pop();
+    const messages = [];
+    for (const block of blocks) {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith(':')) continue;
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'event') event = value;
+            if (field === 'data') data.push(value);
+        }
+        if (data.length > 0) messages.push({ event, data: data.join('\n') });
+    }
+    return { messages, rest };
+}
+
+/**
+ * Whether a pair fires ahead of its checkpoint (same rule as notifications.js).
+ * @param {Object} pair
+ * @returns {boolean}
+ */
+function hasLead(pair) {
+    const lead = pair.lead || DEFAULT_LEAD;
+    return !(lead.type === 'stops' && lead.value === 0);
+}
+
+/**
+ * Whether a subscription endpoint is an https URL on a push service host (or a subdomain of one).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} endpoint
+ * @param {Array<string>} [hosts=PUSH_SERVICE_HOSTS]
+ * @returns {boolean}
+ */
+export function isPushServiceEndpoint(endpoint, hosts = PUSH_SERVICE_HOSTS) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return false;
+    }
+    return url.protocol === 'https:' && hosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+/**
+ * Validate a registration from the page.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Object} body — {subscription: PushSubscription JSON, pairs, paused}
+ * @param {Function} [isAllowedEndpoint=isPushServiceEndpoint] — (endpoint) => boolean
+ * @returns {Object} — {error} if invalid, otherwise {subscription, pairs, paused}
+ */
+export function validateRegistration(body, isAllowedEndpoint = isPushServiceEndpoint) {
+    const subscription = body?.subscription;
+    if (typeof subscription?.endpoint !== 'string' || !isAllowedEndpoint(subscription.endpoint)) {
+        return { error: 'Subscription endpoint must be an https URL on a known push service' };
+    }
+    if (typeof subscription.keys?.p256dh !== 'string' || typeof subscription.keys?.auth !== 'string') {
+        return { error: 'Subscription keys missing' };
+    }
+    if (!Array.isArray(body.pairs) || body.pairs.length > MAX_PAIRS) {
+        return { error: `pairs must be an array of at most ${MAX_PAIRS}` };
+    }
+
+    const pairs = [];
+    for (const p of body.pairs) {
+        if (typeof p?.id !== 'string' || typeof p.checkpointStopId !== 'string' || typeof p.routeId !== 'string' ||
+            (p.directionId !== 0 && p.directionId !== 1)) {
+            return { error: 'Invalid notification pair' };
+        }
+        const remainingCount = p.remainingCount ?? null;
+        if (remainingCount !== null && !(Number.isInteger(remainingCount) && remainingCount > 0)) {
+            return { error: 'Invalid notification count' };
+        }
+        // The count the user set (notifications.js): a new one replaces the relay's countdown
+        const totalCount = Number.isInteger(p.totalCount) && remainingCount !== null && p.totalCount >= remainingCount
+            ? p.totalCount
+            : remainingCount;
+        const lead = p.lead ?? DEFAULT_LEAD;
+        if (validateLead(lead).error) {
+            return { error: validateLead(lead).error };
+        }
+        const target = p.target ?? null;
+        if (validateTarget(target).error) {
+            return { error: validateTarget(target).error };
+        }
+        const schedule = p.schedule ?? null;
+        if (validateSchedule(schedule).error) {
+            return { error: validateSchedule(schedule).error };
+        }
+        pairs.push({
+            id: p.id,
+            checkpointStopId: p.checkpointStopId,
+            routeId: p.routeId,
+            directionId: p.directionId,
+            remainingCount,
+            totalCount,
+            lead: { type: lead.type, value: lead.value },
+            target: target ? { type: target.type, id: target.id, label: target.label ?? null } : null,
+            schedule: schedule
+                ? { days: [...schedule.days], start: schedule.start, end: schedule.end, timeZone: schedule.timeZone ?? null }
+                : null,
+        });
+    }
+
+    return {
+        subscription: { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } },
+        pairs,
+        paused: body.paused === true,
+    };
+}
+
+/**
+ * Fold a registration from the page into what the relay holds for that subscription. The relay
+ * owns counted pairs' countdown: a pair it already has keeps its remaining count unless the page
+ * set a new count (totalCount changed), and a pair it expired stays expired when a page that has
+ * not heard yet sends it again. Expired IDs the page no longer sends are forgotten.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Object|undefined} existing — {pairs, expired: Set<string>} held for the endpoint
+ * @param {Object} registration — from validateRegistration()
+ * @returns {{pairs: Array<Object>, expired: Set<string>}}
+ */
+export function mergeRegistration(existing, registration) {
+    const held = new Map((existing?.pairs || []).map(p => [p.id, p]));
+    const expired = new Set(registration.pairs.map(p => p.id).filter(id => existing?.expired.has(id)));
+    const pairs = registration.pairs.filter(p => !expired.has(p.id)).map((pair) => {
+        const current = held.get(pair.id);
+        return current && pair.remainingCount !== null && current.totalCount === pair.totalCount
+            ? { ...pair, remainingCount: current.remainingCount }
+            : pair;
+    });
+    return { pairs, expired };
+}
+
+/**
+ * Stop and route lookups from the static data bundle (data/mbta-static.json), matching
+ * what the page gets from map.js.
+ *
+ * @param {Object} bundle — {routes: Array, stops: Object}
+ * @returns {{stopsData: Map<string, Object>, terminusChecker: Function, directionLabel: Function, routeType: Function}}
+ */
+export function createStaticLookups(bundle) {
+    const stopsData = new Map(Object.entries(bundle.stops || {}));
+    const routes = new Map((bundle.routes || []).map(r => [r.id, r]));
+
+    return {
+        stopsData,
+        // Same name matching as map.js isTerminusStop()
+        terminusChecker(stopId, routeId) {
+            const name = stopsData.get(stopId)?.name?.toLowerCase();
+            const destinations = routes.get(routeId)?.directionDestinations;
+            if (!name || !destinations?.length) return false;
+            return destinations.some(dest => {
+                const destLower = dest.toLowerCase();
+                return name.includes(destLower) || destLower.includes(name);
+            });
+        },
+        // Same preference as map.js getDirectionDestinations()
+        directionLabel(routeId, directionId) {
+            const route = routes.get(routeId);
+            if (!route) return '';
+            const labels = route.directionDestinations?.length >= 2 ? route.directionDestinations : route.directionNames;
+            return labels?.[directionId] || '';
+        },
+        routeType: routeId => routes.get(routeId)?.type ?? null,
+    };
+}
+
+/**
+ * Create a push relay.
+ *
+ * @param {Object} options
+ * @param {string} options.mbtaBaseUrl — MBTA API base URL (or the mock server)
+ * @param {string|null} options.apiKey — MBTA API key
+ * @param {{publicKey: string, privateKey: string, subject: string}} options.vapid
+ * @param {Object} options.staticData — data/mbta-static.json contents
+ * @param {string} options.allowOrigin — the app's origin, the only one allowed to register (CORS)
+ * @param {string|null} [options.storePath=null] — JSON file subscriptions persist to
+ * @param {Function} [options.isAllowedEndpoint=isPushServiceEndpoint] — (endpoint) => boolean
+ * @param {Function} [options.pushFn=sendWebPush] — (subscription, payload, vapid) => Promise<{gone}>
+ * @returns {Object} — {handleRequest, start, stop, listen, getSubscriptions}
+ */
+export function createPushRelay({
+    mbtaBaseUrl, apiKey, vapid, staticData, allowOrigin, storePath = null,
+    isAllowedEndpoint = isPushServiceEndpoint, pushFn = sendWebPush,
+}) {
+    const { stopsData, terminusChecker, directionLabel, routeType } = createStaticLookups(staticData);
+
+    // endpoint → {subscription, pairs, paused, expired: Set<pairId>, notified: Set<'vehicleId:pairId'>}
+    // (kept with no pairs while expired pairs are waiting for the page to hear of them)
+    const subscriptions = new Map();
+    // 'routeId:directionId' → parsed predictions, for lead pairs
+    const leadPredictions = new Map();
+
+    let streamController = null;
+    let streamRoutes = '';
+    let streaming = false;
+    let reconnectDelay = INITIAL_RECONNECT_DELAY;
+    let reconnectTimer = null;
+    let predictionPollTimer = null;
+    let running = false;
+
+    function loadStore() {
+        if (!storePath || !existsSync(storePath)) return;
+        try {
+            for (const entry of JSON.parse(readFileSync(storePath, 'utf-8'))) {
+                const registration = validateRegistration(entry, isAllowedEndpoint);
+                const expired = new Set((Array.isArray(entry.expired) ? entry.expired : []).filter(id => typeof id === 'string'));
+                if (registration.error || (registration.pairs.length === 0 && expired.size === 0)) continue;
+                subscriptions.set(registration.subscription.endpoint, { ...registration, expired, notified: new Set() });
+            }
+            console.log(`Loaded ${subscriptions.size} subscription(s) from ${storePath}`);
+        } catch (err) {
+            console.error(`Failed to read ${storePath}, starting empty:`, err.message);
+        }
+    }
+
+    function saveStore() {
+        if (!storePath) return;
+        try {
+            mkdirSync(dirname(storePath), { recursive: true });
+            const entries = [...subscriptions.values()].map(({ subscription, pairs, paused, expired }) => ({
+                subscription, pairs, paused, expired: [...expired],
+            }));
+            writeFileSync(storePath, JSON.stringify(entries, null, 2));
+        } catch (err) {
+            console.error(`Failed to write ${storePath}:`, err.message);
+        }
+    }
+
+    /** Routes with at least one active (unpaused) pair, sorted — the stream's filter[route]. */
+    function activeRoutes() {
+        const routes = new Set();
+        for (const { pairs, paused } of subscriptions.values()) {
+            if (!paused) pairs.forEach(p => routes.add(p.routeId));
+        }
+        return [...routes].sort();
+    }
+
+    // ── Vehicle stream ───────────────────────────────────────────────────────
+
+    function scheduleReconnect() {
+        if (!running || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connectStream();
+        }, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * RECONNECT_MULTIPLIER, MAX_RECONNECT_DELAY);
+    }
+
+    /** (Re)open the SSE stream for the current route set; closes it when no pair is active. */
+    function connectStream() {
+        if (streamController) {
+            streamController.abort();
+            streamController = null;
+        }
+        streaming = false;
+        streamRoutes = activeRoutes().join(',');
+        if (!running || !streamRoutes) return;
+
+        const url = new URL(`${mbtaBaseUrl}/vehicles`);
+        url.searchParams.set('filter[route]', streamRoutes);
+        if (apiKey) url.searchParams.set('api_key', apiKey);
+
+        const controller = new AbortController();
+        streamController = controller;
+        console.log(`Connecting to vehicle stream (routes ${streamRoutes})...`);
+
+        (async () => {
+            const response = await fetch(url, { headers: { Accept: 'text/event-stream' }, signal: controller.signal });
+            if (!response.ok) throw new Error(`MBTA API error: ${response.status} ${response.statusText}`);
+            streaming = true;
+
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                const { messages, rest } = parseSseMessages(buffer);
+                buffer = rest;
+                messages.forEach(handleMessage);
+            }
+            throw new Error('stream closed');
+        })().catch((err) => {
+            if (controller.signal.aborted) return;
+            streaming = false;
+            streamController = null;
+            console.warn(`Vehicle stream ended (${err.message}) — reconnecting in ${Math.round(reconnectDelay / 1000)}s`);
+            scheduleReconnect();
+        });
+    }
+
+    /** Reconnect only when the set of routes to watch changed. */
+    function refreshStream() {
+        if (activeRoutes().join(',') !== streamRoutes || (!streamController && !reconnectTimer)) {
+            if (reconnectTimer) {
+                clearTimeout(reconnectTimer);
+                reconnectTimer = null;
+            }
+            reconnectDelay = INITIAL_RECONNECT_DELAY;
+            connectStream();
+        }
+    }
+
+    function handleMessage({ event, data }) {
+        try {
+            if (event === 'reset') {
+                reconnectDelay = INITIAL_RECONNECT_DELAY;
+                // Forget notified keys for vehicles that are gone (the page's Set is per session;
+                // the relay runs for weeks)
+                const present = new Set(JSON.parse(data).map(v => v.id));
+                for (const entry of subscriptions.values()) {
+                    for (const key of [...entry.notified]) {
+                        if (!present.has(key.slice(0, key.lastIndexOf(':')))) entry.notified.delete(key);
+                    }
+                }
+            } else if (event === 'add' || event === 'update') {
+                const vehicle = parseVehicle(JSON.parse(data));
+                if (vehicle) checkVehicle(vehicle);
+            } else if (event === 'remove') {
+                const { id } = JSON.parse(data);
+                for (const entry of subscriptions.values()) {
+                    for (const key of [...entry.notified]) {
+                        if (key.startsWith(`${id}:`)) entry.notified.delete(key);
+                    }
+                }
+            }
+        } catch (err) {
+            console.error(`Failed to parse ${event} event:`, err.message);
+        }
+    }
+
+    // ── Notification evaluation ──────────────────────────────────────────────
+
+    /**
+     * Check every subscriber's pairs against a vehicle update — checkAllPairs() per subscriber.
+     * @param {Object} vehicle — parsed vehicle
+     */
+    function checkVehicle(vehicle) {
+        let changed = false;
+        for (const [endpoint, entry] of subscriptions) {
+            if (entry.paused) continue;
+            for (const pair of [...entry.pairs]) {
+                if (!isWithinSchedule(pair.schedule)) continue;
+                const predictions = hasLead(pair)
+                    ? leadPredictions.get(`${pair.routeId}:${pair.directionId}`) || null
+                    : null;
+                if (!shouldNotify(vehicle, pair, entry.notified, stopsData, terminusChecker, predictions)) continue;
+
+                const leadText = hasLead(pair)
+                    ? formatLeadDistance(getLeadDistance(vehicle, pair, predictions, stopsData), pair.lead)
+                    : '';
+                const checkpointName = stopsData.get(pair.checkpointStopId)?.name || pair.checkpointStopId;
+                const { title, options } = buildNotificationContent(
+                    vehicle.id, pair, checkpointName, directionLabel(pair.routeId, pair.directionId), routeType(pair.routeId), leadText);
+                console.log(`[Push] Vehicle ${vehicle.label || vehicle.id} matched checkpoint ${pair.checkpointStopId}${leadText ? ` (${leadText})` : ''}`);
+                entry.notified.add(`${vehicle.id}:${pair.id}`);
+
+                // The relay owns the countdown; the new count rides along for an open page (sw.js)
+                let count = {};
+                if (pair.remainingCount !== null) {
+                    pair.remainingCount -= 1;
+                    if (pair.remainingCount <= 0) {
+                        entry.pairs.splice(entry.pairs.indexOf(pair), 1);
+                        entry.expired.add(pair.id);
+                        console.log(`[Push] Pair ${pair.id} expired (count reached 0)`);
+                    }
+                    count = { data: { pairId: pair.id, remainingCount: pair.remainingCount } };
+                    changed = true;
+                }
+                deliver(endpoint, entry, { title, ...options, ...count });
+            }
+            if (entry.pairs.length === 0 && entry.expired.size === 0) subscriptions.delete(endpoint);
+        }
+        if (changed) {
+            saveStore();
+            refreshStream();
+        }
+    }
+
+    function deliver(endpoint, entry, message) {
+        pushFn(entry.subscription, JSON.stringify(message), vapid)
+            .then(({ gone }) => {
+                if (gone && subscriptions.get(endpoint) === entry) {
+                    console.log('[Push] Subscription expired, removing');
+                    subscriptions.delete(endpoint);
+                    saveStore();
+                    refreshStream();
+                }
+            })
+            .catch(err => console.warn('[Push] Delivery failed:', err.message));
+    }
+
+    /** Re-fetch predictions for every route/direction with a lead pair (as notifications.js). */
+    async function refreshLeadPredictions() {
+        const needed = new Set();
+        for (const { pairs, paused } of subscriptions.values()) {
+            if (!paused) pairs.filter(p => hasLead(p) && isWithinSchedule(p.schedule)).forEach(p => needed.add(`${p.routeId}:${p.directionId}`));
+        }
+        for (const key of [...leadPredictions.keys()]) {
+            if (!needed.has(key)) leadPredictions.delete(key);
+        }
+
+        await Promise.all([...needed].map(async (key) => {
+            const [routeId, directionId] = key.split(':');
+            const url = new URL(`${mbtaBaseUrl}/predictions`);
+            url.searchParams.set('filter[route]', routeId);
+            url.searchParams.set('filter[direction_id]', directionId);
+            if (apiKey) url.searchParams.set('api_key', apiKey);
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                leadPredictions.set(key, ((await response.json()).data || []).map(parsePrediction));
+            } catch (err) {
+                console.warn(`[Push] Failed to load predictions for ${key}:`, err.message);
+            }
+        }));
+    }
+
+    // ── HTTP API ─────────────────────────────────────────────────────────────
+
+    function send(res, status, body = null) {
+        res.writeHead(status, {
+            'Access-Control-Allow-Origin': allowOrigin,
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+        });
+        res.end(body ? JSON.stringify(body) : undefined);
+    }
+
+    function readJson(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    // Stop reading; the caller answers 413 and the connection closes after it
+                    req.removeAllListeners('data');
+                    req.pause();
+                    reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+                } catch {
+                    reject(new Error('Request body is not JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async function handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method === 'OPTIONS') return send(res, 204);
+
+            if (req.method === 'GET' && pathname === '/vapid-public-key') {
+                return send(res, 200, { publicKey: vapid.publicKey });
+            }
+
+            if (req.method === 'GET' && pathname === '/status') {
+                return send(res, 200, { subscriptions: subscriptions.size, routes: activeRoutes(), streaming });
+            }
+
+            if (req.method === 'POST' && pathname === '/subscriptions') {
+                const registration = validateRegistration(await readJson(req), isAllowedEndpoint);
+                if (registration.error) return send(res, 400, { error: registration.error });
+
+                const { endpoint } = registration.subscription;
+                const previous = subscriptions.get(endpoint);
+                const { pairs, expired } = mergeRegistration(previous, registration);
+                if (pairs.length === 0 && expired.size === 0) {
+                    subscriptions.delete(endpoint);
+                } else {
+                    // Keep already-notified keys so a re-sync does not repeat a notification
+                    subscriptions.set(endpoint, { ...registration, pairs, expired, notified: previous?.notified || new Set() });
+                }
+                saveStore();
+                refreshStream();
+                refreshLeadPredictions();
+                // The relay's counts replace the page's (notifications.js applyRelayCounts())
+                return send(res, 200, {
+                    pairs: pairs.filter(p => p.remainingCount !== null).map(p => ({ id: p.id, remainingCount: p.remainingCount })),
+                    expired: [...expired],
+                });
+            }
+
+            if (req.method === 'DELETE' && pathname === '/subscriptions') {
+                const { endpoint } = await readJson(req);
+                if (subscriptions.delete(endpoint)) {
+                    saveStore();
+                    refreshStream();
+                }
+                return send(res, 204);
+            }
+
+            return send(res, 404, { error: 'Not found' });
+        } catch (err) {
+            // The rest of a body too large is never read, so the connection can't be reused
+            if (err.status === 413) res.setHeader('Connection', 'close');
+            return send(res, err.status || 400, { error: err.message });
+        }
+    }
+
+    return {
+        handleRequest,
+
+        /** Load stored subscriptions, open the stream and start polling predictions. */
+        start() {
+            running = true;
+            loadStore();
+            connectStream();
+            refreshLeadPredictions();
+            predictionPollTimer = setInterval(refreshLeadPredictions, PREDICTION_POLL_MS);
+        },
+
+        /** Close the stream and stop all timers. */
+        stop() {
+            running = false;
+            if (streamController) streamController.abort();
+            streamController = null;
+            streaming = false;
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            clearInterval(predictionPollTimer);
+            predictionPollTimer = null;
+        },
+
+        /**
+         * Serve the HTTP API.
+         * @param {number} port — 0 picks a free port
+         * @returns {Promise<import('http').Server>}
+         */
+        listen(port) {
+            const server = createServer((req, res) => { handleRequest(req, res); });
+            return new Promise(resolve => server.listen(port, () => resolve(server)));
+        },
+
+        getSubscriptions: () => subscriptions,
+    };
+}
+
+async function main() {
+    if (process.argv.includes('--generate-vapid-keys')) {
+        const keys = generateVapidKeys();
+        console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+        console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+        return;
+    }
+
+    const mbtaBaseUrl = process.env.MBTA_BASE_URL || 'https://api-v3.mbta.com';
+    const apiKey = process.env.MBTA_API_KEY || null;
+    if (!apiKey && !process.env.MBTA_BASE_URL) {
+        console.error('Error: MBTA_API_KEY environment variable is required');
+        process.exit(1);
+    }
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT, PUSH_RELAY_ORIGIN } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY || !VAPID_SUBJECT) {
+        console.error('Error: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT are required (generate keys with --generate-vapid-keys)');
+        process.exit(1);
+    }
+    if (!PUSH_RELAY_ORIGIN || PUSH_RELAY_ORIGIN === '*') {
+        console.error('Error: PUSH_RELAY_ORIGIN must be the app origin, e.g. https://ttracker.example.com');
+        process.exit(1);
+    }
+    const pushHosts = [...PUSH_SERVICE_HOSTS, ...(process.env.PUSH_RELAY_PUSH_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean)];
+
+    const staticData = JSON.parse(readFileSync(join(__dirname, '..', 'data', 'mbta-static.json'), 'utf-8'));
+    const relay = createPushRelay({
+        mbtaBaseUrl,
+        apiKey,
+        vapid: { publicKey: VAPID_PUBLIC_KEY, privateKey: VAPID_PRIVATE_KEY, subject: VAPID_SUBJECT },
+        staticData,
+        allowOrigin: PUSH_RELAY_ORIGIN,
+        storePath: process.env.PUSH_RELAY_STORE || join(__dirname, '..', '.push-relay', 'subscriptions.json'),
+        isAllowedEndpoint: endpoint => isPushServiceEndpoint(endpoint, pushHosts),
+    });
+
+    const port = parseInt(process.env.PUSH_RELAY_PORT || '8787', 10);
+    await relay.listen(port);
+    relay.start();
+    console.log(`Push relay listening on http://localhost:${port} (MBTA API ${mbtaBaseUrl})`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(err => {
+        console.error('Push relay failed:', err.message);
+        process.exit(1);
+    });
+}
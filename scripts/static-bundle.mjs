@@ -0,0 +1,475 @@
+// scripts/static-bundle.mjs
+// Pipeline steps shared by the static data builders (fetch-mbta-data.mjs from the MBTA V3 API,
+// import-gtfs.mjs from a GTFS zip): polyline merging, the stop proximity filter,
+// stop direction classification and writing data/mbta-static.json.
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+import { shouldMergePolylines, mergePolylineSegments } from '../src/polyline-merge.js';
+import { haversineDistance } from '../src/vehicle-math.js';
+
+export const STOP_PROXIMITY_THRESHOLD = 150; // meters
+const MERGE_THRESHOLD = 50;           // meters
+
+const SEGMENT_MERGE_THRESHOLD = 20; // meters — per-vertex threshold for segment-by-segment merge
+
+const RAIL_DEDUP_MAX_DIST = 20;  // meters — max nearest-vertex distance for two polylines to be "same path"
+const RAIL_MERGE_THRESHOLD = 40; // meters — segment merge threshold for shared rail corridors
+
+/**
+ * Connect dangling branch endpoints back to the main chain.
+ *
+ * After mergePolylineSegments, branch segments (terminus loops, one-way streets)
+ * may start at a junction on the main chain but end at a point that doesn't
+ * connect back. This function finds such dangling endpoints and appends the
+ * nearest vertex from another segment to close the gap.
+ *
+ * @param {Array<Array<{lat: number, lng: number}>>} segments - Merged segments
+ * @returns {Array<Array<{lat: number, lng: number}>>} Segments with branches reconnected
+ */
+function connectBranchEndpoints(segments) {
+    if (segments.length <= 1) return segments;
+
+    const CONNECT_THRESHOLD = 30; // max gap (meters) that counts as "already connected"
+
+    // Build a set of all segment start/end points for junction detection
+    const endpoints = [];
+    for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+        if (seg.length < 2) continue;
+        endpoints.push({ segIdx: i, end: 'start', lat: seg[0].lat, lng: seg[0].lng });
+        endpoints.push({ segIdx: i, end: 'end', lat: seg[seg.length - 1].lat, lng: seg[seg.length - 1].lng });
+    }
+
+    // For each segment endpoint, check if it's near any OTHER segment's start/end
+    // If not, it's dangling — find the nearest vertex on any other segment and connect
+    const result = segments.map(s => [...s]);
+
+    for (let i = 0; i < result.length; i++) {
+        const seg = result[i];
+        if (seg.length < 2) continue;
+
+        // Check both start and end of this segment
+        for (const checkEnd of ['start', 'end']) {
+            const pt = checkEnd === 'start' ? seg[0] : seg[seg.length - 1];
+
+            // Is this endpoint near any other segment's start or end?
+            let nearestEndpointDist = Infinity;
+            for (const ep of endpoints) {
+                if (ep.segIdx === i) continue;
+                const d = haversineDistance(pt.lat, pt.lng, ep.lat, ep.lng);
+                if (d < nearestEndpointDist) nearestEndpointDist = d;
+            }
+
+            if (nearestEndpointDist <= CONNECT_THRESHOLD) continue; // already connected
+
+            // Dangling! Find nearest vertex on any other segment
+            let bestDist = Infinity;
+            let bestVtx = null;
+            for (let j = 0; j < result.length; j++) {
+                if (j === i) continue;
+                for (const v of result[j]) {
+                    const d = haversineDistance(pt.lat, pt.lng, v.lat, v.lng);
+                    if (d < bestDist) {
+                        bestDist = d;
+                        bestVtx = v;
+                    }
+                }
+            }
+
+            if (bestVtx && bestDist < 200) { // only connect if reasonably close
+                if (checkEnd === 'start') {
+                    result[i] = [{ lat: bestVtx.lat, lng: bestVtx.lng }, ...result[i]];
+                } else {
+                    result[i] = [...result[i], { lat: bestVtx.lat, lng: bestVtx.lng }];
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Process rail polylines: (1) deduplicate inbound/outbound copies, then
+ * (2) segment-merge remaining distinct polylines to combine shared corridors
+ * while preserving branches and terminus loops.
+ *
+ * Dedup criterion: same start+end AND max sampled nearest-vertex < 20m.
+ * After dedup, if 2+ polylines remain (e.g., Red Line Ashmont + Braintree),
+ * segment-merge them: average where close (shared corridor, 15-25m apart),
+ * keep separate where they diverge (actual branches, >40m).
+ * Terminus loops (Green-E, 47m max) are preserved as separate segments.
+ */
+export function processRailPolylines(polylines) {
+    if (polylines.length <= 1) return polylines;
+
+    // Orient all polylines to match the first one's direction
+    const oriented = [polylines[0]];
+    for (let i = 1; i < polylines.length; i++) {
+        const p = polylines[i];
+        const dSame = haversineDistance(oriented[0][0].lat, oriented[0][0].lng, p[0].lat, p[0].lng);
+        const dFlip = haversineDistance(oriented[0][0].lat, oriented[0][0].lng, p[p.length - 1].lat, p[p.length - 1].lng);
+        oriented.push(dFlip < dSame ? [...p].reverse() : p);
+    }
+
+    // Deduplicate: drop polylines that overlap with an existing one.
+    // For same-start-same-end pairs (e.g., Green-E inbound/outbound),
+    // extract the divergent terminus tail from the dropped polyline and
+    // keep it as a separate short segment (preserves turnaround loops).
+    const DIVERGE_THRESHOLD = 15; // meters — distance at which tracks are "divergent"
+    const unique = [oriented[0]];
+    for (let i = 1; i < oriented.length; i++) {
+        // Check this polyline against ALL previously accepted unique entries,
+        // not just oriented[0]. This catches inbound/outbound duplicates of
+        // branches (e.g., Red has 2 Ashmont + 2 Braintree polylines).
+        let matchedIdx = -1;
+        for (let u = 0; u < unique.length; u++) {
+            const ref = unique[u];
+            const dStart = haversineDistance(oriented[i][0].lat, oriented[i][0].lng, ref[0].lat, ref[0].lng);
+            const dEnd = haversineDistance(
+                oriented[i][oriented[i].length - 1].lat, oriented[i][oriented[i].length - 1].lng,
+                ref[ref.length - 1].lat, ref[ref.length - 1].lng
+            );
+            // Same start AND same end → inbound/outbound pair candidate
+            if (dStart <= 100 && dEnd <= 100 && shouldMergePolylines(oriented[i], ref)) {
+                matchedIdx = u;
+                break;
+            }
+        }
+
+        if (matchedIdx === -1) {
+            // No match — this is a distinct branch. Keep it.
+            unique.push(oriented[i]);
+            continue;
+        }
+
+        // This is a duplicate — drop it, but extract divergent terminus loops.
+        const kept = unique[matchedIdx];
+        const dropped = oriented[i];
+
+        // Compute per-vertex distance to nearest point on kept polyline
+        const dists = dropped.map(v => {
+            let minDist = Infinity;
+            for (let k = 0; k < kept.length; k++) {
+                const d = haversineDistance(v.lat, v.lng, kept[k].lat, kept[k].lng);
+                if (d < minDist) minDist = d;
+            }
+            return minDist;
+        });
+
+        // Find divergent runs near the terminus that form LOOPS — tracks that
+        // diverge from the main line and then reconverge. This preserves turnaround
+        // loops (e.g., Heath St) while ignoring parallel-track junction divergences.
+        // A loop run must: (a) be in the tail zone (last/first 10%), (b) have both
+        // endpoints close to the kept polyline (< DIVERGE_THRESHOLD), meaning the
+        // tracks diverge and come back — not just shift to a parallel track.
+        const tailZone = Math.max(10, Math.floor(dropped.length * 0.1));
+
+        function extractLoopRuns(startIdx, endIdx) {
+            let runStart = -1;
+            for (let j = startIdx; j <= endIdx; j++) {
+                const isDivergent = j < dropped.length && dists[j] > DIVERGE_THRESHOLD;
+                if (isDivergent && runStart === -1) {
+                    runStart = j;
+                } else if (!isDivergent && runStart !== -1) {
+                    // Run ended — check if it's a loop (both endpoints close to kept)
+                    const preIdx = Math.max(0, runStart - 1);
+                    const postIdx = Math.min(dropped.length - 1, j);
+                    const preClose = dists[preIdx] <= DIVERGE_THRESHOLD;
+                    const postClose = dists[postIdx] <= DIVERGE_THRESHOLD;
+                    if (preClose && postClose) {
+                        const maxDiv = Math.max(...dists.slice(runStart, j));
+                        // Only keep small turnaround loops (< 50m divergence).
+                        // Larger divergences are route alignment differences, not loops.
+                        if (maxDiv < 50) {
+                            const tail = dropped.slice(preIdx, postIdx + 1);
+                            if (tail.length >= 4) {
+                                unique.push(tail);
+                            }
+                        }
+                    }
+                    runStart = -1;
+                }
+            }
+        }
+
+        // Check end tail zone
+        extractLoopRuns(dropped.length - tailZone, dropped.length);
+        // Check start tail zone
+        extractLoopRuns(0, tailZone);
+    }
+
+    if (unique.length <= 1) return unique;
+
+    // Merge remaining distinct polylines (branches) pairwise to combine shared corridor.
+    // Then concatenate all junction fragments into their neighboring segments so
+    // no short orphan segments remain.
+    let merged = [unique[0]];
+    for (let i = 1; i < unique.length; i++) {
+        const c2 = unique[i];
+        if (c2.length === 0) continue;
+
+        // Short segments (< 20 vertices) are terminus tails — keep as-is
+        if (c2.length < 20) {
+            merged.push(c2);
+            continue;
+        }
+
+        const segments = mergePolylineSegments(merged[0], c2, RAIL_MERGE_THRESHOLD);
+        merged.splice(0, 1, ...segments);
+    }
+
+    // Absorb short junction fragments into adjacent longer segments.
+    // mergePolylineSegments creates tiny segments at branch points (e.g., JFK/UMass)
+    // that render as orphan line fragments. Find each short segment and append it
+    // to whichever neighboring long segment it connects to.
+    const MIN_SEG = 15;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let i = 0; i < merged.length; i++) {
+            if (merged[i].length >= MIN_SEG) continue;
+            const short = merged[i];
+            const shortStart = short[0];
+            const shortEnd = short[short.length - 1];
+
+            // Try to attach to a neighboring long segment
+            for (let j = 0; j < merged.length; j++) {
+                if (j === i || merged[j].length < MIN_SEG) continue;
+                const long = merged[j];
+                const longStart = long[0];
+                const longEnd = long[long.length - 1];
+
+                // Short's start matches long's end → append short to end of long
+                if (haversineDistance(shortStart.lat, shortStart.lng, longEnd.lat, longEnd.lng) < 50) {
+                    merged[j] = long.concat(short.slice(1));
+                    merged.splice(i, 1);
+                    changed = true;
+                    break;
+                }
+                // Short's end matches long's start → prepend short to start of long
+                if (haversineDistance(shortEnd.lat, shortEnd.lng, longStart.lat, longStart.lng) < 50) {
+                    merged[j] = short.concat(long.slice(1));
+                    merged.splice(i, 1);
+                    changed = true;
+                    break;
+                }
+            }
+            if (changed) break;
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Validate that merged non-rail polyline segments are topologically sane.
+ * Exits process with code 1 if any invariant is violated.
+ */
+function validateNonRailPolylines(routeId, routeType, segments, inputPolylines) {
+    const typeNames = ['Light Rail', 'Heavy Rail', 'Commuter Rail', 'Bus', 'Ferry'];
+    const typeName = typeNames[routeType] || `type ${routeType}`;
+
+    if (routeType === 0 || routeType === 1) {
+        console.error(`[validateNonRailPolylines] ASSERTION: called for rail route "${routeId}"`);
+        process.exit(1);
+    }
+
+    if (inputPolylines.length === 0) return;
+
+    if (segments.length === 0) {
+        console.error(`[VALIDATION] Route "${routeId}" (${typeName}): merge produced 0 segments from ${inputPolylines.length} inputs`);
+        process.exit(1);
+    }
+
+    for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+        if (!Array.isArray(seg) || seg.length < 2) {
+            console.error(`[VALIDATION] Route "${routeId}" (${typeName}): segment ${i} has ${seg ? seg.length : 'null'} vertices (min 2)`);
+            process.exit(1);
+        }
+    }
+
+    // Check for spatially degenerate segments (all vertices at same point)
+    for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+        const first = seg[0];
+        let maxDist = 0;
+        for (let j = 1; j < seg.length; j++) {
+            const d = haversineDistance(first.lat, first.lng, seg[j].lat, seg[j].lng);
+            if (d > maxDist) maxDist = d;
+        }
+        if (maxDist < 1) { // Less than 1 meter = degenerate
+            console.error(`[VALIDATION] Route "${routeId}" (${typeName}): segment ${i} is degenerate — all ${seg.length} vertices within ${maxDist.toFixed(2)}m`);
+            process.exit(1);
+        }
+    }
+
+    // Check vertex preservation ratio
+    const maxInputLength = Math.max(...inputPolylines.map(p => p.length));
+    const totalOutputVertices = segments.reduce((sum, s) => sum + s.length, 0);
+    if (totalOutputVertices < maxInputLength * 0.2) {
+        console.error(`[VALIDATION] Route "${routeId}" (${typeName}): merge produced only ${totalOutputVertices} vertices from max input of ${maxInputLength} (ratio: ${(totalOutputVertices / maxInputLength).toFixed(2)})`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Merge a route's typical shape polylines into the branches stored in the bundle.
+ *
+ * @param {string} routeId
+ * @param {number} routeType — GTFS route type (0–4)
+ * @param {Array<Array<{lat: number, lng: number}>>} polylines — one per distinct typical shape
+ * @returns {Array<Array<[number, number]>>} — one [[lat, lng], ...] array per branch
+ */
+export function mergeRoutePolylines(routeId, routeType, polylines) {
+    // Rail (types 0, 1): deduplicate inbound/outbound (same physical track), then split
+    // branching routes at their divergence point. This gives one trunk polyline plus separate
+    // branch tails (e.g., Red Line → trunk + Ashmont + Braintree). Terminus loops (Green-E
+    // Heath St) are preserved because both directions trace the same loop.
+    //
+    // Bus/CR/Ferry (types 2, 3, 4): segment-by-segment merge. Bus inbound/outbound can be
+    // 10-15m apart on the same street (visibly doubled at zoom 17+), so we average where
+    // paths share the same street and keep separate where they diverge to different streets.
+    const isRail = (routeType === 0 || routeType === 1);
+    let mergedPolylines;
+
+    if (isRail) {
+        mergedPolylines = processRailPolylines(polylines);
+    } else {
+        // Non-rail: segment-by-segment merge for polylines on the same physical path.
+        // Averages where paths share the same street, keeps separate where they diverge.
+        mergedPolylines = polylines.length > 0 ? [polylines[0]] : [];
+        for (let i = 1; i < polylines.length; i++) {
+            const c2raw = polylines[i];
+            if (c2raw.length === 0) continue;
+
+            let didMerge = false;
+            for (let j = 0; j < mergedPolylines.length; j++) {
+                const existing = mergedPolylines[j];
+                if (existing.length === 0) continue;
+
+                // Orient c2 in same direction as existing
+                const dSame = haversineDistance(existing[0].lat, existing[0].lng, c2raw[0].lat, c2raw[0].lng);
+                const dFlip = haversineDistance(existing[0].lat, existing[0].lng, c2raw[c2raw.length - 1].lat, c2raw[c2raw.length - 1].lng);
+                const c2 = dFlip < dSame ? [...c2raw].reverse() : c2raw;
+
+                if (shouldMergePolylines(existing, c2, MERGE_THRESHOLD)) {
+                    let segments = mergePolylineSegments(existing, c2, SEGMENT_MERGE_THRESHOLD);
+                    // Fix dangling branch endpoints: connect branch segment ends
+                    // back to the nearest point on the main chain so loops don't
+                    // dead-end visually.
+                    segments = connectBranchEndpoints(segments);
+                    mergedPolylines.splice(j, 1, ...segments);
+                    didMerge = true;
+                    break;
+                }
+            }
+            if (!didMerge) {
+                mergedPolylines.push(c2raw);
+            }
+        }
+    }
+
+    if (!isRail) {
+        validateNonRailPolylines(routeId, routeType, mergedPolylines, polylines);
+    }
+
+    return mergedPolylines.map(pl => pl.map(p => [p.lat, p.lng]));
+}
+
+/**
+ * Keep the stops within STOP_PROXIMITY_THRESHOLD of a route's polylines, so stops a route
+ * only serves on rare variants don't appear along its line. Routes with no polyline keep all stops.
+ *
+ * @param {Array<{id: string, lat: number, lng: number}>} stops — candidate stops, in order
+ * @param {Array<Array<[number, number]>>} polylines — mergeRoutePolylines() output
+ * @returns {Array<Object>} — the stops kept, in input order
+ */
+export function filterStopsNearPolylines(stops, polylines) {
+    // Flatten all branch polylines into one list of vertices for proximity check
+    const polylineCoords = polylines.flatMap(pl => pl.map(([lat, lng]) => ({ lat, lng })));
+    if (polylineCoords.length === 0) return stops;
+
+    return stops.filter((stop) => {
+        // Find nearest polyline vertex (across all branches)
+        let minDist = Infinity;
+        for (const v of polylineCoords) {
+            const d = haversineDistance(stop.lat, stop.lng, v.lat, v.lng);
+            if (d < minDist) minDist = d;
+        }
+        return minDist <= STOP_PROXIMITY_THRESHOLD;
+    });
+}
+
+/**
+ * Classify a rail route's stops by the directions that serve them. A stop (compared by parent
+ * station) served in both directions is shared → both direction buttons; one served in only
+ * one direction is direction-specific → only that button.
+ *
+ * @param {Array<string>} stopIds — the route's stops (routeStops entry)
+ * @param {Iterable<string>} dir0StopIds — stops served in direction 0
+ * @param {Iterable<string>} dir1StopIds — stops served in direction 1
+ * @param {Object<string, {parentStopId: string|null}>} stops — bundle stops
+ * @returns {Object<string, number>|null} — stop ID → only direction, or null when every stop is shared
+ */
+export function classifyStopDirections(stopIds, dir0StopIds, dir1StopIds, stops) {
+    // Build sets of stop IDs per direction, normalized to parent station ID
+    const normalize = (stopId) => stops[stopId]?.parentStopId || stopId;
+
+    const dir0Stops = new Set(dir0StopIds);
+    const dir1Stops = new Set(dir1StopIds);
+
+    // Also build parent-station-level sets for comparison
+    const dir0Parents = new Set([...dir0Stops].map(normalize));
+    const dir1Parents = new Set([...dir1Stops].map(normalize));
+
+    const dirMap = {};
+    let hasDirectionOnly = false;
+
+    // Classify each stop on this route
+    for (const stopId of stopIds) {
+        const parentId = normalize(stopId);
+
+        // Check if this stop's parent station appears in both directions
+        const inDir0 = dir0Parents.has(parentId) || dir0Stops.has(stopId);
+        const inDir1 = dir1Parents.has(parentId) || dir1Stops.has(stopId);
+
+        if (inDir0 && !inDir1) {
+            dirMap[stopId] = 0;
+            hasDirectionOnly = true;
+        } else if (inDir1 && !inDir0) {
+            dirMap[stopId] = 1;
+            hasDirectionOnly = true;
+        }
+        // In both directions (or neither — shouldn't happen) → no entry → both buttons
+    }
+
+    return hasDirectionOnly ? dirMap : null;
+}
+
+/**
+ * Write the static data bundle, stamped with generatedAt.
+ *
+ * @param {string} outputPath
+ * @param {{routes: Array, stops: Object, routeStops: Object, routeStopDirections: Object}} data
+ */
+export function writeStaticBundle(outputPath, { routes, stops, routeStops, routeStopDirections }) {
+    const output = {
+        generatedAt: Math.floor(Date.now() / 1000),
+        routes,
+        stops,
+        routeStops,
+        routeStopDirections,
+    };
+
+    mkdirSync(dirname(outputPath), { recursive: true });
+    writeFileSync(outputPath, JSON.stringify(output)); // compact — machine-consumed, not human-read
+
+    console.log(`\nWrote ${outputPath}`);
+    console.log(`  Routes:      ${routes.length}`);
+    console.log(`  Stops:       ${Object.keys(stops).length}`);
+    console.log(`  Route-stops: ${Object.keys(routeStops).length}`);
+}
@@ -0,0 +1,142 @@
+// scripts/web-push.mjs
+// Minimal Web Push sender for the push relay: VAPID authentication (RFC 8292) and
+// aes128gcm payload encryption (RFC 8291). Node built-ins only (crypto, native fetch).
+
+import { createECDH, createPrivateKey, createCipheriv, generateKeyPairSync, hkdfSync, randomBytes, sign } from 'crypto';
+
+// VAPID JWTs are valid for at most 24 hours; push services reject longer expiries
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+// Single-record payloads: the record size only has to exceed the padded ciphertext
+const RECORD_SIZE = 4096;
+
+/**
+ * Base64url-encode a buffer (no padding).
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export function base64UrlEncode(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Decode a base64url (or standard base64) string.
+ * @param {string} value
+ * @returns {Buffer}
+ */
+export function base64UrlDecode(value) {
+    return Buffer.from(value.replace(/\+/g, '-').replace(/\//g, '_'), 'base64url');
+}
+
+/**
+ * Generate a VAPID key pair.
+ * @returns {{publicKey: string, privateKey: string}} — base64url: 65-byte uncompressed P-256 point, 32-byte private scalar
+ */
+export function generateVapidKeys() {
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = privateKey.export({ format: 'jwk' });
+    const point = Buffer.concat([Buffer.from([0x04]), base64UrlDecode(jwk.x), base64UrlDecode(jwk.y)]);
+    return { publicKey: base64UrlEncode(point), privateKey: jwk.d };
+}
+
+/**
+ * Build the VAPID Authorization header for a push endpoint.
+ *
+ * @param {string} endpoint — push subscription endpoint URL
+ * @param {{publicKey: string, privateKey: string, subject: string}} vapid — keys (base64url) and contact (mailto: or https:)
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @returns {string} — 'vapid t=<jwt>, k=<publicKey>'
+ */
+export function buildVapidAuthorization(endpoint, vapid, now = Date.now()) {
+    const point = base64UrlDecode(vapid.publicKey);
+    const key = createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: base64UrlEncode(point.subarray(1, 33)),
+            y: base64UrlEncode(point.subarray(33, 65)),
+            d: vapid.privateKey,
+        },
+        format: 'jwk',
+    });
+
+    const header = base64UrlEncode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64UrlEncode(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(now / 1000) + VAPID_TOKEN_TTL_SECONDS,
+        sub: vapid.subject,
+    }));
+    const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+    return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${vapid.publicKey}`;
+}
+
+/**
+ * Encrypt a payload for a push subscription (aes128gcm, single record).
+ *
+ * @param {string|Buffer} payload
+ * @param {{p256dh: string, auth: string}} keys — subscription keys (base64url)
+ * @returns {Buffer} — request body: header (salt, record size, sender public key) + ciphertext
+ */
+export function encryptPayload(payload, keys) {
+    const userAgentPublic = base64UrlDecode(keys.p256dh);
+    const authSecret = base64UrlDecode(keys.auth);
+    const salt = randomBytes(16);
+
+    // Fresh sender key pair per message
+    const sender = createECDH('prime256v1');
+    sender.generateKeys();
+    const senderPublic = sender.getPublicKey();
+    const sharedSecret = sender.computeSecret(userAgentPublic);
+
+    // RFC 8291 §3.3: IKM = HKDF(auth secret, ECDH secret, "WebPush: info" || ua_public || as_public)
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublic, senderPublic]);
+    const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+    // RFC 8188 §2.2: content-encryption key and nonce from the salt
+    const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, 'Content-Encoding: aes128gcm\0', 16));
+    const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, 'Content-Encoding: nonce\0', 12));
+
+    // Last (only) record: payload followed by the 0x02 delimiter
+    const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+        cipher.final(),
+        cipher.getAuthTag(),
+    ]);
+
+    const recordSize = Buffer.alloc(4);
+    recordSize.writeUInt32BE(RECORD_SIZE);
+    return Buffer.concat([salt, recordSize, Buffer.from([senderPublic.length]), senderPublic, ciphertext]);
+}
+
+/**
+ * Send an encrypted push message.
+ *
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription — PushSubscription JSON
+ * @param {string} payload — message body (JSON string)
+ * @param {{publicKey: string, privateKey: string, subject: string}} vapid
+ * @param {{ttl?: number, urgency?: string, fetchFn?: Function}} [options]
+ * @returns {Promise<{status: number, gone: boolean}>} — gone: the subscription expired or was revoked (404/410)
+ * @throws {Error} on network failure or any other non-2xx response
+ */
+export async function sendWebPush(subscription, payload, vapid, { ttl = 60, urgency = 'high', fetchFn = fetch } = {}) {
+    const response = await fetchFn(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            'Authorization': buildVapidAuthorization(subscription.endpoint, vapid),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            'TTL': String(ttl),
+            'Urgency': urgency,
+        },
+        body: encryptPayload(payload, subscription.keys),
+    });
+
+    if (response.status === 404 || response.status === 410) {
+        return { status: response.status, gone: true };
+    }
+    if (!response.ok) {
+        throw new Error(`Push service error: ${response.status} ${response.statusText}`);
+    }
+    return { status: response.status, gone: false };
+}
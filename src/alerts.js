@@ -0,0 +1,278 @@
+// src/alerts.js — MBTA service alerts SSE client and active-alert state
+import { config } from '../config.js';
+import { apiEvents } from './api.js';
+
+// Map<alertId, Alert> — current alert set as last reported by the stream
+const alerts = new Map();
+
+// Connection state (independent of the vehicles stream in api.js)
+let eventSource = null;
+let reconnectDelay = 1000; // Initial delay in ms
+const MAX_RECONNECT_DELAY = 30000; // 30s max
+const RECONNECT_MULTIPLIER = 2;
+let reconnectTimer = null;
+
+// Alert effects that close or reroute service along a stretch of line.
+// Stops covered by these alerts get a badge; runs of 2+ affected stops get shaded.
+export const DISRUPTIVE_EFFECTS = new Set([
+    'SHUTTLE',
+    'SUSPENSION',
+    'STATION_CLOSURE',
+    'STOP_CLOSURE',
+    'DETOUR',
+    'STOP_MOVED',
+]);
+
+/**
+ * Parse a JSON:API alert object into a flat structure
+ * @param {Object} data — JSON:API alert object
+ * @returns {Object} Flattened alert: {id, effect, header, severity, lifecycle, activePeriods, informedEntities, url, updatedAt}
+ */
+export function parseAlert(data) {
+    // Handle remove events (only id and type)
+    if (!data.attributes) {
+        return { id: data.id };
+    }
+
+    const attrs = data.attributes;
+    return {
+        id: data.id,
+        effect: attrs.effect || null,
+        header: attrs.short_header || attrs.header || '',
+        severity: attrs.severity ?? 0,
+        lifecycle: attrs.lifecycle || null,
+        url: attrs.url || null,
+        updatedAt: attrs.updated_at || null,
+        activePeriods: (attrs.active_period || []).map(p => ({
+            start: p.start || null,
+            end: p.end || null,
+        })),
+        informedEntities: (attrs.informed_entity || []).map(e => ({
+            routeId: e.route ?? null,
+            routeType: e.route_type ?? null,
+            stopId: e.stop ?? null,
+            directionId: e.direction_id ?? null,
+        })),
+    };
+}
+
+/**
+ * Check whether an alert is in effect at a given time.
+ * Alerts without active periods are treated as always active.
+ *
+ * @param {Object} alert — parsed alert
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @returns {boolean}
+ */
+export function isAlertActive(alert, now = Date.now()) {
+    if (!alert.activePeriods || alert.activePeriods.length === 0) return true;
+    return alert.activePeriods.some(({ start, end }) => {
+        const startMs = start ? new Date(start).getTime() : -Infinity;
+        const endMs = end ? new Date(end).getTime() : Infinity;
+        return now >= startMs && now <= endMs;
+    });
+}
+
+/**
+ * Find active alerts relevant to a stop: alerts naming the stop (or its parent station),
+ * plus route-wide alerts (no stop in the entity) for any of the given routes.
+ * Sorted by severity, most severe first.
+ *
+ * @param {Iterable<Object>} alertList — parsed alerts
+ * @param {Array<string>} stopIds — stop IDs represented by the marker (merged markers pass all children)
+ * @param {Array<string>} routeIds — routes shown in the stop popup
+ * @param {Map<string, Object>} [stopsData] — stop data for parent station resolution
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @returns {Array<Object>} — matching alerts
+ */
+export function getAlertsForStop(alertList, stopIds, routeIds, stopsData = null, now = Date.now()) {
+    // Match the stop itself and its parent station: alert entities name either level
+    const stopKeys = new Set(stopIds);
+    if (stopsData) {
+        for (const id of stopIds) {
+            const parentId = stopsData.get(id)?.parentStopId;
+            if (parentId) stopKeys.add(parentId);
+        }
+    }
+    const routeSet = new Set(routeIds);
+
+    const matches = [];
+    for (const alert of alertList) {
+        if (!isAlertActive(alert, now)) continue;
+        const relevant = (alert.informedEntities || []).some(e =>
+            (e.stopId && stopKeys.has(e.stopId)) ||
+            (!e.stopId && e.routeId && routeSet.has(e.routeId))
+        );
+        if (relevant) matches.push(alert);
+    }
+    return matches.sort((a, b) => b.severity - a.severity);
+}
+
+/**
+ * Group the stops named by active disruptive alerts into per-alert, per-route runs.
+ * Each run with 2+ stops marks a stretch of line to shade; entities without a route
+ * are grouped under routeId null (the caller matches them to routes serving the stops).
+ *
+ * @param {Iterable<Object>} alertList — parsed alerts
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @returns {Array<{alertId: string, effect: string, routeId: string|null, stopIds: Array<string>}>}
+ */
+export function getDisruptedSegments(alertList, now = Date.now()) {
+    const segments = [];
+    for (const alert of alertList) {
+        if (!DISRUPTIVE_EFFECTS.has(alert.effect) || !isAlertActive(alert, now)) continue;
+
+        const byRoute = new Map();
+        for (const e of alert.informedEntities || []) {
+            if (!e.stopId) continue;
+            const key = e.routeId ?? null;
+            if (!byRoute.has(key)) byRoute.set(key, new Set());
+            byRoute.get(key).add(e.stopId);
+        }
+        byRoute.forEach((stopIds, routeId) => {
+            segments.push({ alertId: alert.id, effect: alert.effect, routeId, stopIds: [...stopIds] });
+        });
+    }
+    return segments;
+}
+
+/**
+ * Collect every stop named by an active disruptive alert (for stop marker badges).
+ *
+ * @param {Iterable<Object>} alertList — parsed alerts
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @returns {Set<string>} — affected stop IDs (child platforms and/or parent stations, as named by the alert)
+ */
+export function getDisruptedStopIds(alertList, now = Date.now()) {
+    const result = new Set();
+    for (const segment of getDisruptedSegments(alertList, now)) {
+        segment.stopIds.forEach(id => result.add(id));
+    }
+    return result;
+}
+
+/**
+ * Returns the current alerts Map (all alerts from the stream, active or not).
+ * @returns {Map<string, Object>}
+ */
+export function getAlerts() {
+    return alerts;
+}
+
+/**
+ * Dispatch an alerts:* event on the shared apiEvents target
+ * @param {string} eventType — 'alerts:reset', 'alerts:add', 'alerts:update', 'alerts:remove'
+ * @param {*} detail — Event detail (array or object)
+ */
+function emitAlertEvent(eventType, detail) {
+    apiEvents.dispatchEvent(new CustomEvent(eventType, { detail }));
+}
+
+/**
+ * Schedule reconnection with exponential backoff
+ */
+function scheduleReconnect() {
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+    }
+
+    console.log(`Reconnecting alerts in ${reconnectDelay}ms...`);
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connectAlerts();
+    }, reconnectDelay);
+
+    reconnectDelay = Math.min(reconnectDelay * RECONNECT_MULTIPLIER, MAX_RECONNECT_DELAY);
+}
+
+/**
+ * Build alerts SSE URL with API key and filters
+ */
+function buildUrl() {
+    const params = new URLSearchParams({
+        api_key: config.api.key,
+        'filter[route_type]': '0,1,2,3,4',
+    });
+    return `${config.api.baseUrl}/alerts?${params.toString()}`;
+}
+
+/**
+ * Connect to the MBTA alerts SSE endpoint.
+ * Publishes alerts:reset / alerts:add / alerts:update / alerts:remove on apiEvents.
+ * Failures are logged and retried; the vehicle stream status indicator is not affected.
+ */
+export function connectAlerts() {
+    if (eventSource) {
+        return;
+    }
+
+    try {
+        eventSource = new EventSource(buildUrl());
+
+        eventSource.addEventListener('reset', (e) => {
+            reconnectDelay = 1000;
+            try {
+                const list = JSON.parse(e.data).map(parseAlert);
+                alerts.clear();
+                list.forEach(a => alerts.set(a.id, a));
+                emitAlertEvent('alerts:reset', list);
+            } catch (err) {
+                console.error('Failed to parse alerts reset event:', err.message);
+            }
+        });
+
+        eventSource.addEventListener('add', (e) => {
+            try {
+                const alert = parseAlert(JSON.parse(e.data));
+                alerts.set(alert.id, alert);
+                emitAlertEvent('alerts:add', alert);
+            } catch (err) {
+                console.error('Failed to parse alerts add event:', err.message);
+            }
+        });
+
+        eventSource.addEventListener('update', (e) => {
+            try {
+                const alert = parseAlert(JSON.parse(e.data));
+                alerts.set(alert.id, alert);
+                emitAlertEvent('alerts:update', alert);
+            } catch (err) {
+                console.error('Failed to parse alerts update event:', err.message);
+            }
+        });
+
+        eventSource.addEventListener('remove', (e) => {
+            try {
+                const data = JSON.parse(e.data);
+                alerts.delete(data.id);
+                emitAlertEvent('alerts:remove', { id: data.id });
+            } catch (err) {
+                console.error('Failed to parse alerts remove event:', err.message);
+            }
+        });
+
+        eventSource.addEventListener('error', () => {
+            console.warn('Alerts SSE connection error — closing and reconnecting...');
+            disconnectAlerts();
+            scheduleReconnect();
+        });
+    } catch (err) {
+        console.error('Failed to create alerts EventSource:', err.message);
+        scheduleReconnect();
+    }
+}
+
+/**
+ * Disconnect from the alerts SSE endpoint
+ */
+export function disconnectAlerts() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+}
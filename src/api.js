@@ -1,5 +1,12 @@
-// src/api.js — MBTA API SSE client with JSON:API parsing and exponential backoff
+// src/api.js — Vehicle data sources: MBTA API SSE client (default) with exponential backoff,
+// GTFS-Realtime feed poller and recorded-feed replay, all publishing vehicles:* on apiEvents
 import { config } from '../config.js';
+import { parseVehicle } from './mbta-parsers.js';
+import { createGtfsRtSource } from './gtfs-rt.js';
+import { createReplaySource } from './replay-source.js';
+
+// Re-exported: the parser lives in mbta-parsers.js so Node scripts can use it without config.js
+export { parseVehicle };
 
 // EventTarget for publishing vehicle events
 export const apiEvents = new EventTarget();
@@ -20,6 +27,43 @@ const PARSE_ERROR_WINDOW = 30000; // 30 seconds in ms
 const RAPID_CLOSE_THRESHOLD = 1000; // 1 second in ms
 let rapidCloseCount = 0;
 
+// Route filter (config.stream): modules ask for routes with setStreamRoutes(); the stream
+// carries their union. A changed filter opens a second stream that takes over on its reset.
+const DEFAULT_MAX_STREAM_ROUTES = 30;
+const DEFAULT_RESUBSCRIBE_DELAY_MS = 2000;
+const streamRouteRequests = new Map(); // key → Set<routeId>, or null for every route
+let activeFilter = null; // filter of eventSource (null = all route types)
+let pendingSource = null; // resubscribed stream waiting for its first reset
+let pendingFilter = null;
+let resubscribeTimer = null;
+let streamedVehicleIds = new Set(); // vehicles the current stream has reported, for the swap
+
+// Watchdog: an EventSource can stall without an error (proxies, sleeping radios), leaving
+// frozen vehicles under a "Live" status. No events for config.stream.stallSeconds forces a reconnect.
+const DEFAULT_STALL_SECONDS = 60;
+const WATCHDOG_INTERVAL_MS = 5000;
+// A stream with no vehicles (a filtered ferry route at night) is quiet by design; it is given
+// this many times stallSeconds before it counts as stalled
+const EMPTY_STREAM_STALL_FACTOR = 10;
+let lastEventAt = 0;
+let watchdogTimer = null;
+
+// Newest updatedAt seen from the live source (epoch ms), for getDataAge()
+let latestReportTime = null;
+
+// Diagnostics (getStreamDiagnostics): event times over the last minute, totals since load,
+// reconnects with their backoff delays, rate-limit detections
+const DIAGNOSTICS_WINDOW_MS = 60000;
+const RECONNECT_HISTORY_LIMIT = 20;
+const STREAM_EVENT_TYPES = ['reset', 'add', 'update', 'remove'];
+const recentEvents = { reset: [], add: [], update: [], remove: [] }; // epoch ms, oldest first
+const eventTotals = { reset: 0, add: 0, update: 0, remove: 0 };
+let parseErrorTotal = 0;
+let rateLimitCount = 0;
+let lastRateLimitAt = null;
+const reconnectHistory = []; // {time, reason, delay}, oldest first
+let connectedAt = null; // first reset of the current stream
+
 /**
  * Emit a connection status event
  * @param {string} state — 'connected' | 'reconnecting' | 'error'
@@ -48,6 +92,7 @@ function resetParseErrorCounter() {
  */
 function recordParseError() {
     parseErrorCount++;
+    parseErrorTotal++;
 
     // Clear previous reset timer
     if (parseErrorResetTimer) {
@@ -66,70 +111,79 @@ function recordParseError() {
 }
 
 /**
- * Parse a JSON:API vehicle object into a flat structure
- * @param {Object} data — JSON:API vehicle object
- * @returns {Object|null} Flattened vehicle object, or null if latitude/longitude are invalid
+ * Dispatch a custom DOM event with vehicle data
+ * @param {string} eventType — 'vehicles:reset', 'vehicles:add', 'vehicles:update', 'vehicles:remove'
+ * @param {*} detail — Event detail (array or object)
  */
-export function parseVehicle(data) {
-    // Handle remove events (only id and type)
-    if (!data.attributes) {
-        return { id: data.id };
+function emitVehicleEvent(eventType, detail) {
+    if (eventType === 'vehicles:reset') {
+        latestReportTime = null;
+        detail.forEach(noteReportTime);
+    } else if (eventType !== 'vehicles:remove') {
+        noteReportTime(detail);
     }
+    const event = new CustomEvent(eventType, { detail });
+    apiEvents.dispatchEvent(event);
+}
 
-    const vehicle = {
-        id: data.id,
-    };
-
-    // Map attributes (convert snake_case to camelCase)
-    const attributeMap = {
-        bearing: 'bearing',
-        current_status: 'currentStatus',
-        current_stop_sequence: 'currentStopSequence',
-        direction_id: 'directionId',
-        label: 'label',
-        latitude: 'latitude',
-        longitude: 'longitude',
-        speed: 'speed',
-        updated_at: 'updatedAt',
-    };
-
-    for (const [apiKey, camelKey] of Object.entries(attributeMap)) {
-        if (apiKey in data.attributes) {
-            vehicle[camelKey] = data.attributes[apiKey];
-        }
+/**
+ * Count a stream event for the diagnostics panel
+ * @param {string} type — 'reset' | 'add' | 'update' | 'remove'
+ */
+function recordStreamEvent(type) {
+    const now = Date.now();
+    const times = recentEvents[type];
+    times.push(now);
+    eventTotals[type]++;
+    while (times[0] <= now - DIAGNOSTICS_WINDOW_MS) {
+        times.shift();
     }
+}
 
-    // Validate that latitude and longitude are valid numbers
-    if (vehicle.latitude == null || vehicle.longitude == null ||
-        typeof vehicle.latitude !== 'number' || typeof vehicle.longitude !== 'number' ||
-        Number.isNaN(vehicle.latitude) || Number.isNaN(vehicle.longitude)) {
-        return null;
+/**
+ * Connection health for the diagnostics panel.
+ * @param {number} [now=Date.now()]
+ * @returns {{eventsPerMinute: Object<string, number>, eventTotals: Object<string, number>,
+ *   parseErrors: {total: number, recent: number}, reconnects: Array<{time: number, reason: string, delay: number}>,
+ *   rateLimits: {count: number, last: number|null}, connectedAt: number|null, lastEventAt: number|null,
+ *   routeFilter: string|null}} — reconnects newest first; routeFilter null when streaming every route
+ */
+export function getStreamDiagnostics(now = Date.now()) {
+    const eventsPerMinute = {};
+    for (const type of STREAM_EVENT_TYPES) {
+        eventsPerMinute[type] = recentEvents[type].filter(t => t > now - DIAGNOSTICS_WINDOW_MS).length;
     }
+    return {
+        eventsPerMinute,
+        eventTotals: { ...eventTotals },
+        parseErrors: { total: parseErrorTotal, recent: parseErrorCount },
+        reconnects: [...reconnectHistory].reverse(),
+        rateLimits: { count: rateLimitCount, last: lastRateLimitAt },
+        connectedAt,
+        lastEventAt: lastEventAt || null,
+        routeFilter: activeFilter,
+    };
+}
 
-    // Map relationships (extract id from nested data structure)
-    if (data.relationships) {
-        if (data.relationships.route?.data?.id) {
-            vehicle.routeId = data.relationships.route.data.id;
-        }
-        if (data.relationships.stop?.data?.id) {
-            vehicle.stopId = data.relationships.stop.data.id;
-        }
-        if (data.relationships.trip?.data?.id) {
-            vehicle.tripId = data.relationships.trip.data.id;
-        }
+/**
+ * Track the newest vehicle report, for getDataAge()
+ * @param {Object} vehicle — parsed vehicle with updatedAt
+ */
+function noteReportTime(vehicle) {
+    const reported = vehicle.updatedAt ? Date.parse(vehicle.updatedAt) : NaN;
+    if (!Number.isNaN(reported) && (latestReportTime === null || reported > latestReportTime)) {
+        latestReportTime = reported;
     }
-
-    return vehicle;
 }
 
 /**
- * Dispatch a custom DOM event with vehicle data
- * @param {string} eventType — 'vehicles:reset', 'vehicles:add', 'vehicles:update', 'vehicles:remove'
- * @param {*} detail — Event detail (array or object)
+ * Age of the newest vehicle report from the live source, shown in the status indicator.
+ * Grows while a stream is stalled, even before the watchdog reconnects it.
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} — ms, or null before any report
  */
-function emitVehicleEvent(eventType, detail) {
-    const event = new CustomEvent(eventType, { detail });
-    apiEvents.dispatchEvent(event);
+export function getDataAge(now = Date.now()) {
+    return latestReportTime === null ? null : now - latestReportTime;
 }
 
 /**
@@ -139,150 +193,429 @@ function resetBackoff() {
     reconnectDelay = 1000;
 }
 
+/**
+ * Add a reconnect to the diagnostics history
+ * @param {string} reason
+ * @param {number} delay — backoff before the attempt, ms
+ */
+function noteReconnect(reason, delay) {
+    reconnectHistory.push({ time: Date.now(), reason, delay });
+    if (reconnectHistory.length > RECONNECT_HISTORY_LIMIT) {
+        reconnectHistory.shift();
+    }
+}
+
 /**
  * Schedule reconnection with exponential backoff
+ * @param {string} reason — for the diagnostics panel, e.g. 'Connection error'
  */
-function scheduleReconnect() {
+function scheduleReconnect(reason) {
     // Clear any existing timer
     if (reconnectTimer) {
         clearTimeout(reconnectTimer);
     }
 
+    noteReconnect(reason, reconnectDelay);
+
     console.log(`Reconnecting in ${reconnectDelay}ms...`);
     reconnectTimer = setTimeout(() => {
         reconnectTimer = null;
-        connect();
+        connectMbtaStream();
     }, reconnectDelay);
 
     // Increment delay for next time (capped at MAX)
     reconnectDelay = Math.min(reconnectDelay * RECONNECT_MULTIPLIER, MAX_RECONNECT_DELAY);
 }
 
+/**
+ * Route filter for the stream from the routes modules asked for (setStreamRoutes()).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Map<string, Set<string>|null>} requests — key → route IDs, or null for every route
+ * @param {number} [maxRoutes=DEFAULT_MAX_STREAM_ROUTES]
+ * @returns {string|null} — sorted, comma-separated route IDs; null to stream every route
+ *   (nothing asked for yet, a key asked for all, or more than maxRoutes routes)
+ */
+export function buildStreamFilter(requests, maxRoutes = DEFAULT_MAX_STREAM_ROUTES) {
+    const routes = new Set();
+    for (const routeIds of requests.values()) {
+        if (routeIds === null) return null;
+        routeIds.forEach(id => routes.add(id));
+    }
+    if (routes.size === 0 || routes.size > maxRoutes) return null;
+    return [...routes].sort().join(',');
+}
+
+/**
+ * Compare the vehicles a resubscribed stream starts with to those the previous stream reported,
+ * so vehicles on routes in both filters carry on (as updates) instead of fading out and back in.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Set<string>} previousIds — vehicle IDs the previous stream reported
+ * @param {Array<Object>} vehicles — parsed vehicles from the new stream's reset
+ * @returns {{added: Array<Object>, updated: Array<Object>, removed: Array<string>}}
+ */
+export function diffStreamReset(previousIds, vehicles) {
+    const currentIds = new Set(vehicles.map(v => v.id));
+    return {
+        added: vehicles.filter(v => !previousIds.has(v.id)),
+        updated: vehicles.filter(v => previousIds.has(v.id)),
+        removed: [...previousIds].filter(id => !currentIds.has(id)),
+    };
+}
+
 /**
  * Build SSE URL with API key and filters
+ * @param {string|null} routeFilter — from buildStreamFilter(); null for all route types
  */
-function buildUrl() {
+function buildUrl(routeFilter) {
     const baseUrl = `${config.api.baseUrl}/vehicles`;
-    const params = new URLSearchParams({
-        api_key: config.api.key,
-        'filter[route_type]': '0,1,2,3,4', // Light rail, heavy rail, commuter rail, bus, ferry
-    });
+    const params = new URLSearchParams({ api_key: config.api.key });
+    if (routeFilter) {
+        params.set('filter[route]', routeFilter);
+    } else {
+        params.set('filter[route_type]', '0,1,2,3,4'); // Light rail, heavy rail, commuter rail, bus, ferry
+    }
     return `${baseUrl}?${params.toString()}`;
 }
 
+/**
+ * Listen to a stream's events. The same handlers serve the connected stream and a
+ * resubscription in waiting (pendingSource), which takes over on its first reset.
+ * @param {EventSource} source
+ */
+function attachStreamListeners(source) {
+    source.addEventListener('reset', (e) => {
+        const swapping = source === pendingSource;
+        if (swapping) {
+            // Resubscribed stream is live: retire the old one
+            eventSource.close();
+            eventSource = pendingSource;
+            activeFilter = pendingFilter;
+            pendingSource = null;
+            console.log(`Vehicle stream now filtered to ${activeFilter ? `routes ${activeFilter}` : 'all routes'}`);
+        } else {
+            console.log('Received reset event');
+        }
+        lastEventAt = Date.now();
+        connectedAt = lastEventAt;
+        recordStreamEvent('reset');
+        resetBackoff();
+        resetParseErrorCounter();
+        rapidCloseCount = 0; // Reset rapid close counter on successful message
+        emitStatusEvent('connected', 'Live');
+
+        try {
+            const vehicles = JSON.parse(e.data).map(parseVehicle).filter(v => v !== null);
+            if (swapping) {
+                const { added, updated, removed } = diffStreamReset(streamedVehicleIds, vehicles);
+                removed.forEach(id => emitVehicleEvent('vehicles:remove', { id }));
+                added.forEach(vehicle => emitVehicleEvent('vehicles:add', vehicle));
+                updated.forEach(vehicle => emitVehicleEvent('vehicles:update', vehicle));
+            } else {
+                emitVehicleEvent('vehicles:reset', vehicles);
+            }
+            streamedVehicleIds = new Set(vehicles.map(v => v.id));
+        } catch (err) {
+            console.error('Failed to parse reset event:', err.message);
+            recordParseError();
+        }
+    });
+
+    source.addEventListener('add', (e) => {
+        lastEventAt = Date.now();
+        recordStreamEvent('add');
+        try {
+            const vehicle = parseVehicle(JSON.parse(e.data));
+            if (vehicle !== null) {
+                streamedVehicleIds.add(vehicle.id);
+                emitVehicleEvent('vehicles:add', vehicle);
+            }
+        } catch (err) {
+            console.error('Failed to parse add event:', err.message);
+            recordParseError();
+        }
+    });
+
+    source.addEventListener('update', (e) => {
+        lastEventAt = Date.now();
+        recordStreamEvent('update');
+        try {
+            const vehicle = parseVehicle(JSON.parse(e.data));
+            if (vehicle !== null) {
+                emitVehicleEvent('vehicles:update', vehicle);
+            }
+        } catch (err) {
+            console.error('Failed to parse update event:', err.message);
+            recordParseError();
+        }
+    });
+
+    source.addEventListener('remove', (e) => {
+        lastEventAt = Date.now();
+        recordStreamEvent('remove');
+        try {
+            const data = JSON.parse(e.data);
+            streamedVehicleIds.delete(data.id);
+            emitVehicleEvent('vehicles:remove', { id: data.id });
+        } catch (err) {
+            console.error('Failed to parse remove event:', err.message);
+            recordParseError();
+        }
+    });
+
+    // Handle connection errors
+    source.addEventListener('error', () => {
+        if (source === pendingSource) {
+            // The current stream keeps running on its old filter; try the swap again later
+            console.warn('Resubscribed SSE stream failed — keeping the current stream');
+            pendingSource.close();
+            pendingSource = null;
+            pendingFilter = null;
+            noteReconnect('Route change failed', reconnectDelay);
+            scheduleResubscribe(reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * RECONNECT_MULTIPLIER, MAX_RECONNECT_DELAY);
+            return;
+        }
+
+        console.warn('SSE connection error — closing and reconnecting...');
+
+        // Detect rate limiting: connection closed quickly after opening
+        let reason = 'Connection error';
+        const timeConnected = Date.now() - connectionStartTime;
+        if (timeConnected < RAPID_CLOSE_THRESHOLD) {
+            rapidCloseCount++;
+            reason = 'Closed right after opening';
+            if (rapidCloseCount >= 2) {
+                reason = 'Rate limited';
+                // Likely rate limited
+                emitStatusEvent('error', 'Rate limited — retrying...');
+                rateLimitCount++;
+                lastRateLimitAt = Date.now();
+                // Temporarily increase backoff aggressively for rate limiting
+                reconnectDelay = Math.min(reconnectDelay * 4, MAX_RECONNECT_DELAY);
+                rapidCloseCount = 0;
+            } else {
+                emitStatusEvent('reconnecting', `Reconnecting in ${Math.round(reconnectDelay / 1000)}s...`);
+            }
+        } else {
+            // Normal error
+            rapidCloseCount = 0;
+            const nextDelay = Math.round(reconnectDelay / 1000);
+            emitStatusEvent('reconnecting', `Reconnecting in ${nextDelay}s...`);
+        }
+
+        disconnectMbtaStream();
+        scheduleReconnect(reason);
+    });
+}
+
+/**
+ * Reconnect the stream if it has gone quiet for config.stream.stallSeconds (0 turns the
+ * watchdog off). Runs every WATCHDOG_INTERVAL_MS while connected. A stream that has sent its
+ * reset but carries no vehicles gets EMPTY_STREAM_STALL_FACTOR times as long: EventSource hides
+ * keep-alive comments, so silence is all there is to go on.
+ */
+function checkForStall() {
+    const stallMs = (config.stream?.stallSeconds ?? DEFAULT_STALL_SECONDS) * 1000;
+    const empty = connectedAt !== null && streamedVehicleIds.size === 0;
+    const limitMs = empty ? stallMs * EMPTY_STREAM_STALL_FACTOR : stallMs;
+    if (!eventSource || stallMs <= 0 || Date.now() - lastEventAt < limitMs) return;
+
+    console.warn(`No vehicle events for ${stallMs / 1000}s — closing and reconnecting...`);
+    emitStatusEvent('reconnecting', 'No data — reconnecting...');
+    disconnectMbtaStream();
+    scheduleReconnect('No data (stalled)');
+}
+
 /**
  * Connect to MBTA SSE endpoint
  */
-export function connect() {
+function connectMbtaStream() {
     // Prevent multiple connections
     if (eventSource) {
         return;
     }
 
-    const url = buildUrl();
+    activeFilter = buildStreamFilter(streamRouteRequests, getMaxStreamRoutes());
+    const url = buildUrl(activeFilter);
     console.log('Connecting to MBTA SSE...');
     connectionStartTime = Date.now();
     emitStatusEvent('reconnecting', 'Connecting...');
 
     try {
         eventSource = new EventSource(url);
+        attachStreamListeners(eventSource);
+        // A connection that never sends its reset counts as stalled too
+        lastEventAt = Date.now();
+        if (!watchdogTimer) {
+            watchdogTimer = setInterval(checkForStall, WATCHDOG_INTERVAL_MS);
+        }
+    } catch (err) {
+        console.error('Failed to create EventSource:', err.message);
+        eventSource = null;
+        scheduleReconnect('Could not open the stream');
+    }
+}
 
-        // Handle incoming messages
-        eventSource.addEventListener('reset', (e) => {
-            console.log('Received reset event');
-            resetBackoff();
-            resetParseErrorCounter();
-            rapidCloseCount = 0; // Reset rapid close counter on successful message
-            emitStatusEvent('connected', 'Live');
-
-            try {
-                const vehicles = JSON.parse(e.data).map(parseVehicle).filter(v => v !== null);
-                emitVehicleEvent('vehicles:reset', vehicles);
-            } catch (err) {
-                console.error('Failed to parse reset event:', err.message);
-                recordParseError();
-            }
-        });
-
-        eventSource.addEventListener('add', (e) => {
-            try {
-                const vehicle = parseVehicle(JSON.parse(e.data));
-                if (vehicle !== null) {
-                    emitVehicleEvent('vehicles:add', vehicle);
-                }
-            } catch (err) {
-                console.error('Failed to parse add event:', err.message);
-                recordParseError();
-            }
-        });
-
-        eventSource.addEventListener('update', (e) => {
-            try {
-                const vehicle = parseVehicle(JSON.parse(e.data));
-                if (vehicle !== null) {
-                    emitVehicleEvent('vehicles:update', vehicle);
-                }
-            } catch (err) {
-                console.error('Failed to parse update event:', err.message);
-                recordParseError();
-            }
-        });
-
-        eventSource.addEventListener('remove', (e) => {
-            try {
-                const data = JSON.parse(e.data);
-                emitVehicleEvent('vehicles:remove', { id: data.id });
-            } catch (err) {
-                console.error('Failed to parse remove event:', err.message);
-                recordParseError();
-            }
-        });
-
-        // Handle connection errors
-        eventSource.addEventListener('error', () => {
-            console.warn('SSE connection error — closing and reconnecting...');
-
-            // Detect rate limiting: connection closed quickly after opening
-            const timeConnected = Date.now() - connectionStartTime;
-            if (timeConnected < RAPID_CLOSE_THRESHOLD) {
-                rapidCloseCount++;
-                if (rapidCloseCount >= 2) {
-                    // Likely rate limited
-                    emitStatusEvent('error', 'Rate limited — retrying...');
-                    // Temporarily increase backoff aggressively for rate limiting
-                    reconnectDelay = Math.min(reconnectDelay * 4, MAX_RECONNECT_DELAY);
-                    rapidCloseCount = 0;
-                } else {
-                    emitStatusEvent('reconnecting', `Reconnecting in ${Math.round(reconnectDelay / 1000)}s...`);
-                }
-            } else {
-                // Normal error
-                rapidCloseCount = 0;
-                const nextDelay = Math.round(reconnectDelay / 1000);
-                emitStatusEvent('reconnecting', `Reconnecting in ${nextDelay}s...`);
-            }
+/**
+ * @returns {number} — config.stream.maxRoutes, or the default
+ */
+function getMaxStreamRoutes() {
+    return config.stream?.maxRoutes ?? DEFAULT_MAX_STREAM_ROUTES;
+}
 
-            disconnect();
-            scheduleReconnect();
-        });
+/**
+ * Open a stream with the current route filter alongside the connected one, if the filter
+ * changed. The new stream replaces the old on its first reset (attachStreamListeners()).
+ */
+function resubscribe() {
+    resubscribeTimer = null;
+    if (!eventSource) return; // Not streaming: the next connect uses the new filter
+
+    const filter = buildStreamFilter(streamRouteRequests, getMaxStreamRoutes());
+    if (pendingSource) {
+        if (filter === pendingFilter) return;
+        pendingSource.close();
+        pendingSource = null;
+    }
+    if (filter === activeFilter) return;
 
+    console.log('Resubscribing vehicle stream...');
+    pendingFilter = filter;
+    try {
+        pendingSource = new EventSource(buildUrl(filter));
+        attachStreamListeners(pendingSource);
     } catch (err) {
         console.error('Failed to create EventSource:', err.message);
-        scheduleReconnect();
+        pendingSource = null;
+        pendingFilter = null;
+    }
+}
+
+/**
+ * Run resubscribe() after a delay, replacing any that is already scheduled.
+ * @param {number} delay — ms
+ */
+function scheduleResubscribe(delay) {
+    if (resubscribeTimer) {
+        clearTimeout(resubscribeTimer);
     }
+    resubscribeTimer = setTimeout(resubscribe, delay);
+}
+
+/**
+ * Set the routes a module needs from the MBTA stream. The stream carries the union of all
+ * modules' routes (every route when any asks for all, or beyond config.stream.maxRoutes), and
+ * resubscribes config.stream.resubscribeDelay ms after the last change, so toggling several
+ * routes in a row opens one new connection. No effect with config.stream.routeFilter false,
+ * or with the GTFS-RT and replay sources.
+ *
+ * @param {string} key — the asking module, e.g. 'visible' for the route panel
+ * @param {Iterable<string>|null} routeIds — routes needed; null for every route, [] for none
+ */
+export function setStreamRoutes(key, routeIds) {
+    if (config.stream?.routeFilter === false) return;
+    streamRouteRequests.set(key, routeIds === null ? null : new Set(routeIds));
+    scheduleResubscribe(config.stream?.resubscribeDelay ?? DEFAULT_RESUBSCRIBE_DELAY_MS);
 }
 
 /**
  * Disconnect from SSE endpoint
  */
-export function disconnect() {
+function disconnectMbtaStream() {
     if (eventSource) {
         eventSource.close();
         eventSource = null;
     }
+    connectedAt = null;
+
+    if (pendingSource) {
+        pendingSource.close();
+        pendingSource = null;
+        pendingFilter = null;
+    }
+    if (resubscribeTimer) {
+        clearTimeout(resubscribeTimer);
+        resubscribeTimer = null;
+    }
+
+    if (watchdogTimer) {
+        clearInterval(watchdogTimer);
+        watchdogTimer = null;
+    }
 
     if (reconnectTimer) {
         clearTimeout(reconnectTimer);
         reconnectTimer = null;
     }
 }
+
+/**
+ * A source of live vehicles. connect() starts publishing vehicles:reset (first) and then
+ * vehicles:add/update/remove and connection:status on apiEvents; disconnect() stops it.
+ * connect() after disconnect() must start again with a vehicles:reset.
+ *
+ * @typedef {Object} DataSource
+ * @property {Function} connect
+ * @property {Function} disconnect
+ */
+
+/** @type {DataSource} — MBTA V3 API vehicles stream (SSE) */
+export const mbtaSseSource = { connect: connectMbtaStream, disconnect: disconnectMbtaStream };
+
+// Event publishing handed to the other sources (counted for diagnostics like stream events)
+const sourceSink = {
+    emit: (eventType, detail) => {
+        recordStreamEvent(eventType.replace('vehicles:', ''));
+        emitVehicleEvent(eventType, detail);
+    },
+    status: emitStatusEvent,
+    parseError: recordParseError,
+};
+
+let dataSource = null;
+
+/**
+ * Build the source configured in config.dataSource (default: the MBTA stream).
+ * @returns {DataSource}
+ */
+function createConfiguredSource() {
+    const sourceConfig = config.dataSource ?? {};
+    switch (sourceConfig.type ?? 'mbta') {
+        case 'mbta': return mbtaSseSource;
+        case 'gtfs-rt': return createGtfsRtSource(sourceConfig, sourceSink);
+        case 'replay': return createReplaySource(sourceConfig, sourceSink);
+        default:
+            console.error(`Unknown data source type "${sourceConfig.type}", using the MBTA stream`);
+            return mbtaSseSource;
+    }
+}
+
+/**
+ * Replace the vehicle data source, disconnecting the current one. Call connect() to start it.
+ * @param {DataSource} source
+ */
+export function setDataSource(source) {
+    disconnect();
+    dataSource = source;
+}
+
+/**
+ * Connect the vehicle data source (config.dataSource, unless setDataSource() was called)
+ */
+export function connect() {
+    if (!dataSource) {
+        dataSource = createConfiguredSource();
+    }
+    dataSource.connect();
+}
+
+/**
+ * Disconnect the vehicle data source
+ */
+export function disconnect() {
+    if (dataSource) {
+        dataSource.disconnect();
+    }
+}
@@ -0,0 +1,51 @@
+// src/data-age.js — How old vehicle data is: per-vehicle aging thresholds and age labels
+import { config } from '../config.js';
+
+// Defaults when config.aging is absent
+const DEFAULT_FADE_SECONDS = 120;
+const DEFAULT_HIDE_SECONDS = 600;
+
+/**
+ * Aging thresholds from config.aging, with defaults.
+ * @returns {{fadeMs: number, hideMs: number}}
+ */
+export function getAgeThresholds() {
+    return {
+        fadeMs: (config.aging?.fadeSeconds ?? DEFAULT_FADE_SECONDS) * 1000,
+        hideMs: (config.aging?.hideSeconds ?? DEFAULT_HIDE_SECONDS) * 1000,
+    };
+}
+
+/**
+ * Classify a vehicle by the age of its last report. Vehicles without a usable updatedAt
+ * are treated as fresh (nothing to judge them by).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string|null} updatedAt — ISO time of the vehicle's last report
+ * @param {number} now — epoch ms
+ * @param {{fadeMs: number, hideMs: number}} thresholds — from getAgeThresholds()
+ * @returns {'fresh'|'stale'|'expired'} — stale markers are faded, expired ones hidden
+ */
+export function classifyDataAge(updatedAt, now, thresholds) {
+    const reported = updatedAt ? Date.parse(updatedAt) : NaN;
+    if (Number.isNaN(reported)) return 'fresh';
+    const age = now - reported;
+    if (age >= thresholds.hideMs) return 'expired';
+    if (age >= thresholds.fadeMs) return 'stale';
+    return 'fresh';
+}
+
+/**
+ * Format a data age for the status indicator.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {number} ageMs — negative ages (device clock behind the feed) count as 0
+ * @returns {string} — "8s", "3 min", "2 h"
+ */
+export function formatDataAge(ageMs) {
+    const seconds = Math.max(0, Math.floor(ageMs / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h`;
+}
@@ -0,0 +1,144 @@
+// src/diagnostics-ui.js — Connection diagnostics panel, opened from the #status indicator
+import { getStreamDiagnostics, getDataAge } from './api.js';
+import { formatDataAge } from './data-age.js';
+import { escapeHtml } from './stop-popup.js';
+
+// Figures move by the second; refresh while the panel is open
+const REFRESH_INTERVAL_MS = 1000;
+
+const EVENT_TYPES = ['reset', 'add', 'update', 'remove'];
+
+let panelEl = null;
+let statusEl = null;
+let getVehicles = null;
+let getStaticAge = null;
+let refreshTimer = null;
+
+/**
+ * "3 min ago" for a past time, or a fallback when there is none.
+ * @param {number|null} time — epoch ms
+ * @param {number} now
+ * @param {string} [never='never']
+ * @returns {string}
+ */
+function formatAgo(time, now, never = 'never') {
+    return time === null ? never : `${formatDataAge(now - time)} ago`;
+}
+
+/**
+ * One label/value row.
+ * @param {string} label
+ * @param {string} value — HTML
+ * @returns {string}
+ */
+function row(label, value) {
+    return `<div class="diagnostics-panel__row"><span>${label}</span><span>${value}</span></div>`;
+}
+
+/**
+ * Pure function to build the panel body.
+ * Exported for testing purposes.
+ *
+ * @param {Object} diagnostics — from getStreamDiagnostics()
+ * @param {{vehicleCount: number, dataAge: number|null, staticDataAge: number|null}} extras —
+ *   tracked vehicles, newest report age (ms) and static data bundle age (seconds; null when
+ *   routes and stops came from the live API)
+ * @param {number} [now=Date.now()]
+ * @returns {string} — HTML
+ */
+export function buildDiagnosticsHtml(diagnostics, extras, now = Date.now()) {
+    const stream = [
+        row('Connected', diagnostics.connectedAt === null ? 'no' : `since ${formatAgo(diagnostics.connectedAt, now)}`),
+        row('Last event', formatAgo(diagnostics.lastEventAt, now)),
+        row('Newest report', formatAgo(extras.dataAge === null ? null : now - extras.dataAge, now, 'none yet')),
+        row('Routes', diagnostics.routeFilter === null
+            ? 'all'
+            : `<span title="${escapeHtml(diagnostics.routeFilter)}">${diagnostics.routeFilter.split(',').length} filtered</span>`),
+        row('Vehicles tracked', String(extras.vehicleCount)),
+        row('Static data', extras.staticDataAge === null ? 'live API' : `${formatDataAge(extras.staticDataAge * 1000)} old`),
+    ].join('');
+
+    const events = EVENT_TYPES.map(type =>
+        `<tr><td>${type}</td><td>${diagnostics.eventsPerMinute[type]}</td><td>${diagnostics.eventTotals[type]}</td></tr>`).join('');
+
+    const errorClass = diagnostics.parseErrors.recent > 0 ? ' diagnostics-panel__row--alert' : '';
+    const problems = `<div class="diagnostics-panel__row${errorClass}"><span>Parse errors</span>` +
+        `<span>${diagnostics.parseErrors.total} (${diagnostics.parseErrors.recent} in last 30s)</span></div>` +
+        row('Rate limited', diagnostics.rateLimits.count === 0
+            ? 'never'
+            : `${diagnostics.rateLimits.count}× · last ${formatAgo(diagnostics.rateLimits.last, now)}`);
+
+    const reconnects = diagnostics.reconnects.length === 0
+        ? '<div class="diagnostics-panel__empty">No reconnects</div>'
+        : '<ul class="diagnostics-panel__reconnects">' + diagnostics.reconnects.map(entry =>
+            `<li><span>${formatAgo(entry.time, now)}</span><span>${escapeHtml(entry.reason)}</span>` +
+            `<span>retry in ${formatDataAge(entry.delay)}</span></li>`).join('') + '</ul>';
+
+    return `<div class="diagnostics-panel__section">${stream}</div>` +
+        '<div class="diagnostics-panel__section"><table class="diagnostics-panel__events">' +
+        `<thead><tr><th>Event</th><th>/min</th><th>Total</th></tr></thead><tbody>${events}</tbody></table></div>` +
+        `<div class="diagnostics-panel__section">${problems}</div>` +
+        `<div class="diagnostics-panel__section"><div class="diagnostics-panel__subtitle">Reconnects</div>${reconnects}</div>`;
+}
+
+/**
+ * Redraw the panel from the current figures.
+ */
+function refresh() {
+    const now = Date.now();
+    panelEl.querySelector('.diagnostics-panel__body').innerHTML = buildDiagnosticsHtml(getStreamDiagnostics(now), {
+        vehicleCount: getVehicles().size,
+        dataAge: getDataAge(now),
+        staticDataAge: getStaticAge(),
+    }, now);
+}
+
+function openPanel() {
+    panelEl.classList.remove('diagnostics-panel--hidden');
+    statusEl.setAttribute('aria-expanded', 'true');
+    refresh();
+    if (!refreshTimer) {
+        refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    }
+}
+
+function closePanel() {
+    panelEl.classList.add('diagnostics-panel--hidden');
+    statusEl.setAttribute('aria-expanded', 'false');
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+}
+
+function togglePanel() {
+    if (panelEl.classList.contains('diagnostics-panel--hidden')) {
+        openPanel();
+    } else {
+        closePanel();
+    }
+}
+
+/**
+ * Initialize the diagnostics panel.
+ *
+ * @param {HTMLElement} panelElement — #diagnostics-panel container
+ * @param {HTMLElement} statusElement — #status indicator that opens it
+ * @param {Function} vehiclesFn — returns the vehicles Map (getVehicles from vehicles.js)
+ * @param {Function} staticDataAgeFn — returns the static data bundle's age in seconds, or null
+ */
+export function initDiagnostics(panelElement, statusElement, vehiclesFn, staticDataAgeFn) {
+    panelEl = panelElement;
+    statusEl = statusElement;
+    getVehicles = vehiclesFn;
+    getStaticAge = staticDataAgeFn;
+
+    statusEl.addEventListener('click', togglePanel);
+    statusEl.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            togglePanel();
+        }
+    });
+    panelEl.querySelector('.diagnostics-panel__close').addEventListener('click', closePanel);
+}
@@ -0,0 +1,305 @@
+// src/gtfs-rt.js — GTFS-Realtime VehiclePositions data source: protobuf decoding and feed polling
+
+// Polling defaults; feeds typically refresh every 10–30s
+const DEFAULT_POLL_INTERVAL = 15000;
+const INITIAL_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+const RETRY_MULTIPLIER = 2;
+
+// VehiclePosition.VehicleStopStatus (protobuf enum value → MBTA current_status string)
+const STOP_STATUS = ['INCOMING_AT', 'STOPPED_AT', 'IN_TRANSIT_TO'];
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+const FIXED32 = 5;
+
+/**
+ * Read protobuf fields from a buffer. Only the wire format — the caller knows the schema.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Uint8Array} bytes — encoded message
+ * @returns {Array<{field: number, wireType: number, value: number|Uint8Array}>} — varints as numbers
+ *   (exact below 2^53), fixed32/fixed64 and length-delimited fields as raw bytes
+ * @throws {Error} on truncated or malformed input
+ */
+export function readProtobufFields(bytes) {
+    const fields = [];
+    let pos = 0;
+
+    function readVarint() {
+        let value = 0;
+        let multiplier = 1;
+        for (;;) {
+            if (pos >= bytes.length) throw new Error('Truncated varint');
+            const byte = bytes[pos++];
+            value += (byte & 0x7f) * multiplier;
+            if (byte < 0x80) return value;
+            multiplier *= 128;
+            if (multiplier > 2 ** 63) throw new Error('Varint too long');
+        }
+    }
+
+    function take(length) {
+        if (pos + length > bytes.length) throw new Error('Truncated field');
+        const slice = bytes.subarray(pos, pos + length);
+        pos += length;
+        return slice;
+    }
+
+    while (pos < bytes.length) {
+        const key = readVarint();
+        const field = Math.floor(key / 8);
+        const wireType = key % 8;
+        let value;
+        switch (wireType) {
+            case VARINT: value = readVarint(); break;
+            case FIXED64: value = take(8); break;
+            case LENGTH_DELIMITED: value = take(readVarint()); break;
+            case FIXED32: value = take(4); break;
+            default: throw new Error(`Unsupported wire type ${wireType}`);
+        }
+        fields.push({ field, wireType, value });
+    }
+    return fields;
+}
+
+const textDecoder = new TextDecoder();
+
+function asString(bytes) {
+    return textDecoder.decode(bytes);
+}
+
+function asFloat(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, 4).getFloat32(0, true);
+}
+
+/**
+ * Decode a message's known fields by number.
+ * @param {Uint8Array} bytes
+ * @param {Object<number, [string, Function, boolean?]>} schema — field number → [name, decode, repeated]
+ * @returns {Object}
+ */
+function decodeMessage(bytes, schema) {
+    const message = {};
+    for (const { field, value } of readProtobufFields(bytes)) {
+        const entry = schema[field];
+        if (!entry) continue; // Unknown and extension fields are skipped
+        const [name, decode, repeated] = entry;
+        if (repeated) {
+            (message[name] ||= []).push(decode(value));
+        } else {
+            message[name] = decode(value);
+        }
+    }
+    return message;
+}
+
+const number = value => value;
+const TRIP = { 1: ['trip_id', asString], 5: ['route_id', asString], 6: ['direction_id', number] };
+const VEHICLE_DESCRIPTOR = { 1: ['id', asString], 2: ['label', asString] };
+const POSITION = { 1: ['latitude', asFloat], 2: ['longitude', asFloat], 3: ['bearing', asFloat], 5: ['speed', asFloat] };
+const VEHICLE_POSITION = {
+    1: ['trip', b => decodeMessage(b, TRIP)],
+    2: ['position', b => decodeMessage(b, POSITION)],
+    3: ['current_stop_sequence', number],
+    4: ['current_status', number],
+    5: ['timestamp', number],
+    7: ['stop_id', asString],
+    8: ['vehicle', b => decodeMessage(b, VEHICLE_DESCRIPTOR)],
+};
+const FEED_ENTITY = {
+    1: ['id', asString],
+    2: ['is_deleted', v => v !== 0],
+    4: ['vehicle', b => decodeMessage(b, VEHICLE_POSITION)],
+};
+const FEED_HEADER = { 1: ['gtfs_realtime_version', asString], 3: ['timestamp', number] };
+const FEED_MESSAGE = {
+    1: ['header', b => decodeMessage(b, FEED_HEADER)],
+    2: ['entity', b => decodeMessage(b, FEED_ENTITY), true],
+};
+
+/**
+ * Decode a GTFS-Realtime FeedMessage (VehiclePositions fields only).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Uint8Array} bytes — protobuf-encoded FeedMessage
+ * @returns {Object} — {header, entity: [...]} with the JSON field names of gtfs-realtime.proto;
+ *   current_status is the enum number, as in the JSON form of a feed
+ */
+export function decodeFeedMessage(bytes) {
+    const feed = decodeMessage(bytes, FEED_MESSAGE);
+    return { header: feed.header || {}, entity: feed.entity || [] };
+}
+
+/**
+ * Map a FeedEntity to the flat vehicle shape parseVehicle() produces for MBTA events.
+ * Accepts decoded protobuf or the JSON form of a feed (current_status as number or name).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Object} entity — FeedEntity
+ * @returns {Object|null} — vehicle, or null for deleted entities, non-vehicle entities and missing positions
+ */
+export function entityToVehicle(entity) {
+    const position = entity.vehicle;
+    if (!position || entity.is_deleted) return null;
+
+    const { latitude, longitude } = position.position || {};
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+        Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        return null;
+    }
+
+    const vehicle = {
+        id: position.vehicle?.id || entity.id,
+        latitude,
+        longitude,
+    };
+
+    const status = position.current_status;
+    // Unset status means IN_TRANSIT_TO (the proto default)
+    vehicle.currentStatus = typeof status === 'string' ? status : STOP_STATUS[status ?? 2] || 'IN_TRANSIT_TO';
+
+    if (position.vehicle?.label) vehicle.label = position.vehicle.label;
+    if (position.position.bearing != null) vehicle.bearing = position.position.bearing;
+    if (position.position.speed != null) vehicle.speed = position.position.speed;
+    if (position.current_stop_sequence != null) vehicle.currentStopSequence = position.current_stop_sequence;
+    if (position.trip?.direction_id != null) vehicle.directionId = position.trip.direction_id;
+    if (position.timestamp != null) vehicle.updatedAt = new Date(Number(position.timestamp) * 1000).toISOString();
+    if (position.trip?.route_id) vehicle.routeId = position.trip.route_id;
+    if (position.stop_id) vehicle.stopId = position.stop_id;
+    if (position.trip?.trip_id) vehicle.tripId = position.trip.trip_id;
+
+    return vehicle;
+}
+
+/**
+ * Fields compared to decide whether a vehicle changed between polls
+ */
+const COMPARED_FIELDS = ['latitude', 'longitude', 'bearing', 'currentStatus', 'stopId', 'currentStopSequence', 'tripId', 'updatedAt'];
+
+/**
+ * Compare two snapshots of a feed. Polling feeds send full snapshots; the MBTA stream sends
+ * add/update/remove, so the difference is emitted as those events.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Map<string, Object>} previous — vehicle ID → vehicle, from the last poll
+ * @param {Array<Object>} current — vehicles in this poll
+ * @returns {{add: Array<Object>, update: Array<Object>, remove: Array<string>}}
+ */
+export function diffSnapshot(previous, current) {
+    const add = [];
+    const update = [];
+    const seen = new Set();
+    for (const vehicle of current) {
+        seen.add(vehicle.id);
+        const before = previous.get(vehicle.id);
+        if (!before) {
+            add.push(vehicle);
+        } else if (COMPARED_FIELDS.some(field => before[field] !== vehicle[field])) {
+            update.push(vehicle);
+        }
+    }
+    const remove = [...previous.keys()].filter(id => !seen.has(id));
+    return { add, update, remove };
+}
+
+/**
+ * Create a data source that polls a GTFS-Realtime VehiclePositions feed.
+ * The first poll after connect() emits vehicles:reset; later polls emit the difference.
+ * JSON feeds (Content-Type application/json, or a .json URL) are read as the JSON form of FeedMessage
+ * with proto field names (snake_case), as agencies publish them alongside the .pb feed.
+ *
+ * @param {Object} options — config.dataSource: {url, pollInterval, headers}
+ * @param {Object} sink — {emit(type, detail), status(state, message), parseError()} from api.js
+ * @param {Function} [fetchFn=fetch]
+ * @returns {{connect: Function, disconnect: Function}}
+ */
+export function createGtfsRtSource(options, sink, fetchFn = (...args) => fetch(...args)) {
+    const pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL;
+    let vehicles = null; // Map from the last successful poll; null until the first (→ reset)
+    let timer = null;
+    let retryDelay = INITIAL_RETRY_DELAY;
+    let active = false;
+    let generation = 0; // Bumped by connect()/disconnect() so a poll in flight from before is ignored
+
+    /**
+     * Fetch the feed body: parsed JSON for JSON feeds, otherwise the protobuf bytes (decoded by the caller,
+     * so a malformed feed counts as a parse error rather than an unavailable feed)
+     */
+    async function readFeed() {
+        const response = await fetchFn(options.url, { headers: options.headers || {}, cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const type = response.headers?.get?.('Content-Type') || '';
+        if (type.includes('json') || /\.json(\?|$)/.test(options.url)) {
+            return response.json();
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    function schedule(delay) {
+        timer = setTimeout(poll, delay);
+    }
+
+    async function poll() {
+        const current = generation;
+        timer = null;
+        let feed;
+        try {
+            feed = await readFeed();
+        } catch (err) {
+            if (current !== generation) return;
+            console.warn('GTFS-RT feed unavailable:', err.message);
+            sink.status('reconnecting', `Feed unavailable — retrying in ${Math.round(retryDelay / 1000)}s...`);
+            schedule(retryDelay);
+            retryDelay = Math.min(retryDelay * RETRY_MULTIPLIER, MAX_RETRY_DELAY);
+            return;
+        }
+        if (current !== generation) return;
+        retryDelay = INITIAL_RETRY_DELAY;
+
+        try {
+            if (feed instanceof Uint8Array) feed = decodeFeedMessage(feed);
+            const list = (feed.entity || []).map(entityToVehicle).filter(v => v !== null);
+            if (vehicles === null) {
+                sink.status('connected', 'Live');
+                sink.emit('vehicles:reset', list);
+            } else {
+                const { add, update, remove } = diffSnapshot(vehicles, list);
+                add.forEach(v => sink.emit('vehicles:add', v));
+                update.forEach(v => sink.emit('vehicles:update', v));
+                remove.forEach(id => sink.emit('vehicles:remove', { id }));
+            }
+            vehicles = new Map(list.map(v => [v.id, v]));
+        } catch (err) {
+            console.error('Failed to read GTFS-RT feed:', err.message);
+            sink.parseError();
+        }
+        schedule(pollInterval);
+    }
+
+    return {
+        connect() {
+            if (active) return;
+            if (!options.url) {
+                console.error('GTFS-RT data source needs config.dataSource.url');
+                return;
+            }
+            active = true;
+            generation++;
+            vehicles = null;
+            retryDelay = INITIAL_RETRY_DELAY;
+            sink.status('reconnecting', 'Connecting...');
+            poll();
+        },
+        disconnect() {
+            active = false;
+            generation++;
+            clearTimeout(timer);
+            timer = null;
+        },
+    };
+}
@@ -0,0 +1,133 @@
+// src/headway-ui.js — Headway panel and map connector overlay for bunching/gaps
+import { computeRouteHeadways, estimateHeadwayMinutes, formatSpacing, getHeadwayThresholds } from './headways.js';
+import { getVehicles } from './vehicles.js';
+import { getRoutePaths, getRouteMetadata, getVisibleRoutes, setHeadwaySegments } from './map.js';
+import { escapeHtml } from './stop-popup.js';
+
+// Spacing changes slowly; recomputing every animation frame would be wasted work
+const REFRESH_INTERVAL_MS = 5000;
+
+let panelEl = null;
+let toggleBtn = null;
+let refreshTimer = null;
+
+/**
+ * Pure function to summarize one direction's pairs.
+ * Exported for testing purposes.
+ *
+ * @param {{vehicleCount: number, pairs: Array<{status: string}>}} direction — from computeRouteHeadways()
+ * @returns {string} — e.g., "6 vehicles · 1 bunched · 1 gap"
+ */
+export function formatHeadwaySummary(direction) {
+    const bunched = direction.pairs.filter(p => p.status === 'bunched').length;
+    const gaps = direction.pairs.filter(p => p.status === 'gap').length;
+    const parts = [`${direction.vehicleCount} vehicle${direction.vehicleCount !== 1 ? 's' : ''}`];
+    if (bunched > 0) parts.push(`${bunched} bunched`);
+    if (gaps > 0) parts.push(`${gaps} gap${gaps !== 1 ? 's' : ''}`);
+    if (bunched === 0 && gaps === 0 && direction.pairs.length > 0) parts.push('evenly spaced');
+    return parts.join(' · ');
+}
+
+/**
+ * Pure function to build the headway panel body.
+ * Exported for testing purposes.
+ *
+ * @param {Array<{route: Object, directions: Array<Object>}>} routeHeadways — route metadata with
+ *   computeRouteHeadways() output, in display order
+ * @returns {string} — HTML
+ */
+export function buildHeadwayPanelHtml(routeHeadways) {
+    const withVehicles = routeHeadways.filter(r => r.directions.length > 0);
+    if (withVehicles.length === 0) {
+        return '<div class="headway-panel__empty">No vehicles on visible routes</div>';
+    }
+
+    return withVehicles.map(({ route, directions }) => {
+        const name = route.type === 3 ? `Route ${route.shortName}` : (route.longName || route.shortName);
+        const directionsHtml = directions.map((direction) => {
+            const destination = route.directionDestinations?.[direction.directionId]
+                || route.directionNames?.[direction.directionId]
+                || `Direction ${direction.directionId}`;
+            const pairsHtml = direction.pairs.map((pair) => {
+                const minutes = estimateHeadwayMinutes(pair.spacing, route.type);
+                const minutesText = minutes !== null ? ` · ~${minutes} min` : '';
+                return `<li class="headway-panel__pair headway-panel__pair--${pair.status}">` +
+                    `${escapeHtml(pair.labels[0])} ↔ ${escapeHtml(pair.labels[1])}` +
+                    `<span class="headway-panel__spacing">${formatSpacing(pair.spacing)}${minutesText}</span>` +
+                    '</li>';
+            }).join('');
+            return '<div class="headway-panel__direction">' +
+                `<div class="headway-panel__direction-header"><span class="headway-panel__dest">→ ${escapeHtml(destination)}</span>` +
+                `<span class="headway-panel__summary">${formatHeadwaySummary(direction)}</span></div>` +
+                (pairsHtml ? `<ul class="headway-panel__pairs">${pairsHtml}</ul>` : '') +
+                '</div>';
+        }).join('');
+
+        return '<div class="headway-panel__route">' +
+            `<div class="headway-panel__route-name" style="border-left-color: ${escapeHtml(route.color)}">${escapeHtml(name)}</div>` +
+            directionsHtml +
+            '</div>';
+    }).join('');
+}
+
+/**
+ * Recompute headways for visible routes and redraw the panel and map connectors.
+ */
+function refresh() {
+    const thresholds = getHeadwayThresholds();
+    const visible = getVisibleRoutes();
+    const vehicleList = [...getVehicles().values()].filter(v => v.state !== 'exiting');
+
+    const routeHeadways = getRouteMetadata()
+        .filter(route => visible.has(route.id))
+        .map(route => ({
+            route,
+            directions: computeRouteHeadways(vehicleList, route.id, getRoutePaths(route.id), thresholds),
+        }));
+
+    panelEl.querySelector('.headway-panel__list').innerHTML = buildHeadwayPanelHtml(routeHeadways);
+    setHeadwaySegments(routeHeadways.flatMap(({ route, directions }) =>
+        directions.flatMap(d => d.pairs.map(pair => ({ routeId: route.id, status: pair.status, coords: pair.coords })))
+    ));
+}
+
+function openPanel() {
+    panelEl.classList.remove('headway-panel--hidden');
+    refresh();
+    if (!refreshTimer) {
+        refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    }
+}
+
+function closePanel() {
+    panelEl.classList.add('headway-panel--hidden');
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+    setHeadwaySegments([]);
+}
+
+/**
+ * Initialize the headway panel. Connectors are drawn only while the panel is open.
+ *
+ * @param {HTMLElement} panelElement — #headway-panel container
+ * @param {HTMLElement} toggleButton — #headway-panel-toggle
+ */
+export function initHeadwayPanel(panelElement, toggleButton) {
+    panelEl = panelElement;
+    toggleBtn = toggleButton;
+
+    toggleBtn.addEventListener('click', () => {
+        if (panelEl.classList.contains('headway-panel--hidden')) {
+            openPanel();
+        } else {
+            closePanel();
+        }
+    });
+
+    const closeBtn = panelEl.querySelector('.headway-panel__close');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closePanel);
+    }
+}
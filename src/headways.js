@@ -0,0 +1,133 @@
+// src/headways.js — Along-route spacing between vehicles, bunching and gap detection
+import { config } from '../config.js';
+import { cumulativeDistances, projectOntoPath, slicePath } from './route-geometry.js';
+
+// Defaults when config.headways is absent (config.js predates headway analytics)
+const DEFAULT_BUNCHING_METERS = 400;
+const DEFAULT_GAP_METERS = 4000;
+
+// Vehicles farther than this from every route polyline (yards, detours) are left out
+const PATH_MATCH_MAX_OFFSET = 100; // meters
+
+// Typical average speed including dwell time, by route type, for turning spacing into minutes.
+// Rough figures — the estimate only needs to separate "train right behind" from "long wait".
+const AVERAGE_SPEED_BY_TYPE = {
+    0: 5, // Light rail
+    1: 9, // Heavy rail
+    2: 15, // Commuter rail
+    3: 4, // Bus
+    4: 6, // Ferry
+};
+
+/**
+ * Spacing thresholds from config.headways, with defaults.
+ * @returns {{bunchingMeters: number, gapMeters: number}}
+ */
+export function getHeadwayThresholds() {
+    return {
+        bunchingMeters: config.headways?.bunchingMeters ?? DEFAULT_BUNCHING_METERS,
+        gapMeters: config.headways?.gapMeters ?? DEFAULT_GAP_METERS,
+    };
+}
+
+/**
+ * Classify the spacing between two consecutive vehicles.
+ *
+ * @param {number} spacing — meters along the route
+ * @param {{bunchingMeters: number, gapMeters: number}} thresholds
+ * @returns {'bunched'|'gap'|'ok'}
+ */
+export function classifySpacing(spacing, thresholds) {
+    if (spacing <= thresholds.bunchingMeters) return 'bunched';
+    if (spacing >= thresholds.gapMeters) return 'gap';
+    return 'ok';
+}
+
+/**
+ * Rough time headway for a spacing, using a typical average speed for the route type.
+ *
+ * @param {number} spacing — meters along the route
+ * @param {number} routeType — GTFS route type (0-4)
+ * @returns {number|null} — whole minutes, or null for unknown route types
+ */
+export function estimateHeadwayMinutes(spacing, routeType) {
+    const speed = AVERAGE_SPEED_BY_TYPE[routeType];
+    if (!speed) return null;
+    return Math.round(spacing / speed / 60);
+}
+
+/**
+ * Format a spacing for display.
+ *
+ * @param {number} meters
+ * @returns {string} — "180 m" below 1km, otherwise "2.4 km"
+ */
+export function formatSpacing(meters) {
+    if (meters < 1000) return `${Math.round(meters)} m`;
+    return `${(meters / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Compute spacing between consecutive same-direction vehicles on one route.
+ * Each vehicle is projected onto the route polyline it is closest to; vehicles on the
+ * same polyline and direction are ordered by distance along it and paired with their
+ * neighbour. Spacing is measured along the polyline, not as the crow flies.
+ *
+ * @param {Iterable<Object>} vehicleList — vehicles ({id, latitude, longitude, routeId, directionId, label})
+ * @param {string} routeId — route to analyse
+ * @param {Array<Array<{lat: number, lng: number}>>} paths — route polylines (from getRoutePaths)
+ * @param {{bunchingMeters: number, gapMeters: number}} [thresholds]
+ * @returns {Array<{directionId: number, vehicleCount: number, pairs: Array<Object>}>}
+ *   One entry per direction (sorted by directionId). Pairs are
+ *   {vehicleIds: [a, b], labels: [a, b], spacing, status, coords} in order along the polyline.
+ */
+export function computeRouteHeadways(vehicleList, routeId, paths, thresholds = getHeadwayThresholds()) {
+    const cums = paths.map(coords => (coords.length >= 2 ? cumulativeDistances(coords) : null));
+
+    // Map<directionId, Map<pathIndex, Array<{vehicle, distance}>>>
+    const groups = new Map();
+    for (const vehicle of vehicleList) {
+        if (vehicle.routeId !== routeId || vehicle.directionId === null || vehicle.directionId === undefined) continue;
+
+        let best = null;
+        paths.forEach((coords, index) => {
+            if (!cums[index]) return;
+            const projection = projectOntoPath(coords, vehicle.latitude, vehicle.longitude, cums[index]);
+            if (projection.offset > PATH_MATCH_MAX_OFFSET) return;
+            if (!best || projection.offset < best.projection.offset) {
+                best = { index, projection };
+            }
+        });
+        if (!best) continue;
+
+        if (!groups.has(vehicle.directionId)) groups.set(vehicle.directionId, new Map());
+        const byPath = groups.get(vehicle.directionId);
+        if (!byPath.has(best.index)) byPath.set(best.index, []);
+        byPath.get(best.index).push({ vehicle, distance: best.projection.distanceAlong });
+    }
+
+    const result = [];
+    for (const [directionId, byPath] of groups) {
+        let vehicleCount = 0;
+        const pairs = [];
+        byPath.forEach((entries, index) => {
+            vehicleCount += entries.length;
+            entries.sort((a, b) => a.distance - b.distance);
+            for (let i = 1; i < entries.length; i++) {
+                const a = entries[i - 1];
+                const b = entries[i];
+                const spacing = b.distance - a.distance;
+                pairs.push({
+                    vehicleIds: [a.vehicle.id, b.vehicle.id],
+                    labels: [a.vehicle.label ?? a.vehicle.id, b.vehicle.label ?? b.vehicle.id],
+                    spacing,
+                    status: classifySpacing(spacing, thresholds),
+                    coords: slicePath(paths[index], a.distance, b.distance, cums[index]),
+                });
+            }
+        });
+        result.push({ directionId, vehicleCount, pairs });
+    }
+
+    return result.sort((a, b) => a.directionId - b.directionId);
+}
@@ -1,10 +1,13 @@
 // src/map.js — Leaflet map initialization and layer management
 import { config } from '../config.js';
 import { decodePolyline } from './polyline.js';
-import { formatVehiclePopup } from './vehicle-popup.js';
+import { formatVehiclePopup, selectStopsAhead, getCrowdingLevel } from './vehicle-popup.js';
+import { getAdherence, clearAdherence, getTripStops } from './schedule-adherence.js';
 import { darkenHexColor, bearingToTransform, haversineDistance, nearestPointOnSegment } from './vehicle-math.js';
 import { shouldMergePolylines, mergePolylineSegments } from './polyline-merge.js';
 import { VEHICLE_ICONS, DEFAULT_ICON } from './vehicle-icons.js';
+import { cumulativeDistances, projectOntoPath, slicePath } from './route-geometry.js';
+import { getAgeThresholds, classifyDataAge } from './data-age.js';
 
 let map = null;
 
@@ -45,6 +48,72 @@ const routeLabels = new Map();
 // Track last updatedAt per vehicle to avoid unnecessary popup refreshes at 60fps
 const lastPopupUpdatedAt = new Map();
 
+// Map<routeId, L.Polyline[]> — shaded overlays for stretches closed by service alerts
+const routeAlertOverlays = new Map();
+
+// Max distance (meters) an alert-affected stop may sit from a polyline and still
+// anchor a shaded stretch on it. Matches the 150m stop-proximity filter for route stops.
+const ALERT_STOP_MATCH_M = 150;
+
+// L.layerGroup for headway connector segments between consecutive vehicles (see setHeadwaySegments)
+let headwayLayerGroup = null;
+
+// Connector colors by spacing status — same palette as the connection status dot
+const HEADWAY_COLORS = {
+    bunched: '#ff4444',
+    gap: '#ffaa00',
+    ok: '#00cc66',
+};
+
+// L.layerGroup for the selected trip itinerary's ridden segments (see setTripSegments)
+let tripLayerGroup = null;
+
+// Vehicle IDs highlighted as making the selected trip (see setHighlightedVehicles)
+let highlightedVehicleIds = new Set();
+
+// L.layerGroup for the path ahead of the vehicle open in the trip detail panel (see setPathAhead)
+let pathAheadLayerGroup = null;
+
+// Called with the vehicle ID when a vehicle marker is clicked (see setVehicleClickHandler)
+let vehicleClickHandler = null;
+
+// Vehicle the map stays centered on, and the callback run when following stops on its own
+// (see setFollowedVehicle)
+let followedVehicleId = null;
+let onFollowEnd = null;
+
+// Followed vehicle may drift this far (pixels) from the map center before the map pans
+const FOLLOW_TOLERANCE_PX = 2;
+
+// Clock vehicle report ages are measured against (see setVehicleAgeClock)
+let ageClock = Date.now;
+
+// Markers of vehicles whose last report is older than config.aging.fadeSeconds keep this
+// share of their opacity; past config.aging.hideSeconds they are not drawn
+const STALE_OPACITY = 0.35;
+
+/**
+ * Age class of a vehicle's last report (data-age.js), measured against the age clock.
+ *
+ * @param {object} vehicle — vehicle state with updatedAt
+ * @returns {'fresh'|'stale'|'expired'}
+ */
+function getVehicleAgeState(vehicle) {
+    return classifyDataAge(vehicle.updatedAt, ageClock(), getAgeThresholds());
+}
+
+/**
+ * Apply a vehicle's fade-in/out opacity to its marker, faded further if its data is stale.
+ *
+ * @param {HTMLElement} iconElement — the marker's .vehicle-marker element
+ * @param {object} vehicle — vehicle state with opacity, updatedAt
+ */
+function applyMarkerOpacity(iconElement, vehicle) {
+    const stale = getVehicleAgeState(vehicle) === 'stale';
+    iconElement.style.opacity = stale ? vehicle.opacity * STALE_OPACITY : vehicle.opacity;
+    iconElement.classList.toggle('vehicle-marker--stale', stale);
+}
+
 export function initMap(containerId) {
     map = L.map(containerId, {
         center: config.map.center,
@@ -54,6 +123,9 @@ export function initMap(containerId) {
         zoomControl: true,
     });
 
+    // Dragging the map takes over from vehicle follow
+    map.on('dragstart', () => endFollow());
+
     // Custom pane for stop markers — above vehicle markerPane (600), below tooltipPane (650)
     map.createPane('stopPane');
     map.getPane('stopPane').style.zIndex = 625;
@@ -92,6 +164,89 @@ export function getMap() {
     return map;
 }
 
+// Marker ring classes for vehicles running off schedule (schedule-adherence.js)
+const ADHERENCE_RING_CLASSES = ['vehicle-marker--early', 'vehicle-marker--late'];
+
+/**
+ * Ring class for a vehicle's schedule adherence, unless config.adherence.markerRing is false.
+ * On-time vehicles and vehicles without a schedule get no ring.
+ *
+ * @param {object} vehicle — vehicle state
+ * @returns {string|null} — one of ADHERENCE_RING_CLASSES, or null
+ */
+function getAdherenceRingClass(vehicle) {
+    if (config.adherence?.markerRing === false) return null;
+    const status = getAdherence(vehicle)?.status;
+    return status === 'early' || status === 'late' ? `vehicle-marker--${status}` : null;
+}
+
+// Marker tint classes for crowding levels 1–3 (vehicle-popup.js getCrowdingLevel)
+const CROWDING_TINT_CLASSES = ['vehicle-marker--crowding-1', 'vehicle-marker--crowding-2', 'vehicle-marker--crowding-3'];
+
+/**
+ * Tint class for a vehicle's crowding, when config.crowding.markerTint is on.
+ * Vehicles that don't report crowding get no tint.
+ *
+ * @param {object} vehicle — vehicle state
+ * @returns {string|null} — one of CROWDING_TINT_CLASSES, or null
+ */
+function getCrowdingTintClass(vehicle) {
+    if (!config.crowding?.markerTint) return null;
+    const level = getCrowdingLevel(vehicle);
+    return level ? `vehicle-marker--crowding-${level}` : null;
+}
+
+// Default for config.consist.minZoom: zoom from which trains reporting their cars are drawn car by car
+const DEFAULT_CONSIST_MIN_ZOOM = 16;
+
+// Car-by-car marker geometry (pixels): each car a rounded block, lead car at the front
+const CONSIST_CAR_LENGTH_PX = 16;
+const CONSIST_CAR_GAP_PX = 2;
+const CONSIST_HEIGHT_PX = 10;
+
+/**
+ * Cars to draw for a light or heavy rail train shown car by car — from config.consist.minZoom,
+ * when the vehicle reports its carriages. Other vehicles, and all vehicles below that zoom,
+ * keep their route type's silhouette.
+ *
+ * @param {object} vehicle — vehicle state with routeId, carriages
+ * @returns {Array<{label: string|null, level: number|null}>|null} — lead car first; level is the
+ *   car's crowding (only with config.crowding.markerTint on); null for the silhouette
+ */
+function getConsistCars(vehicle) {
+    const routeType = routeTypeMap.get(vehicle.routeId);
+    if (routeType !== 0 && routeType !== 1) return null;
+    if (!vehicle.carriages?.length) return null;
+    if (!map || map.getZoom() < (config.consist?.minZoom ?? DEFAULT_CONSIST_MIN_ZOOM)) return null;
+
+    return vehicle.carriages.map(carriage => ({
+        label: carriage.label,
+        level: config.crowding?.markerTint ? getCrowdingLevel({ occupancyStatus: carriage.occupancyStatus }) : null,
+    }));
+}
+
+/**
+ * Key identifying how a vehicle's marker is drawn, so updateVehicleMarker() replaces the icon
+ * only when the drawing changes (zoom crossing config.consist.minZoom, cars coupled, crowding).
+ *
+ * @param {Array<Object>|null} cars — from getConsistCars()
+ * @returns {string}
+ */
+function getConsistKey(cars) {
+    return cars ? cars.map(car => car.level ?? 0).join('') : '';
+}
+
+/**
+ * Marker size in pixels for a vehicle's drawing.
+ *
+ * @param {Array<Object>|null} cars — from getConsistCars()
+ * @returns {[number, number]} — [width, height]
+ */
+function getMarkerSize(cars) {
+    if (!cars) return [48, 32];
+    return [cars.length * (CONSIST_CAR_LENGTH_PX + CONSIST_CAR_GAP_PX) - CONSIST_CAR_GAP_PX, CONSIST_HEIGHT_PX];
+}
+
 // Fallback SVG polygon if icon data is missing (icons.AC6.6)
 // Scaled from original arrow (12,2 22,20 12,16 2,20) in 24x24 viewBox
 // to fit 0 0 48 32 viewBox: 2x horizontal, 1.333x vertical
@@ -104,7 +259,13 @@ const ARROW_FALLBACK = '<polygon points="24,3 44,27 24,21 4,27" fill="currentCol
  * - Type 2 (commuter rail) → class vehicle-marker--commuter-rail
  * - Type 3 (bus) or unknown → class vehicle-marker--bus
  *
- * Passes route color as CSS variable for marker styling.
+ * Passes route color as CSS variable for marker styling. Vehicles running early or late
+ * get a colored ring (vehicle-marker--early / --late); with config.crowding.markerTint on,
+ * vehicles reporting crowding get a green/amber/red glow (vehicle-marker--crowding-N).
+ *
+ * From config.consist.minZoom, light and heavy rail trains reporting their carriages are drawn
+ * as a row of cars instead (vehicle-marker--consist), so a 6-car train is longer than a 2-car one.
+ * The row faces right like the silhouettes, so the same rotation orients it along the track.
  *
  * This is the single point of change for swapping placeholder arrows to proper icons.
  *
@@ -124,6 +285,26 @@ export function getVehicleIconHtml(vehicle) {
 
     const routeColor = routeColorMap.get(vehicle.routeId) || '#888888';
     const iconSvg = VEHICLE_ICONS[routeType] || DEFAULT_ICON || ARROW_FALLBACK;
+    const ringClass = getAdherenceRingClass(vehicle);
+    if (ringClass) {
+        markerClass += ` ${ringClass}`;
+    }
+    const tintClass = getCrowdingTintClass(vehicle);
+    if (tintClass) {
+        markerClass += ` ${tintClass}`;
+    }
+
+    const cars = getConsistCars(vehicle);
+    if (cars) {
+        // Lead car first in the list, drawn at the right (front) end by the row-reverse layout
+        const carsHtml = cars.map((car, index) => {
+            let carClass = 'consist-car';
+            if (index === 0) carClass += ' consist-car--lead';
+            if (car.level) carClass += ` consist-car--crowding-${car.level}`;
+            return `<span class="${carClass}"></span>`;
+        }).join('');
+        return `<div class="vehicle-marker vehicle-marker--consist ${markerClass}" style="--route-color: ${routeColor}; color: ${routeColor}">${carsHtml}</div>`;
+    }
 
     // Inline SVG with type-specific icon from vehicle-icons module
     return `<div class="vehicle-marker ${markerClass}" style="--route-color: ${routeColor}; color: ${routeColor}">
@@ -143,20 +324,21 @@ export function getVehicleIconHtml(vehicle) {
 function getPopupContent(vehicle) {
     const stopName = vehicle.stopId ? (stopsData.get(vehicle.stopId)?.name || null) : null;
     const routeMeta = routeMetadata.find(r => r.id === vehicle.routeId) || null;
-    return formatVehiclePopup(vehicle, stopName, routeMeta);
+    const stopsAhead = selectStopsAhead(vehicle, getTripStops(vehicle.tripId), stopsData);
+    return formatVehiclePopup(vehicle, stopName, routeMeta, getAdherence(vehicle), stopsAhead);
 }
 
 /**
  * Helper to create a divIcon for a vehicle.
- * Uses uniform size for all markers (48x32 rectangular).
+ * Silhouettes share one size (48x32 rectangular); car-by-car trains are as long as their cars.
  *
  * @param {object} vehicle — vehicle object with routeId
  * @returns {L.DivIcon} — divIcon instance
  */
 function createVehicleDivIcon(vehicle) {
     const iconHtml = getVehicleIconHtml(vehicle);
-    const iconSize = [48, 32];
-    const iconAnchor = [24, 16];
+    const iconSize = getMarkerSize(getConsistCars(vehicle));
+    const iconAnchor = [iconSize[0] / 2, iconSize[1] / 2];
 
     return L.divIcon({
         html: iconHtml,
@@ -196,12 +378,29 @@ export function createVehicleMarker(vehicle) {
         autoPan: false,
     });
 
-    // Desktop: open on hover, close on mouseout
+    // Desktop: open on hover, close shortly after mouseout so the pointer can reach the
+    // popup's alert form (vehicle-notify.js cancels the close on mouseenter and makes the
+    // popup sticky once the form is opened)
     marker.on('mouseover', function () {
+        if (this._hoverCloseTimer) {
+            clearTimeout(this._hoverCloseTimer);
+            this._hoverCloseTimer = null;
+        }
         this.openPopup();
     });
     marker.on('mouseout', function () {
-        this.closePopup();
+        if (this._popupSticky) return;
+        const self = this;
+        self._hoverCloseTimer = setTimeout(() => {
+            self.closePopup();
+            self._hoverCloseTimer = null;
+        }, 300);
+    });
+    marker.on('popupclose', function () {
+        this._popupSticky = false;
+    });
+    marker.on('click', () => {
+        if (vehicleClickHandler) vehicleClickHandler(vehicle.id);
     });
 
     // Apply initial rotation and opacity
@@ -209,11 +408,16 @@ export function createVehicleMarker(vehicle) {
     if (iconElement) {
         const { rotate, scaleX } = bearingToTransform(vehicle.bearing);
         iconElement.style.transform = `scaleX(${scaleX}) rotate(${rotate}deg)`;
-        iconElement.style.opacity = vehicle.opacity;
+        applyMarkerOpacity(iconElement, vehicle);
+    }
+
+    if (iconElement && highlightedVehicleIds.has(vehicle.id)) {
+        iconElement.classList.add('vehicle-marker--trip');
     }
 
     // Store vehicle data reference for use by setVisibleRoutes()
     marker._vehicleData = vehicle;
+    marker._consistKey = getConsistKey(getConsistCars(vehicle));
 
     vehicleMarkers.set(vehicle.id, marker);
 }
@@ -233,12 +437,30 @@ export function updateVehicleMarker(vehicle) {
     const snapped = snapToRoutePolyline(vehicle.latitude, vehicle.longitude, vehicle.routeId);
     marker.setLatLng([snapped.lat, snapped.lng]);
 
+    // Redraw when the train switches between silhouette and car by car, or its cars change
+    const consistKey = getConsistKey(getConsistCars(vehicle));
+    if (consistKey !== marker._consistKey) {
+        marker.setIcon(createVehicleDivIcon(vehicle));
+        marker._consistKey = consistKey;
+        if (highlightedVehicleIds.has(vehicle.id)) {
+            marker.getElement().querySelector('.vehicle-marker')?.classList.add('vehicle-marker--trip');
+        }
+    }
+
     // Update rotation and opacity
     const iconElement = marker.getElement().querySelector('.vehicle-marker');
     if (iconElement) {
         const { rotate, scaleX } = bearingToTransform(vehicle.bearing);
         iconElement.style.transform = `scaleX(${scaleX}) rotate(${rotate}deg)`;
-        iconElement.style.opacity = vehicle.opacity;
+        applyMarkerOpacity(iconElement, vehicle);
+
+        // Schedule ring appears once the trip's schedule loads and changes as the vehicle reports
+        const ringClass = getAdherenceRingClass(vehicle);
+        ADHERENCE_RING_CLASSES.forEach(c => iconElement.classList.toggle(c, c === ringClass));
+
+        // Crowding changes as passengers board and alight
+        const tintClass = getCrowdingTintClass(vehicle);
+        CROWDING_TINT_CLASSES.forEach(c => iconElement.classList.toggle(c, c === tintClass));
     }
 }
 
@@ -254,9 +476,13 @@ export function removeVehicleMarker(vehicleId) {
         return; // Marker doesn't exist
     }
 
+    if (marker._hoverCloseTimer) {
+        clearTimeout(marker._hoverCloseTimer);
+    }
     map.removeLayer(marker);
     vehicleMarkers.delete(vehicleId);
     lastPopupUpdatedAt.delete(vehicleId);
+    clearAdherence(vehicleId);
 }
 
 /**
@@ -264,7 +490,8 @@ export function removeVehicleMarker(vehicleId) {
  * Syncs vehicleMarkers Map with current vehiclesMap state, filtering by visibleRoutes:
  * - Creates markers for new visible vehicles
  * - Updates existing markers position/rotation
- * - Removes markers for vehicles no longer in vehiclesMap or whose route is hidden
+ * - Removes markers for vehicles no longer in vehiclesMap, whose route is hidden, or whose
+ *   last report is older than config.aging.hideSeconds (they return if they report again)
  *
  * @param {Map<vehicleId, vehicle>} vehiclesMap — current vehicle state from vehicles.js
  */
@@ -272,7 +499,7 @@ export function syncVehicleMarkers(vehiclesMap) {
     // Filter to only visible routes
     const filteredVehicles = new Map();
     vehiclesMap.forEach((vehicle, vehicleId) => {
-        if (visibleRoutes.has(vehicle.routeId)) {
+        if (visibleRoutes.has(vehicle.routeId) && getVehicleAgeState(vehicle) !== 'expired') {
             filteredVehicles.set(vehicleId, vehicle);
         }
     });
@@ -286,7 +513,8 @@ export function syncVehicleMarkers(vehiclesMap) {
             updateVehicleMarker(vehicle);
 
             // Refresh popup content if popup is open and data changed
-            if (marker.isPopupOpen()) {
+            // (not while the user is filling in the popup's alert form)
+            if (marker.isPopupOpen() && !marker._popupSticky) {
                 const lastUpdated = lastPopupUpdatedAt.get(vehicleId);
                 if (vehicle.updatedAt !== lastUpdated) {
                     marker.getPopup().setContent(getPopupContent(vehicle));
@@ -309,6 +537,19 @@ export function syncVehicleMarkers(vehiclesMap) {
     vehicleIdsToRemove.forEach((vehicleId) => {
         removeVehicleMarker(vehicleId);
     });
+
+    // Keep the followed vehicle centered; stop following once its marker is gone
+    if (followedVehicleId !== null) {
+        const marker = vehicleMarkers.get(followedVehicleId);
+        if (!marker) {
+            endFollow();
+        } else {
+            const offset = map.latLngToContainerPoint(marker.getLatLng()).distanceTo(map.getSize().divideBy(2));
+            if (offset > FOLLOW_TOLERANCE_PX) {
+                map.panTo(marker.getLatLng(), { animate: false });
+            }
+        }
+    }
 }
 
 
@@ -713,6 +954,21 @@ export function setVisibleRoutes(routeIds) {
         });
     });
 
+    // Show/hide alert overlays, kept wider than the route line so the shading frames it
+    routeAlertOverlays.forEach((overlays, routeId) => {
+        const isVisible = visibleRoutes.has(routeId);
+        overlays.forEach((overlay) => {
+            if (isVisible) {
+                if (!routeLayerGroup.hasLayer(overlay)) {
+                    routeLayerGroup.addLayer(overlay);
+                }
+                overlay.setStyle({ weight: weight + 6 });
+            } else {
+                routeLayerGroup.removeLayer(overlay);
+            }
+        });
+    });
+
     // Remove vehicle markers for hidden routes immediately (collect-then-delete pattern)
     const idsToRemove = [];
     vehicleMarkers.forEach((marker, vehicleId) => {
@@ -724,6 +980,245 @@ export function setVisibleRoutes(routeIds) {
     idsToRemove.forEach((vehicleId) => removeVehicleMarker(vehicleId));
 }
 
+/**
+ * Shade route polyline stretches closed or rerouted by service alerts.
+ * For each alert run, affected stops are projected onto each of the route's polylines;
+ * the stretch between the first and last projected stop is drawn as a dashed overlay.
+ * Runs with fewer than 2 stops on a polyline (single-stop closures) are left to stop badges.
+ * Safe to call repeatedly — previous overlays are removed first.
+ *
+ * @param {Array<{routeId: string|null, stopIds: Array<string>}>} segments — from getDisruptedSegments()
+ */
+export function setAlertedSegments(segments) {
+    routeAlertOverlays.forEach((overlays) => {
+        overlays.forEach((overlay) => routeLayerGroup?.removeLayer(overlay));
+    });
+    routeAlertOverlays.clear();
+
+    const weight = getAdaptiveWeight(visibleRoutes.size);
+
+    for (const { routeId, stopIds } of segments) {
+        // Entities without a route apply to every route serving the named stops
+        const targetRoutes = routeId
+            ? [routeId]
+            : [...routeStopsMap.entries()]
+                .filter(([, routeStops]) => stopIds.some(sid => routeStops.has(sid)))
+                .map(([rid]) => rid);
+
+        const stops = stopIds
+            .map(sid => stopsData.get(sid))
+            .filter(stop => stop && stop.latitude && stop.longitude);
+        if (stops.length < 2) continue;
+
+        for (const rid of targetRoutes) {
+            const polylines = routePolylines.get(rid);
+            if (!polylines) continue;
+
+            polylines.forEach((pl) => {
+                const coords = pl.getLatLngs();
+                const cum = cumulativeDistances(coords);
+                const along = stops
+                    .map(stop => projectOntoPath(coords, stop.latitude, stop.longitude, cum))
+                    .filter(p => p && p.offset <= ALERT_STOP_MATCH_M)
+                    .map(p => p.distanceAlong);
+                if (along.length < 2) return;
+
+                const stretch = slicePath(coords, Math.min(...along), Math.max(...along), cum);
+                const overlay = L.polyline(stretch.map(p => [p.lat, p.lng]), {
+                    color: '#ffaa00',
+                    weight: weight + 6,
+                    opacity: 0.35,
+                    dashArray: '6 8',
+                    className: 'route-alert-segment',
+                    interactive: false,
+                });
+
+                if (!routeAlertOverlays.has(rid)) routeAlertOverlays.set(rid, []);
+                routeAlertOverlays.get(rid).push(overlay);
+                if (visibleRoutes.has(rid)) {
+                    routeLayerGroup.addLayer(overlay);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Draw connector segments along the route between consecutive vehicles, colored by
+ * spacing status (bunched / gap / ok). Safe to call repeatedly — previous connectors
+ * are removed first; pass [] to clear.
+ *
+ * @param {Array<{routeId: string, status: string, coords: Array<{lat: number, lng: number}>}>} segments
+ *   — pairs from computeRouteHeadways()
+ */
+export function setHeadwaySegments(segments) {
+    if (!map) return;
+    if (!headwayLayerGroup) {
+        headwayLayerGroup = L.layerGroup().addTo(map);
+    }
+    headwayLayerGroup.clearLayers();
+
+    const weight = getAdaptiveWeight(visibleRoutes.size);
+    for (const { status, coords } of segments) {
+        if (coords.length < 2) continue;
+        headwayLayerGroup.addLayer(L.polyline(coords.map(p => [p.lat, p.lng]), {
+            color: HEADWAY_COLORS[status] || HEADWAY_COLORS.ok,
+            weight: status === 'ok' ? weight : weight + 3,
+            opacity: status === 'ok' ? 0.5 : 0.85,
+            className: `headway-segment headway-segment--${status}`,
+            interactive: false,
+        }));
+    }
+}
+
+/**
+ * Draw the ridden stretches of a planned trip over the route lines, in route color with
+ * a light casing so they stand out. Shown regardless of route visibility — the trip may
+ * use routes the user has hidden. Pass [] to clear.
+ *
+ * @param {Array<{routeId: string, coords: Array<{lat: number, lng: number}>}>} segments — one per leg
+ */
+export function setTripSegments(segments) {
+    if (!map) return;
+    if (!tripLayerGroup) {
+        tripLayerGroup = L.layerGroup().addTo(map);
+    }
+    tripLayerGroup.clearLayers();
+
+    const weight = getAdaptiveWeight(visibleRoutes.size);
+    for (const { routeId, coords } of segments) {
+        if (coords.length < 2) continue;
+        const latLngs = coords.map(p => [p.lat, p.lng]);
+        tripLayerGroup.addLayer(L.polyline(latLngs, {
+            color: '#ffffff',
+            weight: weight + 8,
+            opacity: 0.6,
+            className: 'trip-segment-casing',
+            interactive: false,
+        }));
+        tripLayerGroup.addLayer(L.polyline(latLngs, {
+            color: routeColorMap.get(routeId) || '#4a9eff',
+            weight: weight + 4,
+            opacity: 1,
+            className: 'trip-segment',
+            interactive: false,
+        }));
+    }
+}
+
+/**
+ * Mark vehicles that would make the selected trip. Markers created later pick up the
+ * highlight in createVehicleMarker(). Pass [] to clear.
+ *
+ * @param {Iterable<string>} vehicleIds
+ */
+export function setHighlightedVehicles(vehicleIds) {
+    highlightedVehicleIds = new Set(vehicleIds);
+    vehicleMarkers.forEach((marker, vehicleId) => {
+        const iconElement = marker.getElement()?.querySelector('.vehicle-marker');
+        if (iconElement) {
+            iconElement.classList.toggle('vehicle-marker--trip', highlightedVehicleIds.has(vehicleId));
+        }
+    });
+}
+
+/**
+ * Draw the path a vehicle has still to travel over its route line, in route color with a
+ * light casing (as setTripSegments). Pass [] to clear.
+ *
+ * @param {string} routeId — route of the vehicle, for the line color
+ * @param {Array<{lat: number, lng: number}>} coords — path ahead, from computePathAhead()
+ */
+export function setPathAhead(routeId, coords) {
+    if (!map) return;
+    if (!pathAheadLayerGroup) {
+        pathAheadLayerGroup = L.layerGroup().addTo(map);
+    }
+    pathAheadLayerGroup.clearLayers();
+    if (coords.length < 2) return;
+
+    const weight = getAdaptiveWeight(visibleRoutes.size);
+    const latLngs = coords.map(p => [p.lat, p.lng]);
+    pathAheadLayerGroup.addLayer(L.polyline(latLngs, {
+        color: '#ffffff',
+        weight: weight + 6,
+        opacity: 0.5,
+        className: 'path-ahead-casing',
+        interactive: false,
+    }));
+    pathAheadLayerGroup.addLayer(L.polyline(latLngs, {
+        color: routeColorMap.get(routeId) || '#4a9eff',
+        weight: weight + 2,
+        opacity: 1,
+        className: 'path-ahead',
+        interactive: false,
+    }));
+}
+
+/**
+ * Set the clock vehicle report ages are measured against: Date.now for live data, the
+ * playhead during playback (recorded reports are hours old by the wall clock).
+ *
+ * @param {Function} clockFn — () => epoch ms
+ */
+export function setVehicleAgeClock(clockFn) {
+    ageClock = clockFn;
+}
+
+/**
+ * Set the function called with a vehicle's ID when its marker is clicked.
+ *
+ * @param {Function|null} handler — (vehicleId) => void
+ */
+export function setVehicleClickHandler(handler) {
+    vehicleClickHandler = handler;
+}
+
+/**
+ * Open a vehicle's popup, as if hovered (used to restore a shared link).
+ *
+ * @param {string} vehicleId
+ * @returns {boolean} — false if the vehicle has no marker (not reporting yet, or route hidden)
+ */
+export function openVehiclePopup(vehicleId) {
+    const marker = vehicleMarkers.get(vehicleId);
+    if (!marker) return false;
+    marker.openPopup();
+    return true;
+}
+
+/**
+ * Keep the map centered on a vehicle as it moves (panned in syncVehicleMarkers, so the
+ * map recenters on the next animation frame).
+ * Following stops when the user drags the map or the vehicle's marker goes away;
+ * onEnd is called then, but not when following is changed through this function.
+ *
+ * @param {string|null} vehicleId — vehicle to follow, or null to stop
+ * @param {Function} [onEnd] — called when following stops on its own
+ */
+export function setFollowedVehicle(vehicleId, onEnd = null) {
+    followedVehicleId = vehicleId;
+    onFollowEnd = vehicleId === null ? null : onEnd;
+}
+
+/**
+ * @returns {string|null} — ID of the vehicle the map is following
+ */
+export function getFollowedVehicle() {
+    return followedVehicleId;
+}
+
+/**
+ * Stop following and notify whoever started it.
+ */
+function endFollow() {
+    if (followedVehicleId === null) return;
+    const callback = onFollowEnd;
+    followedVehicleId = null;
+    onFollowEnd = null;
+    if (callback) callback();
+}
+
 /**
  * Fetches stops from MBTA API and caches them for session.
  * Filters by route_type 0 (Light Rail), 1 (Heavy Rail), 2 (Commuter Rail), 3 (Bus), and 4 (Ferry).
@@ -804,6 +1299,7 @@ export function hydrateRoutes(routes, stopsData = null, routeStopsData = null) {
     routeTypeMap.clear();
     routePolylines.clear();
     routeLabels.clear();
+    routeAlertOverlays.clear();
 
     routes.forEach((route) => {
         const { id: routeId, shortName, longName, type, directionNames, directionDestinations } = route;
@@ -1307,6 +1803,20 @@ export function getRouteStopDirectionsMap() {
     return routeStopDirectionsMap;
 }
 
+/**
+ * Returns the coordinate arrays of a route's polylines (used by vehicles.js to move
+ * vehicles along the route between updates). Arrays are Leaflet's own LatLng arrays
+ * and must not be mutated.
+ *
+ * @param {string} routeId — route ID
+ * @returns {Array<Array<{lat: number, lng: number}>>} — one array per polyline (empty if none loaded)
+ */
+export function getRoutePaths(routeId) {
+    const polylines = routePolylines.get(routeId);
+    if (!polylines) return [];
+    return polylines.map(pl => pl.getLatLngs());
+}
+
 /**
  * Snap a lat/lng point to the nearest position on a route's polyline.
  * Iterates all polyline segments for the route and returns the closest point.
@@ -0,0 +1,112 @@
+// src/mbta-parsers.js — JSON:API parsers for MBTA vehicles, predictions and schedules
+// No config.js dependency, so Node scripts (scripts/push-relay.mjs) share them with the browser.
+
+/**
+ * Parse a JSON:API vehicle object into a flat structure
+ * @param {Object} data — JSON:API vehicle object
+ * @returns {Object|null} Flattened vehicle object, or null if latitude/longitude are invalid
+ */
+export function parseVehicle(data) {
+    // Handle remove events (only id and type)
+    if (!data.attributes) {
+        return { id: data.id };
+    }
+
+    const vehicle = {
+        id: data.id,
+    };
+
+    // Map attributes (convert snake_case to camelCase)
+    const attributeMap = {
+        bearing: 'bearing',
+        current_status: 'currentStatus',
+        current_stop_sequence: 'currentStopSequence',
+        direction_id: 'directionId',
+        label: 'label',
+        latitude: 'latitude',
+        longitude: 'longitude',
+        occupancy_status: 'occupancyStatus',
+        speed: 'speed',
+        updated_at: 'updatedAt',
+    };
+
+    for (const [apiKey, camelKey] of Object.entries(attributeMap)) {
+        if (apiKey in data.attributes) {
+            vehicle[camelKey] = data.attributes[apiKey];
+        }
+    }
+
+    // Per-car crowding (multi-car trains; buses report occupancy_status only)
+    if (Array.isArray(data.attributes.carriages)) {
+        vehicle.carriages = data.attributes.carriages.map(carriage => ({
+            label: carriage.label ?? null,
+            occupancyStatus: carriage.occupancy_status ?? null,
+            occupancyPercentage: carriage.occupancy_percentage ?? null,
+        }));
+    }
+
+    // Validate that latitude and longitude are valid numbers
+    if (vehicle.latitude == null || vehicle.longitude == null ||
+        typeof vehicle.latitude !== 'number' || typeof vehicle.longitude !== 'number' ||
+        Number.isNaN(vehicle.latitude) || Number.isNaN(vehicle.longitude)) {
+        return null;
+    }
+
+    // Map relationships (extract id from nested data structure)
+    if (data.relationships) {
+        if (data.relationships.route?.data?.id) {
+            vehicle.routeId = data.relationships.route.data.id;
+        }
+        if (data.relationships.stop?.data?.id) {
+            vehicle.stopId = data.relationships.stop.data.id;
+        }
+        if (data.relationships.trip?.data?.id) {
+            vehicle.tripId = data.relationships.trip.data.id;
+        }
+    }
+
+    return vehicle;
+}
+
+/**
+ * Parse a JSON:API prediction object into a flat structure
+ * @param {Object} data — JSON:API prediction object
+ * @returns {Object} Flattened prediction: {id, routeId, stopId, tripId, vehicleId, directionId, stopSequence, arrivalTime, departureTime, status, scheduleRelationship}
+ */
+export function parsePrediction(data) {
+    const attrs = data.attributes || {};
+    const rels = data.relationships || {};
+    return {
+        id: data.id,
+        routeId: rels.route?.data?.id || null,
+        stopId: rels.stop?.data?.id || null,
+        tripId: rels.trip?.data?.id || null,
+        vehicleId: rels.vehicle?.data?.id || null,
+        directionId: attrs.direction_id ?? null,
+        stopSequence: attrs.stop_sequence ?? null,
+        arrivalTime: attrs.arrival_time || null,
+        departureTime: attrs.departure_time || null,
+        status: attrs.status || null,
+        scheduleRelationship: attrs.schedule_relationship || null,
+    };
+}
+
+/**
+ * Parse a JSON:API schedule object into a flat structure
+ * @param {Object} data — JSON:API schedule object
+ * @returns {Object} Flattened schedule: {id, routeId, stopId, tripId, directionId, stopSequence, arrivalTime, departureTime}
+ */
+export function parseSchedule(data) {
+    const attrs = data.attributes || {};
+    const rels = data.relationships || {};
+    return {
+        id: data.id,
+        routeId: rels.route?.data?.id || null,
+        stopId: rels.stop?.data?.id || null,
+        tripId: rels.trip?.data?.id || null,
+        directionId: attrs.direction_id ?? null,
+        stopSequence: attrs.stop_sequence ?? null,
+        arrivalTime: attrs.arrival_time || null,
+        departureTime: attrs.departure_time || null,
+    };
+}
@@ -0,0 +1,169 @@
+// src/metrics-ui.js — Route performance metrics dashboard
+import { config } from '../config.js';
+import { loadMetrics, summarizeRecords, TIME_BUCKETS, HEADWAY_BINS } from './metrics.js';
+import { escapeHtml } from './stop-popup.js';
+
+// Days of history summarized by the dashboard
+const DASHBOARD_DAYS = 7;
+
+let dashboardEl = null;
+let getRouteMetadata = null;
+
+// Last loaded summary (routeId → bucket → stats), reused when switching routes
+let summary = new Map();
+
+/**
+ * Pure function to format an average speed.
+ * Exported for testing purposes.
+ *
+ * @param {number|null} metersPerSecond
+ * @returns {string} — e.g., "14 mph", or "—" when unknown
+ */
+export function formatAverageSpeed(metersPerSecond) {
+    if (metersPerSecond === null || metersPerSecond === undefined) return '—';
+    return `${Math.round(metersPerSecond * 2.23694)} mph`;
+}
+
+/**
+ * Pure function to format a dwell time.
+ * Exported for testing purposes.
+ *
+ * @param {number|null} seconds
+ * @returns {string} — e.g., "45s", "1m 20s", or "—" when unknown
+ */
+export function formatDwell(seconds) {
+    if (seconds === null || seconds === undefined) return '—';
+    const rounded = Math.round(seconds);
+    if (rounded < 60) return `${rounded}s`;
+    return `${Math.floor(rounded / 60)}m ${rounded % 60}s`;
+}
+
+/**
+ * Pure function to render a headway histogram as inline bars.
+ * Exported for testing purposes.
+ *
+ * @param {Array<number>} bins — counts per HEADWAY_BINS bin (plus overflow)
+ * @returns {string} — HTML, or "—" when there are no observations
+ */
+export function buildHeadwayHistogramHtml(bins) {
+    const total = bins.reduce((sum, n) => sum + n, 0);
+    if (total === 0) return '—';
+    const max = Math.max(...bins);
+    return '<span class="metrics-histogram">' + bins.map((count, i) => {
+        const lower = i === 0 ? 0 : HEADWAY_BINS[i - 1];
+        const range = i < HEADWAY_BINS.length ? `${lower}–${HEADWAY_BINS[i]} min` : `${lower}+ min`;
+        const height = Math.round((count / max) * 100);
+        return `<span class="metrics-histogram__bar" style="height: ${height}%" title="${range}: ${count}"></span>`;
+    }).join('') + '</span>';
+}
+
+/**
+ * Pure function to build the metrics table for one route.
+ * Exported for testing purposes.
+ *
+ * @param {Map<string, Object>|undefined} routeSummary — bucket id → stats, from summarizeRecords()
+ * @param {boolean} [partial=false] — routes were recorded only while streamed (isCoveragePartial())
+ * @returns {string} — HTML
+ */
+export function buildMetricsTableHtml(routeSummary, partial = false) {
+    if (!routeSummary || routeSummary.size === 0) {
+        return '<div class="metrics-dashboard__empty">No data recorded for this route yet</div>';
+    }
+
+    const rows = TIME_BUCKETS.filter(b => routeSummary.has(b.id)).map((bucket) => {
+        const stats = routeSummary.get(bucket.id);
+        const frequency = stats.frequency !== null ? `${stats.frequency.toFixed(1)}/hr` : '—';
+        const headway = stats.avgHeadway !== null ? `${Math.round(stats.avgHeadway)} min` : '—';
+        return '<tr>' +
+            `<th scope="row">${bucket.label}<span class="metrics-dashboard__hours">${bucket.hours}</span></th>` +
+            `<td>${formatAverageSpeed(stats.avgSpeed)}</td>` +
+            `<td>${frequency}</td>` +
+            `<td>${headway}</td>` +
+            `<td>${buildHeadwayHistogramHtml(stats.headwayBins)}</td>` +
+            `<td>${formatDwell(stats.avgDwell)}</td>` +
+            `<td>${Math.round(stats.tripsPerDay)}</td>` +
+            '</tr>';
+    }).join('');
+
+    const note = partial
+        ? '<div class="metrics-dashboard__note">Recorded only while this route is streamed (shown on the map, ' +
+            'watched by an alert, recorded for playback or in a planned trip), so figures may cover part of the period</div>'
+        : '';
+    return note + '<table class="metrics-dashboard__table">' +
+        '<thead><tr><th></th><th>Avg speed</th><th>Frequency</th><th>Headway</th><th>Distribution</th><th>Dwell</th><th>Trips/day</th></tr></thead>' +
+        `<tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Whether metrics can have gaps: the MBTA stream filtered to the routes in use (api.js
+ * setStreamRoutes()) only carries, and so metrics only record, those routes.
+ * @returns {boolean}
+ */
+function isCoveragePartial() {
+    return config.stream?.routeFilter !== false && (config.dataSource?.type ?? 'mbta') === 'mbta';
+}
+
+/**
+ * Render the route picker and the table for the selected route.
+ */
+function render() {
+    const select = dashboardEl.querySelector('.metrics-dashboard__route');
+    const body = dashboardEl.querySelector('.metrics-dashboard__body');
+
+    const routes = getRouteMetadata().filter(r => summary.has(r.id));
+    if (routes.length === 0) {
+        select.innerHTML = '';
+        select.disabled = true;
+        body.innerHTML = '<div class="metrics-dashboard__empty">No data yet — metrics build up while the map is open</div>';
+        return;
+    }
+
+    const previous = select.value;
+    select.disabled = false;
+    select.innerHTML = routes.map(r => {
+        const name = r.type === 3 ? `Route ${r.shortName}` : (r.longName || r.shortName);
+        return `<option value="${escapeHtml(r.id)}">${escapeHtml(name)}</option>`;
+    }).join('');
+    if (routes.some(r => r.id === previous)) select.value = previous;
+
+    body.innerHTML = buildMetricsTableHtml(summary.get(select.value), isCoveragePartial());
+}
+
+/**
+ * Open the dashboard, loading the last DASHBOARD_DAYS of metrics.
+ */
+export async function openMetricsDashboard() {
+    if (!dashboardEl) return;
+    dashboardEl.classList.remove('metrics-dashboard--hidden');
+    dashboardEl.querySelector('.metrics-dashboard__body').innerHTML = '<div class="metrics-dashboard__empty">Loading…</div>';
+
+    try {
+        summary = summarizeRecords(await loadMetrics(DASHBOARD_DAYS));
+    } catch (error) {
+        console.error('Failed to load route metrics:', error?.message);
+        summary = new Map();
+    }
+    render();
+}
+
+/**
+ * Initialize the metrics dashboard.
+ *
+ * @param {HTMLElement} dashboardElement — #metrics-dashboard container
+ * @param {Function} routeMetadataFn — returns route metadata array (for names and ordering)
+ */
+export function initMetricsDashboard(dashboardElement, routeMetadataFn) {
+    dashboardEl = dashboardElement;
+    getRouteMetadata = routeMetadataFn;
+
+    dashboardEl.querySelector('.metrics-dashboard__route').addEventListener('change', () => {
+        dashboardEl.querySelector('.metrics-dashboard__body').innerHTML =
+            buildMetricsTableHtml(summary.get(dashboardEl.querySelector('.metrics-dashboard__route').value), isCoveragePartial());
+    });
+
+    const close = () => dashboardEl.classList.add('metrics-dashboard--hidden');
+    dashboardEl.querySelector('.metrics-dashboard__close').addEventListener('click', close);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') close();
+    });
+}
@@ -0,0 +1,400 @@
+// src/metrics.js — Route performance metrics aggregated from live vehicle events, stored in IndexedDB
+import { config } from '../config.js';
+import { haversineDistance } from './vehicle-math.js';
+
+const DB_NAME = 'ttracker-metrics';
+const DB_VERSION = 1;
+const STORE_NAME = 'aggregates';
+
+// Default when config.metrics is absent (config.js predates metrics)
+const DEFAULT_RETENTION_DAYS = 14;
+
+// Aggregates accumulate in memory and are merged into IndexedDB this often
+const FLUSH_INTERVAL_MS = 60000;
+
+// Speed samples: displacement between consecutive fixes over this window (seconds).
+// Shorter windows are dominated by GPS jitter; longer ones cut corners.
+const MIN_SPEED_SAMPLE_S = 5;
+const MAX_SPEED_SAMPLE_S = 120;
+const MAX_SPEED = 35; // m/s — faster samples are GPS glitches
+
+// Dwells longer than this are terminal layovers, not station stops
+const MAX_DWELL_S = 600;
+
+// Headways longer than this are gaps between service periods, not headways
+const MAX_HEADWAY_MIN = 90;
+
+/**
+ * Time-of-day buckets (local time). Hours are [start, end).
+ */
+export const TIME_BUCKETS = [
+    { id: 'early', label: 'Early', hours: '5–7a', start: 5, end: 7 },
+    { id: 'am-peak', label: 'AM peak', hours: '7–10a', start: 7, end: 10 },
+    { id: 'midday', label: 'Midday', hours: '10a–4p', start: 10, end: 16 },
+    { id: 'pm-peak', label: 'PM peak', hours: '4–7p', start: 16, end: 19 },
+    { id: 'evening', label: 'Evening', hours: '7p–12a', start: 19, end: 24 },
+    { id: 'night', label: 'Night', hours: '12–5a', start: 0, end: 5 },
+];
+
+/**
+ * Headway histogram bin upper bounds (minutes). A final overflow bin counts longer headways.
+ */
+export const HEADWAY_BINS = [2, 5, 10, 15, 20, 30];
+
+// Cached IndexedDB connection (Promise<IDBDatabase>)
+let dbPromise = null;
+
+// Per-vehicle and per-stop state for deriving observations (see observeVehicle)
+const tracker = createTracker();
+
+// Map<key, record> — aggregates accumulated since the last flush
+const pending = new Map();
+
+let flushTimer = null;
+
+/**
+ * Time-of-day bucket for a timestamp (local time).
+ * @param {number} t — epoch milliseconds
+ * @returns {string} — bucket id from TIME_BUCKETS
+ */
+export function timeBucket(t) {
+    const hour = new Date(t).getHours();
+    return TIME_BUCKETS.find(b => hour >= b.start && hour < b.end).id;
+}
+
+/**
+ * Local calendar day for a timestamp.
+ * @param {number} t — epoch milliseconds
+ * @returns {string} — "YYYY-MM-DD"
+ */
+export function dayKey(t) {
+    const d = new Date(t);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Create empty observation-tracking state.
+ * @returns {{vehicles: Map<string, Object>, arrivals: Map<string, Object>}}
+ */
+export function createTracker() {
+    return { vehicles: new Map(), arrivals: new Map() };
+}
+
+/**
+ * Derive metric observations from a vehicle update, given what was seen before.
+ * Mutates tracker. Observations:
+ * - speed — m/s between this fix and the previous one (stopped time included)
+ * - dwell — seconds a vehicle stayed STOPPED_AT a stop, emitted when it leaves
+ * - headway — minutes since the previous vehicle on the route/direction arrived at the same stop
+ * - trip — trip ID seen in service
+ *
+ * @param {Object} tracker — from createTracker()
+ * @param {Object} vehicle — parsed vehicle
+ * @param {number} t — fix time, epoch milliseconds
+ * @returns {Array<{kind: string, value?: number, tripId?: string}>}
+ */
+export function observeVehicle(tracker, vehicle, t) {
+    const observations = [];
+    const prev = tracker.vehicles.get(vehicle.id);
+
+    if (vehicle.tripId) {
+        observations.push({ kind: 'trip', tripId: vehicle.tripId });
+    }
+
+    let stoppedSince = null;
+    if (prev) {
+        const seconds = (t - prev.t) / 1000;
+        if (seconds >= MIN_SPEED_SAMPLE_S && seconds <= MAX_SPEED_SAMPLE_S) {
+            const speed = haversineDistance(prev.latitude, prev.longitude, vehicle.latitude, vehicle.longitude) / seconds;
+            if (speed <= MAX_SPEED) {
+                observations.push({ kind: 'speed', value: speed });
+            }
+        }
+
+        const stillStopped = prev.status === 'STOPPED_AT' &&
+            vehicle.currentStatus === 'STOPPED_AT' && vehicle.stopId === prev.stopId;
+        if (stillStopped) {
+            stoppedSince = prev.stoppedSince;
+        } else if (prev.status === 'STOPPED_AT' && prev.stoppedSince !== null) {
+            const dwell = (t - prev.stoppedSince) / 1000;
+            if (dwell > 0 && dwell <= MAX_DWELL_S) {
+                observations.push({ kind: 'dwell', value: dwell });
+            }
+        }
+
+        // Arrival — only when seen arriving (a vehicle first seen already stopped has an unknown arrival time)
+        if (vehicle.currentStatus === 'STOPPED_AT' && !stillStopped) {
+            stoppedSince = t;
+            const key = `${vehicle.routeId}|${vehicle.directionId}|${vehicle.stopId}`;
+            const last = tracker.arrivals.get(key);
+            if (last && last.vehicleId !== vehicle.id) {
+                const minutes = (t - last.t) / 60000;
+                if (minutes > 0 && minutes <= MAX_HEADWAY_MIN) {
+                    observations.push({ kind: 'headway', value: minutes });
+                }
+            }
+            tracker.arrivals.set(key, { t, vehicleId: vehicle.id });
+        }
+    }
+
+    tracker.vehicles.set(vehicle.id, {
+        latitude: vehicle.latitude,
+        longitude: vehicle.longitude,
+        t,
+        status: vehicle.currentStatus,
+        stopId: vehicle.stopId,
+        stoppedSince,
+    });
+    return observations;
+}
+
+/**
+ * Create an empty aggregate record.
+ * @param {string} day — "YYYY-MM-DD"
+ * @param {string} routeId
+ * @param {string} bucket — TIME_BUCKETS id
+ * @returns {Object}
+ */
+export function emptyRecord(day, routeId, bucket) {
+    return {
+        key: `${day}|${routeId}|${bucket}`,
+        day,
+        routeId,
+        bucket,
+        speedSum: 0,
+        speedCount: 0,
+        trips: [],
+        headwaySum: 0,
+        headwayCount: 0,
+        headwayBins: new Array(HEADWAY_BINS.length + 1).fill(0),
+        dwellSum: 0,
+        dwellCount: 0,
+    };
+}
+
+/**
+ * Add an observation to an aggregate record (mutates record).
+ * @param {Object} record — from emptyRecord()
+ * @param {Object} observation — from observeVehicle()
+ */
+export function applyObservation(record, observation) {
+    switch (observation.kind) {
+        case 'speed':
+            record.speedSum += observation.value;
+            record.speedCount++;
+            break;
+        case 'dwell':
+            record.dwellSum += observation.value;
+            record.dwellCount++;
+            break;
+        case 'headway': {
+            record.headwaySum += observation.value;
+            record.headwayCount++;
+            const bin = HEADWAY_BINS.findIndex(upper => observation.value < upper);
+            record.headwayBins[bin === -1 ? HEADWAY_BINS.length : bin]++;
+            break;
+        }
+        case 'trip':
+            if (!record.trips.includes(observation.tripId)) record.trips.push(observation.tripId);
+            break;
+    }
+}
+
+/**
+ * Combine two aggregate records for the same key.
+ * @param {Object|undefined} a — stored record (may be undefined)
+ * @param {Object} b — new record
+ * @returns {Object} — merged record
+ */
+export function mergeRecords(a, b) {
+    if (!a) return b;
+    return {
+        ...a,
+        speedSum: a.speedSum + b.speedSum,
+        speedCount: a.speedCount + b.speedCount,
+        trips: [...new Set([...a.trips, ...b.trips])],
+        headwaySum: a.headwaySum + b.headwaySum,
+        headwayCount: a.headwayCount + b.headwayCount,
+        headwayBins: a.headwayBins.map((count, i) => count + (b.headwayBins[i] || 0)),
+        dwellSum: a.dwellSum + b.dwellSum,
+        dwellCount: a.dwellCount + b.dwellCount,
+    };
+}
+
+/**
+ * Summarize stored records per route and time bucket (across days).
+ *
+ * @param {Array<Object>} records — aggregate records
+ * @returns {Map<string, Map<string, Object>>} — routeId → bucket id → {avgSpeed (m/s|null),
+ *   tripsPerDay, avgHeadway (min|null), frequency (vehicles/hr|null), headwayBins, avgDwell (s|null), days}
+ */
+export function summarizeRecords(records) {
+    // Merge days together, remembering how many days each route/bucket has data for
+    const merged = new Map();
+    const dayCounts = new Map();
+    for (const record of records) {
+        const key = `${record.routeId}|${record.bucket}`;
+        const combined = merged.get(key);
+        // Trip IDs repeat from one service day to the next, so trip lists are
+        // concatenated across days rather than de-duplicated
+        merged.set(key, combined
+            ? { ...mergeRecords(combined, record), trips: [...combined.trips, ...record.trips] }
+            : { ...record, trips: [...record.trips] });
+        dayCounts.set(key, (dayCounts.get(key) || 0) + 1);
+    }
+
+    const result = new Map();
+    merged.forEach((record, key) => {
+        const days = dayCounts.get(key);
+        const avgHeadway = record.headwayCount > 0 ? record.headwaySum / record.headwayCount : null;
+        if (!result.has(record.routeId)) result.set(record.routeId, new Map());
+        result.get(record.routeId).set(record.bucket, {
+            avgSpeed: record.speedCount > 0 ? record.speedSum / record.speedCount : null,
+            tripsPerDay: record.trips.length / days,
+            avgHeadway,
+            frequency: avgHeadway ? 60 / avgHeadway : null,
+            headwayBins: record.headwayBins,
+            avgDwell: record.dwellCount > 0 ? record.dwellSum / record.dwellCount : null,
+            days,
+        });
+    });
+    return result;
+}
+
+/**
+ * Retention window in days (config.metrics.retentionDays, default 14).
+ * @returns {number}
+ */
+export function getRetentionDays() {
+    return config.metrics?.retentionDays ?? DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Open (or create) the metrics database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                store.createIndex('day', 'day');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Merge pending aggregates into IndexedDB (read-modify-write in one transaction)
+ * and drop days older than the retention window.
+ */
+async function flush() {
+    if (pending.size === 0) return;
+    const batch = [...pending.values()];
+    pending.clear();
+
+    const cutoffDay = dayKey(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+    try {
+        const db = await openDb();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        for (const record of batch) {
+            const request = store.get(record.key);
+            request.onsuccess = () => store.put(mergeRecords(request.result, record));
+        }
+        const expired = store.index('day').openCursor(IDBKeyRange.upperBound(cutoffDay, true));
+        expired.onsuccess = () => {
+            const cursor = expired.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } catch (error) {
+        console.error('Failed to save route metrics:', error?.message);
+    }
+}
+
+/**
+ * Load stored aggregate records for the last N days (pending, unflushed aggregates included).
+ *
+ * @param {number} [days=7]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadMetrics(days = 7) {
+    const fromDay = dayKey(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+    const db = await openDb();
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('day');
+    const stored = await new Promise((resolve, reject) => {
+        const request = index.getAll(IDBKeyRange.lowerBound(fromDay));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const byKey = new Map(stored.map(r => [r.key, r]));
+    pending.forEach((record, key) => {
+        if (record.day >= fromDay) byKey.set(key, mergeRecords(byKey.get(key), record));
+    });
+    return [...byKey.values()];
+}
+
+/**
+ * Feed one vehicle fix into the pending aggregates.
+ * @param {Object} vehicle — parsed vehicle
+ */
+function ingest(vehicle) {
+    const parsed = vehicle.updatedAt ? Date.parse(vehicle.updatedAt) : NaN;
+    const t = Number.isFinite(parsed) ? parsed : Date.now();
+    const observations = observeVehicle(tracker, vehicle, t);
+    if (observations.length === 0 || !vehicle.routeId) return;
+
+    const day = dayKey(t);
+    const bucket = timeBucket(t);
+    const key = `${day}|${vehicle.routeId}|${bucket}`;
+    if (!pending.has(key)) pending.set(key, emptyRecord(day, vehicle.routeId, bucket));
+    observations.forEach(obs => applyObservation(pending.get(key), obs));
+}
+
+/**
+ * Start aggregating route metrics from the live stream.
+ * No-op where IndexedDB is unavailable.
+ *
+ * @param {EventTarget} apiEventsTarget — EventTarget emitting vehicles:* events (live stream only)
+ */
+export function initMetrics(apiEventsTarget) {
+    if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB unavailable — route metrics disabled');
+        return;
+    }
+
+    apiEventsTarget.addEventListener('vehicles:reset', (e) => {
+        e.detail.forEach(ingest);
+    });
+    apiEventsTarget.addEventListener('vehicles:add', (e) => ingest(e.detail));
+    apiEventsTarget.addEventListener('vehicles:update', (e) => ingest(e.detail));
+    apiEventsTarget.addEventListener('vehicles:remove', (e) => {
+        tracker.vehicles.delete(e.detail.id);
+    });
+
+    if (flushTimer) clearInterval(flushTimer);
+    flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+    window.addEventListener('pagehide', flush);
+}
@@ -0,0 +1,216 @@
+// src/nearby-ui.js — "Near me" mode: routes serving nearby stops on the map, approaching vehicles in a bottom sheet
+import { config } from '../config.js';
+import { locateUser, findNearbyStops, buildApproachingList, DEFAULT_RADIUS_METERS, DEFAULT_MAX_STOPS } from './nearby.js';
+import { servingRoutes } from './search.js';
+import { fetchPredictions } from './predictions.js';
+import { formatSpacing } from './headways.js';
+import { formatStopCountdown } from './trip-detail-ui.js';
+import { formatTripRouteName } from './trip-planner-ui.js';
+import {
+    getStopData, getRouteStopsMap, getRouteMetadata, getDirectionDestinations, openVehiclePopup,
+} from './map.js';
+import { openStopPopup } from './stop-markers.js';
+import { overrideVisibleRoutes } from './ui.js';
+import { escapeHtml } from './stop-popup.js';
+
+// Predictions are cached 20 s by predictions.js; refresh a little less often than that expires
+const REFRESH_INTERVAL_MS = 30000;
+
+let sheetEl = null;
+let toggleBtn = null;
+let mapInstance = null;
+let getVehicles = null;
+let refreshTimer = null;
+
+// Mode state: null when off; otherwise the location, the stops found and the layer marking them
+let nearby = null;
+
+/**
+ * Pure function to build the bottom sheet's vehicle list.
+ * Exported for testing purposes.
+ *
+ * @param {Array<Object>|null} entries — display-ready approaching vehicles
+ *   {vehicleId, stopId, routeName, color, destination, label, stopName, distance, time, status};
+ *   null while predictions load
+ * @param {number} [now=Date.now()]
+ * @returns {string} — HTML
+ */
+export function buildNearbySheetHtml(entries, now = Date.now()) {
+    if (entries === null) {
+        return '<div class="nearby-sheet__empty">Loading arrivals…</div>';
+    }
+    if (entries.length === 0) {
+        return '<div class="nearby-sheet__empty">No vehicles approaching these stops right now</div>';
+    }
+
+    const items = entries.map((entry) => {
+        const vehicle = entry.label ? ` · #${escapeHtml(entry.label)}` : '';
+        return `<li><button type="button" class="nearby-sheet__vehicle" data-vehicle-id="${escapeHtml(entry.vehicleId)}" data-stop-id="${escapeHtml(entry.stopId)}">` +
+            `<span class="route-swatch" style="background: ${escapeHtml(entry.color || '#888')}"></span>` +
+            '<span class="nearby-sheet__vehicle-text">' +
+            `<span class="nearby-sheet__route">${escapeHtml(entry.routeName)} <span class="nearby-sheet__destination">to ${escapeHtml(entry.destination)}</span></span>` +
+            `<span class="nearby-sheet__stop">${escapeHtml(entry.stopName)} · ${formatSpacing(entry.distance)} away${vehicle}</span>` +
+            '</span>' +
+            `<span class="nearby-sheet__time">${escapeHtml(entry.status || formatStopCountdown(entry.time, now))}</span>` +
+            '</button></li>';
+    });
+    return `<ul class="nearby-sheet__list">${items.join('')}</ul>`;
+}
+
+/**
+ * Pure function to summarize what nearby mode found.
+ * Exported for testing purposes.
+ *
+ * @param {number} stopCount
+ * @param {number} routeCount
+ * @param {number} radiusMeters
+ * @returns {string} — e.g. "4 stops within 500 m · 6 routes"
+ */
+export function formatNearbySummary(stopCount, routeCount, radiusMeters) {
+    if (stopCount === 0) return `No stops within ${formatSpacing(radiusMeters)}`;
+    const stops = `${stopCount} stop${stopCount !== 1 ? 's' : ''} within ${formatSpacing(radiusMeters)}`;
+    return `${stops} · ${routeCount} route${routeCount !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Show text in the sheet's summary line.
+ * @param {string} text
+ * @param {boolean} [isError=false]
+ */
+function showSummary(text, isError = false) {
+    const summaryEl = sheetEl.querySelector('.nearby-sheet__summary');
+    summaryEl.textContent = text;
+    summaryEl.classList.toggle('nearby-sheet__summary--error', isError);
+}
+
+/**
+ * Fetch predictions for the nearby stops and redraw the vehicle list.
+ */
+async function refresh() {
+    if (!nearby) return;
+    const mode = nearby;
+
+    const results = await Promise.allSettled(mode.stops.map(stop => fetchPredictions(stop.stopId)));
+    if (nearby !== mode) return;
+    const predictionsByStop = new Map();
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            predictionsByStop.set(mode.stops[i].stopId, result.value);
+        } else {
+            console.error(`Failed to load predictions for ${mode.stops[i].stopId}:`, result.reason.message);
+        }
+    });
+
+    const routes = new Map(getRouteMetadata().map(route => [route.id, route]));
+    const vehicles = getVehicles();
+    const entries = buildApproachingList(mode.stops, predictionsByStop).map(item => ({
+        ...item,
+        routeName: formatTripRouteName(routes.get(item.routeId), item.routeId),
+        color: routes.get(item.routeId)?.color,
+        destination: getDirectionDestinations(item.routeId)[item.directionId],
+        label: vehicles.get(item.vehicleId)?.label || null,
+    }));
+    sheetEl.querySelector('.nearby-sheet__body').innerHTML = buildNearbySheetHtml(entries);
+}
+
+/**
+ * Turn nearby mode on: locate the device, show only the routes serving stops around it and
+ * list vehicles approaching those stops.
+ */
+async function enterNearby() {
+    const radius = config.nearby?.radiusMeters ?? DEFAULT_RADIUS_METERS;
+    const maxStops = config.nearby?.maxStops ?? DEFAULT_MAX_STOPS;
+
+    toggleBtn.disabled = true;
+    sheetEl.classList.remove('nearby-sheet--hidden');
+    sheetEl.querySelector('.nearby-sheet__body').innerHTML = '';
+    showSummary('Finding your location…');
+
+    let position;
+    try {
+        position = await locateUser();
+    } catch (err) {
+        showSummary(err.message, true);
+        return;
+    } finally {
+        toggleBtn.disabled = false;
+    }
+    // Closed while waiting for the location
+    if (sheetEl.classList.contains('nearby-sheet--hidden')) return;
+
+    const stopsData = getStopData();
+    const stops = findNearbyStops(position, stopsData, radius, maxStops);
+    const routeIds = new Set(stops.flatMap(stop =>
+        servingRoutes(stop.stopId, stopsData, getRouteStopsMap(), getRouteMetadata())));
+
+    const area = L.circle([position.lat, position.lng], {
+        radius, color: '#4a9eff', weight: 1, fillOpacity: 0.06, interactive: false,
+    });
+    const layer = L.layerGroup([
+        area,
+        L.circleMarker([position.lat, position.lng], {
+            radius: 7, color: '#ffffff', weight: 2, fillColor: '#4a9eff', fillOpacity: 1, interactive: false,
+        }),
+    ]).addTo(mapInstance);
+    mapInstance.fitBounds(area.getBounds());
+
+    nearby = { position, stops, layer };
+    toggleBtn.classList.add('nearby-toggle--active');
+    showSummary(formatNearbySummary(stops.length, routeIds.size, radius));
+
+    if (stops.length === 0) return;
+    if (routeIds.size > 0) overrideVisibleRoutes(routeIds);
+    sheetEl.querySelector('.nearby-sheet__body').innerHTML = buildNearbySheetHtml(null);
+    refresh();
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+}
+
+/**
+ * Turn nearby mode off and bring back the previous route selection.
+ */
+function exitNearby() {
+    sheetEl.classList.add('nearby-sheet--hidden');
+    toggleBtn.classList.remove('nearby-toggle--active');
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+    if (nearby) {
+        nearby.layer.remove();
+        nearby = null;
+        overrideVisibleRoutes(null);
+    }
+}
+
+/**
+ * Initialize nearby mode.
+ *
+ * @param {HTMLElement} sheetElement — #nearby-sheet container
+ * @param {HTMLElement} toggleButton — #nearby-toggle
+ * @param {L.Map} map — Leaflet map instance
+ * @param {Function} vehiclesFn — returns the live vehicles Map (getVehicles from vehicles.js)
+ */
+export function initNearby(sheetElement, toggleButton, map, vehiclesFn) {
+    sheetEl = sheetElement;
+    toggleBtn = toggleButton;
+    mapInstance = map;
+    getVehicles = vehiclesFn;
+
+    toggleBtn.addEventListener('click', () => {
+        if (sheetEl.classList.contains('nearby-sheet--hidden')) {
+            enterNearby().catch(err => console.error('Nearby mode failed:', err.message));
+        } else {
+            exitNearby();
+        }
+    });
+    sheetEl.querySelector('.nearby-sheet__close').addEventListener('click', exitNearby);
+
+    // A vehicle on the map opens its popup; one not drawn yet opens the stop it is heading to
+    sheetEl.querySelector('.nearby-sheet__body').addEventListener('click', (event) => {
+        const item = event.target.closest('.nearby-sheet__vehicle');
+        if (!item) return;
+        if (!openVehiclePopup(item.dataset.vehicleId)) {
+            openStopPopup(item.dataset.stopId);
+        }
+    });
+}
@@ -0,0 +1,109 @@
+// src/nearby.js — "Near me": device location, stops within a radius, vehicles approaching them
+// No DOM or map access — nearby-ui.js supplies the data and renders the bottom sheet.
+import { haversineDistance } from './vehicle-math.js';
+
+// Defaults for config.nearby
+export const DEFAULT_RADIUS_METERS = 500;
+export const DEFAULT_MAX_STOPS = 8;
+
+// A position fix older than this is not reused (the user may have moved)
+const LOCATION_MAX_AGE_MS = 60000;
+const LOCATION_TIMEOUT_MS = 15000;
+
+// A vehicle predicted this far in the past is still listed (boarding, doors closing)
+const BOARDING_GRACE_MS = 30000;
+
+// GeolocationPositionError codes
+const LOCATION_ERRORS = {
+    1: 'Location permission was denied',
+    2: 'Your location is unavailable',
+    3: 'Finding your location took too long',
+};
+
+/**
+ * Get the device's position. The Geolocation object is injectable so tests can pass a stub
+ * with getCurrentPosition(success, error, options).
+ *
+ * @param {Geolocation} [geolocation=navigator.geolocation]
+ * @returns {Promise<{lat: number, lng: number, accuracy: number}>}
+ * @throws {Error} with a user-facing message when location is unsupported, denied or unavailable
+ */
+export function locateUser(geolocation = globalThis.navigator?.geolocation) {
+    return new Promise((resolve, reject) => {
+        if (!geolocation) {
+            reject(new Error('Location is not available in this browser'));
+            return;
+        }
+        geolocation.getCurrentPosition(
+            (position) => {
+                const { latitude, longitude, accuracy } = position.coords;
+                resolve({ lat: latitude, lng: longitude, accuracy });
+            },
+            (error) => reject(new Error(LOCATION_ERRORS[error.code] || 'Your location is unavailable')),
+            { enableHighAccuracy: true, maximumAge: LOCATION_MAX_AGE_MS, timeout: LOCATION_TIMEOUT_MS },
+        );
+    });
+}
+
+/**
+ * Stops within a radius of a position, nearest first. Child platforms are folded into their
+ * station (the station's coordinates are used), as on the map.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {{lat: number, lng: number}} position
+ * @param {Map<string, Object>} stopsData — getStopData(): stopId → {id, name, latitude, longitude, parentStopId}
+ * @param {number} [radiusMeters=DEFAULT_RADIUS_METERS]
+ * @param {number} [limit=DEFAULT_MAX_STOPS]
+ * @returns {Array<{stopId: string, name: string, distance: number}>} — distance in meters
+ */
+export function findNearbyStops(position, stopsData, radiusMeters = DEFAULT_RADIUS_METERS, limit = DEFAULT_MAX_STOPS) {
+    const nearby = [];
+    for (const stop of stopsData.values()) {
+        if (stop.parentStopId && stopsData.has(stop.parentStopId)) continue;
+        const distance = haversineDistance(position.lat, position.lng, stop.latitude, stop.longitude);
+        if (distance <= radiusMeters) {
+            nearby.push({ stopId: stop.id, name: stop.name, distance });
+        }
+    }
+    return nearby.sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
+
+/**
+ * Vehicles on their way to the nearby stops, soonest first. Only predictions with a vehicle
+ * assigned count (a scheduled trip with no vehicle yet is not "approaching"); a vehicle
+ * predicted at several nearby stops is listed once, for the stop it reaches first.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Array<{stopId: string, name: string, distance: number}>} nearbyStops — from findNearbyStops()
+ * @param {Map<string, Array<Object>>} predictionsByStop — stopId → parsed predictions (fetchPredictions)
+ * @param {number} [now=Date.now()] — epoch ms
+ * @param {number} [limit=12]
+ * @returns {Array<{vehicleId: string, routeId: string, directionId: number, tripId: string|null,
+ *   stopId: string, stopName: string, distance: number, time: number, status: string|null}>}
+ */
+export function buildApproachingList(nearbyStops, predictionsByStop, now = Date.now(), limit = 12) {
+    const byVehicle = new Map();
+    for (const stop of nearbyStops) {
+        for (const p of predictionsByStop.get(stop.stopId) ?? []) {
+            if (!p.vehicleId || !p.routeId || p.directionId === null) continue;
+            if (p.scheduleRelationship === 'SKIPPED' || p.scheduleRelationship === 'CANCELLED') continue;
+            const time = Date.parse(p.arrivalTime || p.departureTime);
+            if (Number.isNaN(time) || time < now - BOARDING_GRACE_MS) continue;
+
+            const existing = byVehicle.get(p.vehicleId);
+            if (existing && existing.time <= time) continue;
+            byVehicle.set(p.vehicleId, {
+                vehicleId: p.vehicleId,
+                routeId: p.routeId,
+                directionId: p.directionId,
+                tripId: p.tripId,
+                stopId: stop.stopId,
+                stopName: stop.name,
+                distance: stop.distance,
+                time,
+                status: p.status,
+            });
+        }
+    }
+    return [...byVehicle.values()].sort((a, b) => a.time - b.time).slice(0, limit);
+}
@@ -1,6 +1,6 @@
 // src/notification-ui.js — Notification status UI management
-import { getNotificationPairs, getPermissionState, requestPermission, isPaused, togglePause, removeNotificationPair, updatePairCount } from './notifications.js';
-import { escapeHtml } from './stop-popup.js';
+import { getNotificationPairs, getPermissionState, requestPermission, isPaused, togglePause, removeNotificationPair, updatePairCount, updatePairLead, updatePairSchedule, validateSchedule, DEFAULT_LEAD } from './notifications.js';
+import { escapeHtml, buildLeadChipsHtml } from './stop-popup.js';
 import { getStopData, getRouteMetadata, getDirectionDestinations, isTerminusStop } from './map.js';
 import { refreshAllHighlights } from './stop-markers.js';
 
@@ -8,6 +8,12 @@ let statusEl = null;
 let panelEl = null;
 let toggleBtn = null;
 
+// Schedule editor: days listed Monday first, as Date.getDay() numbers
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+// What the editor starts from for a pair without a schedule
+const DEFAULT_SCHEDULE = { days: [1, 2, 3, 4, 5], start: '07:00', end: '09:00' };
+
 /** Detect iOS (iPhone/iPad/iPod) via user agent. Exported for testing. */
 export function isIOS() {
     return /iPad|iPhone|iPod/.test(navigator.userAgent) ||
@@ -33,15 +39,70 @@ export function formatCountDisplay(remainingCount) {
         : `${remainingCount} remaining`;
 }
 
+/**
+ * Pure function to format a pair's lead setting for display.
+ * Exported for testing purposes.
+ *
+ * @param {Object|undefined} lead — {type: 'stops'|'minutes', value}
+ * @returns {string} — "Notify at stop", "Notify 2 stops before", or "Notify 5 min before"
+ */
+export function formatLeadDisplay(lead) {
+    const { type, value } = lead || DEFAULT_LEAD;
+    if (type === 'minutes') return `Notify ${value} min before`;
+    if (value === 0) return 'Notify at stop';
+    return `Notify ${value} stop${value !== 1 ? 's' : ''} before`;
+}
+
+/**
+ * Pure function to format the vehicle or trip a pair follows.
+ * Exported for testing purposes.
+ *
+ * @param {Object|null|undefined} target — {type: 'vehicle'|'trip', id, label}
+ * @returns {string|null} — "Vehicle #1234 only", "Trip of #1234 only", or null for any vehicle
+ */
+export function formatTargetDisplay(target) {
+    if (!target) return null;
+    const name = target.label ? `#${target.label}` : target.id;
+    return target.type === 'trip' ? `Trip of ${name} only` : `Vehicle ${name} only`;
+}
+
+/**
+ * Pure function to format a pair's schedule for display.
+ * Exported for testing purposes.
+ *
+ * @param {Object|null|undefined} schedule — {days, start, end, timeZone}
+ * @param {string} [localTimeZone] — the browser's time zone; a schedule set in another zone names it
+ * @returns {string} — "Any time", "Weekdays 7:30–9:00", "Mon, Wed 17:00–18:30 (America/Chicago)"
+ */
+export function formatScheduleDisplay(schedule, localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone) {
+    if (!schedule) return 'Any time';
+
+    const days = new Set(schedule.days);
+    let dayLabel;
+    if (days.size === 7) {
+        dayLabel = 'Every day';
+    } else if (days.size === 5 && [1, 2, 3, 4, 5].every(d => days.has(d))) {
+        dayLabel = 'Weekdays';
+    } else if (days.size === 2 && days.has(0) && days.has(6)) {
+        dayLabel = 'Weekends';
+    } else {
+        dayLabel = DAY_ORDER.filter(d => days.has(d)).map(d => DAY_NAMES[d]).join(', ');
+    }
+
+    const time = t => t.replace(/^0(?=\d:)/, '');
+    const zone = schedule.timeZone && schedule.timeZone !== localTimeZone ? ` (${schedule.timeZone})` : '';
+    return `${dayLabel} ${time(schedule.start)}–${time(schedule.end)}${zone}`;
+}
+
 /**
  * Pure function to format a notification pair for display.
  * Resolves stop and route names, and direction label.
  * Exported for testing purposes.
  *
- * @param {Object} pair — {id, checkpointStopId, routeId, directionId}
+ * @param {Object} pair — {id, checkpointStopId, routeId, directionId, target, schedule}
  * @param {Map} stopsData — Map of stop ID → {id, name}
  * @param {Array} routeMetadata — Array of {id, shortName, longName, type}
- * @returns {Object} — {checkpointName, directionLabel, routeName}
+ * @returns {Object} — {checkpointName, directionLabel, routeName, targetLabel, scheduleLabel}
  */
 export function formatPairForDisplay(pair, stopsData, routeMetadata) {
     const checkpointName = stopsData.get(pair.checkpointStopId)?.name || pair.checkpointStopId;
@@ -57,7 +118,13 @@ export function formatPairForDisplay(pair, stopsData, routeMetadata) {
         ? 'any direction'
         : (labels[pair.directionId] || `Direction ${pair.directionId}`);
 
-    return { checkpointName, directionLabel, routeName };
+    return {
+        checkpointName,
+        directionLabel,
+        routeName,
+        targetLabel: formatTargetDisplay(pair.target),
+        scheduleLabel: formatScheduleDisplay(pair.schedule),
+    };
 }
 
 /**
@@ -277,6 +344,70 @@ function bindPanelChipPicker(picker, pairId) {
     }
 }
 
+/**
+ * Build the schedule editor for a pair in the panel: day chips, a time window, and
+ * Apply / Any time buttons.
+ *
+ * @param {string} pairId — pair ID to edit
+ * @param {Object|null} schedule — current schedule (null = any time)
+ * @returns {string} HTML string
+ */
+function buildScheduleEditorHtml(pairId, schedule) {
+    const { days, start, end } = schedule || DEFAULT_SCHEDULE;
+    const dayChips = DAY_ORDER.map(d =>
+        `<button class="chip-picker__chip schedule-editor__day${days.includes(d) ? ' chip-picker__chip--selected' : ''}" data-day="${d}" title="${DAY_NAMES[d]}">${DAY_NAMES[d].charAt(0)}</button>`
+    ).join('');
+
+    return `<div class="chip-picker chip-picker--panel schedule-editor" data-pair-id="${escapeHtml(pairId)}">
+        <div class="chip-picker__chips schedule-editor__days">${dayChips}</div>
+        <div class="schedule-editor__window">
+            <input class="schedule-editor__time" type="time" data-bound="start" value="${escapeHtml(start)}">
+            <span>–</span>
+            <input class="schedule-editor__time" type="time" data-bound="end" value="${escapeHtml(end)}">
+        </div>
+        <button class="chip-picker__apply" data-action="apply-schedule">Apply</button>
+        <button class="schedule-editor__clear" data-action="clear-schedule">Any time</button>
+        <div class="schedule-editor__error"></div>
+    </div>`;
+}
+
+/**
+ * Bind interactions for a panel schedule editor.
+ * Day chips toggle; Apply validates and saves the window in the browser's time zone.
+ *
+ * @param {HTMLElement} editor — the schedule-editor element
+ * @param {string} pairId — pair ID being edited
+ */
+function bindScheduleEditor(editor, pairId) {
+    editor.querySelectorAll('.schedule-editor__day').forEach(chip => {
+        chip.addEventListener('click', () => {
+            chip.classList.toggle('chip-picker__chip--selected');
+        });
+    });
+
+    editor.querySelector('[data-action="apply-schedule"]').addEventListener('click', () => {
+        const schedule = {
+            days: [...editor.querySelectorAll('.schedule-editor__day.chip-picker__chip--selected')]
+                .map(chip => parseInt(chip.dataset.day, 10)),
+            start: editor.querySelector('[data-bound="start"]').value,
+            end: editor.querySelector('[data-bound="end"]').value,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        };
+        const validation = validateSchedule(schedule);
+        if (validation.error) {
+            editor.querySelector('.schedule-editor__error').textContent = validation.error;
+            return;
+        }
+        updatePairSchedule(pairId, schedule);
+        renderPanel();
+    });
+
+    editor.querySelector('[data-action="clear-schedule"]').addEventListener('click', () => {
+        updatePairSchedule(pairId, null);
+        renderPanel();
+    });
+}
+
 /**
  * Render the panel list with current notification pairs.
  * Lists all pairs with checkpoint name, direction, and route.
@@ -314,17 +445,24 @@ export function renderPanel() {
 
     // Render each pair with readable names
     listEl.innerHTML = pairs.map(pair => {
-        const { checkpointName, directionLabel, routeName } = formatPairForDisplay(pair, stopsData, metadata);
+        const { checkpointName, directionLabel, routeName, targetLabel, scheduleLabel } = formatPairForDisplay(pair, stopsData, metadata);
+        const targetHtml = targetLabel
+            ? `<div class="notification-pair__target">${escapeHtml(targetLabel)}</div>`
+            : '';
 
-        // Compute count display string
+        // Compute count and lead display strings
         const countDisplay = formatCountDisplay(pair.remainingCount);
+        const leadDisplay = formatLeadDisplay(pair.lead);
 
         return `
             <div class="notification-pair" data-pair-id="${escapeHtml(pair.id)}">
                 <div>
                     <div class="notification-pair__info">${escapeHtml(checkpointName)} &rarr; ${escapeHtml(directionLabel)}</div>
                     <div class="notification-pair__route">${escapeHtml(routeName)}</div>
+                    ${targetHtml}
                     <div class="notification-pair__count" data-pair-id="${escapeHtml(pair.id)}">${countDisplay}</div>
+                    <div class="notification-pair__lead" data-pair-id="${escapeHtml(pair.id)}">${leadDisplay}</div>
+                    <div class="notification-pair__schedule" data-pair-id="${escapeHtml(pair.id)}">${escapeHtml(scheduleLabel)}</div>
                 </div>
                 <button class="notification-pair__delete" data-pair-id="${escapeHtml(pair.id)}">Delete</button>
             </div>
@@ -364,4 +502,49 @@ export function renderPanel() {
             }
         });
     });
+
+    // Bind lead text → reveal lead chips; picking one applies immediately
+    listEl.querySelectorAll('.notification-pair__lead').forEach(pairLeadEl => {
+        pairLeadEl.addEventListener('click', () => {
+            const pairId = pairLeadEl.dataset.pairId;
+            const pair = getNotificationPairs().find(p => p.id === pairId);
+            if (!pair) return;
+
+            // Only one panel picker open at a time (count, lead or schedule)
+            listEl.querySelectorAll('.chip-picker--panel').forEach(el => el.remove());
+
+            const pairDiv = pairLeadEl.closest('.notification-pair');
+            if (!pairDiv) return;
+            pairDiv.insertAdjacentHTML('beforeend',
+                `<div class="chip-picker chip-picker--panel" data-pair-id="${escapeHtml(pairId)}">${buildLeadChipsHtml(pair.lead)}</div>`);
+
+            const picker = pairDiv.querySelector('.chip-picker--panel');
+            picker.querySelectorAll('.chip-picker__lead').forEach(chip => {
+                chip.addEventListener('click', () => {
+                    updatePairLead(pairId, {
+                        type: chip.dataset.leadType,
+                        value: parseInt(chip.dataset.leadValue, 10),
+                    });
+                    renderPanel();
+                });
+            });
+        });
+    });
+
+    // Bind schedule text → reveal schedule editor
+    listEl.querySelectorAll('.notification-pair__schedule').forEach(pairScheduleEl => {
+        pairScheduleEl.addEventListener('click', () => {
+            const pairId = pairScheduleEl.dataset.pairId;
+            const pair = getNotificationPairs().find(p => p.id === pairId);
+            if (!pair) return;
+
+            // Only one panel picker open at a time (count, lead or schedule)
+            listEl.querySelectorAll('.chip-picker--panel').forEach(el => el.remove());
+
+            const pairDiv = pairScheduleEl.closest('.notification-pair');
+            if (!pairDiv) return;
+            pairDiv.insertAdjacentHTML('beforeend', buildScheduleEditorHtml(pairId, pair.schedule));
+            bindScheduleEditor(pairDiv.querySelector('.schedule-editor'), pairId);
+        });
+    });
 }
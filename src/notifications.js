@@ -3,16 +3,45 @@
 
 export const MAX_PAIRS = 5;
 
-const CONFIG_KEY = 'ttracker-notifications-config';
-const PAUSED_KEY = 'ttracker-notifications-paused';
+// Lead setting: how far ahead of the checkpoint a pair fires.
+// {type: 'stops', value: 0} is the original behavior (vehicle at/arriving at the checkpoint).
+export const LEAD_TYPES = ['stops', 'minutes'];
+export const DEFAULT_LEAD = { type: 'stops', value: 0 };
+const MAX_LEAD_STOPS = 10;
+const MAX_LEAD_MINUTES = 60;
+
+// Target: a pair may follow one vehicle or one trip instead of every vehicle on its
+// route and direction. null (the original behavior) matches any vehicle.
+export const TARGET_TYPES = ['vehicle', 'trip'];
+
+// Schedule: a pair may be limited to days of the week and a time of day. null (the
+// original behavior) is always active. days are Date.getDay() numbers (0 = Sunday);
+// start/end are 'HH:MM', and an end before the start runs past midnight. timeZone is
+// the IANA zone the schedule was set in, so the push relay evaluates it the same way.
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Route predictions are re-fetched this often while any pair has a lead
+const PREDICTION_POLL_MS = 30000;
+
+export const CONFIG_KEY = 'ttracker-notifications-config';
+export const PAUSED_KEY = 'ttracker-notifications-paused';
 let pairs = []; // In-memory cache, synced with localStorage
 let paused = false; // In-memory pause state, synced with localStorage
+// While the push relay holds the pairs it owns the countdown of counted pairs: the page still
+// fires, but takes counts from the relay (applyRelayCounts) instead of decrementing its own
+let relayCounting = false;
 
 // Injected dependencies from initNotifications
 let _apiEventsTarget = null; // EventTarget for dispatching notification:pair-expired events
 let _terminusChecker = null; // (stopId, routeId) => boolean
 let _directionLabelFn = null; // (routeId) => [dir0Label, dir1Label]
 let _routeMetadataFn = null; // () => Array<{id, type, ...}>
+let _predictionsFn = null; // (routeId, directionId) => Promise<Array<prediction>>
+
+// Map<'routeId:directionId', Array<prediction>> — latest route predictions for lead pairs
+const leadPredictions = new Map();
+let predictionPollTimer = null;
 
 /**
  * Reads notification config from localStorage.
@@ -33,12 +62,19 @@ function readConfig() {
             return [];
         }
         // Migration: filter out old-format pairs that have myStopId
+        // Pairs saved before lead settings existed (or with a corrupt lead) get DEFAULT_LEAD
+        // Pairs saved before targets existed match any vehicle; a corrupt target drops the pair
+        // rather than widening it to every vehicle on the route
+        // Pairs saved before schedules existed (or with a corrupt schedule) are always active
         return data
-            .filter(p => !p.myStopId)
+            .filter(p => !p.myStopId && !validateTarget(p.target ?? null).error)
             .map(p => ({
                 ...p,
                 remainingCount: p.remainingCount !== undefined ? p.remainingCount : null,
                 totalCount: p.totalCount !== undefined ? p.totalCount : null,
+                lead: validateLead(p.lead).error ? { ...DEFAULT_LEAD } : p.lead,
+                target: p.target ?? null,
+                schedule: validateSchedule(p.schedule ?? null).error ? null : (p.schedule ?? null),
             }));
     } catch (error) {
         console.error('Failed to parse notification config, starting fresh:', error.message);
@@ -46,6 +82,66 @@ function readConfig() {
     }
 }
 
+/**
+ * Validates notification pairs from an imported settings file or link (settings.js).
+ * Fills the fields readConfig() migrates (count, lead, target, schedule) with the same
+ * defaults, and runs validatePair() on each pair against the ones before it, so the
+ * pair limit and duplicate rules hold. Unlike readConfig(), an invalid pair rejects the
+ * import instead of being dropped, so the user knows their alerts didn't all arrive.
+ * Pure function for testability.
+ *
+ * @param {Array<Object>} data — imported pairs
+ * @returns {Object} — { error: string } if invalid, otherwise { pairs }
+ */
+export function validateImportedPairs(data) {
+    if (!Array.isArray(data)) {
+        return { error: 'Alerts must be a list' };
+    }
+
+    const imported = [];
+    for (const [index, p] of data.entries()) {
+        const fail = message => ({ error: `Alert ${index + 1}: ${message}` });
+        if (typeof p?.checkpointStopId !== 'string' || typeof p.routeId !== 'string' ||
+            (p.directionId !== 0 && p.directionId !== 1)) {
+            return fail('Missing stop, route or direction');
+        }
+        const remainingCount = p.remainingCount ?? null;
+        if (remainingCount !== null && !(Number.isInteger(remainingCount) && remainingCount > 0)) {
+            return fail('Alert count must be a positive whole number');
+        }
+        const lead = p.lead ?? DEFAULT_LEAD;
+        const target = p.target ?? null;
+        const schedule = p.schedule ?? null;
+        const validation = [
+            validateLead(lead),
+            validateTarget(target),
+            validateSchedule(schedule),
+            validatePair(p.checkpointStopId, p.routeId, p.directionId, imported, target),
+        ].find(v => v.error);
+        if (validation) {
+            return fail(validation.error);
+        }
+
+        const idTaken = imported.some(q => q.id === p.id);
+        imported.push({
+            id: typeof p.id === 'string' && p.id !== '' && !idTaken ? p.id : newPairId(),
+            checkpointStopId: p.checkpointStopId,
+            routeId: p.routeId,
+            directionId: p.directionId,
+            remainingCount,
+            totalCount: Number.isInteger(p.totalCount) && remainingCount !== null && p.totalCount >= remainingCount
+                ? p.totalCount
+                : remainingCount,
+            lead: { type: lead.type, value: lead.value },
+            target: target ? { type: target.type, id: target.id, label: target.label ?? null } : null,
+            schedule: schedule
+                ? { days: [...schedule.days], start: schedule.start, end: schedule.end, timeZone: schedule.timeZone ?? null }
+                : null,
+        });
+    }
+    return { pairs: imported };
+}
+
 /**
  * Writes notification config to localStorage.
  * Handles quota exceeded errors gracefully (logs error, doesn't crash).
@@ -58,6 +154,18 @@ function writeConfig(config) {
     } catch (error) {
         console.error('Failed to save notification config (storage quota exceeded):', error.message);
     }
+    emitConfigChanged();
+}
+
+/**
+ * Announce a change to the pairs or pause state (the push subscription re-syncs on it).
+ */
+function emitConfigChanged() {
+    if (_apiEventsTarget) {
+        _apiEventsTarget.dispatchEvent(new CustomEvent('notification:config-changed', {
+            detail: { pairs: [...pairs], paused }
+        }));
+    }
 }
 
 /**
@@ -68,27 +176,169 @@ function writeConfig(config) {
  * @param {string} routeId — route ID
  * @param {number} directionId — direction ID (0 or 1)
  * @param {Array<Object>} existingPairs — current list of pairs
+ * @param {Object|null} [target=null] — {type: 'vehicle'|'trip', id} to follow one vehicle or trip
  * @returns {Object} — { error?: string } if invalid, {} if valid
  */
-export function validatePair(checkpointStopId, routeId, directionId, existingPairs) {
+export function validatePair(checkpointStopId, routeId, directionId, existingPairs, target = null) {
     // Enforce max pairs
     if (existingPairs.length >= MAX_PAIRS) {
         return { error: `Maximum ${MAX_PAIRS} notification pairs configured` };
     }
 
-    // Duplicate check: same checkpoint + route + direction already exists
+    // Duplicate check: same checkpoint + route + direction (+ target) already exists.
+    // A targeted pair may sit alongside an any-vehicle pair for the same stop.
     const isDuplicate = existingPairs.some(p =>
         p.checkpointStopId === checkpointStopId &&
         p.routeId === routeId &&
-        p.directionId === directionId
+        p.directionId === directionId &&
+        (p.target?.type ?? null) === (target?.type ?? null) &&
+        (p.target?.id ?? null) === (target?.id ?? null)
     );
     if (isDuplicate) {
-        return { error: 'Alert already configured for this stop and direction' };
+        return { error: target
+            ? `Alert already configured for this stop and ${target.type}`
+            : 'Alert already configured for this stop and direction' };
+    }
+
+    return {};
+}
+
+/**
+ * Validates a pair target.
+ * Pure function for testability.
+ *
+ * @param {Object|null} target — {type: 'vehicle'|'trip', id: string, label?: string}, or null for any vehicle
+ * @returns {Object} — { error?: string } if invalid, {} if valid
+ */
+export function validateTarget(target) {
+    if (target === null) return {};
+    if (!target || !TARGET_TYPES.includes(target.type)) {
+        return { error: 'Unknown alert target type' };
+    }
+    if (typeof target.id !== 'string' || target.id === '') {
+        return { error: 'Alert target needs a vehicle or trip ID' };
     }
+    if (target.label != null && typeof target.label !== 'string') {
+        return { error: 'Alert target label must be text' };
+    }
+    return {};
+}
+
+/**
+ * Whether a vehicle is the one a pair follows (any vehicle for untargeted pairs).
+ * Pure function for testability.
+ *
+ * @param {Object} vehicle — {id, tripId}
+ * @param {Object} pair — notification pair
+ * @returns {boolean}
+ */
+export function matchesTarget(vehicle, pair) {
+    const target = pair.target;
+    if (!target) return true;
+    if (target.type === 'vehicle') return vehicle.id === target.id;
+    return vehicle.tripId === target.id;
+}
 
+/**
+ * Validates a pair schedule.
+ * Pure function for testability.
+ *
+ * @param {Object|null} schedule — {days: Array<number>, start: 'HH:MM', end: 'HH:MM', timeZone?: string},
+ *   or null for always active
+ * @returns {Object} — { error?: string } if invalid, {} if valid
+ */
+export function validateSchedule(schedule) {
+    if (schedule === null) return {};
+    if (!schedule || !Array.isArray(schedule.days) || schedule.days.length === 0 ||
+        !schedule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6) ||
+        new Set(schedule.days).size !== schedule.days.length) {
+        return { error: 'Schedule needs at least one day of the week' };
+    }
+    if (!SCHEDULE_TIME_PATTERN.test(schedule.start) || !SCHEDULE_TIME_PATTERN.test(schedule.end)) {
+        return { error: 'Schedule times must be HH:MM' };
+    }
+    if (schedule.start === schedule.end) {
+        return { error: 'Schedule start and end must differ' };
+    }
+    if (schedule.timeZone != null) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: schedule.timeZone });
+        } catch {
+            return { error: 'Unknown schedule time zone' };
+        }
+    }
     return {};
 }
 
+/**
+ * Whether a pair's schedule is active at a given time (always, for unscheduled pairs).
+ * The part of an overnight window after midnight belongs to the day it started on.
+ * Pure function for testability.
+ *
+ * @param {Object|null|undefined} schedule — {days, start, end, timeZone}
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @returns {boolean}
+ */
+export function isWithinSchedule(schedule, now = Date.now()) {
+    if (!schedule) return true;
+
+    // Day of week and minute of day in the schedule's time zone (local if unset)
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: schedule.timeZone || undefined,
+        weekday: 'short',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23',
+    }).formatToParts(new Date(now));
+    const part = type => parts.find(p => p.type === type).value;
+    const day = WEEKDAYS.indexOf(part('weekday'));
+    const minute = parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10);
+
+    const toMinutes = time => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3), 10);
+    const start = toMinutes(schedule.start);
+    const end = toMinutes(schedule.end);
+
+    if (start < end) {
+        return schedule.days.includes(day) && minute >= start && minute < end;
+    }
+    return (schedule.days.includes(day) && minute >= start) ||
+        (schedule.days.includes((day + 6) % 7) && minute < end);
+}
+
+/**
+ * Validates a lead setting.
+ * Pure function for testability.
+ *
+ * @param {Object} lead — {type: 'stops'|'minutes', value: number}
+ * @returns {Object} — { error?: string } if invalid, {} if valid
+ */
+export function validateLead(lead) {
+    if (!lead || !LEAD_TYPES.includes(lead.type)) {
+        return { error: 'Unknown alert lead type' };
+    }
+    if (!Number.isInteger(lead.value)) {
+        return { error: 'Alert lead must be a whole number' };
+    }
+    if (lead.type === 'stops' && (lead.value < 0 || lead.value > MAX_LEAD_STOPS)) {
+        return { error: `Alert lead must be 0-${MAX_LEAD_STOPS} stops` };
+    }
+    if (lead.type === 'minutes' && (lead.value < 1 || lead.value > MAX_LEAD_MINUTES)) {
+        return { error: `Alert lead must be 1-${MAX_LEAD_MINUTES} minutes` };
+    }
+    return {};
+}
+
+/**
+ * Whether a pair fires ahead of the checkpoint (needs predictions) rather than at it.
+ *
+ * @param {Object} pair — notification pair
+ * @returns {boolean}
+ */
+function hasLead(pair) {
+    const lead = pair.lead || DEFAULT_LEAD;
+    return !(lead.type === 'stops' && lead.value === 0);
+}
+
 /**
  * Request notification permission. Must be called from user gesture (click handler).
  *
@@ -110,6 +360,14 @@ export function getPermissionState() {
     return Notification.permission;
 }
 
+/**
+ * Generate a pair ID: base-36 timestamp plus a random suffix.
+ * @returns {string}
+ */
+function newPairId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
+}
+
 /**
  * Adds a new notification pair with explicit direction.
  * Validates, enforces max 5, requests permission on first config.
@@ -118,13 +376,23 @@ export function getPermissionState() {
  * @param {string} routeId — route ID (e.g., "Red", "Green-D", "39")
  * @param {number} directionId — direction ID (0 or 1), user-chosen
  * @param {number|null} [count=null] — max notifications before expiry (null for unlimited)
+ * @param {Object} [lead=DEFAULT_LEAD] — {type: 'stops'|'minutes', value} — how far ahead to fire
+ * @param {Object|null} [target=null] — {type: 'vehicle'|'trip', id, label} — follow one vehicle or trip
  * @returns {Promise<Object>} — { pair: {...}, permissionState: string } or { error: string }
  */
-export async function addNotificationPair(checkpointStopId, routeId, directionId, count = null) {
-    const validation = validatePair(checkpointStopId, routeId, directionId, pairs);
+export async function addNotificationPair(checkpointStopId, routeId, directionId, count = null, lead = DEFAULT_LEAD, target = null) {
+    const targetValidation = validateTarget(target);
+    if (targetValidation.error) {
+        return { error: targetValidation.error };
+    }
+    const validation = validatePair(checkpointStopId, routeId, directionId, pairs, target);
     if (validation.error) {
         return { error: validation.error };
     }
+    const leadValidation = validateLead(lead);
+    if (leadValidation.error) {
+        return { error: leadValidation.error };
+    }
 
     // Request permission on first config
     if (pairs.length === 0) {
@@ -132,16 +400,20 @@ export async function addNotificationPair(checkpointStopId, routeId, directionId
     }
 
     const newPair = {
-        id: Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6),
+        id: newPairId(),
         checkpointStopId,
         routeId,
         directionId,
         remainingCount: count,
         totalCount: count,
+        lead: { type: lead.type, value: lead.value },
+        target: target ? { type: target.type, id: target.id, label: target.label ?? null } : null,
+        schedule: null,
     };
 
     pairs.push(newPair);
     writeConfig(pairs);
+    if (hasLead(newPair)) refreshLeadPredictions();
 
     return { pair: newPair, permissionState: getPermissionState() };
 }
@@ -180,6 +452,82 @@ export function updatePairCount(pairId, count) {
     return true;
 }
 
+/**
+ * Hand the countdown of counted pairs to the push relay, or take it back.
+ * Called by push.js after each relay sync: true once the relay holds the pairs, false when
+ * it does not (no pairs registered, sync failed).
+ *
+ * @param {boolean} enabled
+ */
+export function setRelayCounting(enabled) {
+    relayCounting = enabled;
+}
+
+/**
+ * Apply the push relay's counts: remaining counts of counted pairs, and pairs it expired.
+ * Expired pairs are removed as if they had counted down here (notification:pair-expired).
+ *
+ * @param {{pairs: Array<{id: string, remainingCount: number}>, expired: Array<string>}} counts
+ * @returns {boolean} — true if any pair changed
+ */
+export function applyRelayCounts(counts) {
+    let changed = false;
+    for (const { id, remainingCount } of counts.pairs || []) {
+        const pair = pairs.find(p => p.id === id);
+        if (pair && pair.remainingCount !== null && pair.remainingCount !== remainingCount) {
+            pair.remainingCount = remainingCount;
+            changed = true;
+        }
+    }
+    for (const id of counts.expired || []) {
+        const pair = pairs.find(p => p.id === id);
+        if (pair) {
+            expirePair(pair);
+            changed = true;
+        }
+    }
+    if (changed) writeConfig(pairs);
+    return changed;
+}
+
+/**
+ * Update the lead setting for a notification pair.
+ * Used by the alerts panel to change how far ahead of the checkpoint a pair fires.
+ *
+ * @param {string} pairId — pair ID to update
+ * @param {Object} lead — {type: 'stops'|'minutes', value}
+ * @returns {boolean} — true if updated, false if pair not found or lead invalid
+ */
+export function updatePairLead(pairId, lead) {
+    const pair = pairs.find(p => p.id === pairId);
+    if (!pair || validateLead(lead).error) return false;
+
+    pair.lead = { type: lead.type, value: lead.value };
+    writeConfig(pairs);
+    if (hasLead(pair)) refreshLeadPredictions();
+    return true;
+}
+
+/**
+ * Update the schedule for a notification pair.
+ * Used by the alerts panel to limit a pair to days and a time window.
+ *
+ * @param {string} pairId — pair ID to update
+ * @param {Object|null} schedule — {days, start, end, timeZone}, or null for always active
+ * @returns {boolean} — true if updated, false if pair not found or schedule invalid
+ */
+export function updatePairSchedule(pairId, schedule) {
+    const pair = pairs.find(p => p.id === pairId);
+    if (!pair || validateSchedule(schedule).error) return false;
+
+    pair.schedule = schedule
+        ? { days: [...schedule.days], start: schedule.start, end: schedule.end, timeZone: schedule.timeZone ?? null }
+        : null;
+    writeConfig(pairs);
+    if (hasLead(pair)) refreshLeadPredictions();
+    return true;
+}
+
 /**
  * Returns current notification pairs (in-memory cache).
  * Returns a shallow copy to prevent external mutations of internal state.
@@ -201,6 +549,7 @@ export function pauseNotifications() {
     } catch (error) {
         console.error('Failed to save pause state to localStorage:', error.message);
     }
+    emitConfigChanged();
 }
 
 /**
@@ -213,6 +562,7 @@ export function resumeNotifications() {
     } catch (error) {
         console.error('Failed to save pause state to localStorage:', error.message);
     }
+    emitConfigChanged();
 }
 
 /**
@@ -235,21 +585,110 @@ export function isPaused() {
 }
 
 /**
- * Check if vehicle is at checkpoint and matches configured direction.
+ * Whether two stop IDs refer to the same station (same stop, or child/parent/sibling platforms).
+ *
+ * @param {string} a — stop ID
+ * @param {string} b — stop ID
+ * @param {Map<string, Object>} [stopsData] — stop data for parent station resolution
+ * @returns {boolean}
+ */
+function isSameStation(a, b, stopsData) {
+    if (a === b) return true;
+    if (!stopsData || !a || !b) return false;
+    const stationA = stopsData.get(a)?.parentStopId || a;
+    const stationB = stopsData.get(b)?.parentStopId || b;
+    return stationA === stationB;
+}
+
+/**
+ * How far a vehicle is from a pair's checkpoint, from route predictions.
+ * Stops away counts the vehicle's current stop (the one it is at or heading to)
+ * plus every predicted stop between it and the checkpoint: stopped at the stop
+ * before the checkpoint is 1, heading into the checkpoint is 0.
+ * Pure function — no side effects.
+ *
+ * @param {Object} vehicle — vehicle state {tripId, currentStopSequence}
+ * @param {Object} pair — {checkpointStopId}
+ * @param {Array<Object>|null} predictions — parsed predictions for the pair's route and direction
+ * @param {Map<string, Object>} [stopsData] — stop data for parent station resolution
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @returns {{stopsAway: number, minutesAway: number|null}|null}
+ *   Null when the vehicle's trip has no prediction at the checkpoint (already passed, or no data)
+ */
+export function getLeadDistance(vehicle, pair, predictions, stopsData = null, now = Date.now()) {
+    if (!predictions || !vehicle.tripId) return null;
+
+    const tripStops = predictions.filter(p => p.tripId === vehicle.tripId && p.stopSequence != null);
+    const checkpoint = tripStops.find(p => isSameStation(p.stopId, pair.checkpointStopId, stopsData));
+    if (!checkpoint) return null;
+
+    const current = vehicle.currentStopSequence;
+    if (current == null || current > checkpoint.stopSequence) return null;
+
+    let stopsAway = 0;
+    if (current < checkpoint.stopSequence) {
+        const between = new Set(tripStops
+            .filter(p => p.stopSequence > current && p.stopSequence < checkpoint.stopSequence)
+            .map(p => p.stopSequence));
+        stopsAway = between.size + 1;
+    }
+
+    const timeStr = checkpoint.arrivalTime || checkpoint.departureTime;
+    const minutesAway = timeStr ? (new Date(timeStr).getTime() - now) / 60000 : null;
+
+    return { stopsAway, minutesAway };
+}
+
+/**
+ * Check if a vehicle should trigger a pair's notification.
  * Pure function — no side effects, no direction learning.
  * Terminus exception: skips direction check at terminus stops.
+ * Targeted pairs only match their vehicle (by ID) or trip (by trip ID).
+ *
+ * Trigger: a pair with a lead fires once the vehicle is within lead.value stops
+ * (or minutes) of the checkpoint, per getLeadDistance. Every pair also fires when
+ * the vehicle is STOPPED_AT/INCOMING_AT the checkpoint, so a lead pair still
+ * notifies (late) when predictions are unavailable.
  *
  * @param {Object} vehicle — vehicle state from vehicles.js
- * @param {Object} pair — {checkpointStopId, routeId, directionId}
+ * @param {Object} pair — {checkpointStopId, routeId, directionId, lead, target}
  * @param {Set<string>} notifiedSet — already-notified vehicle+pair keys
  * @param {Map<string, Object>} [stopsData] — optional stop data for parent station resolution
  * @param {Function} [terminusChecker] — (stopId, routeId) => boolean
+ * @param {Array<Object>} [predictions] — parsed predictions for the pair's route and direction
+ * @param {number} [now=Date.now()] — epoch milliseconds
  * @returns {boolean}
  */
-export function shouldNotify(vehicle, pair, notifiedSet, stopsData = null, terminusChecker = null) {
+export function shouldNotify(vehicle, pair, notifiedSet, stopsData = null, terminusChecker = null, predictions = null, now = Date.now()) {
     // Route must match
     if (vehicle.routeId !== pair.routeId) return false;
 
+    // Targeted pairs follow one vehicle or trip
+    if (!matchesTarget(vehicle, pair)) return false;
+
+    // Duplicate prevention (per vehicle + pair)
+    const notifyKey = `${vehicle.id}:${pair.id}`;
+    if (notifiedSet.has(notifyKey)) return false;
+
+    // Terminus exception: skip direction check at terminus stops
+    const isTerminus = terminusChecker
+        ? terminusChecker(pair.checkpointStopId, pair.routeId)
+        : false;
+
+    if (!isTerminus && vehicle.directionId != null && vehicle.directionId !== pair.directionId) {
+        return false;
+    }
+
+    // Lead trigger: within N stops / N minutes of the checkpoint
+    if (hasLead(pair)) {
+        const distance = getLeadDistance(vehicle, pair, predictions, stopsData, now);
+        if (distance) {
+            const { type, value } = pair.lead;
+            if (type === 'stops' && distance.stopsAway <= value) return true;
+            if (type === 'minutes' && distance.minutesAway !== null && distance.minutesAway <= value) return true;
+        }
+    }
+
     // Vehicle must be STOPPED_AT or INCOMING_AT the stop, not just in transit
     // MBTA current_status: "STOPPED_AT" | "INCOMING_AT" | "IN_TRANSIT_TO"
     // STOPPED_AT = confirmed at platform; INCOMING_AT = within braking distance
@@ -266,22 +705,24 @@ export function shouldNotify(vehicle, pair, notifiedSet, stopsData = null, termi
             atCheckpoint = true;
         }
     }
-    if (!atCheckpoint) return false;
-
-    // Duplicate prevention (per vehicle + pair)
-    const notifyKey = `${vehicle.id}:${pair.id}`;
-    if (notifiedSet.has(notifyKey)) return false;
-
-    // Terminus exception: skip direction check at terminus stops
-    const isTerminus = terminusChecker
-        ? terminusChecker(pair.checkpointStopId, pair.routeId)
-        : false;
+    return atCheckpoint;
+}
 
-    if (!isTerminus && vehicle.directionId != null && vehicle.directionId !== pair.directionId) {
-        return false;
+/**
+ * Format how far ahead a notification fired, for the notification body.
+ *
+ * @param {{stopsAway: number, minutesAway: number|null}|null} distance — from getLeadDistance
+ * @param {Object} lead — pair lead setting
+ * @returns {string} — e.g. '2 stops away', '4 min away', or '' when at the checkpoint
+ */
+export function formatLeadDistance(distance, lead) {
+    if (!distance) return '';
+    if (lead.type === 'minutes' && distance.minutesAway !== null) {
+        const minutes = Math.max(0, Math.round(distance.minutesAway));
+        return minutes === 0 ? 'arriving now' : `${minutes} min away`;
     }
-
-    return true;
+    if (distance.stopsAway === 0) return '';
+    return `${distance.stopsAway} stop${distance.stopsAway !== 1 ? 's' : ''} away`;
 }
 
 /**
@@ -307,6 +748,50 @@ export function selectNotificationPathway(nav = navigator, NotificationClass = g
     return 'none';
 }
 
+/**
+ * Build the title and options of a checkpoint notification.
+ * Pure function — shared with the Web Push relay (scripts/push-relay.mjs).
+ *
+ * @param {string} vehicleId — vehicle ID (for the notification tag)
+ * @param {Object} pair — notification pair config
+ * @param {string} checkpointName — checkpoint stop name
+ * @param {string} [directionLabel=''] — e.g. 'Ashmont/Braintree'
+ * @param {number|null} [routeType=null] — GTFS route type; null when route metadata is unavailable
+ * @param {string} [leadText=''] — how far ahead the vehicle is (e.g. '2 stops away')
+ * @returns {{title: string, options: Object}}
+ */
+export function buildNotificationContent(vehicleId, pair, checkpointName, directionLabel = '', routeType = null, leadText = '') {
+    // Determine vehicle type label based on route type
+    // MBTA route types: 0 = light rail, 1 = subway, 2 = commuter rail, 3 = bus, 4 = ferry
+    let vehicleTypeLabel = 'Train'; // default
+    if (routeType !== null) {
+        switch (routeType) {
+            case 0: vehicleTypeLabel = 'Trolley'; break;
+            case 1: vehicleTypeLabel = 'Train'; break;
+            case 2: vehicleTypeLabel = 'Train'; break;
+            case 3: vehicleTypeLabel = 'Bus'; break;
+            case 4: vehicleTypeLabel = 'Ferry'; break;
+            default: vehicleTypeLabel = 'Vehicle';
+        }
+    }
+
+    // Targeted pairs name the vehicle they follow ("Bus #1234 approaching …")
+    const targetLabel = pair.target?.label ? ` #${pair.target.label}` : '';
+    const title = `${vehicleTypeLabel}${targetLabel} approaching ${checkpointName}`;
+    const bodyParts = [];
+    if (directionLabel) bodyParts.push(`→ ${directionLabel}`);
+    if (leadText) bodyParts.push(leadText);
+    return {
+        title,
+        options: {
+            body: bodyParts.join(' · '),
+            tag: `ttracker-${vehicleId}-${pair.id}`,
+            icon: '/icons/icon-192.png',
+            badge: '/icons/icon-192.png',
+        },
+    };
+}
+
 /**
  * Fire a notification for a vehicle at checkpoint.
  * Uses ServiceWorker showNotification() when available (required for iOS PWA),
@@ -315,8 +800,9 @@ export function selectNotificationPathway(nav = navigator, NotificationClass = g
  * @param {Object} vehicle — vehicle state
  * @param {Object} pair — notification pair config
  * @param {Map<string, Object>} stopsData — stop ID → stop object mapping
+ * @param {string} [leadText=''] — how far ahead the vehicle is (e.g. '2 stops away')
  */
-function fireNotification(vehicle, pair, stopsData) {
+function fireNotification(vehicle, pair, stopsData, leadText = '') {
     const permission = getPermissionState();
     if (permission !== 'granted') {
         return;
@@ -331,31 +817,11 @@ function fireNotification(vehicle, pair, stopsData) {
         directionLabel = labels[pair.directionId] || '';
     }
 
-    // Determine vehicle type label based on route type
-    // MBTA route types: 0 = light rail, 1 = subway, 2 = commuter rail, 3 = bus, 4 = ferry
-    let vehicleTypeLabel = 'Train'; // default
-    if (_routeMetadataFn) {
-        const metadata = _routeMetadataFn();
-        const routeMeta = metadata.find(r => r.id === pair.routeId);
-        if (routeMeta) {
-            switch (routeMeta.type) {
-                case 0: vehicleTypeLabel = 'Trolley'; break;
-                case 1: vehicleTypeLabel = 'Train'; break;
-                case 2: vehicleTypeLabel = 'Train'; break;
-                case 3: vehicleTypeLabel = 'Bus'; break;
-                case 4: vehicleTypeLabel = 'Ferry'; break;
-                default: vehicleTypeLabel = 'Vehicle';
-            }
-        }
-    }
+    const routeType = _routeMetadataFn
+        ? _routeMetadataFn().find(r => r.id === pair.routeId)?.type ?? null
+        : null;
 
-    const title = `${vehicleTypeLabel} approaching ${checkpointName}`;
-    const options = {
-        body: directionLabel ? `→ ${directionLabel}` : '',
-        tag: `ttracker-${vehicle.id}-${pair.id}`,
-        icon: '/icons/icon-192.png',
-        badge: '/icons/icon-192.png',
-    };
+    const { title, options } = buildNotificationContent(vehicle.id, pair, checkpointName, directionLabel, routeType, leadText);
 
     const pathway = selectNotificationPathway();
     if (pathway === 'sw') {
@@ -369,6 +835,25 @@ function fireNotification(vehicle, pair, stopsData) {
 // Session-scoped Set, cleared on page reload
 const notifiedVehicles = new Set();
 
+/**
+ * Auto-delete a pair whose count reached 0 and tell the UI. The caller saves the config.
+ * @param {Object} pair
+ */
+function expirePair(pair) {
+    const index = pairs.indexOf(pair);
+    if (index !== -1) {
+        pairs.splice(index, 1);
+    }
+    console.log(`[Notify] Pair ${pair.id} expired (count reached 0), auto-deleted`);
+
+    // Notify UI of auto-delete
+    if (_apiEventsTarget) {
+        _apiEventsTarget.dispatchEvent(new CustomEvent('notification:pair-expired', {
+            detail: { pairId: pair.id, checkpointStopId: pair.checkpointStopId }
+        }));
+    }
+}
+
 /**
  * Check all pairs against a vehicle update. Fire notifications as needed.
  *
@@ -379,28 +864,24 @@ function checkAllPairs(vehicle, stopsData) {
     if (paused) return;
     // Iterate over a copy of pairs since we may remove elements during iteration
     for (const pair of [...pairs]) {
-        if (shouldNotify(vehicle, pair, notifiedVehicles, stopsData, _terminusChecker)) {
-            console.log(`[Notify] Vehicle ${vehicle.label || vehicle.id} at stop ${vehicle.stopId} matched checkpoint ${pair.checkpointStopId}`);
-            fireNotification(vehicle, pair, stopsData);
+        // Scheduled pairs only fire inside their days and time window
+        if (!isWithinSchedule(pair.schedule)) continue;
+        const predictions = hasLead(pair)
+            ? leadPredictions.get(`${pair.routeId}:${pair.directionId}`) || null
+            : null;
+        if (shouldNotify(vehicle, pair, notifiedVehicles, stopsData, _terminusChecker, predictions)) {
+            const leadText = hasLead(pair)
+                ? formatLeadDistance(getLeadDistance(vehicle, pair, predictions, stopsData), pair.lead)
+                : '';
+            console.log(`[Notify] Vehicle ${vehicle.label || vehicle.id} at stop ${vehicle.stopId} matched checkpoint ${pair.checkpointStopId}${leadText ? ` (${leadText})` : ''}`);
+            fireNotification(vehicle, pair, stopsData, leadText);
             notifiedVehicles.add(`${vehicle.id}:${pair.id}`);
 
-            // Decrement remaining count for counted pairs
-            if (pair.remainingCount !== null && pair.remainingCount !== undefined) {
+            // Decrement remaining count for counted pairs (the relay does it while it holds them)
+            if (!relayCounting && pair.remainingCount !== null && pair.remainingCount !== undefined) {
                 pair.remainingCount -= 1;
                 if (pair.remainingCount <= 0) {
-                    // Auto-delete expired pair
-                    const index = pairs.indexOf(pair);
-                    if (index !== -1) {
-                        pairs.splice(index, 1);
-                    }
-                    console.log(`[Notify] Pair ${pair.id} expired (count reached 0), auto-deleted`);
-
-                    // Notify UI of auto-delete
-                    if (_apiEventsTarget) {
-                        _apiEventsTarget.dispatchEvent(new CustomEvent('notification:pair-expired', {
-                            detail: { pairId: pair.id, checkpointStopId: pair.checkpointStopId }
-                        }));
-                    }
+                    expirePair(pair);
                 }
                 writeConfig(pairs);
             }
@@ -408,6 +889,32 @@ function checkAllPairs(vehicle, stopsData) {
     }
 }
 
+/**
+ * Re-fetch route predictions for every route/direction that has a lead pair inside its schedule.
+ * Drops cached predictions for route/directions no longer needed.
+ * Failures are logged and the previous predictions kept until the next poll.
+ */
+async function refreshLeadPredictions() {
+    if (!_predictionsFn) return;
+
+    const needed = new Map();
+    for (const pair of pairs) {
+        if (hasLead(pair) && isWithinSchedule(pair.schedule)) needed.set(`${pair.routeId}:${pair.directionId}`, pair);
+    }
+    for (const key of [...leadPredictions.keys()]) {
+        if (!needed.has(key)) leadPredictions.delete(key);
+    }
+    if (paused) return;
+
+    await Promise.all([...needed].map(async ([key, pair]) => {
+        try {
+            leadPredictions.set(key, await _predictionsFn(pair.routeId, pair.directionId));
+        } catch (error) {
+            console.warn(`[Notify] Failed to load predictions for ${key}:`, error.message);
+        }
+    }));
+}
+
 /**
  * Initialize notification monitoring.
  * Loads config from localStorage, subscribes to vehicle updates.
@@ -418,13 +925,15 @@ function checkAllPairs(vehicle, stopsData) {
  * @param {Function} [terminusChecker] — (stopId, routeId) => boolean
  * @param {Function} [directionLabelFn] — (routeId) => [dir0Label, dir1Label]
  * @param {Function} [routeMetadataFn] — () => Array<{id, type, ...}>
+ * @param {Function} [predictionsFn] — (routeId, directionId) => Promise<Array<prediction>>; enables lead triggers
  */
-export function initNotifications(apiEventsTarget, stopsData, terminusChecker = null, directionLabelFn = null, routeMetadataFn = null) {
+export function initNotifications(apiEventsTarget, stopsData, terminusChecker = null, directionLabelFn = null, routeMetadataFn = null, predictionsFn = null) {
     // Store injected dependencies
     _apiEventsTarget = apiEventsTarget;
     _terminusChecker = terminusChecker;
     _directionLabelFn = directionLabelFn;
     _routeMetadataFn = routeMetadataFn;
+    _predictionsFn = predictionsFn;
 
     // Load config from localStorage
     pairs = readConfig();
@@ -442,6 +951,17 @@ export function initNotifications(apiEventsTarget, stopsData, terminusChecker =
         }
     }
 
+    // Poll route predictions for lead pairs (stops/minutes ahead of the checkpoint)
+    leadPredictions.clear();
+    if (predictionPollTimer) {
+        clearInterval(predictionPollTimer);
+        predictionPollTimer = null;
+    }
+    if (_predictionsFn) {
+        refreshLeadPredictions();
+        predictionPollTimer = setInterval(refreshLeadPredictions, PREDICTION_POLL_MS);
+    }
+
     // Monitor vehicle updates for checkpoint crossings
     apiEventsTarget.addEventListener('vehicles:update', (e) => {
         checkAllPairs(e.detail, stopsData);
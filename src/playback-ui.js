@@ -0,0 +1,129 @@
+// src/playback-ui.js — Playback scrubber bar (time slider, play/pause, speed)
+import { enterPlayback, exitPlayback, seekPlayback, togglePlayback, setPlaybackSpeed, getPlaybackState, playbackEvents, PLAYBACK_SPEEDS } from './playback.js';
+
+// Slider resolution: the range input spans 0..SCRUBBER_STEPS across the recorded range
+const SCRUBBER_STEPS = 1000;
+
+let barEl = null;
+let toggleBtn = null;
+let scrubberEl = null;
+let timeEl = null;
+let playBtn = null;
+
+// True while the user is dragging the slider (state updates must not move it)
+let scrubbing = false;
+
+/**
+ * Pure function to format a playback time as a local wall-clock time.
+ * Exported for testing purposes.
+ *
+ * @param {number} t — epoch milliseconds
+ * @returns {string} — "HH:MM:SS" (24-hour)
+ */
+export function formatPlaybackTime(t) {
+    const d = new Date(t);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/**
+ * Pure function to map a time onto the scrubber's 0..SCRUBBER_STEPS scale.
+ * Exported for testing purposes.
+ *
+ * @param {number} t — epoch milliseconds
+ * @param {{start: number, end: number}} range — recorded range
+ * @returns {number} — slider position
+ */
+export function timeToScrubber(t, range) {
+    const span = range.end - range.start;
+    if (span <= 0) return SCRUBBER_STEPS;
+    return Math.round(((t - range.start) / span) * SCRUBBER_STEPS);
+}
+
+/**
+ * Pure function to map a scrubber position back to a time.
+ * Exported for testing purposes.
+ *
+ * @param {number} value — slider position (0..SCRUBBER_STEPS)
+ * @param {{start: number, end: number}} range — recorded range
+ * @returns {number} — epoch milliseconds
+ */
+export function scrubberToTime(value, range) {
+    return range.start + (value / SCRUBBER_STEPS) * (range.end - range.start);
+}
+
+/**
+ * Render the bar from a playback state (playback:state detail).
+ * @param {Object} state — from getPlaybackState()
+ */
+function render(state) {
+    barEl.classList.toggle('playback-bar--hidden', !state.active);
+    toggleBtn.classList.toggle('playback-toggle--active', state.active);
+    if (!state.active || !state.range) return;
+
+    playBtn.textContent = state.playing ? '❚❚' : '▶';
+    playBtn.title = state.playing ? 'Pause' : 'Play';
+    if (!scrubbing) {
+        scrubberEl.value = String(timeToScrubber(state.time, state.range));
+        timeEl.textContent = formatPlaybackTime(state.time);
+    }
+    barEl.querySelectorAll('.playback-bar__speed').forEach(btn => {
+        btn.classList.toggle('playback-bar__speed--selected', Number(btn.dataset.speed) === state.speed);
+    });
+}
+
+/**
+ * Initialize the playback bar and its toggle button.
+ *
+ * @param {HTMLElement} barElement — #playback-bar container
+ * @param {HTMLElement} toggleButton — button that enters playback
+ */
+export function initPlaybackUI(barElement, toggleButton) {
+    barEl = barElement;
+    toggleBtn = toggleButton;
+    scrubberEl = barEl.querySelector('.playback-bar__scrubber');
+    timeEl = barEl.querySelector('.playback-bar__time');
+    playBtn = barEl.querySelector('.playback-bar__play');
+
+    scrubberEl.max = String(SCRUBBER_STEPS);
+    barEl.querySelector('.playback-bar__speeds').innerHTML = PLAYBACK_SPEEDS
+        .map(s => `<button class="playback-bar__speed" data-speed="${s}">${s}x</button>`)
+        .join('');
+
+    toggleBtn.addEventListener('click', async () => {
+        if (getPlaybackState().active) {
+            exitPlayback();
+            return;
+        }
+        toggleBtn.disabled = true;
+        const entered = await enterPlayback();
+        toggleBtn.disabled = false;
+        if (!entered) {
+            toggleBtn.title = 'Nothing recorded yet — leave the map open to build history';
+        }
+    });
+
+    playBtn.addEventListener('click', () => togglePlayback());
+
+    // Live label while dragging; seek (which reloads history) only on release
+    scrubberEl.addEventListener('input', () => {
+        const { range } = getPlaybackState();
+        if (!range) return;
+        scrubbing = true;
+        timeEl.textContent = formatPlaybackTime(scrubberToTime(Number(scrubberEl.value), range));
+    });
+    scrubberEl.addEventListener('change', () => {
+        const { range } = getPlaybackState();
+        scrubbing = false;
+        if (range) seekPlayback(scrubberToTime(Number(scrubberEl.value), range));
+    });
+
+    barEl.querySelector('.playback-bar__speeds').addEventListener('click', (e) => {
+        const btn = e.target.closest('.playback-bar__speed');
+        if (btn) setPlaybackSpeed(Number(btn.dataset.speed));
+    });
+
+    barEl.querySelector('.playback-bar__live').addEventListener('click', () => exitPlayback());
+
+    playbackEvents.addEventListener('playback:state', (e) => render(e.detail));
+}
@@ -0,0 +1,282 @@
+// src/playback.js — Historical playback: replays recorded snapshots through vehicles.js
+import { initVehicles } from './vehicles.js';
+import { loadSnapshots, getRecordedRange, fromSnapshot } from './recorder.js';
+
+// Speed multipliers offered by the scrubber
+export const PLAYBACK_SPEEDS = [1, 10, 60];
+
+// A vehicle with no snapshot for this long is considered gone (recorder heartbeat is 60s)
+const STALE_MS = 5 * 60 * 1000;
+
+// Snapshots are loaded from IndexedDB in windows of this length ahead of the playhead
+const CHUNK_MS = 10 * 60 * 1000;
+
+// Playhead advance interval (real time)
+const TICK_MS = 250;
+
+// Default starting point when entering playback: this far before the end of the recording
+const DEFAULT_LOOKBACK_MS = 60 * 60 * 1000;
+
+/**
+ * Event source fed to initVehicles while playback is active. Emits the same
+ * vehicles:* events as the live stream, plus playback:state for the scrubber UI.
+ */
+export const playbackEvents = new EventTarget();
+
+// Live wiring, captured by initPlayback
+let liveEvents = null;
+let getViewportBounds = null;
+let resyncLive = null;
+
+// Playback state
+let active = false;
+let playing = false;
+let speed = PLAYBACK_SPEEDS[0];
+let playhead = 0; // epoch milliseconds
+let range = null; // {start, end} of the recording
+let lastTickAt = 0;
+let tickTimer = null;
+
+// Loaded window of snapshots, sorted by t
+let buffer = { from: 0, to: 0, snapshots: [] };
+let loading = null;
+
+// Map<vehicleId, snapshot> — vehicles currently shown on the map
+let shown = new Map();
+
+/**
+ * Resolve which vehicles are present at time t: the latest snapshot per vehicle
+ * at or before t, excluding removed vehicles and snapshots older than staleMs.
+ * Pure function for testability.
+ *
+ * @param {Array<Object>} snapshots — snapshot records sorted by t
+ * @param {number} t — epoch milliseconds
+ * @param {number} [staleMs=STALE_MS] — max age of a snapshot before the vehicle is dropped
+ * @returns {Map<string, Object>} — vehicleId → snapshot
+ */
+export function latestSnapshotsAt(snapshots, t, staleMs = STALE_MS) {
+    const latest = new Map();
+    for (const snapshot of snapshots) {
+        if (snapshot.t > t) break;
+        latest.set(snapshot.id, snapshot);
+    }
+
+    const result = new Map();
+    latest.forEach((snapshot, id) => {
+        if (!snapshot.removed && t - snapshot.t <= staleMs) {
+            result.set(id, snapshot);
+        }
+    });
+    return result;
+}
+
+/**
+ * Compute the vehicles:* events that turn one set of shown vehicles into another.
+ * Pure function for testability.
+ *
+ * @param {Map<string, Object>} prev — vehicleId → snapshot currently shown
+ * @param {Map<string, Object>} next — vehicleId → snapshot to show
+ * @returns {Array<{type: string, detail: Object}>} — events in dispatch order
+ */
+export function diffSnapshots(prev, next) {
+    const events = [];
+    prev.forEach((snapshot, id) => {
+        if (!next.has(id)) {
+            events.push({ type: 'vehicles:remove', detail: { id } });
+        }
+    });
+    next.forEach((snapshot, id) => {
+        const before = prev.get(id);
+        if (!before) {
+            events.push({ type: 'vehicles:add', detail: fromSnapshot(snapshot) });
+        } else if (before !== snapshot) {
+            events.push({ type: 'vehicles:update', detail: fromSnapshot(snapshot) });
+        }
+    });
+    return events;
+}
+
+/**
+ * Current playback state, as sent with playback:state events.
+ * @returns {{active: boolean, playing: boolean, speed: number, time: number, range: {start: number, end: number}|null}}
+ */
+export function getPlaybackState() {
+    return { active, playing, speed, time: playhead, range };
+}
+
+function emitState() {
+    playbackEvents.dispatchEvent(new CustomEvent('playback:state', { detail: getPlaybackState() }));
+}
+
+/**
+ * Make sure the buffer covers [t - STALE_MS, t + CHUNK_MS / 2]; reload a window
+ * around t otherwise. Also refreshes the recorded range (recording continues
+ * while playback is active).
+ * @param {number} t — epoch milliseconds
+ * @returns {Promise<void>}
+ */
+async function ensureBuffered(t) {
+    if (t - STALE_MS >= buffer.from && t + CHUNK_MS / 2 <= buffer.to) return;
+    if (loading) {
+        // A load for another position is in flight — wait, then re-check coverage
+        await loading;
+        return ensureBuffered(t);
+    }
+
+    const from = t - STALE_MS;
+    const to = t + CHUNK_MS;
+    loading = (async () => {
+        try {
+            const [snapshots, latestRange] = await Promise.all([loadSnapshots(from, to), getRecordedRange()]);
+            buffer = { from, to, snapshots };
+            if (latestRange) range = latestRange;
+        } catch (error) {
+            console.error('Failed to load playback history:', error?.message);
+        } finally {
+            loading = null;
+        }
+    })();
+    return loading;
+}
+
+/**
+ * Advance the playhead by elapsed real time × speed and emit the resulting vehicle changes.
+ */
+function tick() {
+    const now = Date.now();
+    playhead += (now - lastTickAt) * speed;
+    lastTickAt = now;
+
+    if (range && playhead >= range.end) {
+        playhead = range.end;
+        pausePlayback();
+    }
+
+    // Prefetch the next window in the background; render from what is loaded meanwhile
+    ensureBuffered(playhead);
+
+    const next = latestSnapshotsAt(buffer.snapshots, playhead);
+    for (const { type, detail } of diffSnapshots(shown, next)) {
+        playbackEvents.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+    shown = next;
+    emitState();
+}
+
+/**
+ * Move the playhead to a time and redraw all vehicles as of that moment.
+ * @param {number} t — epoch milliseconds (clamped to the recorded range)
+ * @returns {Promise<void>}
+ */
+export async function seekPlayback(t) {
+    if (!active || !range) return;
+    playhead = Math.min(Math.max(t, range.start), range.end);
+    await ensureBuffered(playhead);
+
+    shown = latestSnapshotsAt(buffer.snapshots, playhead);
+    playbackEvents.dispatchEvent(new CustomEvent('vehicles:reset', {
+        detail: [...shown.values()].map(fromSnapshot),
+    }));
+    lastTickAt = Date.now();
+    emitState();
+}
+
+/**
+ * Start advancing the playhead.
+ */
+export function playPlayback() {
+    if (!active || playing) return;
+    if (range && playhead >= range.end) return;
+    playing = true;
+    lastTickAt = Date.now();
+    tickTimer = setInterval(tick, TICK_MS);
+    emitState();
+}
+
+/**
+ * Stop advancing the playhead (vehicles stay where they are).
+ */
+export function pausePlayback() {
+    if (tickTimer) {
+        clearInterval(tickTimer);
+        tickTimer = null;
+    }
+    playing = false;
+    emitState();
+}
+
+/**
+ * Toggle between playing and paused.
+ */
+export function togglePlayback() {
+    if (playing) {
+        pausePlayback();
+    } else {
+        playPlayback();
+    }
+}
+
+/**
+ * Set the playback speed multiplier.
+ * @param {number} multiplier — one of PLAYBACK_SPEEDS
+ */
+export function setPlaybackSpeed(multiplier) {
+    if (!PLAYBACK_SPEEDS.includes(multiplier)) return;
+    speed = multiplier;
+    emitState();
+}
+
+/**
+ * Switch the map from the live stream to recorded history.
+ * vehicles.js is re-pointed at playbackEvents; the live stream keeps running
+ * (so recording and notifications continue) but no longer drives the markers.
+ *
+ * @param {number} [startTime] — epoch milliseconds; defaults to an hour before the end of the recording
+ * @returns {Promise<boolean>} — false if nothing has been recorded yet
+ */
+export async function enterPlayback(startTime) {
+    if (active) return true;
+
+    let recorded = null;
+    try {
+        recorded = await getRecordedRange();
+    } catch (error) {
+        console.error('Failed to read playback history:', error?.message);
+    }
+    if (!recorded) return false;
+
+    range = recorded;
+    active = true;
+    buffer = { from: 0, to: 0, snapshots: [] };
+    shown = new Map();
+    initVehicles(playbackEvents, getViewportBounds);
+    await seekPlayback(startTime ?? Math.max(range.start, range.end - DEFAULT_LOOKBACK_MS));
+    return true;
+}
+
+/**
+ * Return to the live stream. vehicles.js is re-pointed at the live event source and
+ * the live stream is asked for a fresh vehicles:reset.
+ */
+export function exitPlayback() {
+    if (!active) return;
+    pausePlayback();
+    active = false;
+    buffer = { from: 0, to: 0, snapshots: [] };
+    shown = new Map();
+    initVehicles(liveEvents, getViewportBounds);
+    if (resyncLive) resyncLive();
+    emitState();
+}
+
+/**
+ * Initialize playback wiring.
+ * @param {EventTarget} liveEventsTarget — live vehicles:* source to restore on exit (apiEvents)
+ * @param {Function} viewportBoundsCallback — returns current map bounds (passed through to initVehicles)
+ * @param {Function} [resyncLiveFn] — re-establishes the live stream so it sends vehicles:reset
+ */
+export function initPlayback(liveEventsTarget, viewportBoundsCallback, resyncLiveFn = null) {
+    liveEvents = liveEventsTarget;
+    getViewportBounds = viewportBoundsCallback;
+    resyncLive = resyncLiveFn;
+}
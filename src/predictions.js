@@ -0,0 +1,161 @@
+// src/predictions.js — MBTA predictions fetch, parsing, and arrival grouping
+import { config } from '../config.js';
+import { parsePrediction } from './mbta-parsers.js';
+
+// Re-exported: the parser lives in mbta-parsers.js so Node scripts can use it without config.js
+export { parsePrediction };
+
+// How long a fetched prediction set is reused before hitting the API again.
+// Popups open on hover, so without this a user sweeping across a line of stops
+// would spend a request per marker per pass.
+const CACHE_TTL_MS = 20000;
+
+// Predictions this far in the past are still shown (train is boarding/doors closing)
+const DEPARTED_GRACE_MS = 30000;
+
+// Map<cacheKey, {fetchedAt, predictions}> — recent results keyed by query
+const cache = new Map();
+
+// Map<cacheKey, Promise> — in-flight requests, so concurrent callers share one fetch
+const inFlight = new Map();
+
+/**
+ * Resolve the stop ID to query predictions for. Child platforms resolve to their
+ * parent station (as shouldNotify does for checkpoint matching), so a platform
+ * marker shows arrivals for every platform at the station.
+ *
+ * @param {string} stopId — stop ID from the marker
+ * @param {Map<string, Object>} [stopsData] — stop data for parent station resolution
+ * @returns {string} — parent station ID if one exists, otherwise stopId
+ */
+export function resolvePredictionStopId(stopId, stopsData = null) {
+    return stopsData?.get(stopId)?.parentStopId || stopId;
+}
+
+/**
+ * Key for an arrival group in the map returned by groupArrivals
+ * @param {string} routeId
+ * @param {number} directionId
+ * @returns {string}
+ */
+export function arrivalKey(routeId, directionId) {
+    return `${routeId}:${directionId}`;
+}
+
+/**
+ * Group predictions into the next arrivals per route and direction.
+ * Skipped/cancelled stops and predictions without a time are dropped; times are
+ * arrival_time, falling back to departure_time (origin stops have no arrival).
+ *
+ * @param {Array<Object>} predictions — parsed predictions
+ * @param {number} [now=Date.now()] — epoch milliseconds
+ * @param {number} [limit=3] — arrivals kept per route/direction
+ * @returns {Map<string, Array<{time: number, status: string|null, tripId: string|null}>>}
+ *   Keyed by arrivalKey(routeId, directionId), each list sorted soonest first
+ */
+export function groupArrivals(predictions, now = Date.now(), limit = 3) {
+    const groups = new Map();
+
+    for (const p of predictions) {
+        if (!p.routeId || p.directionId === null) continue;
+        if (p.scheduleRelationship === 'SKIPPED' || p.scheduleRelationship === 'CANCELLED') continue;
+
+        const timeStr = p.arrivalTime || p.departureTime;
+        if (!timeStr) continue;
+        const time = new Date(timeStr).getTime();
+        if (isNaN(time) || time < now - DEPARTED_GRACE_MS) continue;
+
+        const key = arrivalKey(p.routeId, p.directionId);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ time, status: p.status, tripId: p.tripId });
+    }
+
+    groups.forEach((list, key) => {
+        list.sort((a, b) => a.time - b.time);
+        groups.set(key, list.slice(0, limit));
+    });
+
+    return groups;
+}
+
+/**
+ * Fetch predictions from the MBTA API with the given filters.
+ * Results are cached for CACHE_TTL_MS; concurrent calls for the same key share one request.
+ *
+ * @param {string} cacheKey — key identifying this query in the cache
+ * @param {Object<string, string>} filters — query parameters (e.g., {'filter[stop]': 'place-davis'})
+ * @returns {Promise<Array<Object>>} — parsed predictions
+ * @throws {Error} on HTTP or network failure
+ */
+async function fetchCached(cacheKey, filters) {
+    const cached = cache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+        return cached.predictions;
+    }
+    if (inFlight.has(cacheKey)) {
+        return inFlight.get(cacheKey);
+    }
+
+    const request = (async () => {
+        const apiUrl = new URL(`${config.api.baseUrl}/predictions`);
+        for (const [key, value] of Object.entries(filters)) {
+            apiUrl.searchParams.append(key, value);
+        }
+        apiUrl.searchParams.append('api_key', config.api.key);
+
+        const response = await fetch(apiUrl.toString());
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const jsonApi = await response.json();
+        const predictions = (jsonApi.data || []).map(parsePrediction);
+        cache.set(cacheKey, { fetchedAt: Date.now(), predictions });
+        return predictions;
+    })();
+
+    inFlight.set(cacheKey, request);
+    try {
+        return await request;
+    } finally {
+        inFlight.delete(cacheKey);
+    }
+}
+
+/**
+ * Fetch predictions for a stop.
+ *
+ * @param {string} stopId — stop or parent station ID (parent IDs return predictions for all child platforms)
+ * @returns {Promise<Array<Object>>} — parsed predictions
+ * @throws {Error} on HTTP or network failure
+ */
+export function fetchPredictions(stopId) {
+    return fetchCached(`stop:${stopId}`, { 'filter[stop]': stopId });
+}
+
+/**
+ * Fetch predictions for every upcoming stop of every trip on a route in one direction.
+ * Used by lead-time notifications to count stops between a vehicle and its checkpoint.
+ *
+ * @param {string} routeId — route ID
+ * @param {number} directionId — direction ID (0 or 1)
+ * @returns {Promise<Array<Object>>} — parsed predictions
+ * @throws {Error} on HTTP or network failure
+ */
+export function fetchRoutePredictions(routeId, directionId) {
+    return fetchCached(`route:${routeId}:${directionId}`, {
+        'filter[route]': routeId,
+        'filter[direction_id]': String(directionId),
+    });
+}
+
+/**
+ * Fetch predictions for every remaining stop of one trip (the trip detail panel).
+ *
+ * @param {string} tripId — trip ID from the vehicle
+ * @returns {Promise<Array<Object>>} — parsed predictions
+ * @throws {Error} on HTTP or network failure
+ */
+export function fetchTripPredictions(tripId) {
+    return fetchCached(`trip:${tripId}`, { 'filter[trip]': tripId });
+}
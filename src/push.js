@@ -0,0 +1,133 @@
+// src/push.js — Web Push subscription, kept in sync with the notification relay (scripts/push-relay.mjs)
+import { config } from '../config.js';
+import { getNotificationPairs, isPaused, getPermissionState, applyRelayCounts, setRelayCounting } from './notifications.js';
+
+// Pair edits often come in bursts (count stepper, lead changes); sync once they settle
+const SYNC_DEBOUNCE_MS = 1000;
+
+let relayUrl = null;
+let syncTimer = null;
+
+/**
+ * Decode a base64url VAPID public key for pushManager.subscribe().
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} value — base64url string
+ * @returns {Uint8Array}
+ */
+export function urlBase64ToUint8Array(value) {
+    const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
+/**
+ * Build the relay registration body: the subscription plus the pair fields shouldNotify needs,
+ * and the counts (the relay keeps its own countdown unless totalCount says the user set a new one).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Object} subscription — PushSubscription.toJSON()
+ * @param {Array<Object>} pairs — notification pairs
+ * @param {boolean} paused
+ * @returns {{subscription: Object, pairs: Array<Object>, paused: boolean}}
+ */
+export function buildRegistration(subscription, pairs, paused) {
+    return {
+        subscription: { endpoint: subscription.endpoint, keys: subscription.keys },
+        pairs: pairs.map(p => ({
+            id: p.id,
+            checkpointStopId: p.checkpointStopId,
+            routeId: p.routeId,
+            directionId: p.directionId,
+            remainingCount: p.remainingCount ?? null,
+            totalCount: p.totalCount ?? p.remainingCount ?? null,
+            lead: p.lead,
+            // Only targeted or scheduled pairs carry a target or schedule, keeping other registrations unchanged
+            ...(p.target ? { target: p.target } : {}),
+            ...(p.schedule ? { schedule: p.schedule } : {}),
+        })),
+        paused,
+    };
+}
+
+/**
+ * Turn one pair's count from a push message into applyRelayCounts() input.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} pairId
+ * @param {number} remainingCount — 0 once the relay expired the pair
+ * @returns {{pairs: Array<{id: string, remainingCount: number}>, expired: Array<string>}}
+ */
+export function relayCountUpdate(pairId, remainingCount) {
+    return remainingCount > 0
+        ? { pairs: [{ id: pairId, remainingCount }], expired: [] }
+        : { pairs: [], expired: [pairId] };
+}
+
+/**
+ * Subscribe (once there are pairs) and send the current pairs to the relay. The relay answers
+ * with its counts, which replace the page's: it owns the countdown while it holds the pairs.
+ * Needs notification permission, which the first addNotificationPair() requests.
+ */
+async function syncSubscription() {
+    if (getPermissionState() !== 'granted') return;
+
+    const registration = await navigator.serviceWorker.ready;
+    const pairs = getNotificationPairs();
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription) {
+        setRelayCounting(false);
+        if (pairs.length === 0) return;
+        const response = await fetch(`${relayUrl}/vapid-public-key`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const { publicKey } = await response.json();
+        subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(publicKey),
+        });
+    }
+
+    const response = await fetch(`${relayUrl}/subscriptions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildRegistration(subscription.toJSON(), pairs, isPaused())),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    setRelayCounting(pairs.length > 0);
+    applyRelayCounts(await response.json());
+}
+
+/**
+ * Sync with the relay after SYNC_DEBOUNCE_MS. Failures are logged; the next change retries.
+ */
+function scheduleSync() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => {
+        syncSubscription().catch((err) => {
+            // The relay may not have the pairs: count on the page until a sync succeeds
+            setRelayCounting(false);
+            console.warn('[Push] Relay sync failed:', err.message);
+        });
+    }, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Initialize Web Push. Does nothing unless config.push.relayUrl is set and the browser
+ * supports push. Syncs on load (re-registers after a subscription change) and whenever
+ * the pairs or pause state change.
+ *
+ * @param {EventTarget} apiEventsTarget — emits notification:config-changed (notifications.js)
+ */
+export function initPush(apiEventsTarget) {
+    relayUrl = config.push?.relayUrl?.replace(/\/$/, '') || null;
+    if (!relayUrl || !('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+    apiEventsTarget.addEventListener('notification:config-changed', scheduleSync);
+    // Counts the relay sent with a push while the page is open (forwarded by sw.js)
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'pair-count') {
+            applyRelayCounts(relayCountUpdate(event.data.pairId, event.data.remainingCount));
+        }
+    });
+    scheduleSync();
+}
@@ -0,0 +1,297 @@
+// src/recorder.js — Records live vehicle positions to IndexedDB for historical playback
+import { config } from '../config.js';
+import { haversineDistance } from './vehicle-math.js';
+
+const DB_NAME = 'ttracker-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+// Defaults when config.history is absent (config.js predates playback)
+const DEFAULT_RETENTION_HOURS = 12;
+
+// Buffered snapshots are written in one transaction per flush
+const FLUSH_INTERVAL_MS = 5000;
+// Snapshots older than the retention window are deleted this often
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Per-vehicle throttle: re-record once a vehicle has moved MIN_MOVE_M or changed
+// stop/status, but at most every MIN_INTERVAL_MS. Stationary vehicles still get a
+// heartbeat every HEARTBEAT_MS so playback does not treat them as gone.
+const MIN_INTERVAL_MS = 15000;
+const MIN_MOVE_M = 10;
+const HEARTBEAT_MS = 60000;
+
+// Cached IndexedDB connection (Promise<IDBDatabase>)
+let dbPromise = null;
+
+// Map<vehicleId, snapshot> — last snapshot recorded per vehicle (throttle reference)
+const lastRecorded = new Map();
+
+// Snapshots waiting for the next flush
+let pending = [];
+
+let flushTimer = null;
+let pruneTimer = null;
+
+/**
+ * Convert a vehicle (as emitted on vehicles:* events) into a compact snapshot record.
+ * Coordinates are rounded to 5 decimals (~1m).
+ *
+ * @param {Object} vehicle — parsed vehicle from api.js
+ * @param {number} t — capture time, epoch milliseconds
+ * @returns {Object} — {t, id, lat, lng, bearing, routeId, directionId, status, stopId, stopSeq, label, tripId}
+ */
+export function toSnapshot(vehicle, t) {
+    return {
+        t,
+        id: vehicle.id,
+        lat: Math.round(vehicle.latitude * 1e5) / 1e5,
+        lng: Math.round(vehicle.longitude * 1e5) / 1e5,
+        bearing: vehicle.bearing ?? null,
+        routeId: vehicle.routeId ?? null,
+        directionId: vehicle.directionId ?? null,
+        status: vehicle.currentStatus ?? null,
+        stopId: vehicle.stopId ?? null,
+        stopSeq: vehicle.currentStopSequence ?? null,
+        label: vehicle.label ?? null,
+        tripId: vehicle.tripId ?? null,
+    };
+}
+
+/**
+ * Convert a snapshot record back into the vehicle shape vehicles.js consumes.
+ *
+ * @param {Object} snapshot — record produced by toSnapshot
+ * @returns {Object} — vehicle object ({id, latitude, longitude, bearing, routeId, ...})
+ */
+export function fromSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        latitude: snapshot.lat,
+        longitude: snapshot.lng,
+        bearing: snapshot.bearing,
+        routeId: snapshot.routeId,
+        directionId: snapshot.directionId,
+        currentStatus: snapshot.status,
+        stopId: snapshot.stopId,
+        currentStopSequence: snapshot.stopSeq,
+        label: snapshot.label,
+        tripId: snapshot.tripId,
+        updatedAt: new Date(snapshot.t).toISOString(),
+    };
+}
+
+/**
+ * Decide whether a new snapshot is worth recording given the vehicle's last recorded one.
+ * Pure function for testability.
+ *
+ * @param {Object|undefined} prev — last recorded snapshot for this vehicle
+ * @param {Object} next — candidate snapshot
+ * @returns {boolean}
+ */
+export function shouldRecordSnapshot(prev, next) {
+    if (!prev || prev.removed) return true;
+
+    const elapsed = next.t - prev.t;
+    if (elapsed >= HEARTBEAT_MS) return true;
+    if (elapsed < MIN_INTERVAL_MS) return false;
+
+    if (next.stopId !== prev.stopId || next.status !== prev.status || next.routeId !== prev.routeId) {
+        return true;
+    }
+    return haversineDistance(prev.lat, prev.lng, next.lat, next.lng) >= MIN_MOVE_M;
+}
+
+/**
+ * Retention window in milliseconds (config.history.retentionHours, default 12h).
+ * @returns {number}
+ */
+export function getRetentionMs() {
+    const hours = config.history?.retentionHours ?? DEFAULT_RETENTION_HOURS;
+    return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Open (or create) the history database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { autoIncrement: true });
+                store.createIndex('t', 't');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Write buffered snapshots in a single transaction.
+ */
+async function flush() {
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+
+    try {
+        const db = await openDb();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        batch.forEach(snapshot => store.add(snapshot));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } catch (error) {
+        console.error('Failed to write playback history (storage quota exceeded?):', error?.message);
+    }
+}
+
+/**
+ * Delete snapshots older than the retention window.
+ */
+async function prune() {
+    const cutoff = Date.now() - getRetentionMs();
+    try {
+        const db = await openDb();
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const index = tx.objectStore(STORE_NAME).index('t');
+        const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    } catch (error) {
+        console.error('Failed to prune playback history:', error?.message);
+    }
+}
+
+/**
+ * Load recorded snapshots in a time window, sorted by capture time.
+ *
+ * @param {number} from — epoch milliseconds (inclusive)
+ * @param {number} to — epoch milliseconds (inclusive)
+ * @returns {Promise<Array<Object>>} — snapshot records
+ */
+export async function loadSnapshots(from, to) {
+    const db = await openDb();
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('t');
+    return promisify(index.getAll(IDBKeyRange.bound(from, to)));
+}
+
+/**
+ * Time span covered by the recording.
+ *
+ * @returns {Promise<{start: number, end: number}|null>} — epoch milliseconds, or null if nothing recorded
+ */
+export async function getRecordedRange() {
+    const db = await openDb();
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('t');
+    const [first, last] = await Promise.all([
+        promisify(index.openCursor(null, 'next')),
+        promisify(index.openCursor(null, 'prev')),
+    ]);
+    if (!first || !last) return null;
+    return { start: first.value.t, end: last.value.t };
+}
+
+/**
+ * Queue a vehicle snapshot if it passes the per-vehicle throttle.
+ * @param {Object} vehicle — parsed vehicle
+ * @param {number} t — epoch milliseconds
+ */
+function record(vehicle, t) {
+    const snapshot = toSnapshot(vehicle, t);
+    if (!shouldRecordSnapshot(lastRecorded.get(vehicle.id), snapshot)) return;
+    lastRecorded.set(vehicle.id, snapshot);
+    pending.push(snapshot);
+}
+
+/**
+ * Queue a removal marker so playback drops the vehicle at the right moment.
+ * @param {string} vehicleId
+ * @param {number} t — epoch milliseconds
+ */
+function recordRemoval(vehicleId, t) {
+    const prev = lastRecorded.get(vehicleId);
+    if (!prev || prev.removed) return;
+    const marker = { t, id: vehicleId, removed: true };
+    lastRecorded.set(vehicleId, marker);
+    pending.push(marker);
+}
+
+/**
+ * Start recording vehicle positions from the live stream.
+ * Subscribes to vehicles:* events; snapshots are throttled per vehicle, written in
+ * batches, and pruned to the retention window (config.history.retentionHours).
+ * No-op where IndexedDB is unavailable.
+ *
+ * @param {EventTarget} apiEventsTarget — EventTarget emitting vehicles:* events (live stream only)
+ * @param {Function} [shouldRecordRoute] — (routeId) => boolean; limits which routes are recorded
+ */
+export function initRecorder(apiEventsTarget, shouldRecordRoute = null) {
+    if (typeof indexedDB === 'undefined') {
+        console.warn('IndexedDB unavailable — playback recording disabled');
+        return;
+    }
+
+    const accepts = (vehicle) => !shouldRecordRoute || shouldRecordRoute(vehicle.routeId);
+
+    apiEventsTarget.addEventListener('vehicles:reset', (e) => {
+        const now = Date.now();
+        const present = new Set();
+        for (const vehicle of e.detail) {
+            if (!accepts(vehicle)) continue;
+            present.add(vehicle.id);
+            record(vehicle, now);
+        }
+        // Vehicles that vanished across a reconnect get removal markers
+        for (const vehicleId of [...lastRecorded.keys()]) {
+            if (!present.has(vehicleId)) recordRemoval(vehicleId, now);
+        }
+    });
+    apiEventsTarget.addEventListener('vehicles:add', (e) => {
+        if (accepts(e.detail)) record(e.detail, Date.now());
+    });
+    apiEventsTarget.addEventListener('vehicles:update', (e) => {
+        if (accepts(e.detail)) record(e.detail, Date.now());
+    });
+    apiEventsTarget.addEventListener('vehicles:remove', (e) => {
+        recordRemoval(e.detail.id, Date.now());
+    });
+
+    if (flushTimer) clearInterval(flushTimer);
+    if (pruneTimer) clearInterval(pruneTimer);
+    flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+    pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+    prune();
+}
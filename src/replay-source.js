@@ -0,0 +1,117 @@
+// src/replay-source.js — Replay data source: plays a recorded GTFS-Realtime feed file as live vehicles
+import { entityToVehicle, diffSnapshot } from './gtfs-rt.js';
+
+// Gaps between recorded frames are capped so a recording with a long pause keeps moving;
+// frames without header timestamps play this far apart
+const MAX_FRAME_DELAY = 60000;
+const DEFAULT_FRAME_DELAY = 1000;
+
+/**
+ * Vehicles in a recorded frame, with timestamps moved so the frame reads as current:
+ * a position recorded 20s before its frame's header timestamp is 20s old at `now`.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Object} frame — FeedMessage (JSON form) with header.timestamp in epoch seconds
+ * @param {number} now — epoch milliseconds
+ * @returns {Array<Object>} — vehicles, as entityToVehicle()
+ */
+export function rebaseFrame(frame, now) {
+    const frameTime = Number(frame.header?.timestamp) * 1000;
+    return (frame.entity || []).map(entityToVehicle).filter(v => v !== null).map((vehicle) => {
+        if (!vehicle.updatedAt || !Number.isFinite(frameTime)) return vehicle;
+        const age = frameTime - Date.parse(vehicle.updatedAt);
+        return { ...vehicle, updatedAt: new Date(now - age).toISOString() };
+    });
+}
+
+/**
+ * Create a data source that replays a recorded feed: a JSON array of FeedMessages
+ * (the JSON form of successive VehiclePositions polls), played at the recorded pace.
+ * The first frame emits vehicles:reset, later frames the difference; looping starts over with a reset.
+ *
+ * @param {Object} options — config.dataSource: {url, speed, loop}
+ * @param {Object} sink — {emit(type, detail), status(state, message), parseError()} from api.js
+ * @param {Function} [fetchFn=fetch]
+ * @returns {{connect: Function, disconnect: Function}}
+ */
+export function createReplaySource(options, sink, fetchFn = (...args) => fetch(...args)) {
+    const speed = options.speed ?? 1;
+    const loop = options.loop ?? true;
+    let frames = null; // Loaded once, on first connect
+    let vehicles = null;
+    let index = 0;
+    let timer = null;
+    let active = false;
+    let generation = 0;
+
+    function playFrame() {
+        timer = null;
+        const list = rebaseFrame(frames[index], Date.now());
+        if (vehicles === null) {
+            sink.emit('vehicles:reset', list);
+        } else {
+            const { add, update, remove } = diffSnapshot(vehicles, list);
+            add.forEach(v => sink.emit('vehicles:add', v));
+            update.forEach(v => sink.emit('vehicles:update', v));
+            remove.forEach(id => sink.emit('vehicles:remove', { id }));
+        }
+        vehicles = new Map(list.map(v => [v.id, v]));
+
+        if (index + 1 < frames.length) {
+            const gap = (Number(frames[index + 1].header?.timestamp) - Number(frames[index].header?.timestamp)) * 1000;
+            const delay = Number.isFinite(gap) ? Math.min(Math.max(gap, 0), MAX_FRAME_DELAY) : DEFAULT_FRAME_DELAY;
+            index++;
+            timer = setTimeout(playFrame, delay / speed);
+        } else if (loop) {
+            index = 0;
+            vehicles = null;
+            timer = setTimeout(playFrame, DEFAULT_FRAME_DELAY / speed);
+        } else {
+            sink.status('connected', 'Replay finished');
+        }
+    }
+
+    async function start() {
+        const current = generation;
+        if (!frames) {
+            try {
+                const response = await fetchFn(options.url, { cache: 'no-store' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const data = await response.json();
+                if (!Array.isArray(data) || data.length === 0) throw new Error('Replay file must be a non-empty array of feed messages');
+                frames = data;
+            } catch (err) {
+                if (current !== generation) return;
+                console.error('Failed to load replay file:', err.message);
+                sink.status('error', 'Replay unavailable');
+                active = false;
+                return;
+            }
+        }
+        if (current !== generation) return;
+        index = 0;
+        vehicles = null;
+        sink.status('connected', 'Replay');
+        playFrame();
+    }
+
+    return {
+        connect() {
+            if (active) return;
+            if (!options.url) {
+                console.error('Replay data source needs config.dataSource.url');
+                return;
+            }
+            active = true;
+            generation++;
+            sink.status('reconnecting', 'Loading replay...');
+            start();
+        },
+        disconnect() {
+            active = false;
+            generation++;
+            clearTimeout(timer);
+            timer = null;
+        },
+    };
+}
@@ -0,0 +1,125 @@
+// src/route-geometry.js — Pure distance-along-path helpers for route polylines
+// No DOM access, no Leaflet dependency. Coordinates are {lat, lng} objects
+// (Leaflet LatLng instances satisfy this shape).
+
+import { haversineDistance, nearestPointOnSegment, calculateBearing } from './vehicle-math.js';
+
+/**
+ * Cumulative distance (meters) from the start of a path to each vertex.
+ *
+ * @param {Array<{lat: number, lng: number}>} coords — path vertices
+ * @returns {Array<number>} — same length as coords; first entry is 0
+ */
+export function cumulativeDistances(coords) {
+    const result = new Array(coords.length);
+    let total = 0;
+    for (let i = 0; i < coords.length; i++) {
+        if (i > 0) {
+            total += haversineDistance(coords[i - 1].lat, coords[i - 1].lng, coords[i].lat, coords[i].lng);
+        }
+        result[i] = total;
+    }
+    return result;
+}
+
+/**
+ * Project a point onto a path and report how far along the path it lands.
+ *
+ * @param {Array<{lat: number, lng: number}>} coords — path vertices (2+)
+ * @param {number} lat — point latitude
+ * @param {number} lng — point longitude
+ * @param {Array<number>} [cumulative] — precomputed cumulativeDistances(coords)
+ * @returns {{ lat: number, lng: number, distanceAlong: number, offset: number, segmentIndex: number }|null}
+ *   Projected point, meters from path start, meters off the path, and segment index.
+ *   Null if the path has fewer than 2 vertices.
+ */
+export function projectOntoPath(coords, lat, lng, cumulative = null) {
+    if (!coords || coords.length < 2) return null;
+    const cum = cumulative || cumulativeDistances(coords);
+
+    let best = null;
+    let bestIndex = 0;
+    for (let i = 0; i < coords.length - 1; i++) {
+        const result = nearestPointOnSegment(
+            lat, lng,
+            coords[i].lat, coords[i].lng,
+            coords[i + 1].lat, coords[i + 1].lng
+        );
+        if (!best || result.distSq < best.distSq) {
+            best = result;
+            bestIndex = i;
+        }
+    }
+
+    const start = coords[bestIndex];
+    const distanceAlong = cum[bestIndex] + haversineDistance(start.lat, start.lng, best.lat, best.lng);
+
+    return {
+        lat: best.lat,
+        lng: best.lng,
+        distanceAlong,
+        offset: haversineDistance(lat, lng, best.lat, best.lng),
+        segmentIndex: bestIndex,
+    };
+}
+
+/**
+ * Point at a given distance along a path, with the bearing of the segment it falls on.
+ * Distances outside [0, length] clamp to the path ends.
+ *
+ * @param {Array<{lat: number, lng: number}>} coords — path vertices (2+)
+ * @param {number} distance — meters from path start
+ * @param {Array<number>} [cumulative] — precomputed cumulativeDistances(coords)
+ * @returns {{ lat: number, lng: number, bearing: number }|null}
+ */
+export function pointAtDistance(coords, distance, cumulative = null) {
+    if (!coords || coords.length < 2) return null;
+    const cum = cumulative || cumulativeDistances(coords);
+    const total = cum[cum.length - 1];
+    const d = Math.max(0, Math.min(total, distance));
+
+    // Find the segment containing d (last segment if d === total)
+    let i = 0;
+    while (i < coords.length - 2 && cum[i + 1] < d) {
+        i++;
+    }
+
+    const a = coords[i];
+    const b = coords[i + 1];
+    const segLen = cum[i + 1] - cum[i];
+    const t = segLen > 0 ? (d - cum[i]) / segLen : 0;
+
+    return {
+        lat: a.lat + (b.lat - a.lat) * t,
+        lng: a.lng + (b.lng - a.lng) * t,
+        bearing: calculateBearing(a.lat, a.lng, b.lat, b.lng),
+    };
+}
+
+/**
+ * Extract the sub-path between two along-path distances (order-insensitive).
+ * Endpoints are interpolated so the slice starts and ends exactly at the given distances.
+ *
+ * @param {Array<{lat: number, lng: number}>} coords — path vertices (2+)
+ * @param {number} fromDist — meters from path start
+ * @param {number} toDist — meters from path start
+ * @param {Array<number>} [cumulative] — precomputed cumulativeDistances(coords)
+ * @returns {Array<{lat: number, lng: number}>} — sliced vertices (empty if path is degenerate)
+ */
+export function slicePath(coords, fromDist, toDist, cumulative = null) {
+    if (!coords || coords.length < 2) return [];
+    const cum = cumulative || cumulativeDistances(coords);
+    const lo = Math.min(fromDist, toDist);
+    const hi = Math.max(fromDist, toDist);
+
+    const startPt = pointAtDistance(coords, lo, cum);
+    const endPt = pointAtDistance(coords, hi, cum);
+    const result = [{ lat: startPt.lat, lng: startPt.lng }];
+    for (let i = 0; i < coords.length; i++) {
+        if (cum[i] > lo && cum[i] < hi) {
+            result.push({ lat: coords[i].lat, lng: coords[i].lng });
+        }
+    }
+    result.push({ lat: endPt.lat, lng: endPt.lng });
+    return result;
+}
@@ -0,0 +1,244 @@
+// src/schedule-adherence.js — Scheduled stop times per trip and early/late deviation for vehicles
+import { config } from '../config.js';
+import { parseSchedule } from './mbta-parsers.js';
+
+// On-time window (seconds relative to schedule), as the MBTA's reliability standard:
+// up to 1 minute early and 5 minutes late
+const DEFAULT_EARLY_SECONDS = 60;
+const DEFAULT_LATE_SECONDS = 300;
+
+// Unknown trips are collected while markers render, then fetched together
+const FETCH_DEBOUNCE_MS = 1000;
+const TRIPS_PER_REQUEST = 40; // filter[trip] list length per /schedules request
+
+// A trip's schedule is kept until the trip is long over; a failed fetch is retried after a minute
+const SCHEDULE_TTL_MS = 6 * 60 * 60 * 1000;
+const RETRY_AFTER_MS = 60000;
+
+// Map<tripId, {expiresAt, stops: Array<{stopId, stopSequence, arrival, departure}>}> —
+// stops sorted by stop sequence, times in epoch ms (null when not scheduled)
+const schedules = new Map();
+
+// Trip IDs waiting for the next fetch
+const pendingTrips = new Set();
+let fetchTimer = null;
+
+// Map<vehicleId, {updatedAt, currentStatus, currentStopSequence, stops, result}> — last result per vehicle,
+// so markers redrawn every frame don't recompute it
+const memo = new Map();
+
+/**
+ * Seconds a vehicle is behind (positive) or ahead of (negative) its trip's schedule.
+ * Measured at the vehicle's last report (updatedAt):
+ * - Stopped at a stop: report time minus the scheduled arrival there
+ * - Heading to a stop: late by however long the scheduled arrival has passed; early by however
+ *   long before the scheduled departure from the previous stop it left; otherwise on schedule
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Object} vehicle — {currentStatus, currentStopSequence, stopId, updatedAt}
+ * @param {Array<{stopId, stopSequence, arrival, departure}>} stops — the trip's schedule, sorted by sequence
+ * @param {number} [now=Date.now()] — used when the vehicle has no updatedAt
+ * @returns {number|null} — seconds, or null if the vehicle's stop isn't on the schedule
+ */
+export function computeScheduleDeviation(vehicle, stops, now = Date.now()) {
+    if (!stops || stops.length === 0) return null;
+
+    let index = vehicle.currentStopSequence != null
+        ? stops.findIndex(s => s.stopSequence === vehicle.currentStopSequence)
+        : -1;
+    if (index === -1 && vehicle.stopId) {
+        index = stops.findIndex(s => s.stopId === vehicle.stopId);
+    }
+    if (index === -1) return null;
+
+    const reported = vehicle.updatedAt ? Date.parse(vehicle.updatedAt) : NaN;
+    const time = Number.isNaN(reported) ? now : reported;
+    const stop = stops[index];
+    const arrival = stop.arrival ?? stop.departure;
+    if (arrival === null) return null;
+
+    if (vehicle.currentStatus === 'STOPPED_AT') {
+        return Math.round((time - arrival) / 1000);
+    }
+
+    if (time > arrival) {
+        return Math.round((time - arrival) / 1000);
+    }
+    const previous = stops[index - 1];
+    const previousDeparture = previous ? (previous.departure ?? previous.arrival) : null;
+    if (previousDeparture !== null && time < previousDeparture) {
+        return Math.round((time - previousDeparture) / 1000);
+    }
+    return 0;
+}
+
+/**
+ * Classify a schedule deviation.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {number} deviation — seconds late (negative = early)
+ * @param {number} [earlySeconds=60] — early beyond this is 'early'
+ * @param {number} [lateSeconds=300] — late beyond this is 'late'
+ * @returns {'early'|'on-time'|'late'}
+ */
+export function classifyDeviation(deviation, earlySeconds = DEFAULT_EARLY_SECONDS, lateSeconds = DEFAULT_LATE_SECONDS) {
+    if (deviation < -earlySeconds) return 'early';
+    if (deviation > lateSeconds) return 'late';
+    return 'on-time';
+}
+
+/**
+ * Group parsed schedules by trip, sorted by stop sequence, with times as epoch ms.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Array<Object>} parsed — parseSchedule() output
+ * @returns {Map<string, Array<{stopId, stopSequence, arrival, departure}>>}
+ */
+export function groupSchedulesByTrip(parsed) {
+    const toTime = value => (value ? Date.parse(value) : null);
+    const trips = new Map();
+    for (const s of parsed) {
+        if (!s.tripId) continue;
+        if (!trips.has(s.tripId)) trips.set(s.tripId, []);
+        trips.get(s.tripId).push({
+            stopId: s.stopId,
+            stopSequence: s.stopSequence,
+            arrival: toTime(s.arrivalTime),
+            departure: toTime(s.departureTime),
+        });
+    }
+    trips.forEach(stops => stops.sort((a, b) => a.stopSequence - b.stopSequence));
+    return trips;
+}
+
+/**
+ * Fetch schedules for a batch of trips. Trips the API has no schedule for (added trips)
+ * are stored empty so they aren't requested again.
+ *
+ * @param {Array<string>} tripIds
+ */
+async function fetchSchedules(tripIds) {
+    const now = Date.now();
+    try {
+        const apiUrl = new URL(`${config.api.baseUrl}/schedules`);
+        apiUrl.searchParams.append('filter[trip]', tripIds.join(','));
+        apiUrl.searchParams.append('api_key', config.api.key);
+
+        const response = await fetch(apiUrl.toString());
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const jsonApi = await response.json();
+        const byTrip = groupSchedulesByTrip((jsonApi.data || []).map(parseSchedule));
+        for (const tripId of tripIds) {
+            schedules.set(tripId, { expiresAt: now + SCHEDULE_TTL_MS, stops: byTrip.get(tripId) || [] });
+        }
+    } catch (err) {
+        console.warn('Failed to fetch schedules:', err.message);
+        for (const tripId of tripIds) {
+            schedules.set(tripId, { expiresAt: now + RETRY_AFTER_MS, stops: [] });
+        }
+    }
+}
+
+/**
+ * Drop expired schedules (trips long over, failed fetches due a retry), so a long session
+ * doesn't keep every trip it has seen.
+ * Exported for testing purposes.
+ *
+ * @param {Map<string, {expiresAt: number}>} entries — modified in place
+ * @param {number} [now=Date.now()]
+ */
+export function pruneSchedules(entries, now = Date.now()) {
+    for (const [tripId, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(tripId);
+    }
+}
+
+/**
+ * Fetch every pending trip, TRIPS_PER_REQUEST at a time. Expired schedules are pruned first.
+ */
+function flushPendingTrips() {
+    fetchTimer = null;
+    pruneSchedules(schedules);
+    const tripIds = [...pendingTrips];
+    pendingTrips.clear();
+    for (let i = 0; i < tripIds.length; i += TRIPS_PER_REQUEST) {
+        fetchSchedules(tripIds.slice(i, i + TRIPS_PER_REQUEST));
+    }
+}
+
+/**
+ * Look up a trip's schedule, queueing a fetch if it isn't loaded (or has expired).
+ * @param {string} tripId
+ * @returns {Array<Object>|null} — stops, or null while loading
+ */
+function getTripSchedule(tripId) {
+    const entry = schedules.get(tripId);
+    if (entry && entry.expiresAt > Date.now()) return entry.stops;
+    if (entry) schedules.delete(tripId);
+
+    if (!pendingTrips.has(tripId)) {
+        pendingTrips.add(tripId);
+        if (!fetchTimer) fetchTimer = setTimeout(flushPendingTrips, FETCH_DEBOUNCE_MS);
+    }
+    return null;
+}
+
+/**
+ * A trip's scheduled stops, in order (used by the vehicle popup's alert form).
+ * Like getAdherence(), the first call for a trip queues the schedule fetch.
+ *
+ * @param {string|null} tripId
+ * @returns {Array<{stopId, stopSequence, arrival, departure}>|null} — null without a trip or while loading
+ */
+export function getTripStops(tripId) {
+    return tripId ? getTripSchedule(tripId) : null;
+}
+
+/**
+ * How early or late a vehicle is running against its trip's schedule.
+ * Schedules are fetched on first request per trip, so the first call for a new trip
+ * returns null and later calls (after the fetch) return the result.
+ *
+ * @param {Object} vehicle — vehicle state with id, tripId, currentStatus, currentStopSequence, stopId, updatedAt
+ * @returns {{deviation: number, status: 'early'|'on-time'|'late'}|null} — deviation in seconds;
+ *   null without a trip, while the schedule loads, or when the trip has no schedule
+ */
+export function getAdherence(vehicle) {
+    if (!vehicle.tripId) return null;
+    const stops = getTripSchedule(vehicle.tripId);
+    if (!stops) return null;
+
+    const last = memo.get(vehicle.id);
+    if (last && last.stops === stops && last.updatedAt === vehicle.updatedAt &&
+        last.currentStatus === vehicle.currentStatus && last.currentStopSequence === vehicle.currentStopSequence) {
+        return last.result;
+    }
+
+    const deviation = computeScheduleDeviation(vehicle, stops);
+    const result = deviation === null ? null : {
+        deviation,
+        status: classifyDeviation(
+            deviation,
+            config.adherence?.earlySeconds ?? DEFAULT_EARLY_SECONDS,
+            config.adherence?.lateSeconds ?? DEFAULT_LATE_SECONDS,
+        ),
+    };
+    memo.set(vehicle.id, {
+        stops,
+        updatedAt: vehicle.updatedAt,
+        currentStatus: vehicle.currentStatus,
+        currentStopSequence: vehicle.currentStopSequence,
+        result,
+    });
+    return result;
+}
+
+/**
+ * Forget a vehicle's memoized result (its marker was removed)
+ * @param {string} vehicleId
+ */
+export function clearAdherence(vehicleId) {
+    memo.delete(vehicleId);
+}
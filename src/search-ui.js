@@ -0,0 +1,151 @@
+// src/search-ui.js — Route panel search box: fuzzy stop and route lookup, fly to stop, show route
+import { buildSearchIndex, searchPlaces, servingRoutes } from './search.js';
+import { getStopData, getRouteMetadata, getRouteStopsMap, getVisibleRoutes } from './map.js';
+import { openStopPopup } from './stop-markers.js';
+import { showRoutes } from './ui.js';
+import { escapeHtml } from './stop-popup.js';
+
+// Zoom the map flies to for a stop (kept if already closer)
+const STOP_ZOOM = 16;
+
+let mapInstance = null;
+let inputEl = null;
+let resultsEl = null;
+
+// Built when the box gets focus, so it reflects the latest static data
+let searchIndex = [];
+let results = [];
+let activeIndex = -1;
+
+/**
+ * Pure function to build the result list.
+ * Exported for testing purposes.
+ *
+ * @param {Array<Object>} entries — from searchPlaces()
+ * @param {number} active — index of the keyboard-highlighted entry, -1 for none
+ * @returns {string} — HTML
+ */
+export function buildSearchResultsHtml(entries, active) {
+    return entries.map((entry, index) => {
+        const activeClass = index === active ? ' route-search__result--active' : '';
+        const swatch = entry.color
+            ? `<span class="route-swatch" style="background: ${escapeHtml(entry.color)}"></span>`
+            : '<span class="route-search__stop-icon"></span>';
+        return `<li><button type="button" class="route-search__result${activeClass}" data-index="${index}">`
+            + `${swatch}<span class="route-search__label">${escapeHtml(entry.label)}</span>`
+            + `<span class="route-search__detail">${escapeHtml(entry.detail || '')}</span></button></li>`;
+    }).join('');
+}
+
+/**
+ * Show the current results (hidden when there are none).
+ */
+function render() {
+    resultsEl.innerHTML = buildSearchResultsHtml(results, activeIndex);
+    resultsEl.classList.toggle('route-search__results--hidden', results.length === 0);
+}
+
+/**
+ * Empty the box and hide the results.
+ */
+function clear() {
+    inputEl.value = '';
+    results = [];
+    activeIndex = -1;
+    render();
+}
+
+/**
+ * Fly to a stop and open its popup, turning on a serving route if none is visible
+ * (stop markers only exist for visible routes).
+ *
+ * @param {string} stopId — stop or parent station ID
+ */
+function selectStop(stopId) {
+    const stop = getStopData().get(stopId);
+    if (!stop) return;
+
+    const routes = servingRoutes(stopId, getStopData(), getRouteStopsMap(), getRouteMetadata());
+    const visible = getVisibleRoutes();
+    if (routes.length > 0 && !routes.some(id => visible.has(id))) {
+        showRoutes([routes[0]]);
+    }
+
+    mapInstance.once('moveend', () => {
+        if (!openStopPopup(stopId)) {
+            console.warn(`Stop ${stopId} has no marker to open`);
+        }
+    });
+    mapInstance.flyTo([stop.latitude, stop.longitude], Math.max(mapInstance.getZoom(), STOP_ZOOM));
+}
+
+/**
+ * Act on a chosen result.
+ * @param {Object} entry — search index entry
+ */
+function select(entry) {
+    clear();
+    inputEl.blur();
+    if (entry.type === 'route') {
+        showRoutes([entry.id]);
+    } else {
+        selectStop(entry.id);
+    }
+}
+
+/**
+ * Initialize the search box.
+ *
+ * @param {HTMLElement} container — .control-panel__search slot created by initUI()
+ * @param {L.Map} map — Leaflet map instance
+ */
+export function initSearch(container, map) {
+    mapInstance = map;
+    container.innerHTML = `<div class="route-search">
+        <input type="search" class="route-search__input" placeholder="Search stops and routes"
+            aria-label="Search stops and routes" autocomplete="off" spellcheck="false">
+        <ul class="route-search__results route-search__results--hidden" role="listbox"></ul>
+    </div>`;
+    inputEl = container.querySelector('.route-search__input');
+    resultsEl = container.querySelector('.route-search__results');
+
+    inputEl.addEventListener('focus', () => {
+        searchIndex = buildSearchIndex(getStopData(), getRouteMetadata());
+    });
+
+    inputEl.addEventListener('input', () => {
+        results = searchPlaces(inputEl.value, searchIndex);
+        activeIndex = results.length > 0 ? 0 : -1;
+        render();
+    });
+
+    inputEl.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (results.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + results.length) % results.length;
+            render();
+        } else if (event.key === 'Enter' && activeIndex >= 0) {
+            event.preventDefault();
+            // Through click() so the route panel closes its mobile drawer as for a tap
+            resultsEl.querySelector(`[data-index="${activeIndex}"]`).click();
+        } else if (event.key === 'Escape') {
+            clear();
+        }
+    });
+
+    resultsEl.addEventListener('click', (event) => {
+        const button = event.target.closest('.route-search__result');
+        if (!button) return;
+        const entry = results[Number(button.dataset.index)];
+        if (entry) select(entry);
+    });
+
+    // Hide results when clicking elsewhere; they come back on the next keystroke
+    document.addEventListener('click', (event) => {
+        if (!container.contains(event.target)) {
+            resultsEl.classList.add('route-search__results--hidden');
+        }
+    });
+}
@@ -0,0 +1,208 @@
+// src/search.js — Fuzzy matching of stop and route names for the route panel search box
+// Pure functions (no DOM, no map access) — search-ui.js supplies the data and renders results.
+
+// Score tiers, best first: a whole-name match beats a prefix, a prefix beats a substring,
+// and so on down to loose subsequence and one-typo matches
+const SCORE_EXACT = 100;
+const SCORE_PREFIX = 90;
+const SCORE_WORD_PREFIX = 80;
+const SCORE_ALL_WORDS = 70;
+const SCORE_SUBSTRING = 60;
+const SCORE_TYPO = 45;
+const SCORE_SUBSEQUENCE_MAX = 40;
+
+// Typo tolerance only for words long enough that one edit doesn't match everything
+const TYPO_MIN_LENGTH = 4;
+
+// Subway first, then commuter rail, ferry and bus — the route turned on for a stop
+const SERVICE_RANK = { 1: 0, 0: 0, 2: 1, 4: 2, 3: 3 };
+
+/**
+ * Normalize text for matching: lowercase, accents removed, punctuation as spaces.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} text
+ * @returns {string} — e.g. "Harvard Sq @ Mass. Ave" → "harvard sq mass ave"
+ */
+export function normalizeSearchText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * True when a and b differ by at most one insertion, deletion or substitution.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Score how well a query matches a name. Both must already be normalized.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} query — normalized query (normalizeSearchText)
+ * @param {string} text — normalized name
+ * @returns {number} — 0 for no match, up to SCORE_EXACT (100)
+ */
+export function fuzzyScore(query, text) {
+    if (!query || !text) return 0;
+    if (text === query) return SCORE_EXACT;
+    if (text.startsWith(query)) return SCORE_PREFIX;
+
+    const words = text.split(' ');
+    if (words.some(word => word.startsWith(query))) return SCORE_WORD_PREFIX;
+
+    // "porter sq" for "Porter Square", "lechmere arlington" for "Arlington Center - Lechmere"
+    const queryWords = query.split(' ');
+    if (queryWords.length > 1 && queryWords.every(qw => words.some(word => word.startsWith(qw)))) {
+        return SCORE_ALL_WORDS;
+    }
+    if (text.includes(query)) return SCORE_SUBSTRING;
+
+    // One typo per query word: "harverd", "cntral sq"
+    const typoMatch = queryWords.every(qw => words.some(word =>
+        word.startsWith(qw) ||
+        (qw.length >= TYPO_MIN_LENGTH && [-1, 0, 1].some(d => withinOneEdit(qw, word.slice(0, qw.length + d))))));
+    if (typoMatch) return SCORE_TYPO;
+
+    // Letters in order, closer together scoring higher: "dwntn" for "Downtown Crossing"
+    const compact = query.replace(/ /g, '');
+    let start = -1;
+    let pos = 0;
+    for (const ch of compact) {
+        pos = text.indexOf(ch, pos);
+        if (pos === -1) return 0;
+        if (start === -1) start = pos;
+        pos++;
+    }
+    return Math.max(1, Math.round(SCORE_SUBSEQUENCE_MAX * compact.length / (pos - start)));
+}
+
+/**
+ * Label for a route in search results.
+ * @param {Object} route — route metadata {id, shortName, longName, type}
+ * @returns {string} — "Route 87" for buses, long name otherwise
+ */
+function routeLabel(route) {
+    if (route.type === 3) return `Route ${route.shortName}`;
+    return route.longName || route.shortName || route.id;
+}
+
+/**
+ * Build the search index from stop and route data. Child platforms are left out (their
+ * station is listed instead), and same-named stops (e.g. both sides of a street) are listed once.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Map<string, Object>} stopsData — getStopData(): stopId → {id, name, latitude, longitude, parentStopId}
+ * @param {Array<Object>} routeMetadata — getRouteMetadata(): [{id, color, shortName, longName, type}]
+ * @returns {Array<Object>} — entries {type: 'stop'|'route', id, label, detail, color?, names: string[]}
+ */
+export function buildSearchIndex(stopsData, routeMetadata) {
+    const entries = [];
+
+    for (const route of routeMetadata) {
+        const label = routeLabel(route);
+        entries.push({
+            type: 'route',
+            id: route.id,
+            label,
+            detail: route.type === 3 ? route.longName : 'Route',
+            color: route.color,
+            names: [...new Set([label, route.shortName, route.longName].filter(Boolean).map(normalizeSearchText))],
+        });
+    }
+
+    const stations = new Set();
+    for (const stop of stopsData.values()) {
+        if (stop.parentStopId) stations.add(stop.parentStopId);
+    }
+    const seenNames = new Set();
+    for (const stop of stopsData.values()) {
+        if (stop.parentStopId && stopsData.has(stop.parentStopId)) continue;
+        const name = normalizeSearchText(stop.name);
+        if (!name || seenNames.has(name)) continue;
+        seenNames.add(name);
+        entries.push({
+            type: 'stop',
+            id: stop.id,
+            label: stop.name,
+            detail: stations.has(stop.id) ? 'Station' : 'Stop',
+            names: [name],
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Find the best matches for a query.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} query — raw text from the search box
+ * @param {Array<Object>} index — from buildSearchIndex()
+ * @param {number} [limit=8]
+ * @returns {Array<Object>} — index entries, best first; ties go to stations, then shorter names
+ */
+export function searchPlaces(query, index, limit = 8) {
+    const normalized = normalizeSearchText(query);
+    if (!normalized) return [];
+
+    const detailRank = entry => (entry.detail === 'Station' ? 0 : entry.type === 'route' ? 1 : 2);
+    return index
+        .map(entry => ({ entry, score: Math.max(...entry.names.map(name => fuzzyScore(normalized, name))) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) =>
+            b.score - a.score ||
+            detailRank(a.entry) - detailRank(b.entry) ||
+            a.entry.label.length - b.entry.label.length)
+        .slice(0, limit)
+        .map(({ entry }) => entry);
+}
+
+/**
+ * Routes serving a stop or any of its platforms, subway first, then commuter rail,
+ * ferry and bus (routeMetadata order within each).
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} stopId — stop or parent station ID
+ * @param {Map<string, Object>} stopsData — getStopData()
+ * @param {Map<string, Set<string>>} routeStopsMap — getRouteStopsMap()
+ * @param {Array<Object>} routeMetadata — getRouteMetadata()
+ * @returns {Array<string>} — route IDs
+ */
+export function servingRoutes(stopId, stopsData, routeStopsMap, routeMetadata) {
+    const stopIds = new Set([stopId]);
+    for (const stop of stopsData.values()) {
+        if (stop.parentStopId === stopId) stopIds.add(stop.id);
+    }
+
+    return routeMetadata
+        .filter((route) => {
+            const routeStops = routeStopsMap.get(route.id);
+            return routeStops && [...stopIds].some(id => routeStops.has(id));
+        })
+        .sort((a, b) => (SERVICE_RANK[a.type] ?? 3) - (SERVICE_RANK[b.type] ?? 3))
+        .map(route => route.id);
+}
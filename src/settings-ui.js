@@ -0,0 +1,151 @@
+// src/settings-ui.js — Settings panel: export to a file or link, import from a file or link
+import {
+    exportSettings, validateSettings, describeSettings, applySettings, encodeSettingsFragment, readSettingsFragment,
+    FRAGMENT_PARAM,
+} from './settings.js';
+
+let panelEl = null;
+
+/**
+ * Show a message in the panel.
+ * @param {string} text
+ * @param {boolean} [isError=false]
+ */
+function showMessage(text, isError = false) {
+    const messageEl = panelEl.querySelector('.settings-panel__message');
+    messageEl.textContent = text;
+    messageEl.classList.toggle('settings-panel__message--error', isError);
+}
+
+/**
+ * Download the current settings as a JSON file.
+ */
+function downloadSettings() {
+    const settings = exportSettings();
+    const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `ttracker-settings-${settings.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showMessage('Settings file downloaded');
+}
+
+/**
+ * Build a link carrying the current settings; copy it when the clipboard is available.
+ */
+async function shareLink() {
+    const url = `${location.origin}${location.pathname}#${await encodeSettingsFragment(exportSettings())}`;
+    const linkEl = panelEl.querySelector('.settings-panel__link');
+    linkEl.value = url;
+    linkEl.classList.remove('settings-panel__link--hidden');
+    linkEl.select();
+    try {
+        await navigator.clipboard.writeText(url);
+        showMessage('Link copied — open it on another device to import these settings');
+    } catch {
+        showMessage('Copy the link above and open it on another device');
+    }
+}
+
+/**
+ * Ask before replacing settings, then apply and reload so every module picks them up.
+ *
+ * @param {Object} settings — from validateSettings()
+ * @returns {boolean} — false if the user declined
+ */
+function confirmAndApply(settings) {
+    const ok = window.confirm(
+        `Import ${describeSettings(settings)}? This replaces those settings on this device.`);
+    if (!ok) return false;
+    applySettings(settings);
+    return true;
+}
+
+/**
+ * Import a settings file chosen in the panel.
+ * @param {File} file
+ */
+async function importFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch {
+        showMessage('That file is not valid JSON', true);
+        return;
+    }
+    const result = validateSettings(data);
+    if (result.error) {
+        showMessage(result.error, true);
+        return;
+    }
+    if (confirmAndApply(result.settings)) {
+        location.reload();
+    }
+}
+
+/**
+ * Open the settings panel.
+ *
+ * @param {string} [message] — shown in the panel (e.g., why a settings link failed)
+ * @param {boolean} [isError=false]
+ */
+export function openSettingsPanel(message = '', isError = false) {
+    if (!panelEl) return;
+    panelEl.classList.remove('settings-panel--hidden');
+    panelEl.querySelector('.settings-panel__link').classList.add('settings-panel__link--hidden');
+    showMessage(message, isError);
+}
+
+/**
+ * Import settings from a shared link, if the page was opened with one. Call before the
+ * route panel and notifications read localStorage. The settings parameter is removed from
+ * the address either way, so a reload doesn't ask again.
+ */
+export async function importSettingsFromLink() {
+    const result = await readSettingsFragment(location.hash);
+    if (!result) return;
+
+    const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+    params.delete(FRAGMENT_PARAM);
+    const rest = params.toString();
+    history.replaceState(null, '', `${location.pathname}${location.search}${rest ? `#${rest}` : ''}`);
+
+    if (result.error) {
+        console.warn('Settings link rejected:', result.error);
+        openSettingsPanel(result.error, true);
+        return;
+    }
+    confirmAndApply(result.settings);
+}
+
+/**
+ * Initialize the settings panel.
+ *
+ * @param {HTMLElement} panelElement — #settings-panel container
+ */
+export function initSettingsPanel(panelElement) {
+    panelEl = panelElement;
+
+    const close = () => panelEl.classList.add('settings-panel--hidden');
+    panelEl.querySelector('.settings-panel__close').addEventListener('click', close);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') close();
+    });
+
+    panelEl.querySelector('[data-action="export-file"]').addEventListener('click', downloadSettings);
+    panelEl.querySelector('[data-action="share-link"]').addEventListener('click', () => {
+        shareLink().catch((err) => {
+            console.error('Failed to build settings link:', err.message);
+            showMessage('Could not build a settings link in this browser', true);
+        });
+    });
+
+    const fileInput = panelEl.querySelector('.settings-panel__file');
+    panelEl.querySelector('[data-action="import-file"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (file) importFile(file);
+    });
+}
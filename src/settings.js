@@ -0,0 +1,205 @@
+// src/settings.js — Export and import of user settings as a versioned JSON file or URL fragment
+// Covers the ttracker-* localStorage state a user sets up by hand: visible routes, service
+// toggles, notification pairs and the paused flag. No DOM access.
+
+import { STORAGE_KEY as VISIBLE_ROUTES_KEY, SERVICE_TOGGLES_KEY } from './ui.js';
+import { CONFIG_KEY as NOTIFICATIONS_KEY, PAUSED_KEY, validateImportedPairs } from './notifications.js';
+
+export const SETTINGS_FORMAT = 'ttracker-settings';
+export const SETTINGS_VERSION = 1;
+
+// Hash parameter carrying settings in a shared link: #settings=<base64url deflate-raw JSON>
+export const FRAGMENT_PARAM = 'settings';
+
+// Service toggle keys, as written by ui.js
+const SERVICE_TYPES = ['subway', 'bus', 'commuterRail', 'ferry'];
+
+/**
+ * Parse a JSON localStorage entry, or null when missing or corrupt.
+ * @param {Storage} storage
+ * @param {string} key
+ * @returns {*}
+ */
+function readJson(storage, key) {
+    const stored = storage.getItem(key);
+    if (!stored) return null;
+    try {
+        return JSON.parse(stored);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Collect the current settings into an export document. Sections with nothing stored
+ * are left out, so importing the file leaves them as they are on the other device.
+ *
+ * @param {Storage} [storage=localStorage] — injectable for tests
+ * @param {number} [now=Date.now()] — export time, epoch ms
+ * @returns {Object} — {format, version, exportedAt, visibleRoutes?, serviceToggles?, notifications?}
+ */
+export function exportSettings(storage = localStorage, now = Date.now()) {
+    const settings = { format: SETTINGS_FORMAT, version: SETTINGS_VERSION, exportedAt: new Date(now).toISOString() };
+
+    const visibleRoutes = readJson(storage, VISIBLE_ROUTES_KEY);
+    if (Array.isArray(visibleRoutes)) settings.visibleRoutes = visibleRoutes;
+
+    const serviceToggles = readJson(storage, SERVICE_TOGGLES_KEY);
+    if (serviceToggles && typeof serviceToggles === 'object' && !Array.isArray(serviceToggles)) {
+        settings.serviceToggles = serviceToggles;
+    }
+
+    const pairs = readJson(storage, NOTIFICATIONS_KEY);
+    if (Array.isArray(pairs)) {
+        settings.notifications = { pairs, paused: storage.getItem(PAUSED_KEY) === 'true' };
+    }
+
+    return settings;
+}
+
+/**
+ * Validate an imported settings document. Alerts go through validateImportedPairs()
+ * (the readConfig()/validatePair() rules); stop and route IDs unknown to this device are
+ * dropped on load as for any stored settings.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {*} data — parsed JSON from a file or link
+ * @returns {Object} — {error} if invalid, otherwise {settings: {visibleRoutes?, serviceToggles?, notifications?}}
+ */
+export function validateSettings(data) {
+    if (!data || typeof data !== 'object' || data.format !== SETTINGS_FORMAT) {
+        return { error: 'Not a T-Tracker settings file' };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return { error: 'Settings file has no valid version' };
+    }
+    if (data.version > SETTINGS_VERSION) {
+        return { error: 'Settings were exported by a newer version of T-Tracker' };
+    }
+
+    const settings = {};
+
+    if (data.visibleRoutes !== undefined) {
+        if (!Array.isArray(data.visibleRoutes) || !data.visibleRoutes.every(id => typeof id === 'string')) {
+            return { error: 'Visible routes must be a list of route IDs' };
+        }
+        settings.visibleRoutes = [...new Set(data.visibleRoutes)];
+    }
+
+    if (data.serviceToggles !== undefined) {
+        const toggles = data.serviceToggles;
+        if (!toggles || typeof toggles !== 'object' || Array.isArray(toggles) ||
+            !Object.entries(toggles).every(([key, value]) => SERVICE_TYPES.includes(key) && typeof value === 'boolean')) {
+            return { error: 'Service toggles must be on/off values for subway, bus, commuterRail and ferry' };
+        }
+        settings.serviceToggles = { ...toggles };
+    }
+
+    if (data.notifications !== undefined) {
+        const { pairs, paused = false } = data.notifications ?? {};
+        if (typeof paused !== 'boolean') {
+            return { error: 'Alerts paused flag must be true or false' };
+        }
+        const validation = validateImportedPairs(pairs);
+        if (validation.error) {
+            return { error: validation.error };
+        }
+        settings.notifications = { pairs: validation.pairs, paused };
+    }
+
+    if (Object.keys(settings).length === 0) {
+        return { error: 'Settings file has nothing to import' };
+    }
+    return { settings };
+}
+
+/**
+ * Pure function to describe validated settings before they are applied.
+ * Exported for testing purposes.
+ *
+ * @param {Object} settings — from validateSettings()
+ * @returns {string} — e.g. "12 routes, service toggles, 3 alerts (paused)"
+ */
+export function describeSettings(settings) {
+    const parts = [];
+    if (settings.visibleRoutes) {
+        const n = settings.visibleRoutes.length;
+        parts.push(`${n} route${n !== 1 ? 's' : ''}`);
+    }
+    if (settings.serviceToggles) parts.push('service toggles');
+    if (settings.notifications) {
+        const n = settings.notifications.pairs.length;
+        parts.push(`${n} alert${n !== 1 ? 's' : ''}${settings.notifications.paused ? ' (paused)' : ''}`);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Write validated settings to localStorage, replacing each section present. Takes effect
+ * when the page (re)loads, since ui.js and notifications.js read storage on init.
+ *
+ * @param {Object} settings — from validateSettings()
+ * @param {Storage} [storage=localStorage] — injectable for tests
+ */
+export function applySettings(settings, storage = localStorage) {
+    if (settings.visibleRoutes) {
+        storage.setItem(VISIBLE_ROUTES_KEY, JSON.stringify(settings.visibleRoutes));
+    }
+    if (settings.serviceToggles) {
+        storage.setItem(SERVICE_TOGGLES_KEY, JSON.stringify(settings.serviceToggles));
+    }
+    if (settings.notifications) {
+        storage.setItem(NOTIFICATIONS_KEY, JSON.stringify(settings.notifications.pairs));
+        storage.setItem(PAUSED_KEY, String(settings.notifications.paused));
+    }
+}
+
+/**
+ * Pipe bytes through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} transform
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode settings as a URL fragment parameter: deflate-raw compressed JSON in base64url.
+ * The export time is left out to keep links short.
+ *
+ * @param {Object} settings — export document (exportSettings())
+ * @returns {Promise<string>} — 'settings=…', to append after '#'
+ */
+export async function encodeSettingsFragment(settings) {
+    const compact = { ...settings };
+    delete compact.exportedAt;
+    const json = new TextEncoder().encode(JSON.stringify(compact));
+    const compressed = await transformBytes(json, new CompressionStream('deflate-raw'));
+    const base64 = btoa(Array.from(compressed, b => String.fromCharCode(b)).join(''));
+    return `${FRAGMENT_PARAM}=${base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+}
+
+/**
+ * Read and validate settings from a URL fragment.
+ *
+ * @param {string} hash — location.hash (with or without the leading '#')
+ * @returns {Promise<Object|null>} — null if the fragment carries no settings,
+ *   otherwise validateSettings()'s {error} or {settings}
+ */
+export async function readSettingsFragment(hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(FRAGMENT_PARAM);
+    if (!encoded) return null;
+
+    let data;
+    try {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const compressed = Uint8Array.from(binary, c => c.charCodeAt(0));
+        const json = await transformBytes(compressed, new DecompressionStream('deflate-raw'));
+        data = JSON.parse(new TextDecoder().decode(json));
+    } catch {
+        return { error: 'Settings link is damaged or incomplete' };
+    }
+    return validateSettings(data);
+}
@@ -1,9 +1,12 @@
 // src/stop-markers.js — Renders stop markers on map for visible routes
 import { getStopData, getRouteStopsMap, getRouteColorMap, getRouteMetadata, getVisibleRoutes, getRouteStopDirectionsMap, isTerminusStop, getDirectionDestinations, snapToRoutePolyline } from './map.js';
-import { formatStopPopup, escapeHtml, buildChipPickerHtml } from './stop-popup.js';
+import { formatStopPopup, escapeHtml, buildChipPickerHtml, formatArrivalTimes } from './stop-popup.js';
 import { addNotificationPair, getNotificationPairs, MAX_PAIRS } from './notifications.js';
 import { updateStatus as updateNotificationStatus, renderPanel } from './notification-ui.js';
 import { haversineDistance } from './vehicle-math.js';
+import { getAlerts, getAlertsForStop, getDisruptedStopIds } from './alerts.js';
+import { fetchPredictions, groupArrivals, resolvePredictionStopId, arrivalKey } from './predictions.js';
+import { setTripEndpoint } from './trip-planner-ui.js';
 
 // Max distance (meters) a stop may sit from a route polyline and still snap onto it.
 // Beyond this, the marker renders at its raw GPS coordinate. Set to 120m so surface
@@ -57,15 +60,17 @@ function buildStopRoutesMap() {
  * @param {number} lat — latitude
  * @param {number} lng — longitude
  * @param {string} color — hex color string (e.g., '#DA291C')
+ * @param {boolean} [hasAlert=false] — render the service alert badge on the dot
  * @returns {L.Marker} — marker with divIcon and stopPane set
  */
-export function createStopMarker(lat, lng, color) {
+export function createStopMarker(lat, lng, color, hasAlert = false) {
+    const alertClass = hasAlert ? ' stop-dot--alert' : '';
     return L.marker([lat, lng], {
         icon: L.divIcon({
             className: 'stop-marker',
             iconSize: [44, 44],
             iconAnchor: [22, 22],
-            html: `<div class="stop-dot" style="--stop-color: ${color}"></div>`,
+            html: `<div class="stop-dot${alertClass}" style="--stop-color: ${color}"></div>`,
         }),
         pane: 'stopPane',
     });
@@ -233,9 +238,10 @@ export function getStopConfigState(stopId, childStopIds = null) {
     // When childStopIds provided, aggregate across all child stops; otherwise single stop
     const stopsToCheck = childStopIds || [stopId];
 
-    // Find which alerts already exist at any of these stops
+    // Find which alerts already exist at any of these stops. Vehicle/trip alerts (from vehicle
+    // popups) don't count: an any-vehicle alert can still be set alongside them.
     const existingAlerts = pairs
-        .filter(p => stopsToCheck.includes(p.checkpointStopId))
+        .filter(p => stopsToCheck.includes(p.checkpointStopId) && !p.target)
         .map(p => ({ routeId: p.routeId, directionId: p.directionId }));
 
     // Build route directions aggregated from all stops
@@ -316,6 +322,40 @@ function handleAlertResult(result, stopId, container) {
     }
 }
 
+/**
+ * Fetch predictions for an open stop popup and fill its arrival board placeholders.
+ * Queries the parent station when the popup's stop is a child platform.
+ * Bails out without touching the DOM if the popup closed while the fetch was in flight.
+ *
+ * @param {HTMLElement} popupRoot — the .stop-popup element (carries data-arrivals-stop-id)
+ * @param {AbortSignal} signal — aborted when the popup closes or is replaced
+ */
+async function loadArrivals(popupRoot, signal) {
+    const slots = popupRoot.querySelectorAll('.stop-popup__arrival-times');
+    if (slots.length === 0) return;
+
+    const queryStopId = resolvePredictionStopId(popupRoot.dataset.arrivalsStopId, getStopData());
+
+    let arrivals;
+    try {
+        arrivals = groupArrivals(await fetchPredictions(queryStopId));
+    } catch (err) {
+        console.warn(`Failed to load predictions for ${queryStopId}:`, err.message);
+        if (signal.aborted) return;
+        slots.forEach((el) => {
+            el.innerHTML = '<span class="stop-popup__arrival-none">Unavailable</span>';
+        });
+        return;
+    }
+
+    if (signal.aborted) return;
+    const now = Date.now();
+    slots.forEach((el) => {
+        const key = arrivalKey(el.dataset.routeId, parseInt(el.dataset.directionId, 10));
+        el.innerHTML = formatArrivalTimes(arrivals.get(key) || [], now);
+    });
+}
+
 /**
  * Attach hover/mouseout/popupclose behavior to a marker.
  * Encapsulates: on hover show popup, on mouseout hide (with delay), on popupclose reset sticky flag.
@@ -359,6 +399,21 @@ export function resolveMarkerKey(stopId) {
     return stopMarkers.has(stopId) ? stopId : childToParentMap.get(stopId);
 }
 
+/**
+ * Open a stop's popup (used to restore a shared link). Child platforms of a merged
+ * station open the station's popup.
+ *
+ * @param {string} stopId — stop ID
+ * @returns {boolean} — false if the stop has no marker (none of its routes visible)
+ */
+export function openStopPopup(stopId) {
+    const markerId = resolveMarkerKey(stopId);
+    const marker = markerId && stopMarkers.get(markerId);
+    if (!marker) return false;
+    marker.openPopup();
+    return true;
+}
+
 /**
  * Highlight a configured stop by increasing marker size and opacity.
  *
@@ -409,6 +464,41 @@ export function refreshAllHighlights() {
     }
 }
 
+/**
+ * Check whether a marker's stops are named by an active disruptive alert.
+ * Alerts may name child platforms or parent stations, so both levels are checked.
+ *
+ * @param {Array<string>} stopIds — stop IDs represented by the marker
+ * @param {Set<string>} disruptedStopIds — from getDisruptedStopIds()
+ * @param {Map<string, Object>} stopsData — stop data for parent station resolution
+ * @returns {boolean}
+ */
+export function isStopDisrupted(stopIds, disruptedStopIds, stopsData) {
+    return stopIds.some((id) => {
+        if (disruptedStopIds.has(id)) return true;
+        const parentId = stopsData.get(id)?.parentStopId;
+        return Boolean(parentId && disruptedStopIds.has(parentId));
+    });
+}
+
+/**
+ * Re-apply service alert badges to all rendered stop markers.
+ * Called when the alert set changes (alerts:* events).
+ */
+export function refreshAlertBadges() {
+    const disrupted = getDisruptedStopIds(getAlerts().values());
+    const stopsData = getStopData();
+
+    stopMarkers.forEach((marker, stopId) => {
+        const el = marker.getElement();
+        if (!el) return;
+        const dot = el.querySelector('.stop-dot');
+        if (!dot) return;
+        const stopIds = marker._childStopIds ? [stopId, ...marker._childStopIds] : [stopId];
+        dot.classList.toggle('stop-dot--alert', isStopDisrupted(stopIds, disrupted, stopsData));
+    });
+}
+
 /**
  * Initialize stop markers module.
  * Creates layer group, stores map instance for event delegation, and sets up popup event handling.
@@ -425,6 +515,13 @@ export function initStopMarkers(map, apiEventsTarget = null) {
         apiEventsTarget.addEventListener('notification:pair-expired', () => {
             refreshAllHighlights();
         });
+
+        // Keep alert badges in sync with the alerts stream
+        for (const type of ['alerts:reset', 'alerts:add', 'alerts:update', 'alerts:remove']) {
+            apiEventsTarget.addEventListener(type, () => {
+                refreshAlertBadges();
+            });
+        }
     }
 
     // Set up popup event delegation for alert button clicks and hover persistence
@@ -443,13 +540,17 @@ export function initStopMarkers(map, apiEventsTarget = null) {
         if (!container) return;
 
         // Only handle stop popups (check for stop-popup class)
-        if (!container.querySelector('.stop-popup')) return;
+        const popupRoot = container.querySelector('.stop-popup');
+        if (!popupRoot) return;
 
         // Abort any stale listeners from a previous popup
         if (popupAbort) popupAbort.abort();
         popupAbort = new AbortController();
         const { signal } = popupAbort;
 
+        // Fill the arrival board once predictions load
+        loadArrivals(popupRoot, signal);
+
         // Keep popup open when mouse enters popup area (cancel marker's mouseout timer)
         const sourceMarker = e.popup._source;
         if (sourceMarker) {
@@ -466,8 +567,15 @@ export function initStopMarkers(map, apiEventsTarget = null) {
             }, { signal });
         }
 
-        // Handle direction button clicks — reveal chip picker
+        // Handle trip endpoint and direction button clicks — set trip stops / reveal chip picker
         container.addEventListener('click', async (e) => {
+            const tripBtn = e.target.closest('[data-action="trip-endpoint"]');
+            if (tripBtn) {
+                mapInstance.closePopup();
+                setTripEndpoint(tripBtn.dataset.tripRole, tripBtn.dataset.tripStopId);
+                return;
+            }
+
             const showChipsBtn = e.target.closest('[data-action="show-chips"]');
             if (showChipsBtn) {
                 // Make popup sticky — only dismissible by click-away, not mouseout
@@ -488,6 +596,21 @@ export function initStopMarkers(map, apiEventsTarget = null) {
                 return;
             }
 
+            // Handle lead selection (at stop / N stops / N minutes ahead)
+            const leadChip = e.target.closest('.chip-picker__lead');
+            if (leadChip) {
+                const picker = leadChip.closest('.chip-picker');
+                if (!picker) return;
+
+                picker.querySelectorAll('.chip-picker__lead').forEach(c => c.classList.remove('chip-picker__lead--selected'));
+                leadChip.classList.add('chip-picker__lead--selected');
+
+                const createBtn = picker.querySelector('[data-action="create-alert"]');
+                createBtn.dataset.leadType = leadChip.dataset.leadType;
+                createBtn.dataset.leadValue = leadChip.dataset.leadValue;
+                return;
+            }
+
             // Handle chip selection
             const chip = e.target.closest('.chip-picker__chip');
             if (chip) {
@@ -548,8 +671,12 @@ export function initStopMarkers(map, apiEventsTarget = null) {
                 const stopId = createBtn.dataset.stopId;
                 const routeId = createBtn.dataset.routeId;
                 const directionId = parseInt(createBtn.dataset.directionId, 10);
+                const lead = {
+                    type: createBtn.dataset.leadType || 'stops',
+                    value: parseInt(createBtn.dataset.leadValue || '0', 10),
+                };
 
-                const result = await addNotificationPair(stopId, routeId, directionId, count);
+                const result = await addNotificationPair(stopId, routeId, directionId, count, lead);
                 handleAlertResult(result, stopId, container);
             }
         }, { signal });
@@ -575,6 +702,9 @@ export function updateVisibleStops(routeIds) {
     // Detect hover support (desktop vs touch)
     const hasHover = window.matchMedia('(hover: hover)').matches;
 
+    // Stops named by active disruptive alerts get a badge at creation time
+    const disruptedStopIds = getDisruptedStopIds(getAlerts().values());
+
     // Step 1: Collect stops to remove (avoid modifying Map during iteration)
     // Parent-keyed markers are not in visibleStopIds, so check against currentMergedParentIds
     const currentMergedParentIds = new Set(mergedStops.keys());
@@ -632,11 +762,14 @@ export function updateVisibleStops(routeIds) {
                 }
             });
 
-            const marker = createStopMarker(markerLat, markerLng, color);
+            const hasAlert = isStopDisrupted([parentId, ...childStopIds], disruptedStopIds, stopsData);
+            const marker = createStopMarker(markerLat, markerLng, color, hasAlert);
 
             // Store child IDs for popup and highlight lookup
             marker._childStopIds = childStopIds;
             marker._isMerged = true;
+            // Marker key, for the open popup in the URL (url-state.js)
+            marker._stopId = parentId;
 
             // Bind popup with aggregating content for merged marker
             const popupFunction = () => {
@@ -666,7 +799,8 @@ export function updateVisibleStops(routeIds) {
                 // Use parent stop data for popup header (name)
                 const parentStop = stopsData.get(parentId) || stopsData.get(childStopIds[0]);
                 const configState = getStopConfigState(parentId, childStopIds);
-                return formatStopPopup(parentStop, allRouteInfos, configState);
+                const alerts = getAlertsForStop(getAlerts().values(), [parentId, ...childStopIds], [...allRouteIds], stopsData);
+                return formatStopPopup(parentStop, allRouteInfos, configState, alerts);
             };
 
             marker.bindPopup(popupFunction, {
@@ -714,7 +848,10 @@ export function updateVisibleStops(routeIds) {
                 }
             });
 
-            const marker = createStopMarker(markerLat, markerLng, color);
+            const hasAlert = isStopDisrupted([stopId], disruptedStopIds, stopsData);
+            const marker = createStopMarker(markerLat, markerLng, color, hasAlert);
+            // Marker key, for the open popup in the URL (url-state.js)
+            marker._stopId = stopId;
 
             // Build popup content dynamically on each popup open
             // This ensures config state is always fresh
@@ -733,7 +870,8 @@ export function updateVisibleStops(routeIds) {
                     .filter(Boolean);
 
                 const configState = getStopConfigState(stopId);
-                return formatStopPopup(stop, routeInfos, configState);
+                const alerts = getAlertsForStop(getAlerts().values(), [stopId], routeInfos.map(r => r.id), stopsData);
+                return formatStopPopup(stop, routeInfos, configState, alerts);
             };
 
             marker.bindPopup(popupFunction, {
@@ -30,6 +30,92 @@ function validateHexColor(color) {
     return '#888888';
 }
 
+// Alert severity (MBTA 0-10 scale) at or above which an alert is styled as severe
+const SEVERE_ALERT_THRESHOLD = 7;
+
+/**
+ * Format an MBTA alert effect code for display
+ * @param {string|null} effect - Effect code (e.g., 'STATION_CLOSURE')
+ * @returns {string} Title-cased label (e.g., 'Station closure') or empty string
+ */
+export function formatAlertEffect(effect) {
+    if (!effect) return '';
+    const words = effect.toLowerCase().split('_');
+    words[0] = words[0].charAt(0).toUpperCase() + words[0].slice(1);
+    return words.join(' ');
+}
+
+/**
+ * Build the active service alerts section of a stop popup.
+ * @param {Array<Object>} alerts - Parsed alerts [{id, effect, header, severity}]
+ * @returns {string} HTML string, or empty string when there are no alerts
+ * @private
+ */
+function buildAlertsHtml(alerts) {
+    if (!alerts || alerts.length === 0) return '';
+
+    const items = alerts.map((alert) => {
+        const severe = alert.severity >= SEVERE_ALERT_THRESHOLD ? ' stop-popup__alert--severe' : '';
+        const effect = formatAlertEffect(alert.effect);
+        const effectHtml = effect
+            ? `<span class="stop-popup__alert-effect">${escapeHtml(effect)}</span>`
+            : '';
+        return `<div class="stop-popup__alert${severe}">${effectHtml}<span class="stop-popup__alert-header">${escapeHtml(alert.header)}</span></div>`;
+    });
+
+    return `<div class="stop-popup__alerts">${items.join('')}</div>`;
+}
+
+/**
+ * Format the upcoming arrival times for one route/direction.
+ * @param {Array<Object>|null|undefined} arrivals - Next arrivals [{time}] (epoch ms), soonest first;
+ *   null/undefined while predictions are still loading
+ * @param {number} [now=Date.now()] - Epoch milliseconds used for minute countdowns
+ * @returns {string} HTML string (e.g., 'Now, 4 min, 11 min')
+ */
+export function formatArrivalTimes(arrivals, now = Date.now()) {
+    if (arrivals == null) {
+        return '<span class="stop-popup__arrival-pending">\u2026</span>';
+    }
+    if (arrivals.length === 0) {
+        return '<span class="stop-popup__arrival-none">No predictions</span>';
+    }
+    return arrivals.map(({ time }) => {
+        const minutes = Math.round((time - now) / 60000);
+        return minutes <= 0 ? 'Now' : `${minutes} min`;
+    }).join(', ');
+}
+
+/**
+ * Build arrival board lines (one per served direction) for a single route row.
+ * Each times span carries data-route-id/data-direction-id so the popupopen handler
+ * can fill it in once predictions arrive.
+ * @param {Object} rd - Route direction info {routeId, dir0Label, dir1Label, availableDirections}
+ * @param {Map<string, Array<Object>>|null} arrivals - Arrivals keyed 'routeId:directionId', or null while loading
+ * @returns {string} HTML string
+ * @private
+ */
+function buildArrivalsHtml(rd, arrivals) {
+    const {
+        routeId,
+        dir0Label = 'Direction 0',
+        dir1Label = 'Direction 1',
+        availableDirections = [0, 1],
+    } = rd;
+    const escapedRouteId = escapeHtml(routeId);
+
+    const lines = availableDirections.map((directionId) => {
+        const label = directionId === 0 ? dir0Label : dir1Label;
+        const times = formatArrivalTimes(arrivals ? (arrivals.get(`${routeId}:${directionId}`) || []) : null);
+        return `<div class="stop-popup__arrival-line">
+            <span class="stop-popup__arrival-dir">${escapeHtml(label)}</span>
+            <span class="stop-popup__arrival-times" data-route-id="${escapedRouteId}" data-direction-id="${directionId}">${times}</span>
+        </div>`;
+    });
+
+    return `<div class="stop-popup__arrivals">${lines.join('')}</div>`;
+}
+
 /**
  * Format complete stop popup HTML with per-route direction alert buttons.
  * @param {Object} stop - Stop object with {id, name, latitude, longitude}
@@ -39,9 +125,12 @@ function validateHexColor(color) {
  * @param {number} configState.maxPairs - Maximum allowed pairs
  * @param {Array<Object>} [configState.existingAlerts] - Alerts at this stop [{routeId, directionId}]
  * @param {Array<Object>} [configState.routeDirections] - Per-route direction info [{routeId, routeName, dir0Label, dir1Label, isTerminus}]
+ * @param {Array<Object>} [alerts=[]] - Active service alerts for this stop [{id, effect, header, severity}]
+ * @param {Map<string, Array<Object>>|null} [arrivals=null] - Next arrivals keyed 'routeId:directionId'
+ *   (from groupArrivals); null renders pending placeholders to be filled after fetch
  * @returns {string} HTML string for popup content
  */
-export function formatStopPopup(stop, routeInfos, configState = {}) {
+export function formatStopPopup(stop, routeInfos, configState = {}, alerts = [], arrivals = null) {
     const {
         pairCount = 0,
         maxPairs = 5,
@@ -79,10 +168,14 @@ export function formatStopPopup(stop, routeInfos, configState = {}) {
             btnsHtml = buildRouteButtons(stop, rd, existingAlerts);
         }
 
+        // Arrival board lines need direction labels, so only routes with direction data get them
+        const arrivalsHtml = rd ? buildArrivalsHtml(rd, arrivals) : '';
+
         return `<div class="stop-popup__route-row">
             <span class="stop-popup__swatch" style="background: ${color}"></span>
             <span class="stop-popup__route-name">${routeName}</span>
             ${btnsHtml}
+            ${arrivalsHtml}
         </div>`;
     });
 
@@ -96,11 +189,47 @@ export function formatStopPopup(stop, routeInfos, configState = {}) {
         : `${pairCount}/${maxPairs} alerts configured`;
     const countHtml = `<div class="stop-popup__count">${countText}</div>`;
 
-    return `<div class="stop-popup">${headerHtml}${routesHtml}${countHtml}</div>`;
+    const alertsHtml = buildAlertsHtml(alerts);
+
+    // Trip planner endpoints — handled by stop-markers.js popup delegation
+    const escapedStopId = escapeHtml(stop.id);
+    const tripHtml = `<div class="stop-popup__trip">
+        <span class="stop-popup__trip-label">Trip</span>
+        <button class="stop-popup__trip-btn" data-action="trip-endpoint" data-trip-role="origin" data-trip-stop-id="${escapedStopId}">From here</button>
+        <button class="stop-popup__trip-btn" data-action="trip-endpoint" data-trip-role="destination" data-trip-stop-id="${escapedStopId}">To here</button>
+    </div>`;
+
+    return `<div class="stop-popup" data-arrivals-stop-id="${escapedStopId}">${headerHtml}${alertsHtml}${routesHtml}${countHtml}${tripHtml}</div>`;
+}
+
+// Lead choices offered for an alert: fire at the checkpoint, or a few stops/minutes ahead of it.
+// Values must pass validateLead in notifications.js.
+const LEAD_OPTIONS = [
+    { type: 'stops', value: 0, label: 'At stop' },
+    { type: 'stops', value: 1, label: '1 stop' },
+    { type: 'stops', value: 2, label: '2 stops' },
+    { type: 'minutes', value: 5, label: '5 min' },
+    { type: 'minutes', value: 10, label: '10 min' },
+];
+
+/**
+ * Build the lead chip row ("Notify: At stop / 1 stop / 2 stops / 5 min / 10 min").
+ * Shared by the stop popup chip picker and the alerts panel lead editor.
+ * @param {Object} [selectedLead] - Currently selected lead {type, value}; defaults to at-stop
+ * @returns {string} HTML string
+ */
+export function buildLeadChipsHtml(selectedLead = { type: 'stops', value: 0 }) {
+    const chips = LEAD_OPTIONS.map(({ type, value, label }) => {
+        const selected = selectedLead && selectedLead.type === type && selectedLead.value === value
+            ? ' chip-picker__lead--selected'
+            : '';
+        return `<button class="chip-picker__lead${selected}" data-lead-type="${type}" data-lead-value="${value}">${label}</button>`;
+    });
+    return `<div class="chip-picker__leads"><span class="chip-picker__leads-label">Notify</span>${chips.join('')}</div>`;
 }
 
 /**
- * Build chip picker HTML for notification count selection.
+ * Build chip picker HTML for notification count and lead selection.
  * @param {string} stopId — stop ID
  * @param {string} routeId — route ID
  * @param {number} directionId — direction ID
@@ -119,7 +248,8 @@ export function buildChipPickerHtml(stopId, routeId, directionId) {
             <input class="chip-picker__morph-input" type="text" inputmode="numeric" pattern="[0-9]*" placeholder="1-99" maxlength="2">
             <button class="chip-picker__chip" data-count="unlimited">∞</button>
         </div>
-        <button class="chip-picker__create" data-action="create-alert" data-stop-id="${escapedStopId}" data-route-id="${escapedRouteId}" data-direction-id="${directionId}" data-count="1">Set Alert</button>
+        ${buildLeadChipsHtml()}
+        <button class="chip-picker__create" data-action="create-alert" data-stop-id="${escapedStopId}" data-route-id="${escapedRouteId}" data-direction-id="${directionId}" data-count="1" data-lead-type="stops" data-lead-value="0">Set Alert</button>
     </div>`;
 }
 
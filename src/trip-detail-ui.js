@@ -0,0 +1,243 @@
+// src/trip-detail-ui.js — Trip detail panel: a clicked vehicle's remaining stops, path ahead and follow mode
+import { buildRemainingStops, computePathAhead } from './trip-detail.js';
+import { fetchTripPredictions } from './predictions.js';
+import {
+    getStopData, getRouteMetadata, setPathAhead, setFollowedVehicle, getFollowedVehicle, setVehicleClickHandler,
+} from './map.js';
+import { formatTripRouteName } from './trip-planner-ui.js';
+import { escapeHtml } from './stop-popup.js';
+
+// The vehicle moves along its path ahead; redraw often enough that the highlight keeps up.
+// Predictions are cached for 20 s in predictions.js, so this doesn't add requests.
+const REFRESH_INTERVAL_MS = 2000;
+
+let panelEl = null;
+let getVehicles = null;
+let refreshTimer = null;
+let onVehicleChange = null;
+
+// Vehicle shown in the panel, and the last predictions fetched for its trip:
+// {tripId, predictions} — null until the first fetch for the current trip returns
+let vehicleId = null;
+let tripPredictions = null;
+let loadFailed = false;
+
+/**
+ * Pure function to format a predicted stop time as a countdown.
+ * Exported for testing purposes.
+ *
+ * @param {number|null} time — epoch ms
+ * @param {number} [now=Date.now()]
+ * @returns {string} — 'Now', 'N min', or '' without a time
+ */
+export function formatStopCountdown(time, now = Date.now()) {
+    if (time === null) return '';
+    const minutes = Math.round((time - now) / 60000);
+    return minutes <= 0 ? 'Now' : `${minutes} min`;
+}
+
+/**
+ * Pure function to build the remaining stops list.
+ * Exported for testing purposes.
+ *
+ * @param {Array<{name: string, time: number|null, status: string|null, skipped: boolean}>|null} stops —
+ *   display-ready remaining stops, null while predictions load
+ * @param {number} [now=Date.now()]
+ * @returns {string} — HTML
+ */
+export function buildTripDetailHtml(stops, now = Date.now()) {
+    if (stops === null) {
+        return '<div class="trip-detail__empty">Loading predictions…</div>';
+    }
+    if (stops.length === 0) {
+        return '<div class="trip-detail__empty">No upcoming stops predicted for this trip</div>';
+    }
+
+    const items = stops.map((stop) => {
+        const time = stop.skipped ? 'Skipped' : (stop.status || formatStopCountdown(stop.time, now));
+        const skippedClass = stop.skipped ? ' trip-detail__stop--skipped' : '';
+        return `<li class="trip-detail__stop${skippedClass}">` +
+            `<span class="trip-detail__stop-name">${escapeHtml(stop.name)}</span>` +
+            `<span class="trip-detail__stop-time">${escapeHtml(time)}</span>` +
+            '</li>';
+    }).join('');
+
+    return `<ol class="trip-detail__stops">${items}</ol>`;
+}
+
+/**
+ * Stop name for the list; platforms without a name of their own use their station's.
+ * @param {Map<string, Object>} stopsData
+ * @param {string} stopId
+ * @returns {string}
+ */
+function stopName(stopsData, stopId) {
+    const stop = stopsData.get(stopId);
+    return stop?.name || stopsData.get(stop?.parentStopId)?.name || stopId;
+}
+
+/**
+ * Reflect the follow state on the button.
+ */
+function updateFollowButton() {
+    const button = panelEl.querySelector('.trip-detail__follow');
+    const following = vehicleId !== null && getFollowedVehicle() === vehicleId;
+    button.classList.toggle('trip-detail__follow--active', following);
+    button.textContent = following ? 'Following' : 'Follow this vehicle';
+}
+
+/**
+ * Redraw the panel and the path ahead from the current vehicle state and predictions.
+ */
+function render() {
+    const vehicle = getVehicles().get(vehicleId);
+    const titleEl = panelEl.querySelector('.trip-detail__title');
+    const subtitleEl = panelEl.querySelector('.trip-detail__subtitle');
+    const body = panelEl.querySelector('.trip-detail__body');
+    const followButton = panelEl.querySelector('.trip-detail__follow');
+
+    if (!vehicle || vehicle.state === 'exiting') {
+        subtitleEl.textContent = '';
+        body.innerHTML = '<div class="trip-detail__empty">This vehicle is no longer reporting</div>';
+        followButton.disabled = true;
+        setPathAhead(null, []);
+        updateFollowButton();
+        return;
+    }
+
+    const route = getRouteMetadata().find(r => r.id === vehicle.routeId);
+    titleEl.textContent = `${formatTripRouteName(route, vehicle.routeId)} #${vehicle.label ?? vehicle.id}`;
+    followButton.disabled = false;
+    updateFollowButton();
+
+    if (!vehicle.tripId) {
+        subtitleEl.textContent = '';
+        body.innerHTML = '<div class="trip-detail__empty">No trip assigned to this vehicle</div>';
+        setPathAhead(null, []);
+        return;
+    }
+
+    const stopsData = getStopData();
+    let stops = null;
+    if (tripPredictions?.tripId === vehicle.tripId) {
+        stops = buildRemainingStops(tripPredictions.predictions, vehicle);
+    }
+    const lastStop = stops?.filter(s => !s.skipped).pop() ?? null;
+
+    if (stops === null && loadFailed) {
+        subtitleEl.textContent = '';
+        body.innerHTML = '<div class="trip-detail__empty">Predictions unavailable</div>';
+    } else {
+        subtitleEl.textContent = lastStop ? `To ${stopName(stopsData, lastStop.stopId)}` : '';
+        body.innerHTML = buildTripDetailHtml(stops && stops.map(s => ({ ...s, name: stopName(stopsData, s.stopId) })));
+    }
+
+    // Path ahead: along the route path the vehicle is following, up to the trip's last stop
+    if (vehicle.path && vehicle.pathMotion) {
+        const end = lastStop ? stopsData.get(lastStop.stopId) : null;
+        setPathAhead(vehicle.routeId, computePathAhead(
+            vehicle.path.coords,
+            { lat: vehicle.latitude, lng: vehicle.longitude },
+            vehicle.pathMotion.direction,
+            end ? { lat: end.latitude, lng: end.longitude } : null,
+            vehicle.path.cum,
+        ));
+    } else {
+        setPathAhead(null, []);
+    }
+}
+
+/**
+ * Fetch the open vehicle's trip predictions (cached in predictions.js), then redraw.
+ */
+function refresh() {
+    render();
+
+    const vehicle = getVehicles().get(vehicleId);
+    if (!vehicle?.tripId) return;
+    const { tripId } = vehicle;
+    // The panel may have closed or switched vehicles while the request was out
+    const current = () => getVehicles().get(vehicleId)?.tripId === tripId;
+    fetchTripPredictions(tripId)
+        .then((predictions) => {
+            if (!current()) return;
+            tripPredictions = { tripId, predictions };
+            loadFailed = false;
+            render();
+        })
+        .catch((err) => {
+            console.warn('Failed to fetch trip predictions:', err.message);
+            if (!current()) return;
+            loadFailed = true;
+            render();
+        });
+}
+
+/**
+ * Open the panel for a vehicle (called when its marker is clicked).
+ *
+ * @param {string} id — vehicle ID
+ */
+export function openTripDetail(id) {
+    if (!panelEl) return;
+    if (id !== vehicleId) {
+        tripPredictions = null;
+        loadFailed = false;
+        // Following belongs to the vehicle the panel was showing
+        if (getFollowedVehicle() !== null && getFollowedVehicle() !== id) {
+            setFollowedVehicle(null);
+        }
+    }
+    vehicleId = id;
+    panelEl.classList.remove('trip-detail--hidden');
+    refresh();
+    if (!refreshTimer) {
+        refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    }
+    if (onVehicleChange) onVehicleChange(vehicleId);
+}
+
+/**
+ * Close the panel, clearing the path ahead and any follow.
+ */
+function closeTripDetail() {
+    panelEl.classList.add('trip-detail--hidden');
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+    if (getFollowedVehicle() === vehicleId) {
+        setFollowedVehicle(null);
+    }
+    vehicleId = null;
+    tripPredictions = null;
+    setPathAhead(null, []);
+    if (onVehicleChange) onVehicleChange(null);
+}
+
+/**
+ * Initialize the trip detail panel and open it on vehicle marker clicks.
+ *
+ * @param {HTMLElement} panelElement — #trip-detail container
+ * @param {Function} vehiclesFn — returns the live vehicles Map (getVehicles from vehicles.js)
+ * @param {Function} [vehicleChangeFn] — called with the vehicle ID when the panel opens or
+ *   switches vehicle, and with null when it closes
+ */
+export function initTripDetail(panelElement, vehiclesFn, vehicleChangeFn = null) {
+    panelEl = panelElement;
+    getVehicles = vehiclesFn;
+    onVehicleChange = vehicleChangeFn;
+
+    panelEl.querySelector('.trip-detail__close').addEventListener('click', closeTripDetail);
+
+    panelEl.querySelector('.trip-detail__follow').addEventListener('click', () => {
+        if (getFollowedVehicle() === vehicleId) {
+            setFollowedVehicle(null);
+        } else {
+            setFollowedVehicle(vehicleId, updateFollowButton);
+        }
+        updateFollowButton();
+    });
+
+    setVehicleClickHandler(openTripDetail);
+}
@@ -0,0 +1,82 @@
+// src/trip-detail.js — Remaining stops and path ahead for a single vehicle's trip
+// No DOM access, no Leaflet dependency.
+
+import { cumulativeDistances, projectOntoPath, slicePath } from './route-geometry.js';
+
+// Without a stop sequence on the vehicle, stops predicted this long ago count as departed
+const DEPARTED_GRACE_MS = 30000;
+
+// The trip's last stop bounds the path ahead only if it lies this close to the vehicle's path
+// (meters); farther means the trip ends on another branch, so the path is drawn to its end
+const END_STOP_MAX_OFFSET = 100;
+
+/**
+ * Remaining stops of a vehicle's trip: the stop it is at or heading to and every stop
+ * after it, in trip order. Skipped and cancelled stops are kept (and marked) so the list
+ * shows where the vehicle won't stop.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Array<Object>} predictions — parsed predictions for the trip (fetchTripPredictions)
+ * @param {Object} vehicle — {tripId, currentStopSequence}
+ * @param {number} [now=Date.now()] — epoch ms; used when the vehicle has no stop sequence
+ * @returns {Array<{stopId: string, stopSequence: number|null, time: number|null, status: string|null, skipped: boolean}>}
+ *   time is the predicted arrival (departure at the origin) in epoch ms
+ */
+export function buildRemainingStops(predictions, vehicle, now = Date.now()) {
+    const stops = [];
+    for (const p of predictions) {
+        if (!p.stopId || p.tripId !== vehicle.tripId) continue;
+
+        const timeStr = p.arrivalTime || p.departureTime;
+        const parsed = timeStr ? Date.parse(timeStr) : NaN;
+        const time = Number.isNaN(parsed) ? null : parsed;
+
+        if (vehicle.currentStopSequence != null && p.stopSequence != null) {
+            if (p.stopSequence < vehicle.currentStopSequence) continue;
+        } else if (time !== null && time < now - DEPARTED_GRACE_MS) {
+            continue;
+        }
+
+        stops.push({
+            stopId: p.stopId,
+            stopSequence: p.stopSequence ?? null,
+            time,
+            status: p.status ?? null,
+            skipped: p.scheduleRelationship === 'SKIPPED' || p.scheduleRelationship === 'CANCELLED',
+        });
+    }
+
+    stops.sort((a, b) => ((a.stopSequence ?? 0) - (b.stopSequence ?? 0)) || ((a.time ?? 0) - (b.time ?? 0)));
+    return stops;
+}
+
+/**
+ * Stretch of a route path the vehicle has still to travel: from its position, in its
+ * direction of travel, to the trip's last stop (or the path end if that stop is not on
+ * this path or lies behind the vehicle). Vertices run in travel order.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Array<{lat: number, lng: number}>} coords — the path the vehicle follows
+ * @param {{lat: number, lng: number}} position — vehicle position
+ * @param {number} direction — 1 toward the path end, -1 toward its start
+ * @param {{lat: number, lng: number}|null} [end=null] — the trip's last stop
+ * @param {Array<number>} [cumulative] — precomputed cumulativeDistances(coords)
+ * @returns {Array<{lat: number, lng: number}>} — empty if nothing lies ahead
+ */
+export function computePathAhead(coords, position, direction, end = null, cumulative = null) {
+    if (!coords || coords.length < 2) return [];
+    const cum = cumulative || cumulativeDistances(coords);
+    const from = projectOntoPath(coords, position.lat, position.lng, cum).distanceAlong;
+
+    let to = direction > 0 ? cum[cum.length - 1] : 0;
+    if (end) {
+        const projection = projectOntoPath(coords, end.lat, end.lng, cum);
+        if (projection.offset <= END_STOP_MAX_OFFSET && direction * (projection.distanceAlong - from) > 0) {
+            to = projection.distanceAlong;
+        }
+    }
+    if (to === from) return [];
+
+    const slice = slicePath(coords, from, to, cum);
+    return direction > 0 ? slice : slice.reverse();
+}
@@ -0,0 +1,237 @@
+// src/trip-planner-ui.js — Trip planner panel: endpoints picked from stop popups, itinerary list, map highlights
+import { buildTripNetwork, planTrips, findVehiclesForLeg, stationOf } from './trip-planner.js';
+import { formatSpacing } from './headways.js';
+import {
+    getRouteStopsMap, getRouteStopDirectionsMap, getStopData, getRouteMetadata, getRoutePaths,
+    setTripSegments, setHighlightedVehicles,
+} from './map.js';
+import { escapeHtml } from './stop-popup.js';
+import { setStreamRoutes } from './api.js';
+
+// Approaching vehicles move; refresh them while the panel is open
+const REFRESH_INTERVAL_MS = 5000;
+
+let panelEl = null;
+let getVehicles = null;
+let refreshTimer = null;
+
+// Planner state: station IDs, itineraries from planTrips(), index of the highlighted one
+let origin = null;
+let destination = null;
+let itineraries = [];
+let selectedIndex = 0;
+
+/**
+ * Pure function to name a route for the itinerary list.
+ * Exported for testing purposes.
+ *
+ * @param {Object|undefined} route — route metadata
+ * @param {string} routeId — fallback when metadata is missing
+ * @returns {string} — "Route 1" for buses, long name otherwise
+ */
+export function formatTripRouteName(route, routeId) {
+    if (!route) return routeId;
+    return route.type === 3 ? `Route ${route.shortName}` : (route.longName || route.shortName || routeId);
+}
+
+/**
+ * Pure function to build the itinerary list.
+ * Exported for testing purposes.
+ *
+ * @param {Array<Object>} entries — display-ready itineraries:
+ *   {minutes, transfers, legs: [{routeNames, color, fromName, toName, approaching: [{label, distance}]|null}]};
+ *   approaching is null for itineraries that are not selected
+ * @param {number} selected — index of the highlighted itinerary
+ * @returns {string} — HTML
+ */
+export function buildItinerariesHtml(entries, selected) {
+    if (entries.length === 0) {
+        return '<div class="trip-panel__empty">No route found between these stops</div>';
+    }
+
+    const items = entries.map((entry, index) => {
+        const transfers = entry.transfers === 0
+            ? 'Direct'
+            : `${entry.transfers} transfer${entry.transfers !== 1 ? 's' : ''}`;
+        const legsHtml = entry.legs.map((leg) => {
+            let vehiclesHtml = '';
+            if (leg.approaching) {
+                const text = leg.approaching.length > 0
+                    ? leg.approaching.map(({ label, distance }) =>
+                        `${escapeHtml(label)} · ${distance === 0 ? 'boarding' : `${formatSpacing(distance)} away`}`).join(', ')
+                    : 'No vehicles approaching';
+                vehiclesHtml = `<span class="trip-itinerary__vehicles">${text}</span>`;
+            }
+            return `<li class="trip-itinerary__leg" style="border-left-color: ${escapeHtml(leg.color)}">` +
+                `<span class="trip-itinerary__route">${leg.routeNames.map(escapeHtml).join(' / ')}</span>` +
+                `<span class="trip-itinerary__stops">${escapeHtml(leg.fromName)} → ${escapeHtml(leg.toName)}</span>` +
+                vehiclesHtml +
+                '</li>';
+        }).join('');
+
+        const selectedClass = index === selected ? ' trip-itinerary--selected' : '';
+        return `<li class="trip-itinerary${selectedClass}" data-index="${index}">` +
+            `<div class="trip-itinerary__summary"><span class="trip-itinerary__minutes">~${entry.minutes} min</span>` +
+            `<span class="trip-itinerary__transfers">${transfers}</span></div>` +
+            `<ol class="trip-itinerary__legs">${legsHtml}</ol>` +
+            '</li>';
+    }).join('');
+
+    return `<ul class="trip-panel__itineraries">${items}</ul>`;
+}
+
+/**
+ * Legs of an itinerary with their alternatives (parallel routes between the same stations).
+ * @param {Object} leg — from planTrips()
+ * @returns {Array<Object>}
+ */
+function legOptions(leg) {
+    return [leg, ...leg.alternatives];
+}
+
+/**
+ * Vehicles approaching each leg of an itinerary, across the leg's alternative routes.
+ * @returns {Array<Array<{vehicle: Object, distance: number}>>} — one list per leg, nearest first
+ */
+function approachingVehicles(itinerary) {
+    const vehicleList = [...getVehicles().values()].filter(v => v.state !== 'exiting');
+    return itinerary.legs.map(leg => legOptions(leg)
+        .flatMap(option => findVehiclesForLeg(vehicleList, option))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3));
+}
+
+/**
+ * Redraw the panel and the selected itinerary's map highlights.
+ */
+function render() {
+    const stopsData = getStopData();
+    const stationName = id => (id ? (stopsData.get(id)?.name || id) : null);
+
+    panelEl.querySelector('.trip-panel__origin').textContent = stationName(origin) || 'Choose a stop on the map';
+    panelEl.querySelector('.trip-panel__destination').textContent = stationName(destination) || 'Choose a stop on the map';
+
+    const results = panelEl.querySelector('.trip-panel__results');
+    if (!origin || !destination) {
+        results.innerHTML = '<div class="trip-panel__empty">Open a stop and pick “From here” or “To here”</div>';
+        setTripSegments([]);
+        setHighlightedVehicles([]);
+        return;
+    }
+
+    const routes = getRouteMetadata();
+    const selected = itineraries[selectedIndex];
+    const approaching = selected ? approachingVehicles(selected) : [];
+
+    const entries = itineraries.map((itinerary, index) => ({
+        minutes: itinerary.minutes,
+        transfers: itinerary.transfers,
+        legs: itinerary.legs.map((leg, legIndex) => ({
+            routeNames: legOptions(leg).map(option =>
+                formatTripRouteName(routes.find(r => r.id === option.routeId), option.routeId)),
+            color: routes.find(r => r.id === leg.routeId)?.color || '#888888',
+            fromName: stationName(leg.fromStationId),
+            toName: stationName(leg.toStationId),
+            approaching: index === selectedIndex
+                ? approaching[legIndex].map(({ vehicle, distance }) => ({ label: vehicle.label ?? vehicle.id, distance }))
+                : null,
+        })),
+    }));
+    results.innerHTML = buildItinerariesHtml(entries, selectedIndex);
+
+    setTripSegments(selected
+        ? selected.legs.filter(leg => leg.geometry).map(leg => ({ routeId: leg.routeId, coords: leg.geometry.coords }))
+        : []);
+    setHighlightedVehicles(approaching.flatMap(list => list.map(({ vehicle }) => vehicle.id)));
+}
+
+/**
+ * Plan itineraries for the current endpoints.
+ */
+function plan() {
+    itineraries = [];
+    selectedIndex = 0;
+    if (origin && destination) {
+        // Rebuilt per plan: cheap, and the live-API fallback fills route stops in on demand
+        const routeTypes = new Map(getRouteMetadata().map(r => [r.id, r.type]));
+        const network = buildTripNetwork(getRouteStopsMap(), getStopData(), getRouteStopDirectionsMap(), routeTypes);
+        itineraries = planTrips(origin, destination, network, { routePathsFn: getRoutePaths });
+    }
+    // Approaching vehicles are listed for every itinerary's routes, shown on the map or not
+    setStreamRoutes('trip-planner', itineraries.flatMap(itinerary =>
+        itinerary.legs.flatMap(leg => legOptions(leg).map(option => option.routeId))));
+}
+
+/**
+ * Open the trip planner panel (trip-planning mode) without changing its endpoints.
+ */
+export function openTripPlanner() {
+    if (!panelEl) return;
+    panelEl.classList.remove('trip-panel--hidden');
+    render();
+    if (!refreshTimer) {
+        refreshTimer = setInterval(render, REFRESH_INTERVAL_MS);
+    }
+}
+
+/**
+ * Close the panel, clearing its endpoints and map highlights.
+ */
+function closeTripPlanner() {
+    panelEl.classList.add('trip-panel--hidden');
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+    origin = null;
+    destination = null;
+    itineraries = [];
+    setStreamRoutes('trip-planner', []);
+    setTripSegments([]);
+    setHighlightedVehicles([]);
+}
+
+/**
+ * Set a trip endpoint from a stop popup and open the planner. Platforms resolve to their
+ * parent station, so either end may be any stop of the station.
+ *
+ * @param {'origin'|'destination'} role
+ * @param {string} stopId — stop or parent station ID
+ */
+export function setTripEndpoint(role, stopId) {
+    if (!panelEl) return;
+    const station = stationOf(stopId, getStopData());
+    if (role === 'origin') {
+        origin = station;
+    } else {
+        destination = station;
+    }
+    plan();
+    openTripPlanner();
+}
+
+/**
+ * Initialize the trip planner panel.
+ *
+ * @param {HTMLElement} panelElement — #trip-panel container
+ * @param {Function} vehiclesFn — returns the live vehicles Map (getVehicles from vehicles.js)
+ */
+export function initTripPlanner(panelElement, vehiclesFn) {
+    panelEl = panelElement;
+    getVehicles = vehiclesFn;
+
+    panelEl.querySelector('.trip-panel__close').addEventListener('click', closeTripPlanner);
+
+    panelEl.querySelector('.trip-panel__swap').addEventListener('click', () => {
+        [origin, destination] = [destination, origin];
+        plan();
+        render();
+    });
+
+    panelEl.querySelector('.trip-panel__results').addEventListener('click', (e) => {
+        const item = e.target.closest('.trip-itinerary');
+        if (!item) return;
+        selectedIndex = parseInt(item.dataset.index, 10);
+        render();
+    });
+}
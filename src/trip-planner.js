@@ -0,0 +1,501 @@
+// src/trip-planner.js — Origin–destination itinerary search over the static route/stop network
+// No DOM access, no Leaflet dependency. Stations are parent stations where a stop has one,
+// otherwise the stop itself; transfers happen only within a station.
+
+import { cumulativeDistances, projectOntoPath, pointAtDistance, slicePath } from './route-geometry.js';
+import { haversineDistance } from './vehicle-math.js';
+import { estimateHeadwayMinutes } from './headways.js';
+
+// Defaults for planTrips()
+const DEFAULT_MAX_TRANSFERS = 2;
+const DEFAULT_MAX_RESULTS = 5;
+
+// Time charged per transfer when ranking itineraries (walk plus average wait)
+const TRANSFER_PENALTY_MINUTES = 5;
+
+// Route type assumed when a route's type is unknown (slowest mode, so unknown routes rank last)
+const FALLBACK_ROUTE_TYPE = 3;
+
+// Candidate itineraries whose legs are checked against route geometry before giving up.
+// Enumeration is cheap; geometry checks project stops onto every polyline of the route.
+const MAX_CANDIDATES_CHECKED = 200;
+
+// A stop within this distance of a polyline is considered served by it
+// (same tolerance as alert segments and the static-data stop filter)
+const STOP_MATCH_MAX_OFFSET = 150; // meters
+
+// Polyline pieces whose endpoints are this close are treated as joined
+const PIECE_JOIN_TOLERANCE = 50; // meters
+
+// Vehicles farther than this from the leg's polyline are left out
+const VEHICLE_MATCH_MAX_OFFSET = 100; // meters
+
+// A vehicle this far past the boarding stop still counts (GPS jitter at the platform)
+const BOARDING_TOLERANCE = 50; // meters
+
+/**
+ * Station a stop belongs to: its parent station, or the stop itself.
+ *
+ * @param {string} stopId
+ * @param {Map<string, Object>} stopsData — stop data with parentStopId
+ * @returns {string}
+ */
+export function stationOf(stopId, stopsData) {
+    return stopsData.get(stopId)?.parentStopId || stopId;
+}
+
+/**
+ * Build the station/route network used by planTrips().
+ *
+ * @param {Map<string, Set<string>>} routeStopsMap — route ID → stop IDs (from getRouteStopsMap)
+ * @param {Map<string, Object>} stopsData — stop data (from getStopData)
+ * @param {Map<string, Map<string, number>>} [routeStopDirectionsMap] — direction-only stops
+ *   (from getRouteStopDirectionsMap); stops absent from it serve both directions
+ * @param {Map<string, number>} [routeTypes] — route ID → GTFS route type, for travel time estimates
+ * @returns {{stationRoutes: Map<string, Set<string>>, routeStations: Map<string, Map<string, Array<string>>>,
+ *   stopsData: Map<string, Object>, routeStopDirectionsMap: Map<string, Map<string, number>>,
+ *   routeTypes: Map<string, number>}}
+ *   stationRoutes: station → routes serving it; routeStations: route → station → the route's stop IDs there
+ */
+export function buildTripNetwork(routeStopsMap, stopsData, routeStopDirectionsMap = new Map(), routeTypes = new Map()) {
+    const stationRoutes = new Map();
+    const routeStations = new Map();
+
+    for (const [routeId, stopIds] of routeStopsMap) {
+        const stations = new Map();
+        for (const stopId of stopIds) {
+            const station = stationOf(stopId, stopsData);
+            if (!stations.has(station)) stations.set(station, []);
+            stations.get(station).push(stopId);
+
+            if (!stationRoutes.has(station)) stationRoutes.set(station, new Set());
+            stationRoutes.get(station).add(routeId);
+        }
+        routeStations.set(routeId, stations);
+    }
+
+    return { stationRoutes, routeStations, stopsData, routeStopDirectionsMap, routeTypes };
+}
+
+/**
+ * Directions a route can be ridden in between two sets of stops. A stop listed in
+ * routeStopDirectionsMap serves only that direction; others serve both.
+ *
+ * @param {Array<string>} fromStopIds — route's stop IDs at the boarding station
+ * @param {Array<string>} toStopIds — route's stop IDs at the alighting station
+ * @param {Map<string, number>|undefined} stopDirections — routeStopDirectionsMap entry for the route
+ * @returns {Array<number>} — subset of [0, 1]; empty if no direction serves both ends
+ */
+export function legDirections(fromStopIds, toStopIds, stopDirections) {
+    const served = (stopIds) => {
+        const dirs = new Set();
+        for (const stopId of stopIds) {
+            if (stopDirections?.has(stopId)) {
+                dirs.add(stopDirections.get(stopId));
+            } else {
+                dirs.add(0);
+                dirs.add(1);
+            }
+        }
+        return dirs;
+    };
+    const fromDirs = served(fromStopIds);
+    const toDirs = served(toStopIds);
+    return [0, 1].filter(d => fromDirs.has(d) && toDirs.has(d));
+}
+
+/**
+ * Straight-line distance between two stations, used to rank candidates before geometry checks.
+ * @private
+ */
+function stationDistance(a, b, stopsData) {
+    const sa = stopsData.get(a);
+    const sb = stopsData.get(b);
+    if (!sa || !sb) return Infinity;
+    return haversineDistance(sa.latitude, sa.longitude, sb.latitude, sb.longitude);
+}
+
+/**
+ * Estimated minutes for an itinerary: ride time at the typical speed of each route's
+ * mode, plus TRANSFER_PENALTY_MINUTES per transfer.
+ *
+ * @param {Array<{routeId: string, meters: number}>} rides — one entry per leg
+ * @param {Map<string, number>} routeTypes — route ID → GTFS route type
+ * @returns {number} — whole minutes
+ */
+export function estimateTripMinutes(rides, routeTypes) {
+    const riding = rides.reduce((sum, { routeId, meters }) =>
+        sum + (estimateHeadwayMinutes(meters, routeTypes.get(routeId) ?? FALLBACK_ROUTE_TYPE) ?? 0), 0);
+    return riding + Math.max(0, rides.length - 1) * TRANSFER_PENALTY_MINUTES;
+}
+
+/**
+ * Enumerate route sequences from origin to destination with up to maxTransfers transfers.
+ * For each sequence of routes only the transfer stations with the quickest straight-line
+ * estimate are kept, so the result stays small on dense bus networks.
+ * @private
+ */
+function enumerateCandidates(origin, destination, network, maxTransfers) {
+    const { stationRoutes, routeStations, stopsData, routeTypes } = network;
+    const originRoutes = stationRoutes.get(origin) || new Set();
+    const destinationRoutes = stationRoutes.get(destination) || new Set();
+    const bySequence = new Map();
+
+    const consider = (routes, stations) => {
+        const score = estimateTripMinutes(routes.map((routeId, i) => ({
+            routeId,
+            meters: stationDistance(stations[i], stations[i + 1], stopsData),
+        })), routeTypes);
+        // Branch changes are kept per station: only the junction works, and it is not the
+        // station with the shortest straight-line ride
+        const key = routes.map((r, i) => (i > 0 && r === routes[i - 1] ? `${r}@${stations[i]}` : r)).join('>');
+        const existing = bySequence.get(key);
+        if (!existing || score < existing.score) {
+            bySequence.set(key, { routes, stations, score });
+        }
+    };
+
+    for (const r1 of originRoutes) {
+        if (destinationRoutes.has(r1)) consider([r1], [origin, destination]);
+        if (maxTransfers < 1) continue;
+
+        for (const t1 of routeStations.get(r1).keys()) {
+            if (t1 === origin || t1 === destination) continue;
+            for (const r2 of stationRoutes.get(t1)) {
+                // Staying on the same route is a branch change (Ashmont → Braintree at JFK)
+                if (destinationRoutes.has(r2)) consider([r1, r2], [origin, t1, destination]);
+                if (maxTransfers < 2 || r2 === r1) continue;
+
+                for (const t2 of routeStations.get(r2).keys()) {
+                    if (t2 === t1 || t2 === origin || t2 === destination) continue;
+                    for (const r3 of stationRoutes.get(t2)) {
+                        if (r3 === r1 || r3 === r2 || !destinationRoutes.has(r3)) continue;
+                        consider([r1, r2, r3], [origin, t1, t2, destination]);
+                    }
+                }
+            }
+        }
+    }
+
+    return [...bySequence.values()].sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Shortest ride along a route's polyline pieces from a point on one piece to a point on
+ * another. Routes are stored as trunk and branch pieces drawn in one travel direction, so
+ * a piece's end joins the start of the next; riding continues end → start (or, travelling
+ * the other way, start → end). Joining two starts or two ends would reverse through a
+ * junction, which no vehicle does. Dijkstra over "enter piece j at end y" states.
+ * @private
+ * @returns {{cost: number, chain: Array<{index: number, entry: number}>}|null} — pieces in travel
+ *   order with the end (0 = start, 1 = end) each is entered at; the first piece's entry is the
+ *   end opposite the one it is left by
+ */
+function walkPieces(pieces, from, to) {
+    const endpoint = (i, end) => (end === 0 ? pieces[i].coords[0] : pieces[i].coords[pieces[i].coords.length - 1]);
+    const length = i => pieces[i].cum[pieces[i].cum.length - 1];
+
+    // Pieces entered at end y after leaving piece i by end 1 - y
+    const next = (i, exit) => pieces
+        .map((_, j) => j)
+        .filter((j) => {
+            if (j === i) return false;
+            const a = endpoint(i, exit);
+            const b = endpoint(j, 1 - exit);
+            return haversineDistance(a.lat, a.lng, b.lat, b.lng) <= PIECE_JOIN_TOLERANCE;
+        });
+
+    const dist = new Map();
+    const prev = new Map();
+    const queue = [];
+    const push = (key, cost, previous) => {
+        if (dist.has(key) && dist.get(key) <= cost) return;
+        dist.set(key, cost);
+        prev.set(key, previous);
+        queue.push({ key, cost });
+    };
+
+    // Leaving the first piece by end x costs the distance from the boarding point to that end
+    for (const x of [0, 1]) {
+        const cost = x === 0 ? from.distanceAlong : length(from.index) - from.distanceAlong;
+        for (const j of next(from.index, x)) {
+            push(`${j}:${1 - x}`, cost, { index: from.index, entry: 1 - x });
+        }
+    }
+
+    let best = null;
+    while (queue.length > 0) {
+        queue.sort((a, b) => a.cost - b.cost);
+        const { key, cost } = queue.shift();
+        if (cost > dist.get(key) || (best && cost >= best.cost)) continue;
+        const [j, y] = key.split(':').map(Number);
+
+        if (j === to.index) {
+            const total = cost + (y === 0 ? to.distanceAlong : length(j) - to.distanceAlong);
+            if (!best || total < best.cost) best = { cost: total, key };
+            continue;
+        }
+        for (const k of next(j, 1 - y)) {
+            push(`${k}:${y}`, cost + length(j), key);
+        }
+    }
+    if (!best) return null;
+
+    const chain = [];
+    let key = best.key;
+    while (typeof key === 'string') {
+        const [index, entry] = key.split(':').map(Number);
+        chain.unshift({ index, entry });
+        key = prev.get(key);
+    }
+    chain.unshift(key);
+    return { cost: best.cost, chain };
+}
+
+/**
+ * Locate a leg on the route's polylines. The boarding and alighting stops must each lie
+ * within STOP_MATCH_MAX_OFFSET of a polyline piece, and the pieces must connect; the
+ * shortest such ride wins. A leg between two branches of the same route would have to
+ * reverse through the junction, so it is rejected.
+ *
+ * The returned path is the pieces the leg rides, joined and oriented in travel direction,
+ * so fromDistance < toDistance. Vehicles approaching the boarding stop are looked up on it.
+ *
+ * @param {Array<Array<{lat: number, lng: number}>>} paths — route polylines (from getRoutePaths)
+ * @param {Array<{latitude: number, longitude: number}>} fromStops — boarding stops (platforms and/or station)
+ * @param {Array<{latitude: number, longitude: number}>} toStops — alighting stops
+ * @returns {{path: Array<{lat: number, lng: number}>, fromDistance: number, toDistance: number,
+ *   length: number, coords: Array<{lat: number, lng: number}>, pathIndexes: Array<number>}|null}
+ *   coords is the ridden stretch, pathIndexes the pieces ridden in order; null when no
+ *   connected pieces serve both ends
+ */
+export function resolveLegGeometry(paths, fromStops, toStops) {
+    const pieces = paths
+        .map((coords, pathIndex) => ({ coords, pathIndex }))
+        .filter(({ coords }) => coords && coords.length >= 2)
+        .map(piece => ({ ...piece, cum: cumulativeDistances(piece.coords) }));
+
+    const matches = (stops) => {
+        const result = [];
+        pieces.forEach(({ coords, cum }, index) => {
+            let match = null;
+            for (const stop of stops) {
+                const projection = projectOntoPath(coords, stop.latitude, stop.longitude, cum);
+                if (projection.offset > STOP_MATCH_MAX_OFFSET) continue;
+                if (!match || projection.offset < match.offset) match = { index, ...projection };
+            }
+            if (match) result.push(match);
+        });
+        return result;
+    };
+
+    let best = null;
+    for (const from of matches(fromStops)) {
+        for (const to of matches(toStops)) {
+            let candidate;
+            if (from.index === to.index) {
+                if (from.distanceAlong === to.distanceAlong) continue;
+                const forward = from.distanceAlong < to.distanceAlong;
+                candidate = {
+                    cost: Math.abs(to.distanceAlong - from.distanceAlong),
+                    chain: [{ index: from.index, entry: forward ? 0 : 1 }],
+                };
+            } else {
+                candidate = walkPieces(pieces, from, to);
+                if (!candidate) continue;
+            }
+            candidate.cost += from.offset + to.offset;
+            if (!best || candidate.cost < best.cost) best = { ...candidate, from, to };
+        }
+    }
+    if (!best) return null;
+
+    // Join the chain's pieces, each oriented from its entry end
+    const path = [];
+    let fromDistance = 0;
+    let toDistance = 0;
+    best.chain.forEach(({ index, entry }, i) => {
+        const { coords, cum } = pieces[index];
+        const total = cum[cum.length - 1];
+        const offset = path.length > 0 ? cumulativeDistances(path)[path.length - 1] : 0;
+        const along = (d) => offset + (entry === 0 ? d : total - d);
+        if (i === 0) fromDistance = along(best.from.distanceAlong);
+        if (i === best.chain.length - 1) toDistance = along(best.to.distanceAlong);
+        path.push(...(entry === 0 ? coords : [...coords].reverse()).map(p => ({ lat: p.lat, lng: p.lng })));
+    });
+
+    const cum = cumulativeDistances(path);
+    return {
+        path,
+        fromDistance,
+        toDistance,
+        length: toDistance - fromDistance,
+        coords: slicePath(path, fromDistance, toDistance, cum),
+        pathIndexes: best.chain.map(({ index }) => pieces[index].pathIndex),
+    };
+}
+
+/**
+ * Plan itineraries between two stops. Candidates are enumerated over the station network
+ * and ranked by a straight-line time estimate, then each leg is checked for a direction
+ * serving both ends and, when routePathsFn is given, a polyline serving both ends.
+ * An itinerary that only adds routes to a simpler one (an extra, pointless transfer) is dropped.
+ *
+ * @param {string} originStopId — stop or parent station ID
+ * @param {string} destinationStopId — stop or parent station ID
+ * @param {Object} network — from buildTripNetwork()
+ * @param {Object} [options]
+ * @param {Function} [options.routePathsFn] — routeId → polylines (getRoutePaths); omit to skip geometry
+ * @param {number} [options.maxTransfers=2]
+ * @param {number} [options.maxResults=5]
+ * @returns {Array<{transfers: number, rideMeters: number, minutes: number, legs: Array<Object>}>}
+ *   Legs are {routeId, fromStationId, toStationId, fromStopIds, toStopIds, directionIds, geometry, meters,
+ *   alternatives}; geometry is null without routePathsFn, alternatives are legs on other routes
+ *   between the same stations. Sorted by estimated minutes, then transfers.
+ */
+export function planTrips(originStopId, destinationStopId, network, options = {}) {
+    const {
+        routePathsFn = null,
+        maxTransfers = DEFAULT_MAX_TRANSFERS,
+        maxResults = DEFAULT_MAX_RESULTS,
+    } = options;
+    const { routeStations, stopsData, routeStopDirectionsMap, routeTypes } = network;
+
+    const origin = stationOf(originStopId, stopsData);
+    const destination = stationOf(destinationStopId, stopsData);
+    if (origin === destination) return [];
+
+    const stopsAt = (stationId, stopIds) => [stationId, ...stopIds]
+        .map(id => stopsData.get(id))
+        .filter(stop => stop && stop.latitude && stop.longitude);
+
+    const legCache = new Map();
+    const resolveLeg = (routeId, fromStationId, toStationId) => {
+        const key = `${routeId}|${fromStationId}|${toStationId}`;
+        if (legCache.has(key)) return legCache.get(key);
+
+        const stations = routeStations.get(routeId);
+        const fromStopIds = stations.get(fromStationId);
+        const toStopIds = stations.get(toStationId);
+        const directionIds = legDirections(fromStopIds, toStopIds, routeStopDirectionsMap.get(routeId));
+
+        let leg = null;
+        if (directionIds.length > 0) {
+            const geometry = routePathsFn
+                ? resolveLegGeometry(routePathsFn(routeId), stopsAt(fromStationId, fromStopIds), stopsAt(toStationId, toStopIds))
+                : null;
+            if (!routePathsFn || geometry) {
+                const meters = geometry ? geometry.length : stationDistance(fromStationId, toStationId, stopsData);
+                leg = { routeId, fromStationId, toStationId, fromStopIds, toStopIds, directionIds, geometry, meters };
+            }
+        }
+        legCache.set(key, leg);
+        return leg;
+    };
+
+    const results = [];
+    const candidates = enumerateCandidates(origin, destination, network, maxTransfers);
+    for (const candidate of candidates.slice(0, MAX_CANDIDATES_CHECKED)) {
+        const legs = [];
+        for (let i = 0; i < candidate.routes.length; i++) {
+            const leg = resolveLeg(candidate.routes[i], candidate.stations[i], candidate.stations[i + 1]);
+            if (!leg) break;
+            legs.push(leg);
+        }
+        if (legs.length !== candidate.routes.length) continue;
+
+        // Staying on a route is only a branch change if it happens on track both branches
+        // share (the first leg ends on the piece the second starts on) and the trip ends on
+        // a different piece than it started — anything else is riding past and back.
+        // Without geometry there is no telling, so such itineraries are dropped.
+        const invalidBranchChange = (leg, i) => {
+            if (i === 0 || leg.routeId !== legs[i - 1].routeId) return false;
+            if (!leg.geometry) return true;
+            const before = legs[i - 1].geometry.pathIndexes;
+            const after = leg.geometry.pathIndexes;
+            return before.at(-1) !== after[0] || before[0] === after.at(-1);
+        };
+        if (legs.some(invalidBranchChange)) continue;
+
+        results.push({
+            transfers: legs.length - 1,
+            rideMeters: legs.reduce((sum, leg) => sum + leg.meters, 0),
+            minutes: estimateTripMinutes(legs.map(leg => ({ routeId: leg.routeId, meters: leg.meters })), routeTypes),
+            legs,
+        });
+    }
+
+    // Keep the quickest station choice per route sequence (branch changes are enumerated per station)
+    const quickest = new Map();
+    for (const trip of results) {
+        const key = trip.legs.map(leg => leg.routeId).join('>');
+        if (!quickest.has(key) || trip.minutes < quickest.get(key).minutes) quickest.set(key, trip);
+    }
+
+    const isRedundant = (trip) => results.some(other => other.transfers < trip.transfers
+        && other.minutes <= trip.minutes
+        && other.legs.every(leg => trip.legs.some(l => l.routeId === leg.routeId)));
+
+    // Itineraries through the same stations on parallel routes (Green Line branches through
+    // the central subway) are one itinerary; the other routes become leg alternatives
+    const byStations = new Map();
+    const sorted = [...quickest.values()]
+        .filter(trip => !isRedundant(trip))
+        .sort((a, b) => (a.minutes - b.minutes) || (a.transfers - b.transfers));
+    for (const trip of sorted) {
+        const key = [...trip.legs.map(leg => leg.fromStationId), destination].join('>');
+        const existing = byStations.get(key);
+        if (!existing) {
+            byStations.set(key, { ...trip, legs: trip.legs.map(leg => ({ ...leg, alternatives: [] })) });
+            continue;
+        }
+        trip.legs.forEach((leg, i) => {
+            const target = existing.legs[i];
+            if (leg.routeId !== target.routeId && !target.alternatives.some(alt => alt.routeId === leg.routeId)) {
+                target.alternatives.push(leg);
+            }
+        });
+    }
+
+    return [...byStations.values()].slice(0, maxResults);
+}
+
+/**
+ * Live vehicles that would make a leg: on the leg's route, travelling along the leg's path
+ * toward the alighting stop, and not yet past the boarding stop. Travel sense comes from
+ * the vehicle's bearing against the path heading. Only vehicles on the pieces the leg
+ * rides are found, so a vehicle still on another branch before the junction is missed.
+ *
+ * @param {Iterable<Object>} vehicleList — vehicles ({id, latitude, longitude, bearing, routeId, directionId})
+ * @param {Object} leg — from planTrips(), with geometry
+ * @param {number} [limit=3] — maximum vehicles returned
+ * @returns {Array<{vehicle: Object, distance: number}>} — nearest first; distance is meters
+ *   along the route to the boarding stop
+ */
+export function findVehiclesForLeg(vehicleList, leg, limit = 3) {
+    if (!leg.geometry) return [];
+    const coords = leg.geometry.path;
+    const cum = cumulativeDistances(coords);
+    const singleDirection = leg.directionIds.length === 1 ? leg.directionIds[0] : null;
+
+    const matches = [];
+    for (const vehicle of vehicleList) {
+        if (vehicle.routeId !== leg.routeId) continue;
+        if (singleDirection !== null && vehicle.directionId !== null && vehicle.directionId !== undefined
+            && vehicle.directionId !== singleDirection) continue;
+        if (vehicle.bearing === null || vehicle.bearing === undefined) continue;
+
+        const projection = projectOntoPath(coords, vehicle.latitude, vehicle.longitude, cum);
+        if (projection.offset > VEHICLE_MATCH_MAX_OFFSET) continue;
+
+        const heading = pointAtDistance(coords, projection.distanceAlong, cum).bearing;
+        const diff = Math.abs(((vehicle.bearing - heading) % 360 + 540) % 360 - 180);
+        if (diff >= 90) continue;
+
+        const remaining = leg.geometry.fromDistance - projection.distanceAlong;
+        if (remaining < -BOARDING_TOLERANCE) continue;
+        matches.push({ vehicle, distance: Math.max(0, remaining) });
+    }
+
+    return matches.sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
@@ -1,8 +1,8 @@
 // src/ui.js — Route selection control panel UI
 import { groupAndSortRoutes } from './route-sorter.js';
 
-const STORAGE_KEY = 'ttracker-visible-routes';
-const SERVICE_TOGGLES_KEY = 'ttracker-service-toggles';
+export const STORAGE_KEY = 'ttracker-visible-routes';
+export const SERVICE_TOGGLES_KEY = 'ttracker-service-toggles';
 
 // Cache the media query result to avoid recreating the MediaQueryList on every call
 // Guarded for Node.js test environment where window is not available
@@ -10,6 +10,11 @@ const mobileMediaQuery = typeof window !== 'undefined'
     ? window.matchMedia('(max-width: 767px)')
     : { matches: false };
 
+// Turn routes on / temporarily replace the selection from outside the panel
+// (search-ui.js, nearby-ui.js); set by initUI
+let showRoutesHandler = null;
+let overrideHandler = null;
+
 /**
  * Reads visible routes from localStorage.
  * Returns null if not set, otherwise returns a Set of route IDs.
@@ -143,6 +148,47 @@ export function resolveVisibleRoutes(storedVisible, serviceToggles, routeMetadat
     );
 }
 
+/**
+ * Service toggles for a linked view: a service group is on when any of the routes belongs to it.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Set<string>} routeIds — visible routes from the link
+ * @param {Array<Object>} routeMetadata — array of { id, type, ... }
+ * @returns {Object} — { subway: bool, bus: bool, commuterRail: bool, ferry: bool }
+ */
+export function serviceTogglesForRoutes(routeIds, routeMetadata) {
+    const toggles = { subway: false, bus: false, commuterRail: false, ferry: false };
+    routeMetadata.forEach((route) => {
+        if (routeIds.has(route.id)) {
+            toggles[getServiceTypeForRoute(route)] = true;
+        }
+    });
+    return toggles;
+}
+
+/**
+ * Turn routes on in the route panel, as if their checkboxes were checked. A route in a
+ * service group that is off turns the group on with only that route selected.
+ * No-op before initUI() or for unknown route IDs.
+ *
+ * @param {Array<string>} routeIds
+ */
+export function showRoutes(routeIds) {
+    if (showRoutesHandler) showRoutesHandler(routeIds);
+}
+
+/**
+ * Temporarily show only the given routes, without saving them; pass null to bring back the
+ * selection from before the override. Checking a box during an override keeps the panel as
+ * it is from then on (the user's edit is saved and the null call restores nothing).
+ * No-op before initUI().
+ *
+ * @param {Set<string>|Array<string>|null} routeIds
+ */
+export function overrideVisibleRoutes(routeIds) {
+    if (overrideHandler) overrideHandler(routeIds);
+}
+
 /**
  * Initializes the route selection UI in the #controls container.
  * Builds a control panel with four-tier collapsible checkboxes (service groups, routes, subgroups).
@@ -154,8 +200,12 @@ export function resolveVisibleRoutes(storedVisible, serviceToggles, routeMetadat
  *
  * @param {Array<Object>} routeMetadata — array of {id, color, shortName, longName, type}
  * @param {Function} onVisibilityChange — callback(visibleSet: Set<routeId>)
+ * @param {Array<{label: string, onClick: Function}>} [panelActions] — buttons shown below the route list
+ *   (e.g., opening the metrics dashboard); clicking one also closes the mobile drawer
+ * @param {Set<string>|null} [linkedRoutes] — visible routes from a shared link (url-state.js); shown
+ *   instead of the saved selection, which is left as is until the user changes the selection
  */
-export function initUI(routeMetadata, onVisibilityChange) {
+export function initUI(routeMetadata, onVisibilityChange, panelActions = [], linkedRoutes = null) {
     const controlsContainer = document.getElementById('controls');
     if (!controlsContainer) {
         console.error('Element #controls not found in DOM');
@@ -169,12 +219,19 @@ export function initUI(routeMetadata, onVisibilityChange) {
     }
 
     // Determine initial visible routes
-    const storedVisible = readFromStorage();
-    const initialVisible = resolveVisibleRoutes(storedVisible, serviceToggles, routeMetadata);
-
-    // Save initial state to storage
-    writeToStorage(initialVisible);
-    writeServiceToggles(serviceToggles);
+    let initialVisible;
+    if (linkedRoutes) {
+        // Linked view: its routes with their service groups on, not saved over the user's own view
+        initialVisible = resolveVisibleRoutes(linkedRoutes, serviceToggles, routeMetadata);
+        serviceToggles = serviceTogglesForRoutes(initialVisible, routeMetadata);
+    } else {
+        const storedVisible = readFromStorage();
+        initialVisible = resolveVisibleRoutes(storedVisible, serviceToggles, routeMetadata);
+
+        // Save initial state to storage
+        writeToStorage(initialVisible);
+        writeServiceToggles(serviceToggles);
+    }
 
     // Build control panel HTML
     const grouped = groupAndSortRoutes(routeMetadata);
@@ -187,6 +244,17 @@ export function initUI(routeMetadata, onVisibilityChange) {
     title.textContent = 'Routes';
     panel.appendChild(title);
 
+    // Stop and route search box, filled in by search-ui.js
+    const search = document.createElement('div');
+    search.className = 'control-panel__search';
+    panel.appendChild(search);
+
+    // Route checkboxes by route ID, for showRoutes()
+    const routeCheckboxes = new Map();
+
+    // Panel state from before overrideVisibleRoutes(), null when no override is active
+    let overrideSnapshot = null;
+
     const routeList = document.createElement('div');
     routeList.className = 'route-list';
 
@@ -246,6 +314,7 @@ export function initUI(routeMetadata, onVisibilityChange) {
             checkbox.value = route.id;
             checkbox.checked = initialVisible.has(route.id);
             checkbox.dataset.routeId = route.id;
+            routeCheckboxes.set(route.id, checkbox);
 
             const swatch = document.createElement('span');
             swatch.className = 'route-swatch';
@@ -261,8 +330,11 @@ export function initUI(routeMetadata, onVisibilityChange) {
 
             // On individual checkbox change, update storage and call callback
             checkbox.addEventListener('change', () => {
+                overrideSnapshot = null;
                 const currentVisible = collectVisibleRoutes();
                 writeToStorage(currentVisible);
+                // Toggles too, so a linked view the user edits is saved consistently
+                writeServiceToggles(serviceToggles);
                 onVisibilityChange(currentVisible);
             });
 
@@ -288,6 +360,7 @@ export function initUI(routeMetadata, onVisibilityChange) {
 
         // Master toggle behavior: collapse/expand children
         masterCheckbox.addEventListener('change', () => {
+            overrideSnapshot = null;
             if (masterCheckbox.checked) {
                 childrenContainer.classList.remove('service-group__children--collapsed');
             } else {
@@ -312,6 +385,82 @@ export function initUI(routeMetadata, onVisibilityChange) {
     });
 
     panel.appendChild(routeList);
+
+    showRoutesHandler = (routeIds) => {
+        overrideSnapshot = null;
+        routeIds.forEach((routeId) => {
+            const checkbox = routeCheckboxes.get(routeId);
+            if (!checkbox) return;
+            const group = checkbox.closest('.service-group');
+            const masterCheckbox = group.querySelector('.service-group__toggle');
+            if (!masterCheckbox.checked) {
+                // Group was off: show just this route, not every route checked in it before
+                group.querySelectorAll('.service-group__children input[type="checkbox"]').forEach((cb) => {
+                    cb.checked = false;
+                });
+                masterCheckbox.checked = true;
+                group.querySelector('.service-group__children').classList.remove('service-group__children--collapsed');
+                const toggleKey = groupToToggleKey[masterCheckbox.dataset.group];
+                if (toggleKey) serviceToggles[toggleKey] = true;
+            }
+            checkbox.checked = true;
+        });
+
+        const currentVisible = collectVisibleRoutes();
+        writeToStorage(currentVisible);
+        writeServiceToggles(serviceToggles);
+        onVisibilityChange(currentVisible);
+    };
+
+    // Set every checkbox and group toggle, expanding groups that are on
+    function applyPanelState(checked, groupsOn) {
+        routeCheckboxes.forEach((checkbox, routeId) => {
+            checkbox.checked = checked.has(routeId);
+        });
+        routeList.querySelectorAll('.service-group').forEach((group) => {
+            const masterCheckbox = group.querySelector('.service-group__toggle');
+            masterCheckbox.checked = groupsOn.has(masterCheckbox.dataset.group);
+            group.querySelector('.service-group__children')
+                .classList.toggle('service-group__children--collapsed', !masterCheckbox.checked);
+        });
+    }
+
+    overrideHandler = (routeIds) => {
+        if (routeIds) {
+            if (!overrideSnapshot) {
+                overrideSnapshot = {
+                    checked: new Set([...routeCheckboxes].filter(([, cb]) => cb.checked).map(([id]) => id)),
+                    groupsOn: new Set([...routeList.querySelectorAll('.service-group__toggle:checked')].map(cb => cb.dataset.group)),
+                    serviceToggles: { ...serviceToggles },
+                };
+            }
+            const shown = new Set(routeIds);
+            serviceToggles = serviceTogglesForRoutes(shown, routeMetadata);
+            const groupsOn = new Set(Object.keys(groupToToggleKey).filter(group => serviceToggles[groupToToggleKey[group]]));
+            applyPanelState(shown, groupsOn);
+        } else {
+            if (!overrideSnapshot) return;
+            applyPanelState(overrideSnapshot.checked, overrideSnapshot.groupsOn);
+            serviceToggles = overrideSnapshot.serviceToggles;
+            overrideSnapshot = null;
+        }
+        onVisibilityChange(collectVisibleRoutes());
+    };
+
+    // Action buttons below the route list
+    if (panelActions.length > 0) {
+        const actions = document.createElement('div');
+        actions.className = 'control-panel__actions';
+        panelActions.forEach(({ label, onClick }) => {
+            const button = document.createElement('button');
+            button.className = 'control-panel__action';
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        });
+        panel.appendChild(actions);
+    }
+
     controlsContainer.appendChild(panel);
 
     // Create drawer backdrop (mobile only)
@@ -348,6 +497,11 @@ export function initUI(routeMetadata, onVisibilityChange) {
     // Toggle button click handler
     toggleButton.addEventListener('click', toggleDrawer);
 
+    // Panel actions and search results open views over the map — get the drawer out of the way on mobile
+    panel.addEventListener('click', (e) => {
+        if (e.target.closest('.control-panel__action, .route-search__result')) closeDrawer();
+    });
+
     // Close drawer when tapping outside panel — uses document listener
     // instead of backdrop click to avoid mobile ghost-click/touch pass-through
     // issues with overlapping fixed-position elements
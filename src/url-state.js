@@ -0,0 +1,215 @@
+// src/url-state.js — Map view, visible routes, selected vehicle and open popup in the URL hash
+// The hash is kept current with history.replaceState, so a copied link opens the same view.
+// Parameters: map=zoom/lat/lng, routes=id,id, vehicle=id (trip detail), popup=stop:id|vehicle:id
+import { getVisibleRoutes, openVehiclePopup } from './map.js';
+import { openStopPopup } from './stop-markers.js';
+import { openTripDetail } from './trip-detail-ui.js';
+
+// Hash writes wait for the map to settle (moveend fires repeatedly while following a vehicle)
+const UPDATE_DEBOUNCE_MS = 300;
+
+// A linked vehicle may take a while to appear in the stream (or never, if it stopped reporting)
+const VEHICLE_WAIT_MS = 30000;
+const VEHICLE_POLL_MS = 500;
+
+// Parameters this module owns; others in the hash (e.g. settings.js's) are left alone
+const OWN_PARAMS = ['map', 'routes', 'vehicle', 'popup'];
+const POPUP_TYPES = ['stop', 'vehicle'];
+
+let mapInstance = null;
+let getVehicles = null;
+let updateTimer = null;
+let lastHash = null;
+
+// Selection, as last reported: trip detail vehicle and the open popup {type, id}
+let selectedVehicleId = null;
+let openPopup = null;
+
+/**
+ * Parse the view state from a URL hash. Missing or malformed parameters are null.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {string} hash — location.hash (with or without the leading '#')
+ * @returns {{center: {lat: number, lng: number}|null, zoom: number|null, routes: Array<string>|null,
+ *   vehicleId: string|null, popup: {type: 'stop'|'vehicle', id: string}|null}}
+ */
+export function parseMapHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = { center: null, zoom: null, routes: null, vehicleId: null, popup: null };
+
+    const view = (params.get('map') || '').split('/').map(Number);
+    if (view.length === 3 && view.every(Number.isFinite) &&
+        Math.abs(view[1]) <= 90 && Math.abs(view[2]) <= 180) {
+        state.zoom = view[0];
+        state.center = { lat: view[1], lng: view[2] };
+    }
+
+    if (params.has('routes')) {
+        state.routes = params.get('routes').split(',').filter(Boolean);
+    }
+
+    state.vehicleId = params.get('vehicle') || null;
+
+    const popup = params.get('popup') || '';
+    const separator = popup.indexOf(':');
+    const type = popup.slice(0, separator);
+    if (separator > 0 && POPUP_TYPES.includes(type) && popup.length > separator + 1) {
+        state.popup = { type, id: popup.slice(separator + 1) };
+    }
+
+    return state;
+}
+
+/**
+ * Build a URL hash from the view state, keeping parameters other modules put there.
+ * Commas in the route list are left unescaped to keep links readable.
+ * Pure function — exported for testing purposes.
+ *
+ * @param {Object} state — {center, zoom, routes, vehicleId, popup} as from parseMapHash
+ * @param {string} [currentHash=''] — hash to carry other parameters over from
+ * @returns {string} — '#…', or '' when there is nothing to encode
+ */
+export function buildMapHash(state, currentHash = '') {
+    const encode = value => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%2F/g, '/').replace(/%3A/g, ':');
+    const parts = [];
+
+    if (state.center && state.zoom !== null) {
+        parts.push(`map=${Math.round(state.zoom)}/${state.center.lat.toFixed(5)}/${state.center.lng.toFixed(5)}`);
+    }
+    if (state.routes) {
+        parts.push(`routes=${encode([...state.routes].sort().join(','))}`);
+    }
+    if (state.vehicleId) {
+        parts.push(`vehicle=${encode(state.vehicleId)}`);
+    }
+    if (state.popup) {
+        parts.push(`popup=${encode(`${state.popup.type}:${state.popup.id}`)}`);
+    }
+
+    const others = new URLSearchParams(currentHash.replace(/^#/, ''));
+    OWN_PARAMS.forEach(name => others.delete(name));
+    const rest = others.toString();
+    if (rest) parts.push(rest);
+
+    return parts.length > 0 ? `#${parts.join('&')}` : '';
+}
+
+/**
+ * Read the view from the page's hash and move the map to it. Call right after initMap(),
+ * before anything reads the saved view; the returned state goes to initUI() (routes) and
+ * initUrlState() (selection).
+ *
+ * @param {L.Map} map
+ * @returns {Object} — parseMapHash() state
+ */
+export function applyLinkedView(map) {
+    const state = parseMapHash(location.hash);
+    if (state.center) {
+        map.setView([state.center.lat, state.center.lng], state.zoom);
+    }
+    return state;
+}
+
+/**
+ * Write the current view to the hash after UPDATE_DEBOUNCE_MS.
+ * Called on map moves and popups (initUrlState) and by the route panel on visibility changes.
+ */
+export function scheduleUrlUpdate() {
+    if (!mapInstance) return;
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => {
+        const center = mapInstance.getCenter();
+        const hash = buildMapHash({
+            center: { lat: center.lat, lng: center.lng },
+            zoom: mapInstance.getZoom(),
+            routes: getVisibleRoutes(),
+            vehicleId: selectedVehicleId,
+            popup: openPopup,
+        }, location.hash);
+        if (hash === location.hash) return;
+        lastHash = hash;
+        history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+    }, UPDATE_DEBOUNCE_MS);
+}
+
+/**
+ * Record the trip detail vehicle (initTripDetail's vehicle change callback).
+ *
+ * @param {string|null} vehicleId
+ */
+export function setSelectedVehicle(vehicleId) {
+    selectedVehicleId = vehicleId;
+    scheduleUrlUpdate();
+}
+
+/**
+ * Open the linked vehicle's trip detail and popup once it appears in the stream and on the map.
+ *
+ * @param {Object} state — parseMapHash() state
+ */
+function restoreVehicle(state) {
+    const popupVehicleId = state.popup?.type === 'vehicle' ? state.popup.id : null;
+    let detailPending = Boolean(state.vehicleId);
+    let popupPending = Boolean(popupVehicleId);
+    if (!detailPending && !popupPending) return;
+
+    const started = Date.now();
+    const timer = setInterval(() => {
+        if (detailPending && getVehicles().has(state.vehicleId)) {
+            openTripDetail(state.vehicleId);
+            detailPending = false;
+        }
+        if (popupPending && openVehiclePopup(popupVehicleId)) {
+            popupPending = false;
+        }
+
+        if (!detailPending && !popupPending) {
+            clearInterval(timer);
+        } else if (Date.now() - started > VEHICLE_WAIT_MS) {
+            clearInterval(timer);
+            console.warn(`Linked vehicle ${state.vehicleId || popupVehicleId} is not on the map`);
+        }
+    }, VEHICLE_POLL_MS);
+}
+
+/**
+ * Restore the linked selection and keep the hash in step with the view from now on.
+ * Call once the route panel and stop markers are initialized.
+ *
+ * @param {L.Map} map
+ * @param {Object} state — from applyLinkedView()
+ * @param {Function} vehiclesFn — returns the current vehicles Map (getVehicles from vehicles.js)
+ */
+export function initUrlState(map, state, vehiclesFn) {
+    mapInstance = map;
+    getVehicles = vehiclesFn;
+
+    map.on('moveend', scheduleUrlUpdate);
+    map.on('popupopen', (e) => {
+        const source = e.popup._source;
+        if (source?._stopId) {
+            openPopup = { type: 'stop', id: source._stopId };
+        } else if (source?._vehicleData) {
+            openPopup = { type: 'vehicle', id: source._vehicleData.id };
+        } else {
+            openPopup = null;
+        }
+        scheduleUrlUpdate();
+    });
+    map.on('popupclose', () => {
+        openPopup = null;
+        scheduleUrlUpdate();
+    });
+
+    // A link pasted into this tab only changes the hash: load it like a fresh visit
+    window.addEventListener('hashchange', () => {
+        if (location.hash !== lastHash) location.reload();
+    });
+
+    if (state.popup?.type === 'stop' && !openStopPopup(state.popup.id)) {
+        console.warn(`Linked stop ${state.popup.id} is not on the map`);
+    }
+    restoreVehicle(state);
+
+    scheduleUrlUpdate();
+}
@@ -0,0 +1,95 @@
+// src/vehicle-notify.js — Vehicle popup alert form: notify when this vehicle (or trip) reaches a stop
+import { addNotificationPair, DEFAULT_LEAD } from './notifications.js';
+import { updateStatus as updateNotificationStatus, renderPanel } from './notification-ui.js';
+import { refreshAllHighlights } from './stop-markers.js';
+import { escapeHtml } from './stop-popup.js';
+
+// A vehicle alert is for one arrival: it fires once, then expires
+const VEHICLE_ALERT_COUNT = 1;
+
+/**
+ * Pure function to build the target of a vehicle popup alert from the form's data attributes.
+ * Exported for testing purposes.
+ *
+ * @param {Object} data — the form's dataset: {vehicleId, vehicleLabel, tripId}
+ * @param {'vehicle'|'trip'} type — selected target type
+ * @returns {{type: string, id: string, label: string|null}}
+ */
+export function buildVehicleTarget(data, type) {
+    const label = data.vehicleLabel || null;
+    if (type === 'trip' && data.tripId) {
+        return { type: 'trip', id: data.tripId, label };
+    }
+    return { type: 'vehicle', id: data.vehicleId, label };
+}
+
+/**
+ * Initialize alert creation from vehicle popups.
+ *
+ * @param {L.Map} map — Leaflet map instance
+ */
+export function initVehicleNotify(map) {
+    // AbortController prevents listener stacking across repeated popupopen events
+    let popupAbort = null;
+
+    map.on('popupclose', () => {
+        if (popupAbort) {
+            popupAbort.abort();
+            popupAbort = null;
+        }
+    });
+
+    map.on('popupopen', (e) => {
+        const container = e.popup.getElement();
+        if (!container || !container.querySelector('.vehicle-popup')) return;
+
+        if (popupAbort) popupAbort.abort();
+        popupAbort = new AbortController();
+        const { signal } = popupAbort;
+
+        // Keep popup open while the pointer is over it (cancel the marker's mouseout timer)
+        const sourceMarker = e.popup._source;
+        if (sourceMarker) {
+            container.addEventListener('mouseenter', () => {
+                if (sourceMarker._hoverCloseTimer) {
+                    clearTimeout(sourceMarker._hoverCloseTimer);
+                    sourceMarker._hoverCloseTimer = null;
+                }
+            }, { signal });
+            container.addEventListener('mouseleave', () => {
+                if (sourceMarker._popupSticky) return;
+                map.closePopup();
+            }, { signal });
+        }
+
+        container.addEventListener('click', async (event) => {
+            const form = event.target.closest('.vehicle-popup__notify');
+            if (!form) return;
+
+            if (event.target.closest('[data-action="show-vehicle-notify"]')) {
+                // Sticky: only dismissible by click-away, and content stops refreshing
+                if (sourceMarker) sourceMarker._popupSticky = true;
+                form.querySelector('.vehicle-popup__notify-form').classList.remove('vehicle-popup__notify-form--hidden');
+                event.target.closest('[data-action="show-vehicle-notify"]').remove();
+                return;
+            }
+
+            if (event.target.closest('[data-action="create-vehicle-alert"]')) {
+                const stopId = form.querySelector('.vehicle-popup__notify-stop').value;
+                const targetType = form.querySelector('.vehicle-popup__notify-target')?.value || 'vehicle';
+                const target = buildVehicleTarget(form.dataset, targetType);
+
+                const result = await addNotificationPair(
+                    stopId, form.dataset.routeId, parseInt(form.dataset.directionId, 10), VEHICLE_ALERT_COUNT, DEFAULT_LEAD, target);
+                if (result.error) {
+                    form.innerHTML = `<div class="vehicle-popup__notify-error">${escapeHtml(result.error)}</div>`;
+                    return;
+                }
+                refreshAllHighlights();
+                updateNotificationStatus();
+                renderPanel();
+                map.closePopup();
+            }
+        }, { signal });
+    });
+}
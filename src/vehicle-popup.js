@@ -1,6 +1,19 @@
 // src/vehicle-popup.js — Pure formatting functions for vehicle popup content
 // No imports, no DOM access, no Leaflet dependency
 
+// Crowding level (1–3) for each GTFS-Realtime OccupancyStatus the MBTA reports;
+// NO_DATA_AVAILABLE and NOT_BOARDABLE (e.g. a locked car) have no level
+const CROWDING_LEVELS = {
+    EMPTY: 1,
+    MANY_SEATS_AVAILABLE: 1,
+    FEW_SEATS_AVAILABLE: 2,
+    STANDING_ROOM_ONLY: 3,
+    CRUSHED_STANDING_ROOM_ONLY: 3,
+    FULL: 3,
+    NOT_ACCEPTING_PASSENGERS: 3,
+};
+const CROWDING_LABELS = { 1: 'Not crowded', 2: 'Some crowding', 3: 'Crowded' };
+
 /**
  * Escape HTML special characters to prevent injection
  * @param {string} str - String to escape
@@ -90,14 +103,178 @@ export function formatTimeAgo(updatedAt) {
     return `${Math.round(seconds / 3600)}h ago`;
 }
 
+/**
+ * Format schedule adherence ("3 min late", "2 min early", "On time")
+ * @param {{deviation: number, status: string}|null} adherence - From getAdherence(): seconds late (negative = early) and 'early' | 'on-time' | 'late'
+ * @returns {string} Adherence text or empty string
+ */
+export function formatAdherence(adherence) {
+    if (!adherence) {
+        return '';
+    }
+
+    if (adherence.status === 'on-time') {
+        return 'On time';
+    }
+
+    const minutes = Math.max(1, Math.round(Math.abs(adherence.deviation) / 60));
+    return adherence.status === 'late' ? `${minutes} min late` : `${minutes} min early`;
+}
+
+/**
+ * Crowding level of a vehicle: its occupancy_status, or for trains that report only per-car
+ * occupancy, the average of the cars' levels (one packed car doesn't make the train crowded)
+ * @param {Object} vehicle - Vehicle object with {occupancyStatus, carriages}
+ * @returns {1|2|3|null} 1 not crowded, 2 some crowding, 3 crowded; null when not reported
+ */
+export function getCrowdingLevel(vehicle) {
+    const level = CROWDING_LEVELS[vehicle.occupancyStatus];
+    if (level) {
+        return level;
+    }
+
+    const carLevels = (vehicle.carriages || [])
+        .map(carriage => CROWDING_LEVELS[carriage.occupancyStatus])
+        .filter(Boolean);
+    if (carLevels.length === 0) {
+        return null;
+    }
+    return Math.round(carLevels.reduce((sum, l) => sum + l, 0) / carLevels.length);
+}
+
+/**
+ * Format the crowding meter: three bars, filled up to the crowding level, and its label
+ * @param {Object} vehicle - Vehicle object with {occupancyStatus, carriages}
+ * @returns {string} HTML string, or empty string when crowding is not reported
+ */
+export function formatCrowdingMeter(vehicle) {
+    const level = getCrowdingLevel(vehicle);
+    if (!level) {
+        return '';
+    }
+
+    const bars = [1, 2, 3]
+        .map(i => `<span class="crowding-meter__bar${i <= level ? ' crowding-meter__bar--on' : ''}"></span>`)
+        .join('');
+    return `<div class="vehicle-popup__crowding vehicle-popup__crowding--${level}">
+        <span class="crowding-meter" aria-hidden="true">${bars}</span>
+        <span class="vehicle-popup__crowding-label">${CROWDING_LABELS[level]}</span>
+    </div>`;
+}
+
+/**
+ * Format the consist of a light or heavy rail train: one segment per car, lead car first
+ * (the order the MBTA lists carriages), shaded by the car's crowding
+ * @param {Object} vehicle - Vehicle object with {carriages}
+ * @param {Object|null} routeMeta - Route metadata {type} or null
+ * @returns {string} HTML string, or empty string for other vehicles and trains not reporting cars
+ */
+export function formatConsist(vehicle, routeMeta) {
+    if (routeMeta?.type !== 0 && routeMeta?.type !== 1) {
+        return '';
+    }
+    const carriages = vehicle.carriages || [];
+    if (carriages.length === 0) {
+        return '';
+    }
+
+    const cars = carriages.map((carriage, index) => {
+        const level = getCrowdingLevel({ occupancyStatus: carriage.occupancyStatus });
+        const classes = ['vehicle-popup__car'];
+        if (index === 0) {
+            classes.push('vehicle-popup__car--lead');
+        }
+        if (level) {
+            classes.push(`vehicle-popup__car--crowding-${level}`);
+        }
+
+        const name = `${index === 0 ? 'Lead car' : 'Car'}${carriage.label ? ` ${carriage.label}` : ''}`;
+        let crowding = level ? CROWDING_LABELS[level] : 'No crowding data';
+        if (level && carriage.occupancyPercentage !== null && carriage.occupancyPercentage !== undefined) {
+            crowding += ` (${carriage.occupancyPercentage}% full)`;
+        }
+        return `<span class="${classes.join(' ')}" title="${escapeHtml(`${name} · ${crowding}`)}">${escapeHtml(carriage.label)}</span>`;
+    }).join('');
+
+    return `<div class="vehicle-popup__consist">
+        <span class="vehicle-popup__consist-count">${carriages.length}-car train</span>
+        <div class="vehicle-popup__cars">${cars}</div>
+    </div>`;
+}
+
+/**
+ * Select the stops still ahead of a vehicle on its trip, for the popup's alert form.
+ * The stop a vehicle is heading to counts as ahead; the one it is stopped at does not.
+ * Platforms resolve to their parent station (as stop popup alerts do), and consecutive
+ * duplicates collapse.
+ * @param {Object} vehicle - Vehicle object with {currentStatus, currentStopSequence}
+ * @param {Array<{stopId: string, stopSequence: number}>|null} scheduledStops - The trip's scheduled stops in order, or null while loading
+ * @param {Map<string, Object>} stopsData - Stop ID → {name, parentStopId}
+ * @returns {Array<{stopId: string, name: string}>} Stops ahead (empty without a schedule or stop sequence)
+ */
+export function selectStopsAhead(vehicle, scheduledStops, stopsData) {
+    if (!scheduledStops || vehicle.currentStopSequence == null) {
+        return [];
+    }
+
+    const stopped = vehicle.currentStatus === 'STOPPED_AT';
+    const result = [];
+    for (const stop of scheduledStops) {
+        const ahead = stopped
+            ? stop.stopSequence > vehicle.currentStopSequence
+            : stop.stopSequence >= vehicle.currentStopSequence;
+        if (!ahead) continue;
+
+        const stationId = stopsData.get(stop.stopId)?.parentStopId || stop.stopId;
+        if (result.length > 0 && result[result.length - 1].stopId === stationId) continue;
+        result.push({ stopId: stationId, name: stopsData.get(stationId)?.name || stopsData.get(stop.stopId)?.name || stationId });
+    }
+    return result;
+}
+
+/**
+ * Format the "Notify me" form for alerts on this vehicle or its trip.
+ * The form starts hidden behind a button; vehicle-notify.js reveals it and creates the alert.
+ * @param {Object} vehicle - Vehicle object with {id, label, routeId, directionId, tripId}
+ * @param {Array<{stopId: string, name: string}>} stopsAhead - From selectStopsAhead()
+ * @returns {string} HTML string, or empty string when there is nothing to alert on
+ */
+export function formatVehicleNotifyForm(vehicle, stopsAhead) {
+    if (!stopsAhead || stopsAhead.length === 0 || vehicle.directionId == null) {
+        return '';
+    }
+
+    const options = stopsAhead
+        .map(stop => `<option value="${escapeHtml(stop.stopId)}">${escapeHtml(stop.name)}</option>`)
+        .join('');
+    const targetOptions = vehicle.tripId
+        ? `<select class="vehicle-popup__notify-target" aria-label="Alert for">
+                <option value="vehicle">This vehicle</option>
+                <option value="trip">This trip</option>
+            </select>`
+        : '';
+
+    return `<div class="vehicle-popup__notify" data-vehicle-id="${escapeHtml(vehicle.id)}" data-vehicle-label="${escapeHtml(vehicle.label)}" data-route-id="${escapeHtml(vehicle.routeId)}" data-direction-id="${vehicle.directionId}" data-trip-id="${escapeHtml(vehicle.tripId)}">
+        <button class="vehicle-popup__notify-btn" data-action="show-vehicle-notify">Notify me when it reaches…</button>
+        <div class="vehicle-popup__notify-form vehicle-popup__notify-form--hidden">
+            <select class="vehicle-popup__notify-stop" aria-label="Stop">${options}</select>
+            ${targetOptions}
+            <button class="vehicle-popup__notify-create" data-action="create-vehicle-alert">Set Alert</button>
+        </div>
+    </div>`;
+}
+
 /**
  * Format complete vehicle popup HTML
- * @param {Object} vehicle - Vehicle object with {label, routeId, currentStatus, directionId, speed, updatedAt}
+ * @param {Object} vehicle - Vehicle object with {label, routeId, currentStatus, directionId, speed, updatedAt,
+ *   occupancyStatus, carriages}
  * @param {string|null} stopName - Stop name or null (already resolved)
  * @param {Object|null} routeMeta - Route metadata {shortName, longName, color, type} or null
+ * @param {{deviation: number, status: string}|null} [adherence=null] - Schedule adherence, or null if unknown
+ * @param {Array<{stopId: string, name: string}>|null} [stopsAhead=null] - Stops ahead for the alert form (omitted if null/empty)
  * @returns {string} HTML string for popup content
  */
-export function formatVehiclePopup(vehicle, stopName, routeMeta) {
+export function formatVehiclePopup(vehicle, stopName, routeMeta, adherence = null, stopsAhead = null) {
     // Extract route display properties
     // For commuter rail (type 2), use longName for better context (e.g., "Worcester/Framingham Line")
     // For subway and bus, use shortName for conciseness ("Red", "1" is better than "Red Line" or verbose bus name)
@@ -124,6 +301,18 @@ export function formatVehiclePopup(vehicle, stopName, routeMeta) {
         ? `<div class="vehicle-popup__status">${statusText}</div>`
         : '';
 
+    // Build schedule adherence line (omit if no schedule)
+    const adherenceText = formatAdherence(adherence);
+    const adherenceHtml = adherenceText
+        ? `<div class="vehicle-popup__adherence vehicle-popup__adherence--${adherence.status}">${adherenceText}</div>`
+        : '';
+
+    // Build crowding meter (omit if not reported)
+    const crowdingHtml = formatCrowdingMeter(vehicle);
+
+    // Build car-by-car consist (omit unless a light or heavy rail train reports its cars)
+    const consistHtml = formatConsist(vehicle, routeMeta);
+
     // Build details line with direction, speed, and time
     const detailSpans = [];
 
@@ -150,5 +339,7 @@ export function formatVehiclePopup(vehicle, stopName, routeMeta) {
         ? `<div class="vehicle-popup__details">${detailSpans.join('')}</div>`
         : '';
 
-    return `<div class="vehicle-popup">${headerHtml}${statusHtml}${detailsHtml}</div>`;
+    const notifyHtml = formatVehicleNotifyForm(vehicle, stopsAhead);
+
+    return `<div class="vehicle-popup">${headerHtml}${statusHtml}${adherenceHtml}${crowdingHtml}${consistHtml}${detailsHtml}${notifyHtml}</div>`;
 }
@@ -1,6 +1,7 @@
 // src/vehicles.js — Vehicle state management and animation loop
 import { config } from '../config.js';
 import { lerp, easeOutCubic, lerpAngle, haversineDistance, calculateBearing } from './vehicle-math.js';
+import { cumulativeDistances, projectOntoPath, pointAtDistance } from './route-geometry.js';
 
 // Map<vehicleId, VehicleState>
 const vehicles = new Map();
@@ -13,6 +14,25 @@ let isTabVisible = !document.hidden;
 let animationFrameId = null;
 let getViewportBounds = null; // Callback to get current map bounds
 
+// Event source wiring — initVehicles may be called again to swap sources (live SSE ↔ playback)
+let sourceAbort = null; // AbortController for listeners on the current source
+let loopStarted = false; // Visibility listener + animation loop are set up once
+
+// Route-following: vehicles whose GPS fix lies on one of their route's paths are moved
+// along that path at their speed between updates (see setRouteGeometry)
+let getRoutePaths = null; // (routeId) => Array<Array<{lat, lng}>>
+let getStopPosition = null; // (stopId) => {latitude, longitude} | undefined
+const cumulativeCache = new WeakMap(); // path coords array → cumulativeDistances()
+
+const PATH_MATCH_MAX_OFFSET = 50; // meters — fixes farther than this from every route path use straight-line interpolation
+const STOP_MATCH_MAX_OFFSET = 150; // meters — same tolerance map.js uses for stops along route polylines
+const PATH_SNAP_THRESHOLD = 1000; // meters along path — corrections larger than this jump instead of blending
+const HOLD_TOLERANCE = 30; // meters — a fix this little behind the marker holds it in place instead of sliding back
+const MIN_DIRECTION_MOVE = 5; // meters along path between fixes needed to infer travel direction
+const MAX_EXTRAPOLATION_MS = 30000; // stop extrapolating when updates stall
+const MAX_SPEED = 35; // m/s — cap for reported/estimated speeds (GPS jitter)
+const BEARING_SMOOTHING = 0.2; // per-frame lerpAngle factor toward the path heading
+
 /**
  * Helper to create a VehicleState object
  */
@@ -34,15 +54,205 @@ function createVehicleState(vehicle, duration) {
         currentStatus: vehicle.currentStatus,
         stopId: vehicle.stopId,
         currentStopSequence: vehicle.currentStopSequence,
+        tripId: vehicle.tripId ?? null,
         directionId: vehicle.directionId,
         label: vehicle.label,
         speed: vehicle.speed ?? null,
         updatedAt: vehicle.updatedAt ?? null,
+        occupancyStatus: vehicle.occupancyStatus ?? null,
+        carriages: vehicle.carriages ?? null,
         state: 'entering',
         opacity: 0,
+        path: null, // {coords, cum, length} while following a route path
+        pathMotion: null, // extrapolation parameters from the last fix (see followPath)
+        pathDistance: null, // meters along path where the marker is drawn
     };
 }
 
+/**
+ * Create a VehicleState and attach it to its route path if the fix lies on one
+ */
+function createTrackedVehicle(vehicle, duration) {
+    const state = createVehicleState(vehicle, duration);
+    followPath(state, vehicle, state.animationStart);
+    return state;
+}
+
+/**
+ * Distance along a path a vehicle has reached after elapsedMs of extrapolation from its last fix.
+ * Movement stops at the next stop (the vehicle dwells there until the next fix), at the path
+ * ends, and after MAX_EXTRAPOLATION_MS without an update.
+ * Pure function for testability.
+ *
+ * @param {Object} motion — {anchorDistance, direction (1|-1), speed (m/s), stopDistance (meters|null), length}
+ * @param {number} elapsedMs — time since the fix
+ * @returns {number} — meters from path start
+ */
+export function extrapolatePathDistance(motion, elapsedMs) {
+    const seconds = Math.min(Math.max(elapsedMs, 0), MAX_EXTRAPOLATION_MS) / 1000;
+    let distance = motion.anchorDistance + motion.direction * motion.speed * seconds;
+    if (motion.stopDistance !== null) {
+        distance = motion.direction > 0
+            ? Math.min(distance, motion.stopDistance)
+            : Math.max(distance, motion.stopDistance);
+    }
+    return Math.max(0, Math.min(motion.length, distance));
+}
+
+/**
+ * Cached cumulative distances for a path
+ */
+function cumulativeFor(coords) {
+    let cum = cumulativeCache.get(coords);
+    if (!cum) {
+        cum = cumulativeDistances(coords);
+        cumulativeCache.set(coords, cum);
+    }
+    return cum;
+}
+
+/**
+ * Find the route path a GPS fix lies on. The vehicle's current path wins while the fix
+ * stays on it, so vehicles don't hop between overlapping branches (e.g. Green Line trunk).
+ * @returns {{coords, cum, projection}|null}
+ */
+function matchPath(routeId, lat, lng, currentCoords) {
+    const paths = getRoutePaths ? getRoutePaths(routeId) : null;
+    if (!paths || paths.length === 0) return null;
+
+    let best = null;
+    for (const coords of paths) {
+        if (!coords || coords.length < 2) continue;
+        const cum = cumulativeFor(coords);
+        const projection = projectOntoPath(coords, lat, lng, cum);
+        if (projection.offset > PATH_MATCH_MAX_OFFSET) continue;
+        if (coords === currentCoords) return { coords, cum, projection };
+        if (!best || projection.offset < best.projection.offset) {
+            best = { coords, cum, projection };
+        }
+    }
+    return best;
+}
+
+/**
+ * Travel direction along a path (1 = toward path end, -1 = toward start) from a compass bearing
+ */
+function directionFromBearing(coords, cum, distance, bearing) {
+    if (bearing === null || bearing === undefined) return 1;
+    const pathBearing = pointAtDistance(coords, distance, cum).bearing;
+    const diff = Math.abs(((bearing - pathBearing + 540) % 360) - 180);
+    return diff <= 90 ? 1 : -1;
+}
+
+/**
+ * Along-path distance of the vehicle's next stop, if it lies ahead in the direction of travel.
+ * STOPPED_AT vehicles have no cap (they are held by zero speed instead).
+ */
+function stopDistanceAhead(vehicle, coords, cum, fixDistance, direction) {
+    if (!getStopPosition || !vehicle.stopId || vehicle.currentStatus === 'STOPPED_AT') return null;
+    const stop = getStopPosition(vehicle.stopId);
+    if (!stop || !stop.latitude || !stop.longitude) return null;
+    const projection = projectOntoPath(coords, stop.latitude, stop.longitude, cum);
+    if (projection.offset > STOP_MATCH_MAX_OFFSET) return null;
+    return direction * (projection.distanceAlong - fixDistance) >= 0 ? projection.distanceAlong : null;
+}
+
+/**
+ * Attach a vehicle to its route path from a new GPS fix and set up extrapolation.
+ * Must run before the state's metadata is overwritten (uses the previous updatedAt).
+ *
+ * @param {Object} state — VehicleState
+ * @param {Object} vehicle — incoming vehicle data
+ * @param {number} now — performance.now() timestamp of the fix
+ * @returns {boolean} — false if the fix is not on any route path (caller falls back to interpolation)
+ */
+function followPath(state, vehicle, now) {
+    const match = matchPath(vehicle.routeId, vehicle.latitude, vehicle.longitude, state.path?.coords);
+    if (!match) {
+        state.path = null;
+        state.pathMotion = null;
+        state.pathDistance = null;
+        return false;
+    }
+
+    const { coords, cum, projection } = match;
+    const length = cum[cum.length - 1];
+    const fixDistance = projection.distanceAlong;
+    const previous = state.path?.coords === coords ? state.pathMotion : null;
+
+    // Direction: movement along the path since the last fix, else reported bearing vs path heading
+    const moved = previous ? fixDistance - previous.fixDistance : 0;
+    let direction;
+    if (Math.abs(moved) >= MIN_DIRECTION_MOVE) {
+        direction = Math.sign(moved);
+    } else if (previous) {
+        direction = previous.direction;
+    } else {
+        direction = directionFromBearing(coords, cum, fixDistance, vehicle.bearing);
+    }
+
+    // Speed: reported, else estimated from the last two fixes; zero while stopped at a platform
+    let speed = vehicle.speed ?? null;
+    if (speed === null && previous) {
+        const seconds = (Date.parse(vehicle.updatedAt) - Date.parse(state.updatedAt)) / 1000;
+        speed = seconds > 0 ? Math.abs(moved) / seconds : previous.speed;
+    }
+    if (vehicle.currentStatus === 'STOPPED_AT' || !Number.isFinite(speed)) {
+        speed = 0;
+    }
+    speed = Math.min(Math.max(speed, 0), MAX_SPEED);
+
+    // Where the marker is drawn now, measured along the new path (null if it is off the path)
+    const shown = projectOntoPath(coords, state.latitude, state.longitude, cum);
+    const shownDistance = shown.offset <= PATH_MATCH_MAX_OFFSET ? shown.distanceAlong : null;
+    let correction = shownDistance !== null ? shownDistance - fixDistance : 0;
+    if (Math.abs(correction) > PATH_SNAP_THRESHOLD) {
+        correction = 0;
+    }
+
+    state.path = { coords, cum, length };
+    state.pathMotion = {
+        fixDistance,
+        anchorDistance: fixDistance,
+        anchorTime: now,
+        direction,
+        speed,
+        stopDistance: stopDistanceAhead(vehicle, coords, cum, fixDistance, direction),
+        length,
+        correction,
+    };
+    state.pathDistance = correction === 0 ? null : shownDistance;
+    return true;
+}
+
+/**
+ * Per-frame position for a path-following vehicle: extrapolated distance plus a correction
+ * that eases out over interpolationDuration, so a fix that disagrees with the extrapolated
+ * position is absorbed smoothly rather than snapped to.
+ */
+function advanceAlongPath(vehicle, timestamp) {
+    const motion = vehicle.pathMotion;
+    const elapsed = timestamp - motion.anchorTime;
+
+    let distance = extrapolatePathDistance(motion, elapsed);
+    const k = Math.min(elapsed / config.animation.interpolationDuration, 1);
+    distance += motion.correction * (1 - easeOutCubic(k));
+
+    // A fix slightly behind the marker: hold position until the track catches up
+    // rather than visibly reversing
+    const backwards = vehicle.pathDistance !== null && motion.direction * (distance - vehicle.pathDistance) < 0;
+    if (backwards && Math.abs(motion.correction) <= HOLD_TOLERANCE) {
+        distance = vehicle.pathDistance;
+    }
+
+    vehicle.pathDistance = distance;
+    const point = pointAtDistance(vehicle.path.coords, distance, vehicle.path.cum);
+    vehicle.latitude = point.lat;
+    vehicle.longitude = point.lng;
+    const heading = motion.direction > 0 ? point.bearing : (point.bearing + 180) % 360;
+    vehicle.bearing = lerpAngle(vehicle.bearing, heading, BEARING_SMOOTHING);
+}
+
 /**
  * Handle vehicles:reset event
  */
@@ -50,7 +260,7 @@ function onReset(vehicleArray) {
     vehicles.clear();
 
     for (const vehicle of vehicleArray) {
-        const state = createVehicleState(vehicle, config.animation.fadeInDuration);
+        const state = createTrackedVehicle(vehicle, config.animation.fadeInDuration);
         vehicles.set(vehicle.id, state);
     }
 }
@@ -59,7 +269,7 @@ function onReset(vehicleArray) {
  * Handle vehicles:add event
  */
 function onAdd(vehicle) {
-    const state = createVehicleState(vehicle, config.animation.fadeInDuration);
+    const state = createTrackedVehicle(vehicle, config.animation.fadeInDuration);
     vehicles.set(vehicle.id, state);
 }
 
@@ -70,6 +280,41 @@ function onUpdate(vehicle) {
     const existing = vehicles.get(vehicle.id);
     if (!existing) return;
 
+    const now = performance.now();
+
+    if (followPath(existing, vehicle, now)) {
+        // Route-following: animate() extrapolates along the path from this fix
+        existing.targetLatitude = vehicle.latitude;
+        existing.targetLongitude = vehicle.longitude;
+        existing.animationStart = now;
+        existing.animationDuration = config.animation.interpolationDuration;
+    } else {
+        interpolateTo(existing, vehicle, now);
+    }
+
+    // Update metadata
+    existing.routeId = vehicle.routeId;
+    existing.currentStatus = vehicle.currentStatus;
+    existing.stopId = vehicle.stopId;
+    existing.currentStopSequence = vehicle.currentStopSequence;
+    existing.tripId = vehicle.tripId ?? null;
+    existing.directionId = vehicle.directionId;
+    existing.label = vehicle.label;
+    existing.speed = vehicle.speed ?? null;
+    existing.updatedAt = vehicle.updatedAt ?? null;
+    existing.occupancyStatus = vehicle.occupancyStatus ?? null;
+    existing.carriages = vehicle.carriages ?? null;
+
+    // Note: State transition from 'entering' to 'active' is handled by animate()
+    // when fade-in completes (t >= 1.0). This ensures we don't skip fade-in animations
+    // when updates arrive before the fade-in finishes.
+}
+
+/**
+ * Straight-line interpolation toward a new fix (vehicles not on a known route path).
+ * Snaps instantly when the jump exceeds snapThreshold.
+ */
+function interpolateTo(existing, vehicle, now) {
     // Snapshot current interpolated position as prev*
     existing.prevLatitude = existing.latitude;
     existing.prevLongitude = existing.longitude;
@@ -95,8 +340,6 @@ function onUpdate(vehicle) {
           )
         : existing.bearing; // Keep previous bearing if stopped/barely moved
 
-    const now = performance.now();
-
     if (distance > config.animation.snapThreshold) {
         // Snap instantly
         existing.latitude = vehicle.latitude;
@@ -118,20 +361,6 @@ function onUpdate(vehicle) {
         existing.animationStart = now;
         existing.animationDuration = config.animation.interpolationDuration;
     }
-
-    // Update metadata
-    existing.routeId = vehicle.routeId;
-    existing.currentStatus = vehicle.currentStatus;
-    existing.stopId = vehicle.stopId;
-    existing.currentStopSequence = vehicle.currentStopSequence;
-    existing.directionId = vehicle.directionId;
-    existing.label = vehicle.label;
-    existing.speed = vehicle.speed ?? null;
-    existing.updatedAt = vehicle.updatedAt ?? null;
-
-    // Note: State transition from 'entering' to 'active' is handled by animate()
-    // when fade-in completes (t >= 1.0). This ensures we don't skip fade-in animations
-    // when updates arrive before the fade-in finishes.
 }
 
 /**
@@ -218,6 +447,11 @@ function animate(timestamp) {
             continue;
         }
 
+        if (vehicle.path) {
+            advanceAlongPath(vehicle, timestamp);
+            continue;
+        }
+
         // Interpolate position
         const prevLat = vehicle.prevLatitude;
         const prevLon = vehicle.prevLongitude;
@@ -244,30 +478,43 @@ function animate(timestamp) {
 
 /**
  * Initialize vehicle state management
- * Subscribe to API events and start animation loop
+ * Subscribe to API events and start animation loop.
+ * May be called again with a different event source (e.g. historical playback in place
+ * of the live SSE stream): listeners on the previous source are removed and the current
+ * vehicle state is cleared; the new source is expected to send vehicles:reset.
  * @param {EventTarget} apiEventsTarget - Event target for vehicles:* events
  * @param {Function} [viewportBoundsCallback] - Optional callback returning viewport bounds
  */
 export function initVehicles(apiEventsTarget, viewportBoundsCallback) {
+    if (sourceAbort) {
+        sourceAbort.abort();
+        vehicles.clear();
+    }
+    sourceAbort = new AbortController();
+    const { signal } = sourceAbort;
+
     apiEventsTarget.addEventListener('vehicles:reset', (e) => {
         onReset(e.detail);
-    });
+    }, { signal });
 
     apiEventsTarget.addEventListener('vehicles:add', (e) => {
         onAdd(e.detail);
-    });
+    }, { signal });
 
     apiEventsTarget.addEventListener('vehicles:update', (e) => {
         onUpdate(e.detail);
-    });
+    }, { signal });
 
     apiEventsTarget.addEventListener('vehicles:remove', (e) => {
         onRemove(e.detail);
-    });
+    }, { signal });
 
     // Store viewport bounds callback
     getViewportBounds = viewportBoundsCallback;
 
+    if (loopStarted) return;
+    loopStarted = true;
+
     // Set up Page Visibility API to pause animation when tab is hidden
     document.addEventListener('visibilitychange', () => {
         isTabVisible = !document.hidden;
@@ -293,6 +540,17 @@ export function initVehicles(apiEventsTarget, viewportBoundsCallback) {
     animationFrameId = requestAnimationFrame(animate);
 }
 
+/**
+ * Provide route geometry for route-following extrapolation. Until paths are available
+ * (or for fixes off every path), vehicles fall back to straight-line interpolation.
+ * @param {Function} routePathsFn - (routeId) => Array of path coordinate arrays ({lat, lng})
+ * @param {Function} [stopPositionFn] - (stopId) => {latitude, longitude}; lets vehicles dwell at their next stop
+ */
+export function setRouteGeometry(routePathsFn, stopPositionFn = null) {
+    getRoutePaths = routePathsFn;
+    getStopPosition = stopPositionFn;
+}
+
 /**
  * Get current vehicles Map
  */
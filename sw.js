@@ -1,20 +1,137 @@
-/* Minimal service worker for PWA installability and notification support.
-   No caching — app needs live SSE data. */
+/* Service worker: PWA installability, notification support (including Web Push from
+   scripts/push-relay.mjs) and offline app shell.
+   App-shell files are precached under a versioned cache; map tiles are cached at
+   runtime. The MBTA API (including the SSE streams) is never intercepted. */
+
+// Replaced by build.js with the files copied to dist/ and a content hash. The unbuilt
+// worker (local dev) precaches nothing, so every request goes to the network as before.
+const PRECACHE_MANIFEST = { version: 'dev', urls: [] };
+
+const SHELL_CACHE_PREFIX = 'ttracker-shell-';
+const SHELL_CACHE = SHELL_CACHE_PREFIX + PRECACHE_MANIFEST.version;
+const TILE_CACHE = 'ttracker-tiles';
+
+// Tile servers whose responses are cached at runtime (config.tiles.url)
+const TILE_HOST_PATTERN = /(^|\.)basemaps\.cartocdn\.com$/;
+
+// Oldest tiles are evicted beyond this many entries (~15 MB of dark-theme tiles)
+const MAX_TILE_ENTRIES = 600;
+
+const precachedUrls = new Set(
+  PRECACHE_MANIFEST.urls.map((url) => new URL(url, self.location.origin).href)
+);
 
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_MANIFEST.urls.map((url) => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  // Drop app shells from previous builds; the tile cache is version-independent
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
 });
 
+/**
+ * Cache-first for precached app-shell files. Navigations fall back to the cached
+ * index.html when the network is unreachable.
+ */
+async function handleShellRequest(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const sameOrigin = new URL(request.url).origin === self.location.origin;
+
+  const cached = await cache.match(request, { ignoreSearch: sameOrigin });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (err) {
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('/index.html');
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Cache-first for map tiles, storing new tiles and evicting the oldest beyond MAX_TILE_ENTRIES.
+ * Tile images are no-cors requests, so responses may be opaque; those are cached too.
+ */
+async function handleTileRequest(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILE_ENTRIES)).map((key) => cache.delete(key)));
+  }
+  return response;
+}
+
 self.addEventListener('fetch', (event) => {
-  // Only handle same-origin requests. Let cross-origin (MBTA API SSE) pass through
-  // natively — intercepting SSE streams with respondWith(fetch()) breaks streaming.
-  if (new URL(event.request.url).origin === self.location.origin) {
-    event.respondWith(fetch(event.request));
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Map tiles: cross-origin, but safe to cache (plain images, never streamed)
+  if (TILE_HOST_PATTERN.test(url.hostname)) {
+    event.respondWith(handleTileRequest(request));
+    return;
+  }
+
+  // Precached app shell, including the pinned Leaflet CDN files
+  if (precachedUrls.has(url.href) || (url.origin === self.location.origin && precachedUrls.has(url.origin + url.pathname))) {
+    event.respondWith(handleShellRequest(request));
+    return;
   }
+
+  // Other same-origin requests go to the network. Let remaining cross-origin requests
+  // (MBTA API SSE) pass through natively — intercepting SSE streams with
+  // respondWith(fetch()) breaks streaming.
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      fetch(request).catch(async (err) => {
+        if (request.mode === 'navigate') {
+          const shell = await caches.match('/index.html', { cacheName: SHELL_CACHE });
+          if (shell) return shell;
+        }
+        throw err;
+      })
+    );
+  }
+});
+
+// Web Push from the notification relay (scripts/push-relay.mjs). The payload is the
+// page's notification ({title, body, tag, icon, badge}); the shared tag means a push and
+// the open page's own notification for the same vehicle replace rather than duplicate.
+// Counted pairs add data: {pairId, remainingCount}; the relay owns that countdown, so open
+// pages are told the new count (push.js).
+self.addEventListener('push', (event) => {
+  let message;
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch {
+    message = { body: event.data.text() };
+  }
+  const { title = 'T-Tracker', ...options } = message;
+  const count = options.data?.pairId
+    ? self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      clients.forEach(client => client.postMessage({ type: 'pair-count', ...options.data }));
+    })
+    : Promise.resolve();
+  event.waitUntil(Promise.all([self.registration.showNotification(title, options), count]));
 });
 
 self.addEventListener('notificationclick', (event) => {
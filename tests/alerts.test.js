@@ -0,0 +1,159 @@
+// tests/alerts.test.js — Unit tests for service alert parsing and matching
+import assert from 'assert';
+import { parseAlert, isAlertActive, getAlertsForStop, getDisruptedSegments, getDisruptedStopIds } from '../src/alerts.js';
+
+function makeAlertData(overrides = {}) {
+    return {
+        id: 'alert-1',
+        type: 'alert',
+        attributes: {
+            effect: 'SHUTTLE',
+            header: 'Shuttle buses replace Red Line service between JFK/UMass and Braintree',
+            short_header: 'Shuttles JFK/UMass to Braintree',
+            severity: 7,
+            lifecycle: 'ONGOING',
+            active_period: [{ start: '2026-10-19T05:00:00-04:00', end: '2026-10-19T23:59:00-04:00' }],
+            informed_entity: [
+                { route: 'Red', route_type: 1, stop: 'place-jfk', activities: ['BOARD'] },
+                { route: 'Red', route_type: 1, stop: 'place-nqncy', activities: ['BOARD'] },
+                { route: 'Red', route_type: 1, stop: 'place-brntn', activities: ['BOARD'] },
+            ],
+            updated_at: '2026-10-19T05:00:00-04:00',
+        },
+        ...overrides,
+    };
+}
+
+const DURING = new Date('2026-10-19T08:00:00-04:00').getTime();
+const AFTER = new Date('2026-10-20T08:00:00-04:00').getTime();
+
+/**
+ * Test parseAlert
+ */
+function testParseAlert() {
+    const alert = parseAlert(makeAlertData());
+    assert.strictEqual(alert.id, 'alert-1', 'ID should be preserved');
+    assert.strictEqual(alert.effect, 'SHUTTLE', 'Effect should be parsed');
+    assert.strictEqual(alert.header, 'Shuttles JFK/UMass to Braintree', 'short_header preferred over header');
+    assert.strictEqual(alert.severity, 7, 'Severity should be parsed');
+    assert.strictEqual(alert.activePeriods.length, 1, 'Active periods should be parsed');
+    assert.strictEqual(alert.informedEntities.length, 3, 'Informed entities should be parsed');
+    assert.deepStrictEqual(
+        alert.informedEntities[0],
+        { routeId: 'Red', routeType: 1, stopId: 'place-jfk', directionId: null },
+        'Informed entity should be flattened to camelCase'
+    );
+
+    const noShort = makeAlertData();
+    delete noShort.attributes.short_header;
+    assert.strictEqual(parseAlert(noShort).header.startsWith('Shuttle buses'), true, 'Falls back to header');
+
+    const removed = parseAlert({ id: 'alert-2', type: 'alert' });
+    assert.deepStrictEqual(removed, { id: 'alert-2' }, 'Remove event keeps only the id');
+
+    console.log('✓ parseAlert tests passed');
+}
+
+/**
+ * Test isAlertActive
+ */
+function testIsAlertActive() {
+    const alert = parseAlert(makeAlertData());
+    assert.strictEqual(isAlertActive(alert, DURING), true, 'Active inside its period');
+    assert.strictEqual(isAlertActive(alert, AFTER), false, 'Inactive after its period');
+
+    const openEnded = parseAlert(makeAlertData());
+    openEnded.activePeriods = [{ start: '2026-10-19T05:00:00-04:00', end: null }];
+    assert.strictEqual(isAlertActive(openEnded, AFTER), true, 'Open-ended period stays active');
+
+    const noPeriods = parseAlert(makeAlertData());
+    noPeriods.activePeriods = [];
+    assert.strictEqual(isAlertActive(noPeriods, AFTER), true, 'No periods means always active');
+
+    console.log('✓ isAlertActive tests passed');
+}
+
+/**
+ * Test getAlertsForStop
+ */
+function testGetAlertsForStop() {
+    const shuttle = parseAlert(makeAlertData());
+    const routeWide = parseAlert(makeAlertData({
+        id: 'alert-3',
+        attributes: {
+            effect: 'DELAY',
+            header: 'Orange Line delays',
+            severity: 9,
+            informed_entity: [{ route: 'Orange', route_type: 1 }],
+        },
+    }));
+
+    const stopsData = new Map([
+        ['70095', { id: '70095', parentStopId: 'place-jfk' }],
+        ['place-jfk', { id: 'place-jfk', parentStopId: null }],
+    ]);
+
+    // Child platform resolves to the parent station named by the alert
+    const atJfk = getAlertsForStop([shuttle, routeWide], ['70095'], ['Red'], stopsData, DURING);
+    assert.deepStrictEqual(atJfk.map(a => a.id), ['alert-1'], 'Child platform matches parent-station alert');
+
+    // Route-wide alert matches any stop on that route, sorted by severity
+    const both = getAlertsForStop([shuttle, routeWide], ['place-jfk'], ['Red', 'Orange'], stopsData, DURING);
+    assert.deepStrictEqual(both.map(a => a.id), ['alert-3', 'alert-1'], 'Most severe alert listed first');
+
+    // Expired alerts are excluded
+    const later = getAlertsForStop([shuttle], ['place-jfk'], ['Red'], stopsData, AFTER);
+    assert.strictEqual(later.length, 0, 'Expired alert should not be listed');
+
+    // Unrelated stop
+    const elsewhere = getAlertsForStop([shuttle], ['place-harsq'], ['Red'], stopsData, DURING);
+    assert.strictEqual(elsewhere.length, 0, 'Stop-specific alert does not leak to other stops on the route');
+
+    console.log('✓ getAlertsForStop tests passed');
+}
+
+/**
+ * Test getDisruptedSegments / getDisruptedStopIds
+ */
+function testDisruptedSegments() {
+    const shuttle = parseAlert(makeAlertData());
+    const elevator = parseAlert(makeAlertData({
+        id: 'alert-4',
+        attributes: {
+            effect: 'ELEVATOR_CLOSURE',
+            header: 'Elevator closed',
+            severity: 3,
+            informed_entity: [{ stop: 'place-pktrm' }],
+        },
+    }));
+
+    const segments = getDisruptedSegments([shuttle, elevator], DURING);
+    assert.strictEqual(segments.length, 1, 'Only disruptive effects produce segments');
+    assert.strictEqual(segments[0].routeId, 'Red', 'Segment keeps its route');
+    assert.deepStrictEqual(segments[0].stopIds, ['place-jfk', 'place-nqncy', 'place-brntn'], 'Segment lists affected stops');
+
+    assert.strictEqual(getDisruptedSegments([shuttle], AFTER).length, 0, 'Expired alerts produce no segments');
+
+    const ids = getDisruptedStopIds([shuttle, elevator], DURING);
+    assert(ids.has('place-nqncy'), 'Shuttle stops are disrupted');
+    assert(!ids.has('place-pktrm'), 'Elevator closure does not badge the stop');
+
+    console.log('✓ getDisruptedSegments tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running service alert tests...\n');
+
+    testParseAlert();
+    testIsAlertActive();
+    testGetAlertsForStop();
+    testDisruptedSegments();
+
+    console.log('\n✓ All alerts tests passed!');
+}
+
+// Run tests
+runTests();
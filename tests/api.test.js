@@ -1,6 +1,27 @@
-// tests/api.test.js — Unit tests for API parsing functions
+// tests/api.test.js — Unit tests for API parsing functions and the stream stall watchdog
 import assert from 'assert';
-import { parseVehicle } from '../src/api.js';
+import { config } from '../config.js';
+import { parseVehicle, buildStreamFilter, diffStreamReset, connect, disconnect, getStreamDiagnostics } from '../src/api.js';
+
+// Stub EventSource: records instances so tests can fire stream events
+const sources = [];
+globalThis.EventSource = class {
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        sources.push(this);
+    }
+    addEventListener(type, fn) {
+        (this.listeners[type] ||= []).push(fn);
+    }
+    fire(type, data) {
+        (this.listeners[type] || []).forEach(fn => fn({ data: JSON.stringify(data) }));
+    }
+    close() {
+        this.closed = true;
+    }
+};
 
 /**
  * Test parseVehicle function
@@ -35,6 +56,28 @@ function testParseVehicle() {
     assert.strictEqual(result1.bearing, 90, 'Bearing should be parsed');
     assert.strictEqual(result1.currentStatus, 'in_transit_to', 'currentStatus should be camelCase');
     assert.strictEqual(result1.routeId, '23', 'routeId should be extracted from relationship');
+    assert(!('occupancyStatus' in result1), 'occupancyStatus absent when not reported');
+    assert(!('carriages' in result1), 'carriages absent when not reported');
+
+    // Test crowding attributes
+    const crowdedVehicle = {
+        id: 'R-5468',
+        attributes: {
+            latitude: 42.3601,
+            longitude: -71.0589,
+            occupancy_status: 'FEW_SEATS_AVAILABLE',
+            carriages: [
+                { label: '1812', occupancy_status: 'FULL', occupancy_percentage: 95 },
+                { label: '1813', occupancy_status: 'NO_DATA_AVAILABLE' },
+            ],
+        },
+    };
+    const crowded = parseVehicle(crowdedVehicle);
+    assert.strictEqual(crowded.occupancyStatus, 'FEW_SEATS_AVAILABLE', 'occupancyStatus should be camelCase');
+    assert.deepStrictEqual(crowded.carriages, [
+        { label: '1812', occupancyStatus: 'FULL', occupancyPercentage: 95 },
+        { label: '1813', occupancyStatus: 'NO_DATA_AVAILABLE', occupancyPercentage: null },
+    ], 'carriages should be parsed per car');
 
     // Test remove event (no attributes)
     const removeEvent = { id: 'vehicle-1' };
@@ -100,12 +143,145 @@ function testParseVehicle() {
     console.log('✓ parseVehicle tests passed');
 }
 
+/**
+ * Test buildStreamFilter function
+ */
+function testBuildStreamFilter() {
+    assert.strictEqual(buildStreamFilter(new Map()), null, 'Nothing asked for yet: every route');
+
+    const requests = new Map([
+        ['visible', new Set(['Red', 'Orange', '39'])],
+        ['recorder', new Set(['Red', 'Blue'])],
+        ['trip-planner', new Set()],
+    ]);
+    assert.strictEqual(buildStreamFilter(requests), '39,Blue,Orange,Red', 'Union, sorted and deduplicated');
+    assert.strictEqual(buildStreamFilter(requests, 4), '39,Blue,Orange,Red', 'At the limit');
+    assert.strictEqual(buildStreamFilter(requests, 3), null, 'Over the limit: every route');
+
+    requests.set('notifications', null);
+    assert.strictEqual(buildStreamFilter(requests), null, 'A key asking for all');
+
+    assert.strictEqual(buildStreamFilter(new Map([['visible', new Set()]])), null, 'No routes at all: every route');
+
+    console.log('✓ buildStreamFilter tests passed');
+}
+
+/**
+ * Test diffStreamReset function
+ */
+function testDiffStreamReset() {
+    const previous = new Set(['R-1', 'R-2', 'y1234']);
+    const vehicles = [
+        { id: 'R-1', routeId: 'Red' },
+        { id: 'R-2', routeId: 'Red' },
+        { id: 'O-1', routeId: 'Orange' },
+    ];
+    const { added, updated, removed } = diffStreamReset(previous, vehicles);
+    assert.deepStrictEqual(added.map(v => v.id), ['O-1'], 'Newly streamed vehicles are added');
+    assert.deepStrictEqual(updated.map(v => v.id), ['R-1', 'R-2'], 'Vehicles in both streams carry on');
+    assert.deepStrictEqual(removed, ['y1234'], 'Vehicles on dropped routes are removed');
+
+    const fresh = diffStreamReset(new Set(), vehicles);
+    assert.strictEqual(fresh.added.length, 3, 'Nothing streamed before');
+    assert.strictEqual(fresh.removed.length, 0);
+
+    console.log('✓ diffStreamReset tests passed');
+}
+
+/**
+ * Test the stall watchdog with a stubbed EventSource and clock
+ */
+function testStallWatchdog() {
+    const realSetInterval = globalThis.setInterval;
+    const realNow = Date.now;
+    const quiet = { log: console.log, warn: console.warn }; // api.js logs connection progress
+    let watchdog = null;
+    let now = realNow();
+    config.api = { ...config.api, baseUrl: 'https://api.example.test', key: 'test' };
+    const vehicle = id => ({ id, attributes: { latitude: 42.35, longitude: -71.06, updated_at: new Date(now).toISOString() } });
+
+    // Open a stream, capturing its watchdog; tick() runs it after advancing the clock
+    const open = () => {
+        connect();
+        return sources[sources.length - 1];
+    };
+    const tick = (seconds) => {
+        now += seconds * 1000;
+        watchdog();
+    };
+    const stalls = () => getStreamDiagnostics(now).reconnects.filter(r => r.reason === 'No data (stalled)').length;
+
+    try {
+        globalThis.setInterval = (fn) => { watchdog = fn; return 0; };
+        Date.now = () => now;
+        console.log = () => {};
+        console.warn = () => {};
+
+        // A silent stream carrying vehicles reconnects after stallSeconds
+        config.stream = { stallSeconds: 60 };
+        let stream = open();
+        stream.fire('reset', [vehicle('a')]);
+        tick(59);
+        assert(!stream.closed, 'Not stalled before stallSeconds');
+        tick(1);
+        assert(stream.closed, 'Silent stream closed after stallSeconds');
+        assert.strictEqual(stalls(), 1, 'Reconnect scheduled as a stall');
+        disconnect();
+
+        // A connection that never sends its reset is stalled too
+        stream = open();
+        tick(60);
+        assert(stream.closed, 'No reset counts as stalled');
+        disconnect();
+
+        // stallSeconds 0 turns the watchdog off
+        config.stream = { stallSeconds: 0 };
+        stream = open();
+        stream.fire('reset', [vehicle('a')]);
+        tick(3600);
+        assert(!stream.closed, 'Watchdog off');
+        disconnect();
+
+        // No vehicles in service (filtered to a quiet route): quiet by design, within a bound
+        config.stream = { stallSeconds: 60 };
+        stream = open();
+        stream.fire('reset', []);
+        tick(9 * 60);
+        assert(!stream.closed, 'Empty stream left connected');
+        tick(60);
+        assert(stream.closed, 'Empty stream reconnected after 10× stallSeconds');
+        disconnect();
+
+        // Vehicles all removed, then silence: the same bound applies, never unbounded
+        stream = open();
+        stream.fire('reset', [vehicle('a')]);
+        stream.fire('remove', { id: 'a' });
+        tick(5 * 60);
+        assert(!stream.closed, 'Emptied stream left connected');
+        tick(5 * 60);
+        assert(stream.closed, 'Emptied stream that stalls is reconnected');
+        assert.strictEqual(stalls(), 4);
+    } finally {
+        disconnect();
+        globalThis.setInterval = realSetInterval;
+        Date.now = realNow;
+        console.log = quiet.log;
+        console.warn = quiet.warn;
+        delete config.stream;
+    }
+
+    console.log('✓ stall watchdog tests passed');
+}
+
 /**
  * Run all tests
  */
 function runTests() {
     console.log('Running API parsing tests...\n');
     testParseVehicle();
+    testBuildStreamFilter();
+    testDiffStreamReset();
+    testStallWatchdog();
     console.log('\n✓ All API tests passed!');
 }
 
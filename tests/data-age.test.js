@@ -0,0 +1,71 @@
+// tests/data-age.test.js — Unit tests for vehicle data aging and age labels
+import assert from 'assert';
+import { getAgeThresholds, classifyDataAge, formatDataAge } from '../src/data-age.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const THRESHOLDS = { fadeMs: 120000, hideMs: 600000 };
+
+/**
+ * ISO time a number of seconds before NOW
+ * @param {number} seconds
+ * @returns {string}
+ */
+function secondsAgo(seconds) {
+    return new Date(NOW - seconds * 1000).toISOString();
+}
+
+/**
+ * Test classifyDataAge function
+ */
+function testClassifyDataAge() {
+    assert.strictEqual(classifyDataAge(secondsAgo(5), NOW, THRESHOLDS), 'fresh');
+    assert.strictEqual(classifyDataAge(secondsAgo(119), NOW, THRESHOLDS), 'fresh', 'Just under the fade threshold');
+    assert.strictEqual(classifyDataAge(secondsAgo(120), NOW, THRESHOLDS), 'stale', 'At the fade threshold');
+    assert.strictEqual(classifyDataAge(secondsAgo(599), NOW, THRESHOLDS), 'stale');
+    assert.strictEqual(classifyDataAge(secondsAgo(600), NOW, THRESHOLDS), 'expired', 'At the hide threshold');
+    assert.strictEqual(classifyDataAge(secondsAgo(-30), NOW, THRESHOLDS), 'fresh', 'Report ahead of the device clock');
+
+    assert.strictEqual(classifyDataAge(null, NOW, THRESHOLDS), 'fresh', 'No updatedAt');
+    assert.strictEqual(classifyDataAge('not a time', NOW, THRESHOLDS), 'fresh', 'Unparseable updatedAt');
+
+    // Playback measures recorded reports against the playhead, not the wall clock
+    const playhead = NOW - 6 * 3600 * 1000;
+    const recorded = new Date(playhead - 30000).toISOString();
+    assert.strictEqual(classifyDataAge(recorded, playhead, THRESHOLDS), 'fresh', 'Against the playhead');
+    assert.strictEqual(classifyDataAge(recorded, NOW, THRESHOLDS), 'expired', 'Against the wall clock');
+
+    const defaults = getAgeThresholds();
+    assert(defaults.fadeMs > 0 && defaults.hideMs > defaults.fadeMs, 'Default thresholds: fade before hide');
+
+    console.log('✓ classifyDataAge tests passed');
+}
+
+/**
+ * Test formatDataAge function
+ */
+function testFormatDataAge() {
+    assert.strictEqual(formatDataAge(0), '0s');
+    assert.strictEqual(formatDataAge(8400), '8s');
+    assert.strictEqual(formatDataAge(59999), '59s');
+    assert.strictEqual(formatDataAge(60000), '1 min');
+    assert.strictEqual(formatDataAge(3599000), '59 min');
+    assert.strictEqual(formatDataAge(2 * 3600 * 1000 + 1000), '2 h');
+    assert.strictEqual(formatDataAge(-5000), '0s', 'Device clock behind the feed');
+
+    console.log('✓ formatDataAge tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running data age tests...\n');
+
+    testClassifyDataAge();
+    testFormatDataAge();
+
+    console.log('\n✓ All data age tests passed!');
+}
+
+// Run tests
+runTests();
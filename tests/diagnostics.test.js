@@ -0,0 +1,162 @@
+// tests/diagnostics.test.js — Unit tests for stream diagnostics and the diagnostics panel
+import assert from 'assert';
+
+// Stub EventSource: records instances so tests can fire stream events
+const sources = [];
+globalThis.EventSource = class {
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        sources.push(this);
+    }
+    addEventListener(type, fn) {
+        (this.listeners[type] ||= []).push(fn);
+    }
+    fire(type, data = null) {
+        (this.listeners[type] || []).forEach(fn => fn({ data: typeof data === 'string' ? data : JSON.stringify(data) }));
+    }
+    close() {
+        this.closed = true;
+    }
+};
+
+const { config } = await import('../config.js');
+config.api = { ...config.api, baseUrl: 'https://api.example.test', key: 'test' };
+
+const { connect, disconnect, getStreamDiagnostics } = await import('../src/api.js');
+const { buildDiagnosticsHtml } = await import('../src/diagnostics-ui.js');
+
+// api.js logs connection progress; keep test output readable
+const quiet = () => {};
+console.log = quiet;
+console.warn = quiet;
+console.error = quiet;
+const report = (message) => process.stdout.write(`${message}\n`);
+
+const vehicle = (id) => ({ id, attributes: { latitude: 42.35, longitude: -71.06, updated_at: new Date().toISOString() } });
+
+/**
+ * Test event counting, parse errors and reconnect history from a stubbed stream
+ */
+function testStreamDiagnostics() {
+    const before = getStreamDiagnostics();
+    assert.strictEqual(before.connectedAt, null, 'Not connected yet');
+    assert.deepStrictEqual(before.eventsPerMinute, { reset: 0, add: 0, update: 0, remove: 0 });
+    assert.deepStrictEqual(before.reconnects, []);
+
+    connect();
+    const stream = sources[0];
+    stream.fire('reset', [vehicle('a'), vehicle('b')]);
+    stream.fire('add', vehicle('c'));
+    stream.fire('update', vehicle('a'));
+    stream.fire('update', vehicle('b'));
+    stream.fire('remove', { id: 'c' });
+    stream.fire('update', '{not json');
+
+    const live = getStreamDiagnostics();
+    assert(live.connectedAt !== null, 'Connected on reset');
+    assert.deepStrictEqual(live.eventsPerMinute, { reset: 1, add: 1, update: 3, remove: 1 }, 'Events by type');
+    assert.deepStrictEqual(live.eventTotals, { reset: 1, add: 1, update: 3, remove: 1 });
+    assert.deepStrictEqual(live.parseErrors, { total: 1, recent: 1 }, 'Parse error counted');
+    assert.strictEqual(live.routeFilter, null, 'Every route');
+
+    // Older than a minute: out of the rate, still in the totals
+    const later = getStreamDiagnostics(Date.now() + 61000);
+    assert.strictEqual(later.eventsPerMinute.update, 0, 'Rate covers the last minute');
+    assert.strictEqual(later.eventTotals.update, 3);
+
+    // A fresh reset clears the recent parse errors; the total stays
+    stream.fire('reset', [vehicle('a')]);
+    assert.deepStrictEqual(getStreamDiagnostics().parseErrors, { total: 1, recent: 0 }, 'Recent errors cleared on reset');
+
+    // Two connections dying right after opening look like rate limiting
+    stream.fire('error');
+    let diagnostics = getStreamDiagnostics();
+    assert.strictEqual(diagnostics.connectedAt, null, 'Disconnected');
+    assert.strictEqual(diagnostics.reconnects.length, 1);
+    assert.strictEqual(diagnostics.reconnects[0].reason, 'Closed right after opening');
+    assert.strictEqual(diagnostics.reconnects[0].delay, 1000, 'Backoff delay of the attempt');
+    assert.strictEqual(diagnostics.rateLimits.count, 0);
+
+    connect();
+    sources[1].fire('error');
+    diagnostics = getStreamDiagnostics();
+    assert.strictEqual(diagnostics.rateLimits.count, 1, 'Rate limit detected');
+    assert(diagnostics.rateLimits.last !== null);
+    assert.deepStrictEqual(diagnostics.reconnects.map(r => r.reason), ['Rate limited', 'Closed right after opening'],
+        'Newest reconnect first');
+    assert(diagnostics.reconnects[0].delay > diagnostics.reconnects[1].delay, 'Backoff grows');
+
+    disconnect();
+    report('✓ stream diagnostics tests passed');
+}
+
+/**
+ * Test buildDiagnosticsHtml function
+ */
+function testBuildDiagnosticsHtml() {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const diagnostics = {
+        eventsPerMinute: { reset: 0, add: 2, update: 340, remove: 1 },
+        eventTotals: { reset: 3, add: 50, update: 9000, remove: 40 },
+        parseErrors: { total: 2, recent: 0 },
+        reconnects: [
+            { time: now - 120000, reason: 'No data (stalled)', delay: 2000 },
+            { time: now - 3600000, reason: 'Connection <error>', delay: 1000 },
+        ],
+        rateLimits: { count: 1, last: now - 600000 },
+        connectedAt: now - 90000,
+        lastEventAt: now - 2000,
+        routeFilter: 'Blue,Orange,Red',
+    };
+    const html = buildDiagnosticsHtml(diagnostics, { vehicleCount: 87, dataAge: 5000, staticDataAge: 7200 }, now);
+
+    assert(html.includes('<span>since 1 min ago</span>'), 'Connected since');
+    assert(html.includes('<span>2s ago</span>'), 'Last event');
+    assert(html.includes('<span>5s ago</span>'), 'Newest report');
+    assert(html.includes('title="Blue,Orange,Red">3 filtered</span>'), 'Route filter');
+    assert(html.includes('<span>87</span>'), 'Vehicle count');
+    assert(html.includes('<span>2 h old</span>'), 'Static data age');
+    assert(html.includes('<tr><td>update</td><td>340</td><td>9000</td></tr>'), 'Event rate row');
+    assert(html.includes('2 (0 in last 30s)'), 'Parse errors');
+    assert(!html.includes('diagnostics-panel__row--alert'), 'No alert without recent parse errors');
+    assert(html.includes('1× · last 10 min ago'), 'Rate limits');
+    assert(html.indexOf('No data (stalled)') < html.indexOf('Connection &lt;error&gt;'), 'Reconnects in order, escaped');
+    assert(html.includes('<span>retry in 2s</span>'), 'Backoff delay');
+
+    const idle = buildDiagnosticsHtml({
+        ...diagnostics,
+        parseErrors: { total: 6, recent: 5 },
+        reconnects: [],
+        rateLimits: { count: 0, last: null },
+        connectedAt: null,
+        lastEventAt: null,
+        routeFilter: null,
+    }, { vehicleCount: 0, dataAge: null, staticDataAge: null }, now);
+    assert(idle.includes('<span>Connected</span><span>no</span>'));
+    assert(idle.includes('<span>Last event</span><span>never</span>'));
+    assert(idle.includes('<span>Newest report</span><span>none yet</span>'));
+    assert(idle.includes('<span>Routes</span><span>all</span>'));
+    assert(idle.includes('<span>Static data</span><span>live API</span>'), 'Live-API fallback');
+    assert(idle.includes('diagnostics-panel__row--alert'), 'Recent parse errors flagged');
+    assert(idle.includes('<span>Rate limited</span><span>never</span>'));
+    assert(idle.includes('No reconnects'));
+
+    report('✓ buildDiagnosticsHtml tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    report('Running diagnostics tests...\n');
+
+    testStreamDiagnostics();
+    testBuildDiagnosticsHtml();
+
+    report('\n✓ All diagnostics tests passed!');
+}
+
+// Run tests
+runTests();
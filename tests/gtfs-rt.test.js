@@ -0,0 +1,326 @@
+// tests/gtfs-rt.test.js — Unit tests for the GTFS-Realtime and replay data sources
+import assert from 'assert';
+import {
+    readProtobufFields,
+    decodeFeedMessage,
+    entityToVehicle,
+    diffSnapshot,
+    createGtfsRtSource,
+} from '../src/gtfs-rt.js';
+import { rebaseFrame, createReplaySource } from '../src/replay-source.js';
+
+// Minimal protobuf encoder for building test feeds
+
+function varint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value % 128) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+    return bytes;
+}
+
+const field = {
+    varint: (number, value) => [...varint(number * 8), ...varint(value)],
+    float: (number, value) => {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setFloat32(0, value, true);
+        return [...varint(number * 8 + 5), ...bytes];
+    },
+    bytes: (number, content) => [...varint(number * 8 + 2), ...varint(content.length), ...content],
+    string: (number, text) => field.bytes(number, [...new TextEncoder().encode(text)]),
+};
+
+function encodeVehicleEntity({ id, lat, lng, bearing, routeId, tripId, directionId, stopId, status, sequence, timestamp, label }) {
+    const trip = [...field.string(1, tripId), ...field.string(5, routeId), ...field.varint(6, directionId)];
+    const position = [...field.float(1, lat), ...field.float(2, lng), ...field.float(3, bearing)];
+    const descriptor = [...field.string(1, id), ...field.string(2, label)];
+    const vehicle = [
+        ...field.bytes(1, trip),
+        ...field.bytes(2, position),
+        ...field.varint(3, sequence),
+        ...field.varint(4, status),
+        ...field.varint(5, timestamp),
+        ...field.string(7, stopId),
+        ...field.bytes(8, descriptor),
+    ];
+    return field.bytes(2, [...field.string(1, `entity-${id}`), ...field.bytes(4, vehicle)]);
+}
+
+function encodeFeed(timestamp, entities) {
+    const header = [...field.string(1, '2.0'), ...field.varint(3, timestamp)];
+    return Uint8Array.from([...field.bytes(1, header), ...entities.flatMap(encodeVehicleEntity)]);
+}
+
+const FEED_TIME = 1760882400; // 2025-10-19T14:00:00Z
+
+/**
+ * Test readProtobufFields
+ */
+function testReadProtobufFields() {
+    const fields = readProtobufFields(Uint8Array.from([...field.varint(1, 300), ...field.string(2, 'hi'), ...field.varint(3, FEED_TIME)]));
+    assert.strictEqual(fields.length, 3);
+    assert.deepStrictEqual([fields[0].field, fields[0].value], [1, 300], 'Multi-byte varint');
+    assert.strictEqual(new TextDecoder().decode(fields[1].value), 'hi', 'Length-delimited field');
+    assert.strictEqual(fields[2].value, FEED_TIME, 'Epoch seconds varint');
+
+    assert.throws(() => readProtobufFields(Uint8Array.from([0x08])), /Truncated/, 'Missing varint value');
+    assert.throws(() => readProtobufFields(Uint8Array.from([0x12, 0x05, 0x61])), /Truncated/, 'Short length-delimited field');
+    assert.throws(() => readProtobufFields(Uint8Array.from([0x0b])), /wire type/, 'Group wire type rejected');
+
+    console.log('✓ readProtobufFields tests passed');
+}
+
+/**
+ * Test decodeFeedMessage and entityToVehicle on a protobuf feed
+ */
+function testDecodeFeed() {
+    const bytes = encodeFeed(FEED_TIME, [{
+        id: 'bus-7', label: '1407', lat: 47.6062, lng: -122.3321, bearing: 180,
+        routeId: '44', tripId: 'trip-1', directionId: 1, stopId: '1200', status: 1, sequence: 12, timestamp: FEED_TIME - 20,
+    }]);
+    const feed = decodeFeedMessage(bytes);
+    assert.strictEqual(feed.header.timestamp, FEED_TIME);
+    assert.strictEqual(feed.entity.length, 1);
+    assert.strictEqual(feed.entity[0].id, 'entity-bus-7');
+
+    const vehicle = entityToVehicle(feed.entity[0]);
+    assert.strictEqual(vehicle.id, 'bus-7', 'Vehicle descriptor ID preferred over entity ID');
+    assert.strictEqual(vehicle.label, '1407');
+    assert(Math.abs(vehicle.latitude - 47.6062) < 1e-4, 'Latitude decoded from float32');
+    assert(Math.abs(vehicle.longitude + 122.3321) < 1e-4, 'Longitude decoded from float32');
+    assert.strictEqual(vehicle.bearing, 180);
+    assert.strictEqual(vehicle.routeId, '44');
+    assert.strictEqual(vehicle.tripId, 'trip-1');
+    assert.strictEqual(vehicle.directionId, 1);
+    assert.strictEqual(vehicle.stopId, '1200');
+    assert.strictEqual(vehicle.currentStatus, 'STOPPED_AT', 'Status enum mapped to MBTA string');
+    assert.strictEqual(vehicle.currentStopSequence, 12);
+    assert.strictEqual(vehicle.updatedAt, new Date((FEED_TIME - 20) * 1000).toISOString());
+
+    // Unknown fields are skipped
+    const withExtra = Uint8Array.from([...bytes, ...field.varint(1000, 1)]);
+    assert.strictEqual(decodeFeedMessage(withExtra).entity.length, 1, 'Extension field ignored');
+
+    console.log('✓ decodeFeedMessage tests passed');
+}
+
+/**
+ * Test entityToVehicle on the JSON form of a feed
+ */
+function testEntityToVehicleJson() {
+    const vehicle = entityToVehicle({
+        id: '1',
+        vehicle: {
+            position: { latitude: 42.35, longitude: -71.06 },
+            current_status: 'IN_TRANSIT_TO',
+            trip: { route_id: 'Red', direction_id: 0 },
+        },
+    });
+    assert.strictEqual(vehicle.id, '1', 'Falls back to entity ID');
+    assert.strictEqual(vehicle.currentStatus, 'IN_TRANSIT_TO', 'Status name kept');
+    assert.strictEqual(vehicle.routeId, 'Red');
+    assert.strictEqual(vehicle.directionId, 0, 'Direction 0 kept');
+    assert.strictEqual(vehicle.bearing, undefined);
+    assert.strictEqual(vehicle.updatedAt, undefined);
+
+    assert.strictEqual(entityToVehicle({ id: '2', vehicle: { position: { latitude: 42.35, longitude: -71.06 } } }).currentStatus,
+        'IN_TRANSIT_TO', 'Unset status is IN_TRANSIT_TO');
+    assert.strictEqual(entityToVehicle({ id: '3', vehicle: { trip: { route_id: 'Red' } } }), null, 'No position');
+    assert.strictEqual(entityToVehicle({ id: '4', is_deleted: true, vehicle: { position: { latitude: 1, longitude: 2 } } }), null, 'Deleted');
+    assert.strictEqual(entityToVehicle({ id: '5', trip_update: {} }), null, 'Not a vehicle entity');
+
+    console.log('✓ entityToVehicle JSON tests passed');
+}
+
+/**
+ * Test diffSnapshot
+ */
+function testDiffSnapshot() {
+    const previous = new Map([
+        ['a', { id: 'a', latitude: 1, longitude: 1, currentStatus: 'STOPPED_AT' }],
+        ['b', { id: 'b', latitude: 2, longitude: 2, currentStatus: 'STOPPED_AT' }],
+        ['c', { id: 'c', latitude: 3, longitude: 3, currentStatus: 'STOPPED_AT' }],
+    ]);
+    const current = [
+        { id: 'a', latitude: 1, longitude: 1, currentStatus: 'STOPPED_AT' },
+        { id: 'b', latitude: 2.1, longitude: 2, currentStatus: 'STOPPED_AT' },
+        { id: 'd', latitude: 4, longitude: 4, currentStatus: 'INCOMING_AT' },
+    ];
+    const { add, update, remove } = diffSnapshot(previous, current);
+    assert.deepStrictEqual(add.map(v => v.id), ['d'], 'New vehicle added');
+    assert.deepStrictEqual(update.map(v => v.id), ['b'], 'Only moved vehicle updated');
+    assert.deepStrictEqual(remove, ['c'], 'Missing vehicle removed');
+
+    console.log('✓ diffSnapshot tests passed');
+}
+
+function createSink() {
+    const events = [];
+    const statuses = [];
+    let parseErrors = 0;
+    return {
+        events,
+        statuses,
+        get parseErrors() { return parseErrors; },
+        emit(type, detail) { events.push({ type, detail }); },
+        status(state, message) { statuses.push({ state, message }); },
+        parseError() { parseErrors++; },
+    };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Test the polling source: reset, then differences, then a failing feed
+ */
+async function testGtfsRtSource() {
+    const vehicle = { lat: 42.35, lng: -71.06, bearing: 0, routeId: 'Red', tripId: 't', directionId: 0, stopId: 's', status: 2, sequence: 1, timestamp: FEED_TIME, label: 'x' };
+    const responses = [
+        encodeFeed(FEED_TIME, [{ ...vehicle, id: 'a' }, { ...vehicle, id: 'b' }]),
+        encodeFeed(FEED_TIME + 15, [{ ...vehicle, id: 'a', lat: 42.36, timestamp: FEED_TIME + 15 }, { ...vehicle, id: 'c' }]),
+        null,
+    ];
+    const requests = [];
+    const fetchFn = async (url, init) => {
+        requests.push({ url, init });
+        const body = responses.shift();
+        if (!body) return { ok: false, status: 503, statusText: 'Service Unavailable' };
+        return { ok: true, headers: new Map([['Content-Type', 'application/x-protobuf']]), arrayBuffer: async () => body.buffer };
+    };
+
+    const sink = createSink();
+    const source = createGtfsRtSource({ url: 'https://example.com/vehiclepositions.pb', pollInterval: 20, headers: { 'x-api-key': 'k' } }, sink, fetchFn);
+    source.connect();
+    source.connect(); // Second connect while polling is a no-op
+    await wait(100);
+    source.disconnect();
+
+    assert.strictEqual(requests[0].url, 'https://example.com/vehiclepositions.pb');
+    assert.deepStrictEqual(requests[0].init.headers, { 'x-api-key': 'k' }, 'Configured headers sent');
+
+    const types = sink.events.map(e => e.type);
+    assert.deepStrictEqual(types, ['vehicles:reset', 'vehicles:add', 'vehicles:update', 'vehicles:remove'], 'Reset, then the difference');
+    assert.deepStrictEqual(sink.events[0].detail.map(v => v.id), ['a', 'b']);
+    assert.strictEqual(sink.events[1].detail.id, 'c');
+    assert.strictEqual(sink.events[2].detail.id, 'a');
+    assert.deepStrictEqual(sink.events[3].detail, { id: 'b' });
+
+    assert.deepStrictEqual(sink.statuses[0], { state: 'reconnecting', message: 'Connecting...' });
+    assert.deepStrictEqual(sink.statuses[1], { state: 'connected', message: 'Live' });
+    assert.strictEqual(sink.statuses[2].state, 'reconnecting', 'Failed poll reported');
+    assert(sink.statuses[2].message.includes('retrying in 1s'), 'Retry delay shown');
+
+    // No polls after disconnect
+    const count = requests.length;
+    await wait(1200);
+    assert.strictEqual(requests.length, count, 'Polling stopped');
+
+    // Malformed protobuf counts as a parse error, and polling continues
+    const badSink = createSink();
+    const badSource = createGtfsRtSource({ url: 'https://example.com/feed.pb', pollInterval: 10 }, badSink, async () => ({
+        ok: true, headers: new Map(), arrayBuffer: async () => Uint8Array.from([0x0a, 0x10]).buffer,
+    }));
+    badSource.connect();
+    await wait(50);
+    badSource.disconnect();
+    assert(badSink.parseErrors >= 1, 'Parse error recorded');
+    assert.strictEqual(badSink.events.length, 0);
+
+    // JSON feeds are read as the JSON form
+    const jsonSink = createSink();
+    const jsonSource = createGtfsRtSource({ url: 'https://example.com/feed.json' }, jsonSink, async () => ({
+        ok: true, headers: new Map(), json: async () => ({ entity: [{ id: 'j', vehicle: { position: { latitude: 1, longitude: 2 } } }] }),
+    }));
+    jsonSource.connect();
+    await wait(10);
+    jsonSource.disconnect();
+    assert.strictEqual(jsonSink.events[0].type, 'vehicles:reset');
+    assert.strictEqual(jsonSink.events[0].detail[0].id, 'j');
+
+    console.log('✓ GTFS-RT polling source tests passed');
+}
+
+/**
+ * Test rebaseFrame
+ */
+function testRebaseFrame() {
+    const frame = {
+        header: { timestamp: FEED_TIME },
+        entity: [
+            { id: 'a', vehicle: { position: { latitude: 1, longitude: 2 }, timestamp: FEED_TIME - 20 } },
+            { id: 'b', vehicle: { position: { latitude: 1, longitude: 2 } } },
+        ],
+    };
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const [a, b] = rebaseFrame(frame, now);
+    assert.strictEqual(a.updatedAt, '2026-10-19T11:59:40.000Z', 'Age relative to the frame preserved');
+    assert.strictEqual(b.updatedAt, undefined, 'No timestamp left unset');
+
+    console.log('✓ rebaseFrame tests passed');
+}
+
+/**
+ * Test the replay source plays frames in order and finishes
+ */
+async function testReplaySource() {
+    const frames = [
+        { header: { timestamp: FEED_TIME }, entity: [{ id: 'a', vehicle: { position: { latitude: 1, longitude: 1 } } }] },
+        { header: { timestamp: FEED_TIME + 10 }, entity: [{ id: 'a', vehicle: { position: { latitude: 1.1, longitude: 1 } } }] },
+        { header: { timestamp: FEED_TIME + 20 }, entity: [] },
+    ];
+    let loads = 0;
+    const fetchFn = async () => {
+        loads++;
+        return { ok: true, json: async () => frames };
+    };
+
+    const sink = createSink();
+    const source = createReplaySource({ url: 'recording.json', speed: 1000, loop: false }, sink, fetchFn);
+    source.connect();
+    await wait(100);
+
+    assert.deepStrictEqual(sink.events.map(e => e.type), ['vehicles:reset', 'vehicles:update', 'vehicles:remove'], 'Frames played in order');
+    assert.deepStrictEqual(sink.statuses.map(s => s.message), ['Loading replay...', 'Replay', 'Replay finished']);
+
+    // Reconnecting starts over without loading the file again
+    source.disconnect();
+    source.connect();
+    await wait(100);
+    source.disconnect();
+    assert.strictEqual(loads, 1, 'Replay file loaded once');
+    assert.strictEqual(sink.events[3].type, 'vehicles:reset', 'Reconnect starts with a reset');
+
+    // Missing file
+    const failSink = createSink();
+    createReplaySource({ url: 'missing.json' }, failSink, async () => ({ ok: false, status: 404, statusText: 'Not Found' })).connect();
+    await wait(10);
+    assert.deepStrictEqual(failSink.statuses[1], { state: 'error', message: 'Replay unavailable' });
+
+    console.log('✓ replay source tests passed');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+    console.log('Running GTFS-Realtime data source tests...\n');
+
+    testReadProtobufFields();
+    testDecodeFeed();
+    testEntityToVehicleJson();
+    testDiffSnapshot();
+    await testGtfsRtSource();
+    testRebaseFrame();
+    await testReplaySource();
+
+    console.log('\n✓ All GTFS-Realtime data source tests passed!');
+}
+
+// Run tests
+runTests().catch((err) => {
+    console.error('FAIL:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+});
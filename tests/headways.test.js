@@ -0,0 +1,128 @@
+// tests/headways.test.js — Unit tests for headway spacing, bunching/gap detection and panel formatting
+import assert from 'assert';
+
+// Stubs required before importing headway-ui.js (vehicles.js reads these at module level)
+globalThis.document = {
+    hidden: false,
+    addEventListener: () => {},
+};
+globalThis.performance = { now: () => 0 };
+globalThis.requestAnimationFrame = () => 1;
+globalThis.cancelAnimationFrame = () => {};
+
+const { classifySpacing, estimateHeadwayMinutes, formatSpacing, computeRouteHeadways } = await import('../src/headways.js');
+const { formatHeadwaySummary, buildHeadwayPanelHtml } = await import('../src/headway-ui.js');
+const { haversineDistance } = await import('../src/vehicle-math.js');
+
+// Straight east-west path (~2.5km) and a second, unrelated branch to the north
+const PATH = [{ lat: 42.35, lng: -71.08 }, { lat: 42.35, lng: -71.05 }];
+const BRANCH = [{ lat: 42.40, lng: -71.08 }, { lat: 42.40, lng: -71.05 }];
+const THRESHOLDS = { bunchingMeters: 400, gapMeters: 1500 };
+
+function vehicle(id, lng, overrides = {}) {
+    return { id, label: id, latitude: 42.3501, longitude: lng, routeId: 'Red', directionId: 0, ...overrides };
+}
+
+/**
+ * Test classifySpacing / estimateHeadwayMinutes / formatSpacing
+ */
+function testSpacingHelpers() {
+    assert.strictEqual(classifySpacing(200, THRESHOLDS), 'bunched', 'Below bunching threshold');
+    assert.strictEqual(classifySpacing(800, THRESHOLDS), 'ok', 'Between thresholds');
+    assert.strictEqual(classifySpacing(2000, THRESHOLDS), 'gap', 'Above gap threshold');
+
+    assert.strictEqual(estimateHeadwayMinutes(5400, 1), 10, 'Heavy rail at 9 m/s: 5.4km ≈ 10 min');
+    assert.strictEqual(estimateHeadwayMinutes(100, 99), null, 'Unknown route type has no estimate');
+
+    assert.strictEqual(formatSpacing(183.4), '183 m', 'Meters below 1km');
+    assert.strictEqual(formatSpacing(2450), '2.5 km', 'Kilometers with one decimal');
+
+    console.log('✓ spacing helper tests passed');
+}
+
+/**
+ * Test computeRouteHeadways
+ */
+function testComputeRouteHeadways() {
+    const vehicles = [
+        vehicle('a', -71.075),
+        vehicle('b', -71.0735), // ~125m east of a
+        vehicle('c', -71.055), // ~2km beyond b
+        vehicle('d', -71.07, { directionId: 1 }),
+        vehicle('e', -71.06, { routeId: 'Orange' }),
+        vehicle('f', -71.07, { latitude: 42.37 }), // off every path
+    ];
+
+    const result = computeRouteHeadways(vehicles, 'Red', [PATH, BRANCH], THRESHOLDS);
+    assert.deepStrictEqual(result.map(d => d.directionId), [0, 1], 'One entry per direction, sorted');
+
+    const dir0 = result[0];
+    assert.strictEqual(dir0.vehicleCount, 3, 'Other routes, other directions and off-path vehicles excluded');
+    assert.strictEqual(dir0.pairs.length, 2, 'Consecutive vehicles are paired');
+    assert.deepStrictEqual(dir0.pairs[0].vehicleIds, ['a', 'b'], 'Pairs ordered along the path');
+    assert.strictEqual(dir0.pairs[0].status, 'bunched', 'Close pair is bunched');
+    assert.strictEqual(dir0.pairs[1].status, 'gap', 'Distant pair is a gap');
+
+    const expected = haversineDistance(42.35, -71.0735, 42.35, -71.055);
+    assert(Math.abs(dir0.pairs[1].spacing - expected) < 1, 'Spacing measured along the path');
+    assert(Math.abs(dir0.pairs[1].coords[0].lng - (-71.0735)) < 1e-6, 'Connector starts at the first vehicle');
+
+    assert.strictEqual(result[1].pairs.length, 0, 'Single vehicle has no pairs');
+
+    // Vehicles on different branches are not paired with each other
+    const split = computeRouteHeadways([vehicle('a', -71.07), vehicle('g', -71.069, { latitude: 42.4001 })], 'Red', [PATH, BRANCH], THRESHOLDS);
+    assert.strictEqual(split[0].pairs.length, 0, 'Vehicles on separate polylines are not paired');
+
+    assert.deepStrictEqual(computeRouteHeadways([vehicle('a', -71.07)], 'Red', [], THRESHOLDS), [], 'No paths, no headways');
+
+    console.log('✓ computeRouteHeadways tests passed');
+}
+
+/**
+ * Test panel formatting
+ */
+function testPanelFormatting() {
+    const direction = {
+        directionId: 0,
+        vehicleCount: 3,
+        pairs: [
+            { vehicleIds: ['a', 'b'], labels: ['1801', '<b>'], spacing: 150, status: 'bunched', coords: [] },
+            { vehicleIds: ['b', 'c'], labels: ['<b>', '1840'], spacing: 2500, status: 'gap', coords: [] },
+        ],
+    };
+    assert.strictEqual(formatHeadwaySummary(direction), '3 vehicles · 1 bunched · 1 gap', 'Summary counts flags');
+    assert.strictEqual(
+        formatHeadwaySummary({ vehicleCount: 2, pairs: [{ status: 'ok' }] }),
+        '2 vehicles · evenly spaced',
+        'Unflagged direction reads as evenly spaced'
+    );
+    assert.strictEqual(formatHeadwaySummary({ vehicleCount: 1, pairs: [] }), '1 vehicle', 'Singular vehicle');
+
+    const route = { id: 'Red', type: 1, shortName: 'Red', longName: 'Red Line', color: '#b22222', directionDestinations: ['Ashmont/Braintree', 'Alewife'] };
+    const html = buildHeadwayPanelHtml([{ route, directions: [direction] }]);
+    assert(html.includes('Red Line'), 'Route name shown');
+    assert(html.includes('→ Ashmont/Braintree'), 'Direction destination shown');
+    assert(html.includes('headway-panel__pair--bunched'), 'Bunched pair flagged');
+    assert(html.includes('~0 min'), 'Time estimate shown');
+    assert(html.includes('&lt;b&gt;') && !html.includes('<b>'), 'Labels are escaped');
+
+    assert(buildHeadwayPanelHtml([{ route, directions: [] }]).includes('No vehicles'), 'Empty state');
+
+    console.log('✓ headway panel formatting tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running headway tests...\n');
+
+    testSpacingHelpers();
+    testComputeRouteHeadways();
+    testPanelFormatting();
+
+    console.log('\n✓ All headway tests passed!');
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,254 @@
+// tests/import-gtfs.test.js — Unit tests for the GTFS static importer
+import assert from 'assert';
+import { deflateRawSync } from 'zlib';
+import {
+    readZipEntries,
+    parseCsvLine,
+    normalizeRouteType,
+    selectTypicalShapes,
+    buildBundleFromGtfs,
+} from '../scripts/import-gtfs.mjs';
+import { STOP_PROXIMITY_THRESHOLD } from '../scripts/static-bundle.mjs';
+import { haversineDistance } from '../src/vehicle-math.js';
+
+/**
+ * Build a zip archive (CRCs left zero; the importer doesn't check them).
+ * @param {Object<string, string>} files — name → content
+ * @param {boolean} [deflate=true]
+ * @returns {Buffer}
+ */
+function buildZip(files, deflate = true) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const raw = Buffer.from(content, 'utf-8');
+        const data = deflate ? deflateRawSync(raw) : raw;
+        const nameBytes = Buffer.from(name, 'utf-8');
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+const csv = rows => rows.map(r => r.join(',')).join('\r\n') + '\r\n';
+
+// Points along a straight east–west line
+function line(lat, fromLng, toLng, count) {
+    return Array.from({ length: count }, (_, i) => [lat, fromLng + (toLng - fromLng) * i / (count - 1)]);
+}
+
+/**
+ * A small feed: rail route "Rail" (both directions, one stop served only inbound, one far-off stop
+ * on a short-turn trip), bus route "7" (extended route type, no color) and an excluded gondola.
+ */
+function buildFeed() {
+    const railShape = line(42.35, -71.10, -71.05, 30);
+    const busShape = line(42.34, -71.10, -71.08, 12);
+    const shapes = [['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence']];
+    // rail-0 rows in reverse sequence order (header moved back to the top)
+    railShape.forEach(([lat, lng], i) => shapes.unshift(['rail-0', lat, lng, i + 1]));
+    shapes.unshift(shapes.pop());
+    [...railShape].reverse().forEach(([lat, lng], i) => shapes.push(['rail-1', lat, lng, i + 1]));
+    busShape.forEach(([lat, lng], i) => shapes.push(['bus-0', lat, lng, i + 1]));
+
+    const stopTimes = [['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence']];
+    const visit = (trip, stopIds) => stopIds.forEach((id, i) => stopTimes.push([trip, '08:00:00', '08:00:00', id, i + 1]));
+    for (const trip of ['r0-a', 'r0-b', 'r0-c']) visit(trip, ['a-1', 'b-1', 'c-1']);
+    visit('r1-a', ['c-2', 'd-1', 'b-2', 'a-2']);
+    visit('r0-short', ['a-1', 'far-1']);
+    visit('bus-a', ['bus-1', 'bus-2']);
+
+    return buildZip({
+        'feed/routes.txt': '\uFEFF' + csv([
+            ['route_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color'],
+            ['Rail', '', 'Rail Line', '1', 'DA291C'],
+            ['7', '7', '"Main St, Downtown"', '700', ''],
+            ['Sky', '', 'Gondola', '6', '000000'],
+        ]),
+        'feed/trips.txt': csv([
+            ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id'],
+            ['Rail', 'wk', 'r0-a', 'Eastfield', '0', 'rail-0'],
+            ['Rail', 'wk', 'r0-b', 'Eastfield', '0', 'rail-0'],
+            ['Rail', 'wk', 'r0-c', 'Eastfield', '0', 'rail-0'],
+            ['Rail', 'wk', 'r1-a', 'Westfield', '1', 'rail-1'],
+            ['Rail', 'wk', 'r0-short', 'Far Yard', '0', 'rail-short'],
+            ['7', 'wk', 'bus-a', '"Downtown, via Main"', '0', 'bus-0'],
+        ]),
+        'feed/shapes.txt': csv(shapes),
+        'feed/stop_times.txt': csv(stopTimes),
+        'feed/stops.txt': csv([
+            ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'location_type', 'parent_station'],
+            ['place-a', 'West', '42.35', '-71.10', '1', ''],
+            ['place-b', 'Middle', '42.35', '-71.075', '1', ''],
+            ['place-c', 'East', '42.35', '-71.05', '1', ''],
+            ['place-d', 'Inbound Only', '42.3501', '-71.06', '1', ''],
+            ['a-1', 'West', '42.3501', '-71.10', '0', 'place-a'],
+            ['a-2', 'West', '42.3499', '-71.10', '0', 'place-a'],
+            ['b-1', 'Middle', '42.3501', '-71.075', '0', 'place-b'],
+            ['b-2', 'Middle', '42.3499', '-71.075', '0', 'place-b'],
+            ['c-1', 'East', '42.3501', '-71.05', '0', 'place-c'],
+            ['c-2', 'East', '42.3499', '-71.05', '0', 'place-c'],
+            ['d-1', 'Inbound Only', '42.3501', '-71.06', '0', 'place-d'],
+            ['far-1', 'Far Yard', '42.36', '-71.10', '0', ''],
+            ['bus-1', 'Main St @ 1st', '42.3401', '-71.10', '', ''],
+            ['bus-2', 'Main St @ 9th', '42.3401', '-71.08', '', ''],
+            ['a-entrance', 'West entrance', '42.3502', '-71.10', '2', 'place-a'],
+        ]),
+    });
+}
+
+/**
+ * Test readZipEntries
+ */
+function testReadZipEntries() {
+    const stored = buildZip({ 'routes.txt': 'a,b\n', 'gtfs/stops.txt': 'c\n' }, false);
+    const entries = readZipEntries(stored);
+    assert.deepStrictEqual([...entries.keys()], ['routes.txt', 'stops.txt'], 'Keyed by base name');
+    const { offset, size, method } = entries.get('routes.txt');
+    assert.strictEqual(method, 0);
+    assert.strictEqual(stored.toString('utf-8', offset, offset + size), 'a,b\n', 'Offset points at file data');
+
+    assert.throws(() => readZipEntries(Buffer.from('not a zip at all, just some text')), /Not a zip/);
+
+    console.log('✓ readZipEntries tests passed');
+}
+
+/**
+ * Test parseCsvLine
+ */
+function testParseCsvLine() {
+    assert.deepStrictEqual(parseCsvLine('a,b,,c'), ['a', 'b', '', 'c']);
+    assert.deepStrictEqual(parseCsvLine('1,"Main St, Downtown",x'), ['1', 'Main St, Downtown', 'x'], 'Quoted comma');
+    assert.deepStrictEqual(parseCsvLine('"say ""hi""",2'), ['say "hi"', '2'], 'Doubled quotes');
+    assert.deepStrictEqual(parseCsvLine(''), ['']);
+
+    console.log('✓ parseCsvLine tests passed');
+}
+
+/**
+ * Test normalizeRouteType
+ */
+function testNormalizeRouteType() {
+    assert.strictEqual(normalizeRouteType(1), 1);
+    assert.strictEqual(normalizeRouteType(700), 3, 'Extended bus');
+    assert.strictEqual(normalizeRouteType(109), 2, 'Suburban railway');
+    assert.strictEqual(normalizeRouteType(401), 1, 'Metro');
+    assert.strictEqual(normalizeRouteType(900), 0, 'Tram');
+    assert.strictEqual(normalizeRouteType(1200), 4, 'Ferry');
+    assert.strictEqual(normalizeRouteType(6), null, 'Gondola not shown');
+    assert.strictEqual(normalizeRouteType(NaN), null);
+
+    console.log('✓ normalizeRouteType tests passed');
+}
+
+/**
+ * Test selectTypicalShapes
+ */
+function testSelectTypicalShapes() {
+    const usage = new Map([
+        ['Red|0|ashmont', { count: 40, tripId: 't1', typicalTripId: null, routeId: 'Red', directionId: 0 }],
+        ['Red|0|braintree', { count: 36, tripId: 't2', typicalTripId: 'rep-2', routeId: 'Red', directionId: 0 }],
+        ['Red|0|short', { count: 4, tripId: 't3', typicalTripId: null, routeId: 'Red', directionId: 0 }],
+        ['Red|1|alewife', { count: 10, tripId: 't4', typicalTripId: null, routeId: 'Red', directionId: 1 }],
+    ]);
+
+    const byShare = selectTypicalShapes(usage, false);
+    assert.deepStrictEqual(byShare.get('Red').map(s => s.shapeId), ['ashmont', 'braintree', 'alewife'],
+        'Both branches kept, short turn dropped; busiest is per direction');
+    assert.strictEqual(byShare.get('Red')[0].tripId, 't1', 'One of the trips using the shape');
+
+    const byPattern = selectTypicalShapes(usage, true);
+    assert.deepStrictEqual(byPattern.get('Red'), [{ shapeId: 'braintree', tripId: 'rep-2', directionId: 0 }],
+        'Only typical pattern shapes, with the representative trip');
+
+    console.log('✓ selectTypicalShapes tests passed');
+}
+
+/**
+ * Test buildBundleFromGtfs on a small feed
+ */
+async function testBuildBundle() {
+    const bundle = await buildBundleFromGtfs(buildFeed());
+
+    assert.deepStrictEqual(bundle.routes.map(r => r.id), ['Rail', '7'], 'Gondola excluded');
+    const [rail, bus] = bundle.routes;
+    assert.strictEqual(rail.color, '#DA291C');
+    assert.strictEqual(rail.type, 1);
+    assert.deepStrictEqual(rail.directionDestinations, ['Eastfield', 'Westfield'], 'Most common headsign per direction');
+    assert.strictEqual(rail.polylines.length, 1, 'Inbound/outbound copies deduplicated');
+    assert.deepStrictEqual(rail.polylines[0][0], [42.35, -71.10], 'Shape points sorted by sequence');
+
+    assert.strictEqual(bus.type, 3, 'Extended route type normalized');
+    assert.strictEqual(bus.color, '#000000');
+    assert.strictEqual(bus.longName, 'Main St, Downtown');
+    assert.deepStrictEqual(bus.directionDestinations, ['Downtown, via Main', '']);
+
+    assert.deepStrictEqual(bundle.routeStops.Rail, ['place-a', 'place-b', 'place-c', 'place-d'],
+        'Stations in direction 0 order, then inbound-only; far stop filtered');
+    assert.deepStrictEqual(bundle.routeStops['7'], ['bus-1', 'bus-2'], 'Stops without stations listed directly');
+
+    for (const stopId of bundle.routeStops.Rail) {
+        const stop = bundle.stops[stopId];
+        const nearest = Math.min(...rail.polylines[0].map(([lat, lng]) => haversineDistance(stop.lat, stop.lng, lat, lng)));
+        assert(nearest <= STOP_PROXIMITY_THRESHOLD, `${stopId} within proximity threshold`);
+    }
+
+    assert.deepStrictEqual(bundle.routeStopDirections, { Rail: { 'place-d': 1 } }, 'Inbound-only station classified');
+    assert.deepStrictEqual(bundle.stops['b-1'], { id: 'b-1', name: 'Middle', lat: 42.3501, lng: -71.075, parentStopId: 'place-b' });
+    assert.strictEqual(bundle.stops['a-entrance'], undefined, 'Entrances skipped');
+
+    // Missing required file
+    await assert.rejects(buildBundleFromGtfs(buildZip({ 'routes.txt': 'route_id\n' })), /missing trips\.txt/);
+
+    console.log('✓ buildBundleFromGtfs tests passed');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+    console.log('Running GTFS importer tests...\n');
+
+    testReadZipEntries();
+    testParseCsvLine();
+    testNormalizeRouteType();
+    testSelectTypicalShapes();
+    await testBuildBundle();
+
+    console.log('\n✓ All GTFS importer tests passed!');
+}
+
+// Run tests
+runTests().catch((err) => {
+    console.error('FAIL:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+});
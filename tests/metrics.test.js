@@ -0,0 +1,219 @@
+// tests/metrics.test.js — Unit tests for route metrics observation, aggregation and dashboard formatting
+import assert from 'assert';
+import { config } from '../config.js';
+import { timeBucket, dayKey, createTracker, observeVehicle, emptyRecord, applyObservation, mergeRecords, summarizeRecords, initMetrics, HEADWAY_BINS } from '../src/metrics.js';
+import { formatAverageSpeed, formatDwell, buildHeadwayHistogramHtml, buildMetricsTableHtml } from '../src/metrics-ui.js';
+import { connect, disconnect, setStreamRoutes, getStreamDiagnostics } from '../src/api.js';
+
+// 08:00 local time — AM peak
+const T0 = new Date(2026, 9, 19, 8, 0, 0).getTime();
+
+function makeVehicle(overrides = {}) {
+    return {
+        id: 'v1',
+        latitude: 42.35,
+        longitude: -71.08,
+        routeId: 'Red',
+        directionId: 0,
+        currentStatus: 'IN_TRANSIT_TO',
+        stopId: 's1',
+        tripId: 'trip-1',
+        ...overrides,
+    };
+}
+
+/**
+ * Test timeBucket / dayKey
+ */
+function testBuckets() {
+    assert.strictEqual(timeBucket(T0), 'am-peak', '8am is AM peak');
+    assert.strictEqual(timeBucket(new Date(2026, 9, 19, 12, 30).getTime()), 'midday', '12:30 is midday');
+    assert.strictEqual(timeBucket(new Date(2026, 9, 19, 2, 0).getTime()), 'night', '2am is night');
+    assert.strictEqual(timeBucket(new Date(2026, 9, 19, 23, 59).getTime()), 'evening', '11:59pm is evening');
+    assert.strictEqual(dayKey(T0), '2026-10-19', 'Local calendar day');
+    console.log('✓ timeBucket/dayKey tests passed');
+}
+
+/**
+ * Test observeVehicle
+ */
+function testObserveVehicle() {
+    const tracker = createTracker();
+
+    const first = observeVehicle(tracker, makeVehicle(), T0);
+    assert.deepStrictEqual(first, [{ kind: 'trip', tripId: 'trip-1' }], 'First sighting only reports the trip');
+
+    // ~825m east in 100s → ~8.25 m/s
+    const moving = observeVehicle(tracker, makeVehicle({ longitude: -71.07 }), T0 + 100000);
+    const speed = moving.find(o => o.kind === 'speed');
+    assert(speed && Math.abs(speed.value - 8.25) < 0.1, `Speed from displacement, got ${speed?.value}`);
+
+    const tooSoon = observeVehicle(tracker, makeVehicle({ longitude: -71.0699 }), T0 + 101000);
+    assert(!tooSoon.some(o => o.kind === 'speed'), 'Samples closer than 5s are skipped');
+
+    // Arrives at s2, dwells 40s, leaves
+    observeVehicle(tracker, makeVehicle({ longitude: -71.0699, currentStatus: 'STOPPED_AT', stopId: 's2' }), T0 + 110000);
+    observeVehicle(tracker, makeVehicle({ longitude: -71.0699, currentStatus: 'STOPPED_AT', stopId: 's2' }), T0 + 130000);
+    const leaving = observeVehicle(tracker, makeVehicle({ longitude: -71.069, currentStatus: 'IN_TRANSIT_TO', stopId: 's3' }), T0 + 150000);
+    const dwell = leaving.find(o => o.kind === 'dwell');
+    assert(dwell && dwell.value === 40, 'Dwell measured from arrival to departure');
+
+    // A second vehicle arrives at s2 six minutes after the first
+    observeVehicle(tracker, makeVehicle({ id: 'v2', tripId: 'trip-2', longitude: -71.071 }), T0 + 400000);
+    const arrival = observeVehicle(tracker, makeVehicle({ id: 'v2', tripId: 'trip-2', longitude: -71.0699, currentStatus: 'STOPPED_AT', stopId: 's2' }), T0 + 470000);
+    const headway = arrival.find(o => o.kind === 'headway');
+    assert(headway && headway.value === 6, 'Headway between consecutive arrivals at the same stop');
+
+    // A vehicle first seen already stopped has no known arrival time
+    const seenStopped = observeVehicle(tracker, makeVehicle({ id: 'v3', currentStatus: 'STOPPED_AT', stopId: 's2' }), T0 + 500000);
+    assert(!seenStopped.some(o => o.kind === 'headway'), 'No headway without an observed arrival');
+
+    console.log('✓ observeVehicle tests passed');
+}
+
+/**
+ * Test aggregation and summary
+ */
+function testAggregation() {
+    const a = emptyRecord('2026-10-18', 'Red', 'am-peak');
+    applyObservation(a, { kind: 'speed', value: 8 });
+    applyObservation(a, { kind: 'headway', value: 6 });
+    applyObservation(a, { kind: 'trip', tripId: 'trip-1' });
+    applyObservation(a, { kind: 'trip', tripId: 'trip-1' });
+    assert.deepStrictEqual(a.trips, ['trip-1'], 'Trips de-duplicated within a record');
+    assert.strictEqual(a.headwayBins[2], 1, '6 min lands in the 5–10 min bin');
+
+    const b = emptyRecord('2026-10-18', 'Red', 'am-peak');
+    applyObservation(b, { kind: 'speed', value: 10 });
+    applyObservation(b, { kind: 'headway', value: 45 });
+    applyObservation(b, { kind: 'dwell', value: 30 });
+    applyObservation(b, { kind: 'trip', tripId: 'trip-2' });
+    assert.strictEqual(b.headwayBins[HEADWAY_BINS.length], 1, 'Long headway lands in the overflow bin');
+
+    const merged = mergeRecords(a, b);
+    assert.strictEqual(merged.speedCount, 2, 'Counts add');
+    assert.deepStrictEqual(merged.trips, ['trip-1', 'trip-2'], 'Trips unioned within a day');
+    assert.strictEqual(mergeRecords(undefined, b), b, 'Nothing stored yet');
+
+    // Same trip ID on another day counts again
+    const nextDay = emptyRecord('2026-10-19', 'Red', 'am-peak');
+    applyObservation(nextDay, { kind: 'trip', tripId: 'trip-1' });
+    applyObservation(nextDay, { kind: 'trip', tripId: 'trip-2' });
+
+    const summary = summarizeRecords([merged, nextDay]).get('Red').get('am-peak');
+    assert.strictEqual(summary.days, 2, 'Two days of data');
+    assert.strictEqual(summary.avgSpeed, 9, 'Average speed across samples');
+    assert.strictEqual(summary.tripsPerDay, 2, 'Trips per day across days');
+    assert.strictEqual(summary.avgHeadway, 25.5, 'Average headway');
+    assert(Math.abs(summary.frequency - 60 / 25.5) < 1e-9, 'Frequency from average headway');
+    assert.strictEqual(summary.avgDwell, 30, 'Average dwell');
+
+    console.log('✓ aggregation tests passed');
+}
+
+/**
+ * Test dashboard formatting
+ */
+function testDashboardFormatting() {
+    assert.strictEqual(formatAverageSpeed(8.94), '20 mph', 'm/s to mph');
+    assert.strictEqual(formatAverageSpeed(null), '—', 'Unknown speed');
+    assert.strictEqual(formatDwell(45.4), '45s', 'Seconds');
+    assert.strictEqual(formatDwell(80), '1m 20s', 'Minutes and seconds');
+
+    assert.strictEqual(buildHeadwayHistogramHtml([0, 0, 0, 0, 0, 0, 0]), '—', 'Empty histogram');
+    const histogram = buildHeadwayHistogramHtml([0, 2, 4, 0, 0, 0, 1]);
+    assert(histogram.includes('height: 100%') && histogram.includes('height: 50%'), 'Bars scale to the largest bin');
+    assert(histogram.includes('30+ min: 1'), 'Overflow bin labelled');
+
+    const table = buildMetricsTableHtml(new Map([
+        ['pm-peak', { avgSpeed: 8.94, tripsPerDay: 42, avgHeadway: 6, frequency: 10, headwayBins: [0, 1, 0, 0, 0, 0, 0], avgDwell: 35, days: 3 }],
+        ['am-peak', { avgSpeed: null, tripsPerDay: 40, avgHeadway: null, frequency: null, headwayBins: [0, 0, 0, 0, 0, 0, 0], avgDwell: null, days: 3 }],
+    ]));
+    assert(table.indexOf('AM peak') < table.indexOf('PM peak'), 'Rows in time-of-day order');
+    assert(table.includes('10.0/hr') && table.includes('6 min') && table.includes('35s'), 'Stats rendered');
+    assert(buildMetricsTableHtml(undefined).includes('No data'), 'Empty state');
+
+    console.log('✓ dashboard formatting tests passed');
+}
+
+/**
+ * Test that recording metrics leaves the stream filtered to the routes in use
+ */
+async function testStreamFilterWithMetrics() {
+    // Stub EventSource: records the URL of each stream opened
+    const sources = [];
+    globalThis.EventSource = class {
+        constructor(url) {
+            this.url = url;
+            this.listeners = {};
+            sources.push(this);
+        }
+        addEventListener(type, fn) {
+            (this.listeners[type] ||= []).push(fn);
+        }
+        fire(type, data) {
+            (this.listeners[type] || []).forEach(fn => fn({ data: JSON.stringify(data) }));
+        }
+        close() {}
+    };
+    config.api = { ...config.api, baseUrl: 'https://api.example.test', key: 'test' };
+    config.stream = { resubscribeDelay: 0 };
+    const log = console.log;
+    console.log = () => {}; // api.js logs connection progress
+    const realSetInterval = globalThis.setInterval;
+
+    try {
+        setStreamRoutes('visible', ['Red']);
+        connect();
+        assert(sources[0].url.includes('filter%5Broute%5D=Red'), 'Stream filtered to the visible route');
+        sources[0].fire('reset', []);
+
+        globalThis.indexedDB = {};
+        globalThis.window = { addEventListener() {} };
+        globalThis.setInterval = () => 0; // no flush timer holding the test open
+        initMetrics(new EventTarget());
+        globalThis.setInterval = realSetInterval;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.strictEqual(sources.length, 1, 'Metrics do not resubscribe the stream');
+        assert.strictEqual(getStreamDiagnostics().routeFilter, 'Red', 'Stream still filtered');
+    } finally {
+        disconnect();
+        globalThis.setInterval = realSetInterval;
+        console.log = log;
+        delete globalThis.indexedDB;
+        delete globalThis.window;
+        delete config.stream;
+    }
+
+    // Metrics then cover only streamed routes, and the dashboard says so
+    const routeSummary = new Map([
+        ['midday', { avgSpeed: 8.94, tripsPerDay: 42, avgHeadway: 6, frequency: 10, headwayBins: [0, 1, 0, 0, 0, 0, 0], avgDwell: 35, days: 3 }],
+    ]);
+    assert(buildMetricsTableHtml(routeSummary, true).startsWith('<div class="metrics-dashboard__note">Recorded only while this route is streamed'),
+        'Partial coverage labelled');
+    assert(!buildMetricsTableHtml(routeSummary, false).includes('metrics-dashboard__note'), 'No label with every route streamed');
+    assert(!buildMetricsTableHtml(undefined, true).includes('metrics-dashboard__note'), 'No label without data');
+
+    console.log('✓ stream filter with metrics tests passed');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+    console.log('Running route metrics tests...\n');
+
+    testBuckets();
+    testObserveVehicle();
+    testAggregation();
+    testDashboardFormatting();
+    await testStreamFilterWithMetrics();
+
+    console.log('\n✓ All metrics tests passed!');
+}
+
+// Run tests
+runTests().catch(e => {
+    console.error('Test failed:', e);
+    process.exit(1);
+});
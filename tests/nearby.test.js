@@ -0,0 +1,154 @@
+// tests/nearby.test.js — Unit tests for nearby mode: location, nearby stops, approaching vehicles
+import assert from 'assert';
+import { locateUser, findNearbyStops, buildApproachingList } from '../src/nearby.js';
+import { buildNearbySheetHtml, formatNearbySummary } from '../src/nearby-ui.js';
+
+const NOW = Date.parse('2026-10-19T08:00:00-04:00');
+const iso = minutes => new Date(NOW + minutes * 60000).toISOString();
+
+// Porter Square; one degree of latitude is about 111 km
+const HERE = { lat: 42.3884, lng: -71.1191 };
+const north = meters => HERE.lat + meters / 111195;
+
+const STOPS = new Map([
+    ['place-portr', { id: 'place-portr', name: 'Porter', latitude: HERE.lat, longitude: HERE.lng, parentStopId: null }],
+    ['70065', { id: '70065', name: 'Porter', latitude: north(30), longitude: HERE.lng, parentStopId: 'place-portr' }],
+    ['2581', { id: '2581', name: 'Mass Ave @ Roseland St', latitude: north(200), longitude: HERE.lng, parentStopId: null }],
+    ['2590', { id: '2590', name: 'Mass Ave @ Upland Rd', latitude: north(450), longitude: HERE.lng, parentStopId: null }],
+    ['place-davis', { id: 'place-davis', name: 'Davis', latitude: north(1500), longitude: HERE.lng, parentStopId: null }],
+]);
+
+/**
+ * Geolocation stand-in that answers getCurrentPosition with a fix or an error.
+ * @param {Object} outcome — {coords} or {error: {code}}
+ */
+function mockGeolocation(outcome) {
+    return {
+        lastOptions: null,
+        getCurrentPosition(success, failure, options) {
+            this.lastOptions = options;
+            setTimeout(() => (outcome.error ? failure(outcome.error) : success({ coords: outcome.coords })), 0);
+        },
+    };
+}
+
+/**
+ * Test locateUser with a mocked Geolocation API
+ */
+async function testLocateUser() {
+    const geolocation = mockGeolocation({ coords: { latitude: HERE.lat, longitude: HERE.lng, accuracy: 25 } });
+    assert.deepStrictEqual(await locateUser(geolocation), { lat: HERE.lat, lng: HERE.lng, accuracy: 25 });
+    assert.strictEqual(geolocation.lastOptions.enableHighAccuracy, true);
+    assert(geolocation.lastOptions.timeout > 0, 'Does not wait forever');
+
+    await assert.rejects(locateUser(mockGeolocation({ error: { code: 1 } })), { message: 'Location permission was denied' });
+    await assert.rejects(locateUser(mockGeolocation({ error: { code: 3 } })), { message: 'Finding your location took too long' });
+    await assert.rejects(locateUser(mockGeolocation({ error: { code: 99 } })), { message: 'Your location is unavailable' });
+    await assert.rejects(locateUser(null), { message: 'Location is not available in this browser' });
+
+    console.log('✓ locateUser tests passed');
+}
+
+/**
+ * Test findNearbyStops
+ */
+function testFindNearbyStops() {
+    const nearby = findNearbyStops(HERE, STOPS, 500);
+    assert.deepStrictEqual(nearby.map(s => s.stopId), ['place-portr', '2581', '2590'],
+        'Within radius, nearest first, platforms folded into their station');
+    assert(Math.abs(nearby[1].distance - 200) < 1, 'Distance in meters');
+
+    assert.deepStrictEqual(findNearbyStops(HERE, STOPS, 300).map(s => s.stopId), ['place-portr', '2581'], 'Radius');
+    assert.deepStrictEqual(findNearbyStops(HERE, STOPS, 5000, 2).map(s => s.stopId), ['place-portr', '2581'], 'Limit');
+    assert.deepStrictEqual(findNearbyStops({ lat: 42.0, lng: -70.0 }, STOPS, 500), []);
+
+    console.log('✓ findNearbyStops tests passed');
+}
+
+/**
+ * Test buildApproachingList
+ */
+function testBuildApproachingList() {
+    const stops = findNearbyStops(HERE, STOPS, 500);
+    const prediction = (vehicleId, minutes, fields = {}) => ({
+        routeId: '77', directionId: 1, tripId: `t-${vehicleId}`, vehicleId,
+        arrivalTime: iso(minutes), departureTime: null, status: null, scheduleRelationship: null, ...fields,
+    });
+    const predictionsByStop = new Map([
+        ['place-portr', [
+            prediction('R-1', 6, { routeId: 'Red', directionId: 0 }),
+            prediction(null, 2, { routeId: 'Red' }),
+        ]],
+        ['2581', [
+            prediction('y1', 4),
+            prediction('y2', -0.25, { status: 'Boarding' }),
+            prediction('y3', -5),
+            prediction('y4', 8, { scheduleRelationship: 'SKIPPED' }),
+        ]],
+        ['2590', [
+            prediction('y1', 3), // same bus, reaches this stop first
+            prediction('y5', 0, { arrivalTime: null, departureTime: iso(9) }),
+        ]],
+    ]);
+
+    const list = buildApproachingList(stops, predictionsByStop, NOW);
+    assert.deepStrictEqual(list.map(v => v.vehicleId), ['y2', 'y1', 'R-1', 'y5'],
+        'Soonest first; no vehicle, departed and skipped left out; boarding kept');
+    assert.strictEqual(list[1].stopId, '2590', 'Vehicle listed once, at the stop it reaches first');
+    assert.strictEqual(list[1].stopName, 'Mass Ave @ Upland Rd');
+    assert.strictEqual(list[2].routeId, 'Red');
+    assert.strictEqual(list[3].time, Date.parse(iso(9)), 'Departure time when there is no arrival');
+
+    assert.strictEqual(buildApproachingList(stops, predictionsByStop, NOW, 2).length, 2, 'Limit');
+    assert.deepStrictEqual(buildApproachingList(stops, new Map(), NOW), [], 'Predictions failed to load');
+
+    console.log('✓ buildApproachingList tests passed');
+}
+
+/**
+ * Test the bottom sheet HTML and summary
+ */
+function testNearbySheet() {
+    assert(buildNearbySheetHtml(null).includes('Loading arrivals'));
+    assert(buildNearbySheetHtml([]).includes('No vehicles approaching'));
+
+    const html = buildNearbySheetHtml([{
+        vehicleId: 'y1', stopId: '2590', routeName: 'Route 77', color: '#FFC72C', destination: 'Harvard',
+        label: '1234', stopName: 'Mass Ave @ Upland <Rd>', distance: 450, time: NOW + 3 * 60000, status: null,
+    }, {
+        vehicleId: 'R-1', stopId: 'place-portr', routeName: 'Red Line', color: '#DA291C', destination: 'Alewife',
+        label: null, stopName: 'Porter', distance: 0, time: NOW, status: 'Boarding',
+    }], NOW);
+    assert(html.includes('data-vehicle-id="y1" data-stop-id="2590"'));
+    assert(html.includes('Route 77 <span class="nearby-sheet__destination">to Harvard</span>'));
+    assert(html.includes('Mass Ave @ Upland &lt;Rd&gt; · 450 m away · #1234'), 'Stop, distance and vehicle label, escaped');
+    assert(html.includes('>3 min<'));
+    assert(html.includes('>Boarding<'), 'Status over countdown');
+    assert(html.includes('Porter · 0 m away</span>'), 'No label when the vehicle is not in the stream');
+
+    assert.strictEqual(formatNearbySummary(3, 5, 500), '3 stops within 500 m · 5 routes');
+    assert.strictEqual(formatNearbySummary(1, 1, 1200), '1 stop within 1.2 km · 1 route');
+    assert.strictEqual(formatNearbySummary(0, 0, 500), 'No stops within 500 m');
+
+    console.log('✓ nearby sheet tests passed');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+    console.log('Running nearby tests...\n');
+
+    await testLocateUser();
+    testFindNearbyStops();
+    testBuildApproachingList();
+    testNearbySheet();
+
+    console.log('\n✓ All nearby tests passed!');
+}
+
+// Run tests
+runTests().catch(e => {
+    console.error('Test failed:', e);
+    process.exit(1);
+});
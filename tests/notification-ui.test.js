@@ -224,6 +224,37 @@ async function testCountDisplayForUnlimitedPair() {
     console.log('✓ AC4.1 — Unlimited pair displays "∞ unlimited"');
 }
 
+/**
+ * Test: formatLeadDisplay describes how far ahead of the checkpoint a pair fires
+ */
+async function testLeadDisplay() {
+    const { formatLeadDisplay } = await import('../src/notification-ui.js');
+
+    assert.strictEqual(formatLeadDisplay({ type: 'stops', value: 0 }), 'Notify at stop', 'Zero stops is at stop');
+    assert.strictEqual(formatLeadDisplay({ type: 'stops', value: 1 }), 'Notify 1 stop before', 'Singular stop');
+    assert.strictEqual(formatLeadDisplay({ type: 'stops', value: 2 }), 'Notify 2 stops before', 'Plural stops');
+    assert.strictEqual(formatLeadDisplay({ type: 'minutes', value: 5 }), 'Notify 5 min before', 'Minutes lead');
+    assert.strictEqual(formatLeadDisplay(undefined), 'Notify at stop', 'Missing lead falls back to default');
+    console.log('✓ formatLeadDisplay describes stop and minute leads');
+}
+
+/**
+ * Test: formatScheduleDisplay describes a pair's days and time window
+ */
+async function testScheduleDisplay() {
+    const { formatScheduleDisplay } = await import('../src/notification-ui.js');
+    const zone = 'America/New_York';
+
+    assert.strictEqual(formatScheduleDisplay(null, zone), 'Any time', 'Unscheduled pair');
+    assert.strictEqual(formatScheduleDisplay({ days: [1, 2, 3, 4, 5], start: '07:30', end: '09:00', timeZone: zone }, zone), 'Weekdays 7:30–9:00');
+    assert.strictEqual(formatScheduleDisplay({ days: [6, 0], start: '10:00', end: '14:00' }, zone), 'Weekends 10:00–14:00');
+    assert.strictEqual(formatScheduleDisplay({ days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '01:00' }, zone), 'Every day 22:00–1:00');
+    assert.strictEqual(formatScheduleDisplay({ days: [0, 3, 1], start: '17:00', end: '18:30' }, zone), 'Mon, Wed, Sun 17:00–18:30', 'Listed Monday first');
+    assert.strictEqual(formatScheduleDisplay({ days: [1], start: '08:00', end: '09:00', timeZone: 'America/Chicago' }, zone),
+        'Mon 8:00–9:00 (America/Chicago)', 'Schedule set in another time zone names it');
+    console.log('✓ formatScheduleDisplay describes days and time windows');
+}
+
 /**
  * Test: AC4.3 — updatePairCount updates remainingCount and totalCount, persists to localStorage
  */
@@ -456,6 +487,8 @@ async function runAllTests() {
         // Async tests for count display and updatePairCount
         await testCountDisplayForCountedPair();
         await testCountDisplayForUnlimitedPair();
+        await testLeadDisplay();
+        await testScheduleDisplay();
         await testUpdatePairCountPersistence();
         await testConvertCountedToUnlimited();
         await testConvertUnlimitedToCounted();
@@ -32,6 +32,20 @@ import {
     resumeNotifications,
     togglePause,
     isPaused,
+    validateLead,
+    getLeadDistance,
+    formatLeadDistance,
+    updatePairLead,
+    buildNotificationContent,
+    DEFAULT_LEAD,
+    validateTarget,
+    matchesTarget,
+    validateSchedule,
+    isWithinSchedule,
+    updatePairSchedule,
+    setRelayCounting,
+    applyRelayCounts,
+    CONFIG_KEY,
 } from '../src/notifications.js';
 
 /**
@@ -454,6 +468,270 @@ function testShouldNotifyParentResolution() {
     console.log('✓ shouldNotify parent stop resolution tests passed');
 }
 
+/**
+ * Build parsed predictions for one trip: [stopId, stopSequence, minutesFromNow] tuples
+ */
+function makeTripPredictions(tripId, stops, now) {
+    return stops.map(([stopId, stopSequence, minutes]) => ({
+        tripId,
+        stopId,
+        stopSequence,
+        routeId: 'Red',
+        directionId: 0,
+        arrivalTime: new Date(now + minutes * 60000).toISOString(),
+        departureTime: null,
+    }));
+}
+
+/**
+ * Test validateLead and lead migration/defaults
+ */
+async function testLeadSettings() {
+    assert.deepStrictEqual(validateLead({ type: 'stops', value: 2 }), {}, '2 stops is valid');
+    assert.deepStrictEqual(validateLead({ type: 'stops', value: 0 }), {}, '0 stops (at checkpoint) is valid');
+    assert.deepStrictEqual(validateLead({ type: 'minutes', value: 5 }), {}, '5 minutes is valid');
+    assert(validateLead({ type: 'minutes', value: 0 }).error, '0 minutes is invalid');
+    assert(validateLead({ type: 'stops', value: 11 }).error, 'More than 10 stops is invalid');
+    assert(validateLead({ type: 'stops', value: 1.5 }).error, 'Fractional lead is invalid');
+    assert(validateLead({ type: 'hours', value: 1 }).error, 'Unknown lead type is invalid');
+    assert(validateLead(null).error, 'Missing lead is invalid');
+
+    // Pairs saved before lead settings existed load with the default lead
+    localStorage.clear();
+    localStorage.setItem('ttracker-notifications-config', JSON.stringify([
+        { id: 'old', checkpointStopId: 'stop-A', routeId: 'Red', directionId: 0, remainingCount: null, totalCount: null },
+        { id: 'bad', checkpointStopId: 'stop-B', routeId: 'Red', directionId: 0, remainingCount: null, totalCount: null, lead: { type: 'stops', value: -3 } },
+    ]));
+    initNotifications(new EventTarget(), new Map());
+    const loaded = getNotificationPairs();
+    assert.deepStrictEqual(loaded[0].lead, DEFAULT_LEAD, 'Missing lead migrates to default');
+    assert.deepStrictEqual(loaded[1].lead, DEFAULT_LEAD, 'Invalid lead migrates to default');
+
+    // addNotificationPair stores the lead; invalid leads are rejected
+    localStorage.clear();
+    mockNotificationConstructor('granted');
+    initNotifications(new EventTarget(), new Map());
+    const added = await addNotificationPair('stop-A', 'Red', 0, null, { type: 'stops', value: 2 });
+    assert.deepStrictEqual(added.pair.lead, { type: 'stops', value: 2 }, 'Lead stored on new pair');
+    const rejected = await addNotificationPair('stop-B', 'Red', 0, null, { type: 'minutes', value: 0 });
+    assert(rejected.error, 'Invalid lead rejected');
+    const defaulted = await addNotificationPair('stop-C', 'Red', 0);
+    assert.deepStrictEqual(defaulted.pair.lead, DEFAULT_LEAD, 'Lead defaults to at-checkpoint');
+
+    // updatePairLead persists valid leads only
+    assert.strictEqual(updatePairLead(added.pair.id, { type: 'minutes', value: 10 }), true, 'Valid lead update succeeds');
+    assert.strictEqual(updatePairLead(added.pair.id, { type: 'minutes', value: 99 }), false, 'Invalid lead update fails');
+    assert.strictEqual(updatePairLead('missing', { type: 'stops', value: 1 }), false, 'Unknown pair update fails');
+    const stored = JSON.parse(localStorage.getItem('ttracker-notifications-config'));
+    assert.deepStrictEqual(stored.find(p => p.id === added.pair.id).lead, { type: 'minutes', value: 10 }, 'Lead update persisted');
+
+    console.log('✓ lead settings tests passed');
+}
+
+/**
+ * Test getLeadDistance and lead-based shouldNotify triggers
+ */
+function testShouldNotifyLead() {
+    const now = Date.now();
+    const stopsData = new Map([
+        ['70061', { id: '70061', parentStopId: 'place-alfcl' }],
+        ['70063', { id: '70063', parentStopId: 'place-davis' }],
+        ['70065', { id: '70065', parentStopId: 'place-portr' }],
+        ['70067', { id: '70067', parentStopId: 'place-harsq' }],
+        ['70069', { id: '70069', parentStopId: 'place-cntsq' }],
+    ]);
+    // Trip t1 heading south; MBTA rapid transit sequences step by 10
+    const predictions = makeTripPredictions('t1', [
+        ['70063', 20, 1],
+        ['70065', 30, 3],
+        ['70067', 40, 5],
+        ['70069', 50, 7],
+    ], now);
+    const pair = { id: 'lead-1', checkpointStopId: 'place-cntsq', routeId: 'Red', directionId: 0, lead: { type: 'stops', value: 2 } };
+    const base = { id: 'v1', routeId: 'Red', directionId: 0, tripId: 't1', stopId: '70063' };
+
+    // Stops away: current stop counts, checkpoint does not
+    const atDavis = { ...base, currentStopSequence: 20, currentStatus: 'STOPPED_AT' };
+    assert.strictEqual(getLeadDistance(atDavis, pair, predictions, stopsData, now).stopsAway, 3, 'Davis → Central is 3 stops');
+    const toHarvard = { ...base, stopId: '70067', currentStopSequence: 40, currentStatus: 'IN_TRANSIT_TO' };
+    assert.strictEqual(getLeadDistance(toHarvard, pair, predictions, stopsData, now).stopsAway, 1, 'Heading to the stop before checkpoint is 1');
+    const toCentral = { ...base, stopId: '70069', currentStopSequence: 50, currentStatus: 'IN_TRANSIT_TO' };
+    assert.strictEqual(getLeadDistance(toCentral, pair, predictions, stopsData, now).stopsAway, 0, 'Heading into checkpoint is 0');
+    assert(Math.abs(getLeadDistance(atDavis, pair, predictions, stopsData, now).minutesAway - 7) < 0.01, 'Minutes from checkpoint prediction');
+
+    // No data / passed / other trip
+    assert.strictEqual(getLeadDistance(atDavis, pair, null, stopsData, now), null, 'No predictions yields null');
+    assert.strictEqual(getLeadDistance({ ...atDavis, tripId: 't2' }, pair, predictions, stopsData, now), null, 'Other trip yields null');
+    assert.strictEqual(getLeadDistance({ ...atDavis, currentStopSequence: 60 }, pair, predictions, stopsData, now), null, 'Passed checkpoint yields null');
+
+    // Stops trigger
+    assert.strictEqual(shouldNotify(atDavis, pair, new Set(), stopsData, null, predictions, now), false, '3 stops away does not fire a 2-stop lead');
+    const atPorter = { ...base, stopId: '70065', currentStopSequence: 30, currentStatus: 'STOPPED_AT' };
+    assert.strictEqual(shouldNotify(atPorter, pair, new Set(), stopsData, null, predictions, now), true, '2 stops away fires a 2-stop lead');
+    assert.strictEqual(shouldNotify({ ...atPorter, directionId: 1 }, pair, new Set(), stopsData, null, predictions, now), false, 'Wrong direction does not fire');
+    assert.strictEqual(shouldNotify(atPorter, pair, new Set(['v1:lead-1']), stopsData, null, predictions, now), false, 'Already notified does not fire');
+
+    // Minutes trigger
+    const minutesPair = { ...pair, id: 'lead-2', lead: { type: 'minutes', value: 5 } };
+    assert.strictEqual(shouldNotify(atDavis, minutesPair, new Set(), stopsData, null, predictions, now), false, '7 min away does not fire a 5-min lead');
+    const later = makeTripPredictions('t1', [['70067', 40, 2], ['70069', 50, 4]], now);
+    assert.strictEqual(shouldNotify(toHarvard, minutesPair, new Set(), stopsData, null, later, now), true, '4 min away fires a 5-min lead');
+
+    // Without predictions a lead pair still fires at the checkpoint
+    const stoppedAtCentral = { ...base, stopId: '70069', currentStopSequence: 50, currentStatus: 'STOPPED_AT' };
+    assert.strictEqual(shouldNotify(stoppedAtCentral, pair, new Set(), stopsData, null, null, now), true, 'Checkpoint fallback without predictions');
+
+    // Notification body text
+    assert.strictEqual(formatLeadDistance({ stopsAway: 2, minutesAway: 4.2 }, pair.lead), '2 stops away', 'Stops lead text');
+    assert.strictEqual(formatLeadDistance({ stopsAway: 1, minutesAway: 4.2 }, pair.lead), '1 stop away', 'Singular stop text');
+    assert.strictEqual(formatLeadDistance({ stopsAway: 2, minutesAway: 4.2 }, minutesPair.lead), '4 min away', 'Minutes lead text');
+    assert.strictEqual(formatLeadDistance(null, pair.lead), '', 'No distance yields empty text');
+
+    console.log('✓ shouldNotify lead trigger tests passed');
+}
+
+/**
+ * Test vehicle- and trip-targeted pairs
+ */
+async function testTargetedPairs() {
+    // validateTarget
+    assert.deepStrictEqual(validateTarget(null), {}, 'No target is valid');
+    assert.deepStrictEqual(validateTarget({ type: 'vehicle', id: 'y1234', label: '1234' }), {});
+    assert.deepStrictEqual(validateTarget({ type: 'trip', id: 'trip-1' }), {});
+    assert(validateTarget({ type: 'route', id: 'x' }).error, 'Unknown type rejected');
+    assert(validateTarget({ type: 'vehicle', id: '' }).error, 'Empty ID rejected');
+    assert(validateTarget({ type: 'vehicle', id: 'x', label: 5 }).error, 'Non-text label rejected');
+
+    // Duplicates are per target: a vehicle alert can sit beside an any-vehicle alert
+    const anyVehicle = [{ id: 'p1', checkpointStopId: 'stop1', routeId: '39', directionId: 0, target: null }];
+    const busTarget = { type: 'vehicle', id: 'y1234' };
+    assert.strictEqual(validatePair('stop1', '39', 0, anyVehicle, busTarget).error, undefined, 'Targeted beside any-vehicle allowed');
+    const targeted = [{ id: 'p2', checkpointStopId: 'stop1', routeId: '39', directionId: 0, target: busTarget }];
+    assert.strictEqual(validatePair('stop1', '39', 0, targeted, busTarget).error, 'Alert already configured for this stop and vehicle');
+    assert.strictEqual(validatePair('stop1', '39', 0, targeted, { type: 'vehicle', id: 'y5678' }).error, undefined, 'Other vehicle allowed');
+    assert.strictEqual(validatePair('stop1', '39', 0, targeted).error, undefined, 'Any-vehicle beside targeted allowed');
+
+    // matchesTarget / shouldNotify
+    const pair = { id: 'p3', checkpointStopId: 'stop-A', routeId: '39', directionId: 0, target: busTarget };
+    const bus = { id: 'y1234', tripId: 't1', stopId: 'stop-A', routeId: '39', directionId: 0, currentStatus: 'STOPPED_AT' };
+    const otherBus = { ...bus, id: 'y9999', tripId: 't2' };
+    assert.strictEqual(matchesTarget(bus, { target: null }), true, 'Untargeted matches any vehicle');
+    assert.strictEqual(shouldNotify(bus, pair, new Set()), true, 'Target vehicle fires');
+    assert.strictEqual(shouldNotify(otherBus, pair, new Set()), false, 'Other vehicle on the route does not fire');
+    const tripPair = { ...pair, id: 'p4', target: { type: 'trip', id: 't2' } };
+    assert.strictEqual(shouldNotify(otherBus, tripPair, new Set()), true, 'Vehicle on the target trip fires');
+    assert.strictEqual(shouldNotify(bus, tripPair, new Set()), false, 'Vehicle on another trip does not fire');
+
+    // Creation and persistence
+    localStorage.clear();
+    initNotifications(new EventTarget(), new Map());
+    const added = await addNotificationPair('stop-A', '39', 0, 1, DEFAULT_LEAD, { type: 'vehicle', id: 'y1234', label: '1234' });
+    assert.deepStrictEqual(added.pair.target, { type: 'vehicle', id: 'y1234', label: '1234' }, 'Target stored on new pair');
+    const plain = await addNotificationPair('stop-A', '39', 0);
+    assert.strictEqual(plain.pair.target, null, 'Pairs default to any vehicle');
+    assert((await addNotificationPair('stop-B', '39', 0, 1, DEFAULT_LEAD, { type: 'vehicle' })).error, 'Invalid target rejected');
+
+    localStorage.setItem('ttracker-notifications-config', JSON.stringify([
+        { id: 'old', checkpointStopId: 's1', routeId: 'Red', directionId: 0 },
+        { id: 'bus', checkpointStopId: 's2', routeId: '39', directionId: 1, target: { type: 'vehicle', id: 'y1234', label: '1234' } },
+        { id: 'bad', checkpointStopId: 's3', routeId: '39', directionId: 1, target: { type: 'vehicle' } },
+    ]));
+    initNotifications(new EventTarget(), new Map());
+    const loaded = getNotificationPairs();
+    assert.deepStrictEqual(loaded.map(p => p.id), ['old', 'bus'], 'Pairs with a corrupt target dropped, not widened');
+    assert.strictEqual(loaded[0].target, null, 'Pairs saved before targets match any vehicle');
+
+    // Notification names the vehicle
+    const { title } = buildNotificationContent('y1234', loaded[1], 'Forest Hills', '', 3);
+    assert.strictEqual(title, 'Bus #1234 approaching Forest Hills');
+
+    localStorage.clear();
+    initNotifications(new EventTarget(), new Map());
+
+    console.log('✓ targeted pair tests passed');
+}
+
+/**
+ * Test scheduled pairs: validation, window evaluation, firing and persistence
+ */
+async function testScheduledPairs() {
+    const weekdayMorning = { days: [1, 2, 3, 4, 5], start: '07:30', end: '09:00', timeZone: 'America/New_York' };
+
+    // validateSchedule
+    assert.deepStrictEqual(validateSchedule(null), {}, 'No schedule is valid');
+    assert.deepStrictEqual(validateSchedule(weekdayMorning), {});
+    assert.deepStrictEqual(validateSchedule({ days: [5, 6], start: '22:00', end: '01:00' }), {}, 'Overnight window, local time');
+    assert(validateSchedule({ ...weekdayMorning, days: [] }).error, 'No days rejected');
+    assert(validateSchedule({ ...weekdayMorning, days: [7] }).error, 'Day out of range rejected');
+    assert(validateSchedule({ ...weekdayMorning, days: [1, 1] }).error, 'Repeated day rejected');
+    assert(validateSchedule({ ...weekdayMorning, start: '7:30' }).error, 'Malformed time rejected');
+    assert(validateSchedule({ ...weekdayMorning, end: '07:30' }).error, 'Empty window rejected');
+    assert(validateSchedule({ ...weekdayMorning, timeZone: 'Mars/Olympus' }).error, 'Unknown time zone rejected');
+
+    // isWithinSchedule — 2026-10-19 is a Monday
+    const at = iso => Date.parse(iso);
+    assert.strictEqual(isWithinSchedule(null, at('2026-10-19T03:00:00-04:00')), true, 'Unscheduled pairs always active');
+    assert.strictEqual(isWithinSchedule(weekdayMorning, at('2026-10-19T08:00:00-04:00')), true, 'Monday 8:00');
+    assert.strictEqual(isWithinSchedule(weekdayMorning, at('2026-10-19T07:30:00-04:00')), true, 'Start inclusive');
+    assert.strictEqual(isWithinSchedule(weekdayMorning, at('2026-10-19T09:00:00-04:00')), false, 'End exclusive');
+    assert.strictEqual(isWithinSchedule(weekdayMorning, at('2026-10-19T18:00:00-04:00')), false, 'Monday evening');
+    assert.strictEqual(isWithinSchedule(weekdayMorning, at('2026-10-18T08:00:00-04:00')), false, 'Sunday');
+    assert.strictEqual(isWithinSchedule(weekdayMorning, at('2026-10-19T12:00:00Z')), true, 'Evaluated in the schedule time zone');
+
+    const fridayNight = { days: [5], start: '22:00', end: '01:00', timeZone: 'America/New_York' };
+    assert.strictEqual(isWithinSchedule(fridayNight, at('2026-10-23T23:00:00-04:00')), true, 'Friday 23:00');
+    assert.strictEqual(isWithinSchedule(fridayNight, at('2026-10-24T00:30:00-04:00')), true, 'After midnight belongs to Friday');
+    assert.strictEqual(isWithinSchedule(fridayNight, at('2026-10-23T00:30:00-04:00')), false, 'Early Friday belongs to Thursday');
+
+    // updatePairSchedule persists, and scheduled pairs only fire inside their window
+    mockNotificationConstructorAsFunction('granted');
+    localStorage.clear();
+    const apiEventsTarget = new EventTarget();
+    initNotifications(apiEventsTarget, new Map());
+    const { pair } = await addNotificationPair('stop-A', 'Red', 0);
+    assert.strictEqual(pair.schedule, null, 'New pairs are always active');
+    assert.strictEqual(updatePairSchedule(pair.id, { ...weekdayMorning, days: [] }), false, 'Invalid schedule not saved');
+
+    // A window that never contains now, and one that always does
+    const hour = new Date().getHours();
+    const pad = n => String(n).padStart(2, '0');
+    const closed = { days: [0, 1, 2, 3, 4, 5, 6], start: `${pad((hour + 2) % 24)}:00`, end: `${pad((hour + 3) % 24)}:00` };
+    assert.strictEqual(updatePairSchedule(pair.id, closed), true);
+    assert.deepStrictEqual(JSON.parse(localStorage.getItem('ttracker-notifications-config'))[0].schedule, { ...closed, timeZone: null });
+
+    const vehicle = { id: 'v1', routeId: 'Red', directionId: 0, stopId: 'stop-A', currentStatus: 'STOPPED_AT' };
+    const fired = [];
+    const OriginalNotification = globalThis.Notification;
+    // No service worker: notifications go through the (mocked) constructor
+    const hadNavigator = 'navigator' in globalThis;
+    if (!hadNavigator) globalThis.navigator = {};
+    globalThis.Notification = function(title) { fired.push(title); };
+    globalThis.Notification.permission = 'granted';
+    apiEventsTarget.dispatchEvent(new CustomEvent('vehicles:update', { detail: vehicle }));
+    assert.strictEqual(fired.length, 0, 'No notification outside the window');
+
+    updatePairSchedule(pair.id, { ...closed, start: `${pad(hour)}:00`, end: `${pad((hour + 1) % 24)}:00` });
+    apiEventsTarget.dispatchEvent(new CustomEvent('vehicles:update', { detail: vehicle }));
+    assert.strictEqual(fired.length, 1, 'Notification inside the window');
+    globalThis.Notification = OriginalNotification;
+    if (!hadNavigator) delete globalThis.navigator;
+
+    // Persistence: schedules survive a reload, corrupt ones load as always active
+    localStorage.setItem('ttracker-notifications-config', JSON.stringify([
+        { id: 'commute', checkpointStopId: 's1', routeId: 'Red', directionId: 0, schedule: weekdayMorning },
+        { id: 'bad', checkpointStopId: 's2', routeId: 'Red', directionId: 0, schedule: { days: 'weekdays' } },
+    ]));
+    initNotifications(new EventTarget(), new Map());
+    const loaded = getNotificationPairs();
+    assert.deepStrictEqual(loaded[0].schedule, weekdayMorning, 'Schedule restored');
+    assert.strictEqual(loaded[1].schedule, null, 'Corrupt schedule dropped, pair kept');
+
+    localStorage.clear();
+    initNotifications(new EventTarget(), new Map());
+
+    console.log('✓ scheduled pair tests passed');
+}
+
 /**
  * Test permission handling
  */
@@ -963,6 +1241,93 @@ async function testExpiryEventIntegration() {
     console.log('✓ expiry event integration test passed');
 }
 
+/**
+ * Test buildNotificationContent (shared with the push relay)
+ */
+function testBuildNotificationContent() {
+    const pair = { id: 'p1' };
+    const { title, options } = buildNotificationContent('v1', pair, 'Davis', 'Alewife', 1, '2 stops away');
+    assert.strictEqual(title, 'Train approaching Davis');
+    assert.deepStrictEqual(options, {
+        body: '→ Alewife · 2 stops away',
+        tag: 'ttracker-v1-p1',
+        icon: '/icons/icon-192.png',
+        badge: '/icons/icon-192.png',
+    });
+
+    assert.strictEqual(buildNotificationContent('v1', pair, 'Harvard', '', 3).title, 'Bus approaching Harvard', 'Bus label');
+    assert.strictEqual(buildNotificationContent('v1', pair, 'Kenmore', '', 0).title, 'Trolley approaching Kenmore', 'Light rail label');
+    assert.strictEqual(buildNotificationContent('v1', pair, 'X', '', 7).title, 'Vehicle approaching X', 'Unknown type label');
+    assert.strictEqual(buildNotificationContent('v1', pair, 'X').title, 'Train approaching X', 'Train without route metadata');
+    assert.strictEqual(buildNotificationContent('v1', pair, 'X').options.body, '', 'Empty body without direction or lead');
+
+    console.log('✓ buildNotificationContent tests passed');
+}
+
+/**
+ * Test notification:config-changed is dispatched when pairs or pause state change
+ */
+async function testConfigChangedEvent() {
+    localStorage.clear();
+    mockNotificationConstructorAsFunction('granted');
+
+    const apiEventsTarget = new EventTarget();
+    initNotifications(apiEventsTarget, new Map([['stop1', { id: 'stop1', name: 'Stop 1', parentStopId: null }]]));
+
+    const events = [];
+    apiEventsTarget.addEventListener('notification:config-changed', e => events.push(e.detail));
+
+    const { pair } = await addNotificationPair('stop1', 'Red', 0);
+    assert.strictEqual(events.length, 1, 'Adding a pair dispatches config-changed');
+    assert.deepStrictEqual(events[0].pairs.map(p => p.id), [pair.id]);
+
+    pauseNotifications();
+    assert.strictEqual(events[events.length - 1].paused, true, 'Pausing dispatches config-changed');
+    resumeNotifications();
+    removeNotificationPair(pair.id);
+    assert.deepStrictEqual(events[events.length - 1], { pairs: [], paused: false }, 'Removal dispatches the new state');
+
+    console.log('✓ config-changed event tests passed');
+}
+
+/**
+ * Test relay-owned countdown: no decrement on the page, counts and expiry from the relay
+ */
+async function testRelayCounts() {
+    localStorage.clear();
+    mockNotificationConstructorAsFunction('granted');
+
+    const apiEventsTarget = new EventTarget();
+    initNotifications(apiEventsTarget, new Map([['stop1', { id: 'stop1', name: 'Stop 1', parentStopId: null }]]));
+    const expired = [];
+    apiEventsTarget.addEventListener('notification:pair-expired', e => expired.push(e.detail.pairId));
+
+    const { pair } = await addNotificationPair('stop1', 'Red', 0, 3);
+    const { pair: unlimited } = await addNotificationPair('stop1', 'Red', 1);
+
+    setRelayCounting(true);
+    try {
+        apiEventsTarget.dispatchEvent(new CustomEvent('vehicles:update', {
+            detail: { id: 'v-relay', label: 'Train 9', stopId: 'stop1', routeId: 'Red', directionId: 0, currentStatus: 'STOPPED_AT' },
+        }));
+        assert.strictEqual(getNotificationPairs().find(p => p.id === pair.id).remainingCount, 3, 'Page leaves the count to the relay');
+
+        assert.strictEqual(applyRelayCounts({ pairs: [{ id: pair.id, remainingCount: 2 }], expired: [] }), true);
+        assert.strictEqual(getNotificationPairs().find(p => p.id === pair.id).remainingCount, 2, 'Relay count applied');
+        assert.strictEqual(JSON.parse(localStorage.getItem(CONFIG_KEY)).find(p => p.id === pair.id).remainingCount, 2, 'Relay count saved');
+        assert.strictEqual(applyRelayCounts({ pairs: [{ id: pair.id, remainingCount: 2 }], expired: [] }), false, 'Same count is no change');
+        assert.strictEqual(applyRelayCounts({ pairs: [{ id: unlimited.id, remainingCount: 4 }], expired: [] }), false, 'Unlimited pair stays unlimited');
+
+        assert.strictEqual(applyRelayCounts({ pairs: [], expired: [pair.id, 'unknown'] }), true);
+        assert.deepStrictEqual(getNotificationPairs().map(p => p.id), [unlimited.id], 'Relay-expired pair removed');
+        assert.deepStrictEqual(expired, [pair.id], 'pair-expired dispatched for it');
+    } finally {
+        setRelayCounting(false);
+    }
+
+    console.log('✓ relay count tests passed');
+}
+
 /**
  * Run all tests
  */
@@ -977,6 +1342,10 @@ async function runTests() {
     testMigration();
     testShouldNotify();
     testShouldNotifyParentResolution();
+    await testLeadSettings();
+    testShouldNotifyLead();
+    await testTargetedPairs();
+    await testScheduledPairs();
     await testPermissionHandling();
     await testAsyncAddNotificationPair();
     testPauseResume();
@@ -996,6 +1365,9 @@ async function runTests() {
     console.log('\nRunning notification expiry integration tests...\n');
 
     await testExpiryEventIntegration();
+    testBuildNotificationContent();
+    await testConfigChangedEvent();
+    await testRelayCounts();
 
     console.log('\n✓ All tests passed!');
 }
@@ -0,0 +1,105 @@
+// tests/playback.test.js — Unit tests for playback snapshot resolution and scrubber helpers
+import assert from 'assert';
+
+// Stubs required before importing playback.js (vehicles.js reads these at module level)
+globalThis.document = {
+    hidden: false,
+    addEventListener: () => {},
+};
+globalThis.performance = { now: () => 0 };
+globalThis.requestAnimationFrame = () => 1;
+globalThis.cancelAnimationFrame = () => {};
+
+const { latestSnapshotsAt, diffSnapshots, PLAYBACK_SPEEDS } = await import('../src/playback.js');
+const { formatPlaybackTime, timeToScrubber, scrubberToTime } = await import('../src/playback-ui.js');
+
+const T0 = new Date('2026-10-19T08:00:00-04:00').getTime();
+
+function snap(id, t, overrides = {}) {
+    return { t, id, lat: 42.36, lng: -71.06, bearing: 0, routeId: 'Red', directionId: 0, status: 'IN_TRANSIT_TO', stopId: 's1', stopSeq: 1, label: id, tripId: null, ...overrides };
+}
+
+/**
+ * Test latestSnapshotsAt
+ */
+function testLatestSnapshotsAt() {
+    const snapshots = [
+        snap('a', T0),
+        snap('b', T0 + 1000),
+        snap('a', T0 + 20000, { lat: 42.37 }),
+        { t: T0 + 30000, id: 'b', removed: true },
+        snap('c', T0 + 40000),
+    ];
+
+    const at25 = latestSnapshotsAt(snapshots, T0 + 25000);
+    assert.deepStrictEqual([...at25.keys()].sort(), ['a', 'b'], 'Both vehicles present before the removal');
+    assert.strictEqual(at25.get('a').lat, 42.37, 'Latest snapshot per vehicle wins');
+
+    const at35 = latestSnapshotsAt(snapshots, T0 + 35000);
+    assert.deepStrictEqual([...at35.keys()], ['a'], 'Removed vehicle is dropped');
+
+    const later = latestSnapshotsAt(snapshots, T0 + 20000 + 10 * 60 * 1000, 5 * 60 * 1000);
+    assert(!later.has('a'), 'Stale vehicle is dropped');
+
+    assert.strictEqual(latestSnapshotsAt(snapshots, T0 - 1).size, 0, 'Nothing before the recording');
+
+    console.log('✓ latestSnapshotsAt tests passed');
+}
+
+/**
+ * Test diffSnapshots
+ */
+function testDiffSnapshots() {
+    const a1 = snap('a', T0);
+    const a2 = snap('a', T0 + 20000, { lat: 42.37 });
+    const b1 = snap('b', T0);
+    const c1 = snap('c', T0);
+
+    const prev = new Map([['a', a1], ['b', b1]]);
+    const next = new Map([['a', a2], ['c', c1]]);
+    const events = diffSnapshots(prev, next);
+
+    assert.deepStrictEqual(events.map(e => e.type), ['vehicles:remove', 'vehicles:update', 'vehicles:add'], 'Remove, update, add in order');
+    assert.deepStrictEqual(events[0].detail, { id: 'b' }, 'Remove carries only the id');
+    assert.strictEqual(events[1].detail.latitude, 42.37, 'Update carries vehicle-shaped detail');
+    assert.strictEqual(events[2].detail.id, 'c', 'Add carries the new vehicle');
+
+    const unchanged = diffSnapshots(new Map([['a', a1]]), new Map([['a', a1]]));
+    assert.strictEqual(unchanged.length, 0, 'Same snapshot produces no events');
+
+    console.log('✓ diffSnapshots tests passed');
+}
+
+/**
+ * Test scrubber helpers
+ */
+function testScrubberHelpers() {
+    assert.deepStrictEqual(PLAYBACK_SPEEDS, [1, 10, 60], 'Offered speeds');
+
+    const range = { start: T0, end: T0 + 100000 };
+    assert.strictEqual(timeToScrubber(T0, range), 0, 'Start maps to 0');
+    assert.strictEqual(timeToScrubber(T0 + 50000, range), 500, 'Midpoint maps to 500');
+    assert.strictEqual(scrubberToTime(500, range), T0 + 50000, 'Inverse mapping');
+    assert.strictEqual(timeToScrubber(T0, { start: T0, end: T0 }), 1000, 'Zero-length range pins to end');
+
+    const local = new Date(2026, 9, 19, 7, 5, 9).getTime();
+    assert.strictEqual(formatPlaybackTime(local), '07:05:09', 'Zero-padded 24-hour local time');
+
+    console.log('✓ scrubber helper tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running playback tests...\n');
+
+    testLatestSnapshotsAt();
+    testDiffSnapshots();
+    testScrubberHelpers();
+
+    console.log('\n✓ All playback tests passed!');
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,109 @@
+// tests/predictions.test.js — Unit tests for prediction parsing and arrival grouping
+import assert from 'assert';
+import { parsePrediction, resolvePredictionStopId, arrivalKey, groupArrivals } from '../src/predictions.js';
+
+const NOW = new Date('2026-10-19T08:00:00-04:00').getTime();
+
+function makePrediction(id, { route = 'Red', direction = 0, arrival = null, departure = null, relationship = null, stop = '70061' } = {}) {
+    return {
+        id,
+        type: 'prediction',
+        attributes: {
+            arrival_time: arrival,
+            departure_time: departure,
+            direction_id: direction,
+            schedule_relationship: relationship,
+            status: null,
+        },
+        relationships: {
+            route: { data: { id: route, type: 'route' } },
+            stop: { data: { id: stop, type: 'stop' } },
+            trip: { data: { id: `trip-${id}`, type: 'trip' } },
+            vehicle: { data: null },
+        },
+    };
+}
+
+function minutesFromNow(m) {
+    return new Date(NOW + m * 60000).toISOString();
+}
+
+/**
+ * Test parsePrediction
+ */
+function testParsePrediction() {
+    const p = parsePrediction(makePrediction('p1', { arrival: '2026-10-19T08:04:00-04:00', direction: 1 }));
+    assert.strictEqual(p.id, 'p1', 'ID should be preserved');
+    assert.strictEqual(p.routeId, 'Red', 'Route flattened from relationship');
+    assert.strictEqual(p.stopId, '70061', 'Stop flattened from relationship');
+    assert.strictEqual(p.tripId, 'trip-p1', 'Trip flattened from relationship');
+    assert.strictEqual(p.vehicleId, null, 'Null vehicle relationship yields null');
+    assert.strictEqual(p.directionId, 1, 'Direction parsed');
+    assert.strictEqual(p.arrivalTime, '2026-10-19T08:04:00-04:00', 'Arrival time parsed');
+    assert.strictEqual(p.departureTime, null, 'Missing departure is null');
+
+    console.log('✓ parsePrediction tests passed');
+}
+
+/**
+ * Test resolvePredictionStopId
+ */
+function testResolvePredictionStopId() {
+    const stopsData = new Map([
+        ['70061', { id: '70061', parentStopId: 'place-alfcl' }],
+        ['1234', { id: '1234', parentStopId: null }],
+    ]);
+    assert.strictEqual(resolvePredictionStopId('70061', stopsData), 'place-alfcl', 'Child platform resolves to parent');
+    assert.strictEqual(resolvePredictionStopId('1234', stopsData), '1234', 'Stop without parent is used as-is');
+    assert.strictEqual(resolvePredictionStopId('place-alfcl', stopsData), 'place-alfcl', 'Unknown/parent ID is used as-is');
+    assert.strictEqual(resolvePredictionStopId('1234'), '1234', 'Works without stopsData');
+
+    console.log('✓ resolvePredictionStopId tests passed');
+}
+
+/**
+ * Test groupArrivals
+ */
+function testGroupArrivals() {
+    const predictions = [
+        makePrediction('a', { arrival: minutesFromNow(12) }),
+        makePrediction('b', { arrival: minutesFromNow(2) }),
+        makePrediction('c', { arrival: minutesFromNow(7) }),
+        makePrediction('d', { arrival: minutesFromNow(20) }),
+        makePrediction('e', { direction: 1, arrival: null, departure: minutesFromNow(5) }),
+        makePrediction('f', { direction: 1, arrival: minutesFromNow(3), relationship: 'SKIPPED' }),
+        makePrediction('g', { direction: 1, arrival: minutesFromNow(-5) }),
+        makePrediction('h', { route: 'Mattapan', arrival: minutesFromNow(4) }),
+        makePrediction('i', { direction: 1, arrival: null, departure: null }),
+    ].map(parsePrediction);
+
+    const groups = groupArrivals(predictions, NOW);
+
+    const red0 = groups.get(arrivalKey('Red', 0));
+    assert.deepStrictEqual(red0.map(a => a.tripId), ['trip-b', 'trip-c', 'trip-a'], 'Next 3 sorted soonest first');
+
+    const red1 = groups.get(arrivalKey('Red', 1));
+    assert.deepStrictEqual(red1.map(a => a.tripId), ['trip-e'], 'Departure fallback kept; skipped, departed and timeless dropped');
+
+    assert.strictEqual(groups.get(arrivalKey('Mattapan', 0)).length, 1, 'Routes grouped separately');
+    assert.strictEqual(groupArrivals(predictions, NOW, 1).get(arrivalKey('Red', 0)).length, 1, 'Limit is respected');
+    assert.strictEqual(groupArrivals([], NOW).size, 0, 'No predictions yields empty map');
+
+    console.log('✓ groupArrivals tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running predictions tests...\n');
+
+    testParsePrediction();
+    testResolvePredictionStopId();
+    testGroupArrivals();
+
+    console.log('\n✓ All predictions tests passed!');
+}
+
+// Run tests
+runTests();
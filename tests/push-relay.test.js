@@ -0,0 +1,376 @@
+// tests/push-relay.test.js — Tests for the Web Push relay: SSE parsing, registration validation,
+// payload encryption/VAPID, and the relay end to end against the mock MBTA server
+import assert from 'assert';
+import { createServer } from 'http';
+import { createDecipheriv, createECDH, createPublicKey, hkdfSync, randomBytes, verify } from 'crypto';
+
+import { parseSseMessages, validateRegistration, isPushServiceEndpoint, mergeRegistration, createStaticLookups, createPushRelay } from '../scripts/push-relay.mjs';
+import { startMockMbtaServer, vehicleResource } from '../scripts/mock-mbta-server.mjs';
+import {
+    base64UrlEncode, base64UrlDecode, generateVapidKeys, buildVapidAuthorization, encryptPayload,
+} from '../scripts/web-push.mjs';
+
+const STATIC_DATA = {
+    routes: [
+        { id: 'Red', type: 1, directionNames: ['South', 'North'], directionDestinations: ['Ashmont/Braintree', 'Alewife'] },
+        { id: '87', type: 3, directionNames: ['Outbound', 'Inbound'], directionDestinations: [] },
+    ],
+    stops: {
+        'place-davis': { id: 'place-davis', name: 'Davis', parentStopId: null },
+        '70064': { id: '70064', name: 'Davis', parentStopId: 'place-davis' },
+        'place-alfcl': { id: 'place-alfcl', name: 'Alewife', parentStopId: null },
+        'place-portr': { id: 'place-portr', name: 'Porter', parentStopId: null },
+    },
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll until condition() is truthy, failing after timeoutMs.
+ */
+async function waitFor(condition, message, timeoutMs = 3000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) throw new Error(`Timed out: ${message}`);
+        await sleep(20);
+    }
+}
+
+/**
+ * A browser's side of a push subscription: P-256 key pair and auth secret.
+ */
+function makeUserAgent(endpoint) {
+    const ecdh = createECDH('prime256v1');
+    ecdh.generateKeys();
+    const auth = randomBytes(16);
+    return {
+        ecdh,
+        auth,
+        subscription: { endpoint, keys: { p256dh: base64UrlEncode(ecdh.getPublicKey()), auth: base64UrlEncode(auth) } },
+    };
+}
+
+/**
+ * Decrypt an aes128gcm push body as the browser would (RFC 8291).
+ */
+function decryptPayload(body, userAgent) {
+    const salt = body.subarray(0, 16);
+    const keyIdLength = body[20];
+    const senderPublic = body.subarray(21, 21 + keyIdLength);
+    const ciphertext = body.subarray(21 + keyIdLength);
+
+    const sharedSecret = userAgent.ecdh.computeSecret(senderPublic);
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgent.ecdh.getPublicKey(), senderPublic]);
+    const ikm = Buffer.from(hkdfSync('sha256', sharedSecret, userAgent.auth, keyInfo, 32));
+    const contentKey = Buffer.from(hkdfSync('sha256', ikm, salt, 'Content-Encoding: aes128gcm\0', 16));
+    const nonce = Buffer.from(hkdfSync('sha256', ikm, salt, 'Content-Encoding: nonce\0', 12));
+
+    const decipher = createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+    assert.strictEqual(padded[padded.length - 1], 2, 'Single record ends with the last-record delimiter');
+    return padded.subarray(0, -1).toString('utf-8');
+}
+
+/**
+ * Verify a VAPID Authorization header; returns the JWT claims.
+ */
+function verifyVapid(header, publicKey) {
+    const [, token, key] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+    assert.strictEqual(key, publicKey, 'k= carries the VAPID public key');
+    const [headerPart, claimsPart, signature] = token.split('.');
+    const point = base64UrlDecode(publicKey);
+    const keyObject = createPublicKey({
+        key: { kty: 'EC', crv: 'P-256', x: base64UrlEncode(point.subarray(1, 33)), y: base64UrlEncode(point.subarray(33)) },
+        format: 'jwk',
+    });
+    assert(verify('sha256', Buffer.from(`${headerPart}.${claimsPart}`), { key: keyObject, dsaEncoding: 'ieee-p1363' },
+        base64UrlDecode(signature)), 'ES256 signature verifies');
+    return JSON.parse(base64UrlDecode(claimsPart).toString('utf-8'));
+}
+
+/**
+ * Test parseSseMessages
+ */
+function testParseSseMessages() {
+    const { messages, rest } = parseSseMessages(
+        ': keep-alive\n\nevent: reset\ndata: []\n\r\nevent: update\ndata: {"a":\ndata: 1}\n\nevent: add\ndata: {"id"');
+    assert.deepStrictEqual(messages, [
+        { event: 'reset', data: '[]' },
+        { event: 'update', data: '{"a":\n1}' },
+    ], 'Complete messages parsed, comments skipped, multi-line data joined');
+    assert.strictEqual(rest, 'event: add\ndata: {"id"', 'Incomplete message kept for the next chunk');
+
+    assert.deepStrictEqual(parseSseMessages('').messages, []);
+    console.log('✓ parseSseMessages tests passed');
+}
+
+/**
+ * Test validateRegistration
+ */
+function testValidateRegistration() {
+    const subscription = { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'p', auth: 'a' }, expirationTime: null };
+    const pair = { id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1 };
+
+    const valid = validateRegistration({ subscription, pairs: [pair], paused: false });
+    assert.deepStrictEqual(valid.subscription, { endpoint: subscription.endpoint, keys: subscription.keys }, 'Only endpoint and keys kept');
+    assert.deepStrictEqual(valid.pairs[0].lead, { type: 'stops', value: 0 }, 'Missing lead defaults to the checkpoint');
+    assert.strictEqual(valid.pairs[0].remainingCount, null, 'Missing count is unlimited');
+    assert.strictEqual(valid.paused, false);
+
+    assert(validateRegistration({ subscription: { ...subscription, endpoint: 'file:///x' }, pairs: [] }).error, 'Non-http endpoint rejected');
+    // Only https endpoints on push services: registration is unauthenticated
+    const endpoint = url => validateRegistration({ subscription: { ...subscription, endpoint: url }, pairs: [] });
+    assert(endpoint('http://fcm.googleapis.com/fcm/send/abc').error, 'Plain http rejected');
+    assert(endpoint('http://10.0.0.5:8080/admin').error, 'Internal host rejected');
+    assert(endpoint('https://example.com/hook').error, 'Unknown host rejected');
+    assert(endpoint('https://fcm.googleapis.com.evil.example/x').error, 'Lookalike host rejected');
+    assert(endpoint('not a url').error, 'Unparseable endpoint rejected');
+    assert(!endpoint('https://updates.push.services.mozilla.com/wpush/v2/abc').error, 'Push service subdomain accepted');
+    assert(!endpoint('https://web.push.apple.com/abc').error);
+    assert(!validateRegistration({ subscription: { ...subscription, endpoint: 'https://push.example.com/abc' }, pairs: [] },
+        url => isPushServiceEndpoint(url, ['push.example.com'])).error, 'Configured push host accepted');
+    assert(validateRegistration({ subscription: { endpoint: subscription.endpoint }, pairs: [] }).error, 'Missing keys rejected');
+    assert(validateRegistration({ subscription, pairs: Array(6).fill(pair) }).error, 'More than MAX_PAIRS rejected');
+    assert(validateRegistration({ subscription, pairs: [{ ...pair, directionId: 2 }] }).error, 'Bad direction rejected');
+    assert(validateRegistration({ subscription, pairs: [{ ...pair, lead: { type: 'stops', value: 99 } }] }).error, 'Bad lead rejected');
+    assert(validateRegistration({ subscription, pairs: [{ ...pair, remainingCount: 0 }] }).error, 'Zero count rejected');
+    const counted = validateRegistration({ subscription, pairs: [{ ...pair, remainingCount: 2, totalCount: 5 }] }).pairs[0];
+    assert.deepStrictEqual([counted.remainingCount, counted.totalCount], [2, 5], 'Counts kept');
+    assert.strictEqual(validateRegistration({ subscription, pairs: [{ ...pair, remainingCount: 2 }] }).pairs[0].totalCount, 2,
+        'Missing total is the remaining count');
+    assert(validateRegistration(null).error, 'Missing body rejected');
+
+    // Targeted pairs (one vehicle or trip)
+    assert.strictEqual(valid.pairs[0].target, null, 'Missing target matches any vehicle');
+    const targeted = validateRegistration({ subscription, pairs: [{ ...pair, target: { type: 'vehicle', id: 'y1234', label: '1234' } }] });
+    assert.deepStrictEqual(targeted.pairs[0].target, { type: 'vehicle', id: 'y1234', label: '1234' }, 'Target kept');
+    assert(validateRegistration({ subscription, pairs: [{ ...pair, target: { type: 'bus', id: 'y1234' } }] }).error, 'Bad target type rejected');
+    assert(validateRegistration({ subscription, pairs: [{ ...pair, target: { type: 'trip', id: '' } }] }).error, 'Empty target ID rejected');
+    assert.strictEqual(valid.pairs[0].schedule, null, 'Missing schedule is always active');
+    const schedule = { days: [1, 2, 3, 4, 5], start: '07:30', end: '09:00', timeZone: 'America/New_York' };
+    assert.deepStrictEqual(validateRegistration({ subscription, pairs: [{ ...pair, schedule }] }).pairs[0].schedule, schedule, 'Schedule kept');
+    assert(validateRegistration({ subscription, pairs: [{ ...pair, schedule: { ...schedule, days: [] } }] }).error, 'Schedule without days rejected');
+
+    console.log('✓ validateRegistration tests passed');
+}
+
+/**
+ * Test mergeRegistration: the relay's countdown survives re-syncs from the page
+ */
+function testMergeRegistration() {
+    const subscription = { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'p', auth: 'a' } };
+    const register = pairs => validateRegistration({ subscription, pairs });
+    const pair = { id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1, remainingCount: 3, totalCount: 3 };
+
+    const fresh = mergeRegistration(undefined, register([pair]));
+    assert.strictEqual(fresh.pairs[0].remainingCount, 3, 'New pair takes the page count');
+    assert.strictEqual(fresh.expired.size, 0);
+
+    const held = { pairs: [{ ...fresh.pairs[0], remainingCount: 1 }], expired: new Set(['p0']) };
+    assert.strictEqual(mergeRegistration(held, register([pair])).pairs[0].remainingCount, 1, 'Relay count kept over a stale page count');
+    assert.strictEqual(mergeRegistration(held, register([{ ...pair, remainingCount: 5, totalCount: 5 }])).pairs[0].remainingCount, 5,
+        'A count the user set replaces the relay count');
+
+    const stale = mergeRegistration(held, register([{ ...pair, id: 'p0' }, pair]));
+    assert.deepStrictEqual(stale.pairs.map(p => p.id), ['p1'], 'Expired pair not revived by a page that has not heard');
+    assert.deepStrictEqual([...stale.expired], ['p0'], 'Still reported expired');
+    assert.strictEqual(mergeRegistration(held, register([pair])).expired.size, 0, 'Forgotten once the page drops it');
+
+    console.log('✓ mergeRegistration tests passed');
+}
+
+/**
+ * Test createStaticLookups
+ */
+function testStaticLookups() {
+    const lookups = createStaticLookups(STATIC_DATA);
+    assert.strictEqual(lookups.stopsData.get('70064').parentStopId, 'place-davis');
+    assert.strictEqual(lookups.terminusChecker('place-alfcl', 'Red'), true, 'Alewife is a Red Line terminus');
+    assert.strictEqual(lookups.terminusChecker('place-davis', 'Red'), false);
+    assert.strictEqual(lookups.directionLabel('Red', 1), 'Alewife', 'Destination preferred');
+    assert.strictEqual(lookups.directionLabel('87', 0), 'Outbound', 'Direction name fallback');
+    assert.strictEqual(lookups.routeType('87'), 3);
+    assert.strictEqual(lookups.routeType('nope'), null);
+    console.log('✓ static lookup tests passed');
+}
+
+/**
+ * Test payload encryption and VAPID signing
+ */
+function testWebPushCrypto() {
+    const userAgent = makeUserAgent('https://push.example.com/sub/1');
+    const body = encryptPayload('{"title":"Hello"}', userAgent.subscription.keys);
+    assert.strictEqual(body.readUInt32BE(16), 4096, 'Record size header');
+    assert.strictEqual(body[20], 65, 'Sender public key is an uncompressed P-256 point');
+    assert.strictEqual(decryptPayload(body, userAgent), '{"title":"Hello"}', 'Browser can decrypt the payload');
+
+    const vapid = { ...generateVapidKeys(), subject: 'mailto:test@example.com' };
+    assert.strictEqual(base64UrlDecode(vapid.publicKey).length, 65);
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const claims = verifyVapid(buildVapidAuthorization('https://push.example.com/sub/1?x=1', vapid, now), vapid.publicKey);
+    assert.strictEqual(claims.aud, 'https://push.example.com', 'Audience is the push service origin');
+    assert.strictEqual(claims.sub, 'mailto:test@example.com');
+    assert(claims.exp > now / 1000 && claims.exp <= now / 1000 + 24 * 3600, 'Expiry within 24 hours');
+
+    console.log('✓ Web Push crypto tests passed');
+}
+
+/**
+ * Test the relay end to end: mock MBTA SSE server → relay → mock push service
+ */
+async function testRelayEndToEnd() {
+    const mock = await startMockMbtaServer();
+
+    // Mock push service: records deliveries, answers with pushStatus
+    const deliveries = [];
+    let pushStatus = 201;
+    const pushService = createServer((req, res) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            deliveries.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+            res.writeHead(pushStatus);
+            res.end();
+        });
+    });
+    await new Promise(resolve => pushService.listen(0, '127.0.0.1', resolve));
+    const pushOrigin = `http://127.0.0.1:${pushService.address().port}`;
+
+    const vapid = { ...generateVapidKeys(), subject: 'mailto:test@example.com' };
+    const relay = createPushRelay({
+        mbtaBaseUrl: mock.url, apiKey: 'test-key', vapid, staticData: STATIC_DATA, allowOrigin: 'https://app.example.test',
+        isAllowedEndpoint: url => url.startsWith(`${pushOrigin}/`), // plain-http stand-in for the push service
+    });
+    const server = await relay.listen(0);
+    const relayUrl = `http://127.0.0.1:${server.address().port}`;
+    relay.start();
+
+    try {
+        const keyResponse = await fetch(`${relayUrl}/vapid-public-key`);
+        assert.strictEqual((await keyResponse.json()).publicKey, vapid.publicKey, 'Relay serves its VAPID public key');
+        assert.strictEqual(mock.connections(), 0, 'No stream without subscriptions');
+
+        const userAgent = makeUserAgent(`${pushOrigin}/sub/1`);
+        const register = pairs => fetch(`${relayUrl}/subscriptions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription: userAgent.subscription, pairs, paused: false }),
+        });
+
+        const response = await register([{ id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1, remainingCount: 2 }]);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), { pairs: [{ id: 'p1', remainingCount: 2 }], expired: [] }, 'Relay answers with its counts');
+        assert.strictEqual(response.headers.get('access-control-allow-origin'), 'https://app.example.test', 'CORS limited to the app');
+        await waitFor(() => mock.connections() === 1, 'relay connects to the vehicle stream');
+        assert.strictEqual(mock.lastVehiclesQuery().get('filter[route]'), 'Red', 'Stream filtered to subscribed routes');
+        assert.strictEqual(mock.lastVehiclesQuery().get('api_key'), 'test-key');
+
+        const train = { id: 'R-1', label: '1812', routeId: 'Red', directionId: 1, tripId: 't1' };
+
+        // In transit and wrong-direction updates don't notify
+        mock.send('add', vehicleResource({ ...train, stopId: '70064', currentStatus: 'IN_TRANSIT_TO' }));
+        mock.send('update', vehicleResource({ ...train, id: 'R-2', directionId: 0, stopId: '70064', currentStatus: 'STOPPED_AT' }));
+        await sleep(100);
+        assert.strictEqual(deliveries.length, 0, 'No push before the vehicle reaches the checkpoint');
+
+        // Platform stop resolves to the parent-station checkpoint, as in the page
+        mock.send('update', vehicleResource({ ...train, stopId: '70064', currentStatus: 'STOPPED_AT' }));
+        await waitFor(() => deliveries.length === 1, 'push delivered');
+
+        const [delivery] = deliveries;
+        assert.strictEqual(delivery.url, '/sub/1');
+        assert.strictEqual(delivery.headers['content-encoding'], 'aes128gcm');
+        assert.strictEqual(delivery.headers.ttl, '60');
+        assert.strictEqual(verifyVapid(delivery.headers.authorization, vapid.publicKey).aud, pushOrigin);
+        assert.deepStrictEqual(JSON.parse(decryptPayload(delivery.body, userAgent)), {
+            title: 'Train approaching Davis',
+            body: '→ Alewife',
+            tag: 'ttracker-R-1-p1',
+            icon: '/icons/icon-192.png',
+            badge: '/icons/icon-192.png',
+            data: { pairId: 'p1', remainingCount: 1 },
+        }, 'Payload is the notification the page would show, with the relay count');
+
+        // Duplicate prevention per vehicle + pair, kept across a re-sync from the page. The page
+        // still has its old count; the relay owns the countdown and answers with its own
+        const resync = await register([{ id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1, remainingCount: 2, totalCount: 2 }]);
+        assert.deepStrictEqual(await resync.json(), { pairs: [{ id: 'p1', remainingCount: 1 }], expired: [] }, 'Relay count kept');
+        mock.send('update', vehicleResource({ ...train, stopId: '70064', currentStatus: 'STOPPED_AT' }));
+        await sleep(100);
+        assert.strictEqual(deliveries.length, 1, 'Same vehicle does not notify twice');
+
+        // Last count: the pair expires, the subscription is dropped and the stream closes
+        mock.send('update', vehicleResource({ ...train, id: 'R-3', stopId: 'place-davis', currentStatus: 'INCOMING_AT' }));
+        await waitFor(() => deliveries.length === 2, 'second vehicle notifies');
+        assert.deepStrictEqual(JSON.parse(decryptPayload(deliveries[1].body, userAgent)).data, { pairId: 'p1', remainingCount: 0 });
+        assert.strictEqual(relay.getSubscriptions().values().next().value.pairs.length, 0, 'Expired pair removed');
+        await waitFor(() => mock.connections() === 0, 'stream closed once nothing is watched');
+
+        // A page that has not heard sends the pair again: it stays expired
+        const stale = await register([{ id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1, remainingCount: 1, totalCount: 2 }]);
+        assert.deepStrictEqual(await stale.json(), { pairs: [], expired: ['p1'] }, 'Page told the pair expired');
+        await sleep(100);
+        assert.strictEqual(mock.connections(), 0, 'Expired pair not watched again');
+
+        // Lead pair: fires 2 stops ahead using route predictions
+        mock.setPredictions([
+            { id: 'pr1', attributes: { direction_id: 1, stop_sequence: 10 }, relationships: { route: { data: { id: 'Red' } }, trip: { data: { id: 't9' } }, stop: { data: { id: 'place-portr' } } } },
+            { id: 'pr2', attributes: { direction_id: 1, stop_sequence: 20 }, relationships: { route: { data: { id: 'Red' } }, trip: { data: { id: 't9' } }, stop: { data: { id: '70064' } } } },
+        ]);
+        await register([{ id: 'p2', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1, lead: { type: 'stops', value: 2 } }]);
+        await waitFor(() => mock.connections() === 1, 'stream reopened');
+        await sleep(100); // predictions fetched after registration
+        mock.send('update', vehicleResource({ ...train, id: 'R-9', tripId: 't9', currentStopSequence: 5, stopId: 'place-portr' }));
+        await waitFor(() => deliveries.length === 3, 'lead pair notifies ahead of the checkpoint');
+        assert.strictEqual(JSON.parse(decryptPayload(deliveries[2].body, userAgent)).body, '→ Alewife · 2 stops away');
+
+        // Push service says the subscription is gone: it is removed
+        pushStatus = 410;
+        mock.send('update', vehicleResource({ ...train, id: 'R-10', tripId: 't9', currentStopSequence: 5, stopId: 'place-portr' }));
+        await waitFor(() => relay.getSubscriptions().size === 0, 'gone subscription removed');
+
+        // Bad registration
+        const bad = await fetch(`${relayUrl}/subscriptions`, { method: 'POST', body: '{"subscription":{}}' });
+        assert.strictEqual(bad.status, 400);
+        assert((await bad.json()).error, 'Error message returned');
+
+        // Oversized body: answered with 413 before the connection closes
+        const large = await fetch(`${relayUrl}/subscriptions`, { method: 'POST', body: 'x'.repeat(64 * 1024) });
+        assert.strictEqual(large.status, 413);
+        assert.strictEqual((await large.json()).error, 'Request body too large');
+        assert.strictEqual(large.headers.get('connection'), 'close');
+    } finally {
+        relay.stop();
+        server.closeAllConnections();
+        server.close();
+        pushService.closeAllConnections();
+        pushService.close();
+        await mock.close();
+    }
+
+    console.log('✓ relay end-to-end tests passed');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+    console.log('Running push relay tests...\n');
+
+    testParseSseMessages();
+    testValidateRegistration();
+    testMergeRegistration();
+    testStaticLookups();
+    testWebPushCrypto();
+    await testRelayEndToEnd();
+
+    console.log('\n✓ All push relay tests passed!');
+}
+
+// Run tests
+runTests().catch((err) => {
+    console.error('FAIL:', err.message);
+    console.error(err.stack);
+    process.exit(1);
+});
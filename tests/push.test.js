@@ -0,0 +1,76 @@
+// tests/push.test.js — Unit tests for Web Push subscription helpers
+import assert from 'assert';
+import { urlBase64ToUint8Array, buildRegistration, relayCountUpdate } from '../src/push.js';
+
+/**
+ * Test urlBase64ToUint8Array
+ */
+function testUrlBase64ToUint8Array() {
+    const bytes = Uint8Array.from([0x04, 0xfb, 0xff, 0x3e, 0x00]);
+    const encoded = Buffer.from(bytes).toString('base64url');
+    assert(!encoded.includes('=') && /[-_]/.test(encoded), 'Fixture exercises unpadded URL-safe characters');
+    assert.deepStrictEqual(urlBase64ToUint8Array(encoded), bytes, 'Decodes base64url without padding');
+    assert.strictEqual(urlBase64ToUint8Array('').length, 0);
+
+    console.log('✓ urlBase64ToUint8Array tests passed');
+}
+
+/**
+ * Test buildRegistration
+ */
+function testBuildRegistration() {
+    const subscription = { endpoint: 'https://push.example.com/abc', expirationTime: null, keys: { p256dh: 'p', auth: 'a' } };
+    const pairs = [
+        { id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1, remainingCount: 3, totalCount: 5, lead: { type: 'stops', value: 2 } },
+        { id: 'p2', checkpointStopId: 'place-portr', routeId: 'Red', directionId: 0, lead: { type: 'stops', value: 0 } },
+    ];
+
+    const registration = buildRegistration(subscription, pairs, true);
+    assert.deepStrictEqual(registration.subscription, { endpoint: subscription.endpoint, keys: subscription.keys }, 'Only endpoint and keys sent');
+    assert.deepStrictEqual(registration.pairs[0], {
+        id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 1, remainingCount: 3, totalCount: 5, lead: { type: 'stops', value: 2 },
+    }, 'Pair fields shouldNotify needs, plus the counts');
+    assert.strictEqual(registration.pairs[1].remainingCount, null, 'Unlimited pair sends null count');
+    assert.strictEqual(registration.pairs[1].totalCount, null);
+    assert.strictEqual(buildRegistration(subscription, [{ ...pairs[0], totalCount: undefined }], false).pairs[0].totalCount, 3,
+        'Pairs saved before totalCount send their remaining count');
+
+    const target = { type: 'trip', id: 'trip-1', label: '1234' };
+    const targeted = buildRegistration(subscription, [{ ...pairs[0], target }], false);
+    assert.deepStrictEqual(targeted.pairs[0].target, target, 'Target sent for vehicle/trip pairs');
+    assert(!('target' in registration.pairs[1]), 'No target field for any-vehicle pairs');
+
+    const schedule = { days: [1, 2, 3, 4, 5], start: '07:30', end: '09:00', timeZone: 'America/New_York' };
+    const scheduled = buildRegistration(subscription, [{ ...pairs[0], schedule }], false);
+    assert.deepStrictEqual(scheduled.pairs[0].schedule, schedule, 'Schedule sent for scheduled pairs');
+    assert(!('schedule' in registration.pairs[1]), 'No schedule field for always-active pairs');
+    assert.strictEqual(registration.paused, true);
+
+    console.log('✓ buildRegistration tests passed');
+}
+
+/**
+ * Test relayCountUpdate
+ */
+function testRelayCountUpdate() {
+    assert.deepStrictEqual(relayCountUpdate('p1', 2), { pairs: [{ id: 'p1', remainingCount: 2 }], expired: [] });
+    assert.deepStrictEqual(relayCountUpdate('p1', 0), { pairs: [], expired: ['p1'] }, 'Count 0 means the relay expired the pair');
+
+    console.log('✓ relayCountUpdate tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running push subscription tests...\n');
+
+    testUrlBase64ToUint8Array();
+    testBuildRegistration();
+    testRelayCountUpdate();
+
+    console.log('\n✓ All push subscription tests passed!');
+}
+
+// Run tests
+runTests();
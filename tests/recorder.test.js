@@ -0,0 +1,101 @@
+// tests/recorder.test.js — Unit tests for playback history snapshot helpers
+import assert from 'assert';
+import { toSnapshot, fromSnapshot, shouldRecordSnapshot, getRetentionMs } from '../src/recorder.js';
+
+const T0 = new Date('2026-10-19T08:00:00-04:00').getTime();
+
+function makeVehicle(overrides = {}) {
+    return {
+        id: 'v1',
+        latitude: 42.3601234,
+        longitude: -71.0589876,
+        bearing: 90,
+        routeId: 'Red',
+        directionId: 0,
+        currentStatus: 'IN_TRANSIT_TO',
+        stopId: '70061',
+        currentStopSequence: 5,
+        label: '1234',
+        tripId: 'trip-1',
+        speed: 12,
+        updatedAt: '2026-10-19T07:59:58-04:00',
+        ...overrides,
+    };
+}
+
+/**
+ * Test toSnapshot / fromSnapshot
+ */
+function testSnapshotRoundTrip() {
+    const snap = toSnapshot(makeVehicle(), T0);
+    assert.strictEqual(snap.t, T0, 'Capture time is kept');
+    assert.strictEqual(snap.lat, 42.36012, 'Latitude rounded to 5 decimals');
+    assert.strictEqual(snap.lng, -71.05899, 'Longitude rounded to 5 decimals');
+    assert.strictEqual(snap.status, 'IN_TRANSIT_TO', 'Status kept');
+    assert.strictEqual('speed' in snap, false, 'Fields playback does not need are dropped');
+
+    const vehicle = fromSnapshot(snap);
+    assert.strictEqual(vehicle.id, 'v1', 'ID restored');
+    assert.strictEqual(vehicle.latitude, 42.36012, 'Latitude restored');
+    assert.strictEqual(vehicle.longitude, -71.05899, 'Longitude restored');
+    assert.strictEqual(vehicle.currentStatus, 'IN_TRANSIT_TO', 'Status restored as currentStatus');
+    assert.strictEqual(vehicle.currentStopSequence, 5, 'Stop sequence restored');
+    assert.strictEqual(vehicle.tripId, 'trip-1', 'Trip restored');
+    assert.strictEqual(new Date(vehicle.updatedAt).getTime(), T0, 'updatedAt reflects capture time');
+
+    const sparse = toSnapshot({ id: 'v2', latitude: 42, longitude: -71 }, T0);
+    assert.strictEqual(sparse.bearing, null, 'Missing fields become null');
+
+    console.log('✓ toSnapshot/fromSnapshot tests passed');
+}
+
+/**
+ * Test shouldRecordSnapshot throttle
+ */
+function testShouldRecordSnapshot() {
+    const first = toSnapshot(makeVehicle(), T0);
+    assert.strictEqual(shouldRecordSnapshot(undefined, first), true, 'First sighting is recorded');
+    assert.strictEqual(shouldRecordSnapshot({ t: T0, id: 'v1', removed: true }, first), true, 'Reappearing vehicle is recorded');
+
+    // ~110m north, but too soon
+    const movedSoon = toSnapshot(makeVehicle({ latitude: 42.3611 }), T0 + 5000);
+    assert.strictEqual(shouldRecordSnapshot(first, movedSoon), false, 'Updates within the minimum interval are skipped');
+
+    const moved = toSnapshot(makeVehicle({ latitude: 42.3611 }), T0 + 20000);
+    assert.strictEqual(shouldRecordSnapshot(first, moved), true, 'Movement after the interval is recorded');
+
+    const stillThere = toSnapshot(makeVehicle(), T0 + 20000);
+    assert.strictEqual(shouldRecordSnapshot(first, stillThere), false, 'Stationary vehicle is skipped');
+
+    const arrived = toSnapshot(makeVehicle({ currentStatus: 'STOPPED_AT' }), T0 + 20000);
+    assert.strictEqual(shouldRecordSnapshot(first, arrived), true, 'Status change is recorded');
+
+    const heartbeat = toSnapshot(makeVehicle(), T0 + 61000);
+    assert.strictEqual(shouldRecordSnapshot(first, heartbeat), true, 'Stationary vehicle gets a heartbeat');
+
+    console.log('✓ shouldRecordSnapshot tests passed');
+}
+
+/**
+ * Test getRetentionMs default
+ */
+function testRetention() {
+    assert(getRetentionMs() > 0, 'Retention window is positive');
+    console.log('✓ getRetentionMs tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running recorder tests...\n');
+
+    testSnapshotRoundTrip();
+    testShouldRecordSnapshot();
+    testRetention();
+
+    console.log('\n✓ All recorder tests passed!');
+}
+
+// Run tests
+runTests();
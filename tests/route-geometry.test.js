@@ -0,0 +1,101 @@
+// tests/route-geometry.test.js — Unit tests for distance-along-path helpers
+import assert from 'assert';
+import { cumulativeDistances, projectOntoPath, pointAtDistance, slicePath } from '../src/route-geometry.js';
+import { haversineDistance } from '../src/vehicle-math.js';
+
+// Straight east-west path along latitude 42.35, three vertices ~825m apart
+const PATH = [
+    { lat: 42.35, lng: -71.08 },
+    { lat: 42.35, lng: -71.07 },
+    { lat: 42.35, lng: -71.06 },
+];
+const SEG_LEN = haversineDistance(42.35, -71.08, 42.35, -71.07);
+
+/**
+ * Test cumulativeDistances
+ */
+function testCumulativeDistances() {
+    const cum = cumulativeDistances(PATH);
+    assert.strictEqual(cum.length, 3, 'One entry per vertex');
+    assert.strictEqual(cum[0], 0, 'First entry is 0');
+    assert(Math.abs(cum[1] - SEG_LEN) < 0.01, 'Second entry is first segment length');
+    assert(Math.abs(cum[2] - 2 * SEG_LEN) < 0.5, 'Third entry is total length');
+
+    assert.deepStrictEqual(cumulativeDistances([]), [], 'Empty path yields empty array');
+
+    console.log('✓ cumulativeDistances tests passed');
+}
+
+/**
+ * Test projectOntoPath
+ */
+function testProjectOntoPath() {
+    // Point just north of the middle of the first segment
+    const p = projectOntoPath(PATH, 42.3505, -71.075);
+    assert(p !== null, 'Projection should succeed');
+    assert.strictEqual(p.segmentIndex, 0, 'Should land on first segment');
+    assert(Math.abs(p.lat - 42.35) < 1e-9, 'Projected latitude sits on the path');
+    assert(Math.abs(p.distanceAlong - SEG_LEN / 2) < 1, `distanceAlong should be ~half a segment, got ${p.distanceAlong}`);
+    assert(p.offset > 50 && p.offset < 60, `offset should be ~55m, got ${p.offset}`);
+
+    // Point past the end clamps to the last vertex
+    const end = projectOntoPath(PATH, 42.35, -71.05);
+    assert.strictEqual(end.segmentIndex, 1, 'Past-the-end point lands on last segment');
+    assert(Math.abs(end.distanceAlong - 2 * SEG_LEN) < 1, 'Past-the-end point clamps to path length');
+
+    assert.strictEqual(projectOntoPath([PATH[0]], 42.35, -71.08), null, 'Single-vertex path returns null');
+
+    console.log('✓ projectOntoPath tests passed');
+}
+
+/**
+ * Test pointAtDistance
+ */
+function testPointAtDistance() {
+    const mid = pointAtDistance(PATH, SEG_LEN);
+    assert(Math.abs(mid.lng - (-71.07)) < 1e-6, 'Distance of one segment lands on middle vertex');
+    assert(Math.abs(mid.bearing - 90) < 0.1, `Eastbound path bearing should be ~90, got ${mid.bearing}`);
+
+    const before = pointAtDistance(PATH, -100);
+    assert.strictEqual(before.lng, -71.08, 'Negative distance clamps to start');
+
+    const after = pointAtDistance(PATH, 1e9);
+    assert(Math.abs(after.lng - (-71.06)) < 1e-9, 'Oversized distance clamps to end');
+
+    console.log('✓ pointAtDistance tests passed');
+}
+
+/**
+ * Test slicePath
+ */
+function testSlicePath() {
+    const slice = slicePath(PATH, SEG_LEN * 0.5, SEG_LEN * 1.5);
+    assert.strictEqual(slice.length, 3, 'Slice spanning the middle vertex has start, vertex, end');
+    assert(Math.abs(slice[0].lng - (-71.075)) < 1e-6, 'Slice starts mid first segment');
+    assert.strictEqual(slice[1].lng, -71.07, 'Slice keeps interior vertex');
+    assert(Math.abs(slice[2].lng - (-71.065)) < 1e-6, 'Slice ends mid second segment');
+
+    const reversed = slicePath(PATH, SEG_LEN * 1.5, SEG_LEN * 0.5);
+    assert.deepStrictEqual(reversed, slice, 'Slice is order-insensitive');
+
+    assert.deepStrictEqual(slicePath([], 0, 10), [], 'Degenerate path yields empty slice');
+
+    console.log('✓ slicePath tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running route geometry tests...\n');
+
+    testCumulativeDistances();
+    testProjectOntoPath();
+    testPointAtDistance();
+    testSlicePath();
+
+    console.log('\n✓ All route-geometry tests passed!');
+}
+
+// Run tests
+runTests();
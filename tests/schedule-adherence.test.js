@@ -0,0 +1,145 @@
+// tests/schedule-adherence.test.js — Unit tests for schedule adherence computation
+import assert from 'assert';
+import { computeScheduleDeviation, classifyDeviation, groupSchedulesByTrip, pruneSchedules } from '../src/schedule-adherence.js';
+import { parseSchedule } from '../src/mbta-parsers.js';
+
+const T0 = Date.parse('2026-10-19T08:00:00-04:00');
+const minutes = n => T0 + n * 60000;
+
+// Worcester Line trip: three stops, 10 minutes apart, 1 minute dwell
+const STOPS = [
+    { stopId: 'place-WML-0442', stopSequence: 1, arrival: null, departure: minutes(0) },
+    { stopId: 'place-WML-0340', stopSequence: 2, arrival: minutes(10), departure: minutes(11) },
+    { stopId: 'place-WML-0252', stopSequence: 3, arrival: minutes(21), departure: null },
+];
+
+/**
+ * Test parseSchedule
+ */
+function testParseSchedule() {
+    const parsed = parseSchedule({
+        id: 'schedule-1',
+        attributes: { arrival_time: '2026-10-19T08:10:00-04:00', departure_time: '2026-10-19T08:11:00-04:00', direction_id: 1, stop_sequence: 2 },
+        relationships: {
+            route: { data: { id: 'CR-Worcester' } },
+            stop: { data: { id: 'place-WML-0340' } },
+            trip: { data: { id: 'CR-trip-1' } },
+        },
+    });
+    assert.deepStrictEqual(parsed, {
+        id: 'schedule-1',
+        routeId: 'CR-Worcester',
+        stopId: 'place-WML-0340',
+        tripId: 'CR-trip-1',
+        directionId: 1,
+        stopSequence: 2,
+        arrivalTime: '2026-10-19T08:10:00-04:00',
+        departureTime: '2026-10-19T08:11:00-04:00',
+    });
+
+    const origin = parseSchedule({ id: 's', attributes: { arrival_time: null, departure_time: '2026-10-19T08:00:00-04:00' } });
+    assert.strictEqual(origin.arrivalTime, null, 'Origin stop has no arrival');
+    assert.strictEqual(origin.tripId, null);
+
+    console.log('✓ parseSchedule tests passed');
+}
+
+/**
+ * Test groupSchedulesByTrip
+ */
+function testGroupSchedulesByTrip() {
+    const trips = groupSchedulesByTrip([
+        { tripId: 'a', stopId: 's2', stopSequence: 2, arrivalTime: '2026-10-19T08:10:00-04:00', departureTime: null },
+        { tripId: 'b', stopId: 's1', stopSequence: 1, arrivalTime: null, departureTime: '2026-10-19T09:00:00-04:00' },
+        { tripId: 'a', stopId: 's1', stopSequence: 1, arrivalTime: null, departureTime: '2026-10-19T08:00:00-04:00' },
+        { tripId: null, stopId: 's1', stopSequence: 1, arrivalTime: null, departureTime: null },
+    ]);
+    assert.deepStrictEqual([...trips.keys()], ['a', 'b'], 'Schedules without a trip dropped');
+    assert.deepStrictEqual(trips.get('a').map(s => s.stopId), ['s1', 's2'], 'Sorted by stop sequence');
+    assert.deepStrictEqual(trips.get('a')[0], { stopId: 's1', stopSequence: 1, arrival: null, departure: minutes(0) });
+
+    console.log('✓ groupSchedulesByTrip tests passed');
+}
+
+/**
+ * Test computeScheduleDeviation
+ */
+function testComputeScheduleDeviation() {
+    const at = (n, fields) => ({ updatedAt: new Date(minutes(n)).toISOString(), ...fields });
+
+    // Stopped: report time against scheduled arrival
+    assert.strictEqual(computeScheduleDeviation(at(17, { currentStatus: 'STOPPED_AT', currentStopSequence: 2 }), STOPS), 420, '7 min late');
+    assert.strictEqual(computeScheduleDeviation(at(8, { currentStatus: 'STOPPED_AT', currentStopSequence: 2 }), STOPS), -120, '2 min early');
+
+    // Heading to a stop whose scheduled arrival has passed
+    assert.strictEqual(computeScheduleDeviation(at(24, { currentStatus: 'IN_TRANSIT_TO', currentStopSequence: 3 }), STOPS), 180);
+
+    // Left the previous stop before its scheduled departure
+    assert.strictEqual(computeScheduleDeviation(at(9, { currentStatus: 'IN_TRANSIT_TO', currentStopSequence: 3 }), STOPS), -120);
+
+    // Between scheduled departure and arrival: on schedule
+    assert.strictEqual(computeScheduleDeviation(at(15, { currentStatus: 'INCOMING_AT', currentStopSequence: 3 }), STOPS), 0);
+
+    // Origin stop: arrival falls back to departure
+    assert.strictEqual(computeScheduleDeviation(at(2, { currentStatus: 'STOPPED_AT', currentStopSequence: 1 }), STOPS), 120);
+
+    // Sequence missing: matched by stop ID
+    assert.strictEqual(computeScheduleDeviation(at(17, { currentStatus: 'STOPPED_AT', stopId: 'place-WML-0340' }), STOPS), 420);
+
+    // No updatedAt: uses now
+    assert.strictEqual(computeScheduleDeviation({ currentStatus: 'STOPPED_AT', currentStopSequence: 2 }, STOPS, minutes(12)), 120);
+
+    // Unknown stop or empty schedule
+    assert.strictEqual(computeScheduleDeviation(at(17, { currentStatus: 'STOPPED_AT', currentStopSequence: 9 }), STOPS), null);
+    assert.strictEqual(computeScheduleDeviation(at(17, { currentStatus: 'STOPPED_AT', currentStopSequence: 2 }), []), null);
+
+    console.log('✓ computeScheduleDeviation tests passed');
+}
+
+/**
+ * Test classifyDeviation
+ */
+function testClassifyDeviation() {
+    assert.strictEqual(classifyDeviation(0), 'on-time');
+    assert.strictEqual(classifyDeviation(-60), 'on-time', '1 min early is on time');
+    assert.strictEqual(classifyDeviation(-61), 'early');
+    assert.strictEqual(classifyDeviation(300), 'on-time', '5 min late is on time');
+    assert.strictEqual(classifyDeviation(301), 'late');
+    assert.strictEqual(classifyDeviation(200, 60, 120), 'late', 'Custom late threshold');
+
+    console.log('✓ classifyDeviation tests passed');
+}
+
+/**
+ * Test pruneSchedules function
+ */
+function testPruneSchedules() {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    const entries = new Map([
+        ['over', { expiresAt: now - 1, stops: [{ stopId: 's1' }] }],
+        ['failed', { expiresAt: now, stops: [] }],
+        ['running', { expiresAt: now + 60000, stops: [{ stopId: 's1' }] }],
+    ]);
+    pruneSchedules(entries, now);
+    assert.deepStrictEqual([...entries.keys()], ['running'], 'Expired schedules and retry placeholders dropped');
+
+    console.log('✓ pruneSchedules tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running schedule adherence tests...\n');
+
+    testParseSchedule();
+    testGroupSchedulesByTrip();
+    testComputeScheduleDeviation();
+    testClassifyDeviation();
+    testPruneSchedules();
+
+    console.log('\n✓ All schedule adherence tests passed!');
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,154 @@
+// tests/search.test.js — Unit tests for fuzzy stop and route search
+import assert from 'assert';
+import { normalizeSearchText, fuzzyScore, buildSearchIndex, searchPlaces, servingRoutes } from '../src/search.js';
+import { buildSearchResultsHtml } from '../src/search-ui.js';
+
+const STOPS = new Map([
+    ['place-portr', { id: 'place-portr', name: 'Porter', latitude: 42.3884, longitude: -71.1191, parentStopId: null }],
+    ['70065', { id: '70065', name: 'Porter', latitude: 42.3884, longitude: -71.1191, parentStopId: 'place-portr' }],
+    ['FR-0034-01', { id: 'FR-0034-01', name: 'Porter', latitude: 42.3884, longitude: -71.1191, parentStopId: 'place-portr' }],
+    ['2581', { id: '2581', name: 'Massachusetts Ave @ Porter Sq', latitude: 42.3880, longitude: -71.1190, parentStopId: null }],
+    ['2582', { id: '2582', name: 'Massachusetts Ave @ Porter Sq', latitude: 42.3881, longitude: -71.1192, parentStopId: null }],
+    ['place-dwnxg', { id: 'place-dwnxg', name: 'Downtown Crossing', latitude: 42.3555, longitude: -71.0604, parentStopId: null }],
+    ['place-harsq', { id: 'place-harsq', name: 'Harvard', latitude: 42.3734, longitude: -71.1190, parentStopId: null }],
+    ['2168', { id: '2168', name: 'Broadway @ Café Street', latitude: 42.38, longitude: -71.09, parentStopId: null }],
+]);
+
+const ROUTES = [
+    { id: 'Red', color: '#DA291C', shortName: 'Red', longName: 'Red Line', type: 1 },
+    { id: '87', color: '#FFC72C', shortName: '87', longName: 'Arlington Center - Clarendon Hill or Lechmere Station', type: 3 },
+    { id: '187', color: '#FFC72C', shortName: '187', longName: 'Porter - Alewife', type: 3 },
+    { id: 'CR-Fitchburg', color: '#80276C', shortName: 'CR-Fitchburg', longName: 'Fitchburg Line', type: 2 },
+];
+
+/**
+ * Test normalizeSearchText and fuzzyScore
+ */
+function testFuzzyScore() {
+    assert.strictEqual(normalizeSearchText('Harvard Sq @ Mass. Ave'), 'harvard sq mass ave');
+    assert.strictEqual(normalizeSearchText('  Café  '), 'cafe', 'Accents removed, trimmed');
+    assert.strictEqual(normalizeSearchText(null), '');
+
+    // Tiers, best first
+    const exact = fuzzyScore('porter', 'porter');
+    const prefix = fuzzyScore('port', 'porter');
+    const wordPrefix = fuzzyScore('porter', 'massachusetts ave porter sq');
+    const allWords = fuzzyScore('lechmere arlington', 'arlington center lechmere station');
+    const substring = fuzzyScore('rter', 'porter');
+    const typo = fuzzyScore('harverd', 'harvard');
+    const subsequence = fuzzyScore('dwntn', 'downtown crossing');
+    assert(exact > prefix && prefix > wordPrefix && wordPrefix > allWords && allWords > substring &&
+        substring > typo && typo > subsequence && subsequence > 0, 'Score tiers in order');
+
+    // Typos: one per word, only in longer words; insertion and deletion count
+    assert(fuzzyScore('cntral sq', 'central square') > 0, 'Missing letter');
+    assert(fuzzyScore('kendalll', 'kendall mit') > 0, 'Extra letter');
+    assert.strictEqual(fuzzyScore('wellington', 'wollaston'), 0, 'Two edits is no match');
+    assert.strictEqual(fuzzyScore('rex', 'red line'), 0, 'Short words need an exact prefix');
+
+    // Subsequence favours letters close together
+    assert(fuzzyScore('dtc', 'downtown crossing') < fuzzyScore('dow', 'downtown crossing'));
+    assert.strictEqual(fuzzyScore('xyz', 'downtown crossing'), 0);
+    assert.strictEqual(fuzzyScore('', 'porter'), 0);
+
+    console.log('✓ fuzzyScore tests passed');
+}
+
+/**
+ * Test buildSearchIndex
+ */
+function testBuildSearchIndex() {
+    const index = buildSearchIndex(STOPS, ROUTES);
+    const stops = index.filter(e => e.type === 'stop');
+    const routes = index.filter(e => e.type === 'route');
+
+    // Child platforms left out, same-named stops listed once
+    assert.deepStrictEqual(stops.map(e => e.id), ['place-portr', '2581', 'place-dwnxg', 'place-harsq', '2168']);
+    assert.strictEqual(stops[0].detail, 'Station', 'Parent station');
+    assert.strictEqual(stops[1].detail, 'Stop');
+
+    // Buses as "Route N", with the long name as detail; other routes by long name
+    assert.deepStrictEqual(routes.find(e => e.id === '87'), {
+        type: 'route', id: '87', label: 'Route 87', detail: 'Arlington Center - Clarendon Hill or Lechmere Station',
+        color: '#FFC72C', names: ['route 87', '87', 'arlington center clarendon hill or lechmere station'],
+    });
+    assert.strictEqual(routes.find(e => e.id === 'CR-Fitchburg').label, 'Fitchburg Line');
+
+    console.log('✓ buildSearchIndex tests passed');
+}
+
+/**
+ * Test searchPlaces
+ */
+function testSearchPlaces() {
+    const index = buildSearchIndex(STOPS, ROUTES);
+    const labels = query => searchPlaces(query, index).map(e => e.label);
+
+    assert.strictEqual(labels('Route 87')[0], 'Route 87');
+    assert.strictEqual(labels('87')[0], 'Route 87', 'Short name alone');
+    assert.deepStrictEqual(labels('Porter').slice(0, 2), ['Porter', 'Route 187'],
+        'Station first, then a route whose name starts with it');
+    assert(labels('Porter').includes('Massachusetts Ave @ Porter Sq'));
+    assert.strictEqual(labels('harverd')[0], 'Harvard', 'Typo');
+    assert.strictEqual(labels('cafe')[0], 'Broadway @ Café Street', 'Accent-insensitive');
+    assert.strictEqual(labels('red')[0], 'Red Line');
+    assert.deepStrictEqual(labels('   '), [], 'Blank query');
+    assert.deepStrictEqual(labels('zzzz'), []);
+    assert.strictEqual(searchPlaces('o', index, 3).length, 3, 'Limit');
+
+    console.log('✓ searchPlaces tests passed');
+}
+
+/**
+ * Test servingRoutes
+ */
+function testServingRoutes() {
+    const routeStopsMap = new Map([
+        ['87', new Set(['2581', '2582'])],
+        ['187', new Set(['70065-bus', '2581'])],
+        ['CR-Fitchburg', new Set(['FR-0034-01'])],
+        ['Red', new Set(['70065', '70066'])],
+    ]);
+
+    // Station: routes serving any platform, subway before commuter rail
+    assert.deepStrictEqual(servingRoutes('place-portr', STOPS, routeStopsMap, ROUTES), ['Red', 'CR-Fitchburg']);
+    // Plain stop, in route metadata order
+    assert.deepStrictEqual(servingRoutes('2581', STOPS, routeStopsMap, ROUTES), ['87', '187']);
+    assert.deepStrictEqual(servingRoutes('place-harsq', STOPS, routeStopsMap, ROUTES), [], 'Route stops not loaded');
+
+    console.log('✓ servingRoutes tests passed');
+}
+
+/**
+ * Test buildSearchResultsHtml
+ */
+function testSearchResultsHtml() {
+    const html = buildSearchResultsHtml([
+        { type: 'route', id: '87', label: 'Route 87', detail: 'Arlington Center', color: '#FFC72C' },
+        { type: 'stop', id: 'x', label: 'Stop <b>', detail: 'Stop' },
+    ], 1);
+    assert(html.includes('data-index="0"') && html.includes('data-index="1"'));
+    assert(html.includes('route-search__result route-search__result--active" data-index="1"'), 'Active entry marked');
+    assert(html.includes('background: #FFC72C'), 'Route swatch');
+    assert(html.includes('route-search__stop-icon'), 'Stop icon');
+    assert(html.includes('Stop &lt;b&gt;') && !html.includes('<b>'), 'Names escaped');
+    assert.strictEqual(buildSearchResultsHtml([], -1), '');
+
+    console.log('✓ buildSearchResultsHtml tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running search tests...\n');
+    testFuzzyScore();
+    testBuildSearchIndex();
+    testSearchPlaces();
+    testServingRoutes();
+    testSearchResultsHtml();
+    console.log('\n✓ All search tests passed!');
+}
+
+// Run tests
+runTests();
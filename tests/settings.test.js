@@ -0,0 +1,178 @@
+// tests/settings.test.js — Unit tests for settings export, validation, import and link encoding
+import assert from 'assert';
+import {
+    exportSettings, validateSettings, describeSettings, applySettings, encodeSettingsFragment, readSettingsFragment,
+    SETTINGS_FORMAT, SETTINGS_VERSION,
+} from '../src/settings.js';
+import { validateImportedPairs } from '../src/notifications.js';
+
+/**
+ * In-memory Storage stand-in.
+ * @param {Object} [entries]
+ */
+function memoryStorage(entries = {}) {
+    const store = { ...entries };
+    return {
+        _store: store,
+        getItem: key => store[key] ?? null,
+        setItem: (key, value) => { store[key] = String(value); },
+    };
+}
+
+const PAIR = { id: 'p1', checkpointStopId: 'place-davis', routeId: 'Red', directionId: 0, remainingCount: 2, totalCount: 3, lead: { type: 'stops', value: 1 }, target: null, schedule: null };
+
+/**
+ * Test validateImportedPairs
+ */
+function testValidateImportedPairs() {
+    // Missing optional fields get readConfig()'s defaults
+    const { pairs } = validateImportedPairs([{ id: 'a', checkpointStopId: 's1', routeId: 'Red', directionId: 1 }]);
+    assert.deepStrictEqual(pairs, [{
+        id: 'a', checkpointStopId: 's1', routeId: 'Red', directionId: 1, remainingCount: null, totalCount: null,
+        lead: { type: 'stops', value: 0 }, target: null, schedule: null,
+    }]);
+
+    assert.deepStrictEqual(validateImportedPairs([PAIR]).pairs[0], PAIR, 'Complete pair kept as is');
+
+    // Same rules as validatePair/validateLead/validateTarget/validateSchedule, numbered by position
+    assert.strictEqual(validateImportedPairs({}).error, 'Alerts must be a list');
+    assert.strictEqual(validateImportedPairs([PAIR, { ...PAIR, id: 'p2' }]).error, 'Alert 2: Alert already configured for this stop and direction');
+    assert.strictEqual(validateImportedPairs([{ ...PAIR, lead: { type: 'hours', value: 1 } }]).error, 'Alert 1: Unknown alert lead type');
+    assert(validateImportedPairs([{ ...PAIR, target: { type: 'vehicle' } }]).error, 'Bad target rejected');
+    assert(validateImportedPairs([{ ...PAIR, schedule: { days: [], start: '07:00', end: '08:00' } }]).error, 'Bad schedule rejected');
+    assert(validateImportedPairs([{ ...PAIR, remainingCount: 0 }]).error, 'Zero count rejected');
+    assert(validateImportedPairs([{ myStopId: 'old', routeId: 'Red', directionId: 0 }]).error, 'Old-format pair rejected');
+    const six = Array.from({ length: 6 }, (_, i) => ({ ...PAIR, id: `p${i}`, checkpointStopId: `s${i}` }));
+    assert.strictEqual(validateImportedPairs(six).error, 'Alert 6: Maximum 5 notification pairs configured');
+
+    // Repeated or missing IDs replaced
+    const ids = validateImportedPairs([PAIR, { ...PAIR, checkpointStopId: 's2' }, { ...PAIR, id: undefined, checkpointStopId: 's3' }]).pairs.map(p => p.id);
+    assert.strictEqual(new Set(ids).size, 3, 'Pair IDs unique');
+    assert.strictEqual(ids[0], 'p1');
+
+    // Corrupt total count falls back to the remaining count
+    assert.strictEqual(validateImportedPairs([{ ...PAIR, totalCount: 1 }]).pairs[0].totalCount, 2);
+
+    console.log('✓ validateImportedPairs tests passed');
+}
+
+/**
+ * Test exportSettings
+ */
+function testExportSettings() {
+    const storage = memoryStorage({
+        'ttracker-visible-routes': JSON.stringify(['Red', '39']),
+        'ttracker-service-toggles': JSON.stringify({ subway: true, bus: true, commuterRail: false, ferry: false }),
+        'ttracker-notifications-config': JSON.stringify([PAIR]),
+        'ttracker-notifications-paused': 'true',
+        'ttracker-static-data': '{"large": true}',
+    });
+    const exported = exportSettings(storage, Date.parse('2026-10-19T12:00:00Z'));
+    assert.deepStrictEqual(exported, {
+        format: SETTINGS_FORMAT,
+        version: SETTINGS_VERSION,
+        exportedAt: '2026-10-19T12:00:00.000Z',
+        visibleRoutes: ['Red', '39'],
+        serviceToggles: { subway: true, bus: true, commuterRail: false, ferry: false },
+        notifications: { pairs: [PAIR], paused: true },
+    }, 'User settings only, not cached data');
+
+    // Nothing stored (or corrupt): section left out
+    const partial = exportSettings(memoryStorage({ 'ttracker-visible-routes': '{not json' }), 0);
+    assert.deepStrictEqual(Object.keys(partial), ['format', 'version', 'exportedAt']);
+
+    console.log('✓ exportSettings tests passed');
+}
+
+/**
+ * Test validateSettings and describeSettings
+ */
+function testValidateSettings() {
+    const base = { format: SETTINGS_FORMAT, version: 1 };
+
+    assert.strictEqual(validateSettings(null).error, 'Not a T-Tracker settings file');
+    assert.strictEqual(validateSettings({ ...base, format: 'other' }).error, 'Not a T-Tracker settings file');
+    assert.strictEqual(validateSettings({ ...base, version: '1' }).error, 'Settings file has no valid version');
+    assert.strictEqual(validateSettings({ ...base, version: SETTINGS_VERSION + 1 }).error, 'Settings were exported by a newer version of T-Tracker');
+    assert.strictEqual(validateSettings(base).error, 'Settings file has nothing to import');
+
+    assert(validateSettings({ ...base, visibleRoutes: 'Red' }).error, 'Routes must be a list');
+    assert(validateSettings({ ...base, serviceToggles: { subway: 'yes' } }).error, 'Toggles must be booleans');
+    assert(validateSettings({ ...base, serviceToggles: { tram: true } }).error, 'Unknown service type rejected');
+    assert(validateSettings({ ...base, notifications: { pairs: [], paused: 'no' } }).error, 'Paused must be boolean');
+    assert.strictEqual(validateSettings({ ...base, notifications: { pairs: [{ ...PAIR, directionId: 2 }] } }).error,
+        'Alert 1: Missing stop, route or direction');
+
+    // A preset may carry only some sections
+    const preset = validateSettings({ ...base, visibleRoutes: ['Red', 'Red', 'Orange'], notifications: { pairs: [PAIR] } });
+    assert.deepStrictEqual(preset.settings, {
+        visibleRoutes: ['Red', 'Orange'],
+        notifications: { pairs: [PAIR], paused: false },
+    });
+    assert.strictEqual(describeSettings(preset.settings), '2 routes, 1 alert');
+    assert.strictEqual(describeSettings({ serviceToggles: {}, notifications: { pairs: [PAIR, PAIR], paused: true } }),
+        'service toggles, 2 alerts (paused)');
+
+    console.log('✓ validateSettings tests passed');
+}
+
+/**
+ * Test applySettings
+ */
+function testApplySettings() {
+    const storage = memoryStorage({ 'ttracker-visible-routes': JSON.stringify(['Blue']), 'ttracker-notifications-paused': 'true' });
+    applySettings({ notifications: { pairs: [PAIR], paused: false } }, storage);
+    assert.strictEqual(storage.getItem('ttracker-visible-routes'), JSON.stringify(['Blue']), 'Sections not imported are untouched');
+    assert.deepStrictEqual(JSON.parse(storage.getItem('ttracker-notifications-config')), [PAIR]);
+    assert.strictEqual(storage.getItem('ttracker-notifications-paused'), 'false');
+
+    applySettings({ visibleRoutes: ['Red'], serviceToggles: { subway: true } }, storage);
+    assert.strictEqual(storage.getItem('ttracker-visible-routes'), JSON.stringify(['Red']));
+    assert.strictEqual(storage.getItem('ttracker-service-toggles'), JSON.stringify({ subway: true }));
+
+    console.log('✓ applySettings tests passed');
+}
+
+/**
+ * Test settings link encoding round trip
+ */
+async function testSettingsFragment() {
+    const exported = exportSettings(memoryStorage({
+        'ttracker-visible-routes': JSON.stringify(['Red', 'Orange', 'Blue', 'Green-B', 'Green-C', 'Green-D', 'Green-E', 'Mattapan']),
+        'ttracker-notifications-config': JSON.stringify([PAIR]),
+    }));
+    const fragment = await encodeSettingsFragment(exported);
+    assert(fragment.startsWith('settings='));
+    assert(/^settings=[A-Za-z0-9_-]+$/.test(fragment), 'base64url only, no padding');
+    assert(fragment.length < JSON.stringify(exported).length, 'Compressed');
+
+    const read = await readSettingsFragment(`#map=42.36,-71.06,13&${fragment}`);
+    assert.deepStrictEqual(read.settings, validateSettings(exported).settings, 'Round trip, alongside other hash parameters');
+
+    assert.strictEqual(await readSettingsFragment('#map=42.36,-71.06,13'), null, 'No settings in the hash');
+    assert.strictEqual(await readSettingsFragment(''), null);
+    assert.strictEqual((await readSettingsFragment(`#${fragment.slice(0, 30)}`)).error, 'Settings link is damaged or incomplete');
+
+    console.log('✓ settings link tests passed');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+    console.log('Running settings tests...\n');
+
+    testValidateImportedPairs();
+    testExportSettings();
+    testValidateSettings();
+    testApplySettings();
+    await testSettingsFragment();
+
+    console.log('\n✓ All settings tests passed!');
+}
+
+// Run tests
+runTests().catch(e => {
+    console.error('Test failed:', e);
+    process.exit(1);
+});
@@ -66,7 +66,7 @@ globalThis.localStorage = {
 };
 
 // Now import the functions we're testing
-import { computeVisibleStops, createStopMarker, resolveMarkerKey, updateVisibleStops, refreshAllHighlights, getStopConfigState } from '../src/stop-markers.js';
+import { computeVisibleStops, createStopMarker, resolveMarkerKey, updateVisibleStops, refreshAllHighlights, getStopConfigState, isStopDisrupted } from '../src/stop-markers.js';
 import { hydrateRouteStopsMap, getRouteStopsMap } from '../src/map.js';
 import { getNotificationPairs } from '../src/notifications.js';
 
@@ -262,6 +262,31 @@ function testCreateStopMarkerColors() {
     console.log('✓ createStopMarker works with all MBTA route colors');
 }
 
+/**
+ * Test service alert badge: createStopMarker adds the alert modifier, isStopDisrupted resolves parents
+ */
+function testStopAlertBadge() {
+    mockDivIconCalls.length = 0;
+    createStopMarker(42.35, -71.06, '#DA291C', true);
+    assert(mockDivIconCalls[0].html.includes('stop-dot--alert'), 'Alert marker html should include stop-dot--alert');
+
+    mockDivIconCalls.length = 0;
+    createStopMarker(42.35, -71.06, '#DA291C');
+    assert(!mockDivIconCalls[0].html.includes('stop-dot--alert'), 'Default marker should not include alert badge');
+
+    const stopsData = new Map([
+        ['70095', { id: '70095', parentStopId: 'place-jfk' }],
+        ['70096', { id: '70096', parentStopId: 'place-jfk' }],
+        ['place-harsq', { id: 'place-harsq', parentStopId: null }],
+    ]);
+    const disrupted = new Set(['place-jfk']);
+    assert.strictEqual(isStopDisrupted(['70095'], disrupted, stopsData), true, 'Child platform inherits parent-station alert');
+    assert.strictEqual(isStopDisrupted(['place-harsq'], disrupted, stopsData), false, 'Unaffected stop has no badge');
+    assert.strictEqual(isStopDisrupted(['place-jfk', '70096'], disrupted, stopsData), true, 'Merged marker checks all member stops');
+
+    console.log('✓ Stop alert badge rendering and parent resolution');
+}
+
 /**
  * Test parent station grouping: AC1.1 — Two child stops within 200m merge into one marker
  */
@@ -788,6 +813,7 @@ try {
     testCreateStopMarkerHTMLSupportsClassModifier();
     testCreateStopMarkerLatLng();
     testCreateStopMarkerColors();
+    testStopAlertBadge();
     console.log('');
     testParentStationGroupingAC1_1();
     testParentStationGroupingAC1_2();
@@ -1,6 +1,6 @@
 // tests/stop-popup.test.js — Unit tests for stop popup formatting functions
 import assert from 'assert';
-import { formatStopPopup, escapeHtml, buildChipPickerHtml } from '../src/stop-popup.js';
+import { formatStopPopup, escapeHtml, buildChipPickerHtml, formatAlertEffect, formatArrivalTimes, buildLeadChipsHtml } from '../src/stop-popup.js';
 
 /**
  * Test escapeHtml function
@@ -458,6 +458,17 @@ function testBuildChipPickerHtml() {
 
     console.log('✓ buildChipPickerHtml different direction IDs');
 
+    // Test 8: Lead chips — at-stop selected by default, carried on Set Alert button
+    assert.ok(html.includes('class="chip-picker__leads"'), 'Should have lead chip row');
+    assert.strictEqual((html.match(/class="chip-picker__lead[ "]/g) || []).length, 5, 'Should have 5 lead chips');
+    assert.ok(/chip-picker__lead--selected" data-lead-type="stops" data-lead-value="0"/.test(html), 'At-stop lead pre-selected');
+    assert.ok(html.includes('data-count="1" data-lead-type="stops" data-lead-value="0">Set Alert'), 'Set Alert defaults to at-stop lead');
+    const panelLeads = buildLeadChipsHtml({ type: 'minutes', value: 5 });
+    assert.ok(/chip-picker__lead--selected" data-lead-type="minutes" data-lead-value="5"/.test(panelLeads), 'Given lead pre-selected');
+    assert.strictEqual((panelLeads.match(/--selected/g) || []).length, 1, 'Only one lead selected');
+
+    console.log('✓ buildChipPickerHtml lead chips');
+
     console.log('✓ All buildChipPickerHtml tests passed');
 }
 
@@ -565,6 +576,85 @@ function testPerRouteDirectionStopId() {
     console.log('✓ All per-route-direction stopId tests passed');
 }
 
+/**
+ * Test active service alerts section in stop popup
+ */
+function testStopPopupAlerts() {
+    const stop = { id: 'place-jfk', name: 'JFK/UMass' };
+    const routes = [{ id: 'Red', shortName: 'Red', color: '#DA291C', type: 1 }];
+
+    assert.strictEqual(formatAlertEffect('STATION_CLOSURE'), 'Station closure', 'Effect code is title-cased');
+    assert.strictEqual(formatAlertEffect(null), '', 'Missing effect yields empty string');
+
+    const noAlerts = formatStopPopup(stop, routes, {});
+    assert(!noAlerts.includes('stop-popup__alerts'), 'No alerts section when there are no alerts');
+
+    const alerts = [
+        { id: 'a1', effect: 'SHUTTLE', header: 'Shuttles <JFK> to Braintree', severity: 7 },
+        { id: 'a2', effect: 'DELAY', header: 'Minor delays', severity: 3 },
+    ];
+    const html = formatStopPopup(stop, routes, {}, alerts);
+    assert(html.includes('stop-popup__alerts'), 'Alerts section rendered');
+    assert.strictEqual((html.match(/class="stop-popup__alert[ "]/g) || []).length, 2, 'One row per alert');
+    assert(html.includes('stop-popup__alert--severe'), 'Severity 7+ alert styled as severe');
+    assert(html.includes('Shuttle</span>'), 'Effect label rendered');
+    assert(html.includes('Shuttles &lt;JFK&gt; to Braintree'), 'Alert header is HTML-escaped');
+    assert(html.indexOf('stop-popup__alerts') < html.indexOf('stop-popup__routes'), 'Alerts listed above routes');
+
+    console.log('✓ Stop popup alerts section tests passed');
+}
+
+/**
+ * Test arrival board lines and time formatting
+ */
+function testStopPopupArrivals() {
+    const now = new Date('2026-10-19T08:00:00-04:00').getTime();
+
+    assert(formatArrivalTimes(null, now).includes('stop-popup__arrival-pending'), 'null renders pending placeholder');
+    assert(formatArrivalTimes([], now).includes('No predictions'), 'Empty list renders no-predictions label');
+    assert.strictEqual(
+        formatArrivalTimes([{ time: now + 20000 }, { time: now + 4 * 60000 }, { time: now + 11 * 60000 }], now),
+        'Now, 4 min, 11 min',
+        'Times render as minute countdowns'
+    );
+
+    const stop = { id: 'place-alfcl', name: 'Alewife' };
+    const routes = [{ id: 'Red', shortName: 'Red', color: '#DA291C', type: 1 }];
+    const configState = {
+        routeDirections: [{ routeId: 'Red', dir0Label: 'Ashmont/Braintree', dir1Label: 'Alewife', availableDirections: [0] }],
+    };
+
+    const pending = formatStopPopup(stop, routes, configState);
+    assert(pending.includes('data-arrivals-stop-id="place-alfcl"'), 'Popup root carries stop ID for prediction lookup');
+    assert.strictEqual((pending.match(/class="stop-popup__arrival-line"/g) || []).length, 1, 'One line per available direction');
+    assert(pending.includes('data-route-id="Red" data-direction-id="0"'), 'Times slot tagged with route and direction');
+    assert(pending.includes('stop-popup__arrival-pending'), 'Pending placeholder before predictions load');
+
+    const arrivals = new Map([['Red:0', [{ time: Date.now() + 3 * 60000 }]]]);
+    const filled = formatStopPopup(stop, routes, configState, [], arrivals);
+    assert(filled.includes('3 min'), 'Provided arrivals are rendered');
+
+    const noDirections = formatStopPopup(stop, routes, {});
+    assert(!noDirections.includes('stop-popup__arrivals'), 'No arrival board without direction data');
+
+    console.log('✓ Stop popup arrival board tests passed');
+}
+
+/**
+ * Test trip planner endpoint buttons
+ */
+function testStopPopupTripButtons() {
+    const stop = { id: 'place-<pk>', name: 'Park Street' };
+    const html = formatStopPopup(stop, [], {});
+
+    assert(html.includes('data-action="trip-endpoint" data-trip-role="origin"'), 'From here button present');
+    assert(html.includes('data-action="trip-endpoint" data-trip-role="destination"'), 'To here button present');
+    assert(html.includes('data-trip-stop-id="place-&lt;pk&gt;"'), 'Trip stop ID is escaped');
+    assert(!html.includes('data-stop-id="place-&lt;pk&gt;"'), 'Trip buttons do not reuse data-stop-id (reserved for alert buttons)');
+
+    console.log('✓ Stop popup trip button tests passed');
+}
+
 /**
  * Run all tests
  */
@@ -576,6 +666,9 @@ function runTests() {
     testDirectionButtons();
     testBuildChipPickerHtml();
     testPerRouteDirectionStopId();
+    testStopPopupAlerts();
+    testStopPopupArrivals();
+    testStopPopupTripButtons();
 
     console.log('\n✓ All tests passed!');
 }
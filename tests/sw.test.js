@@ -1,5 +1,6 @@
 // tests/sw.test.js — Unit tests for service worker fetch handler
-// Verifies the origin guard that prevents intercepting cross-origin SSE streams
+// Verifies the origin guard that prevents intercepting cross-origin SSE streams,
+// app-shell precaching, the map tile runtime cache and Web Push display
 import assert from 'assert';
 
 // Mock self (ServiceWorkerGlobalScope)
@@ -10,6 +11,13 @@ const mockSelf = {
         listeners[event] = handler;
     },
     skipWaiting() {},
+    registration: {
+        shown: [],
+        showNotification(title, options) {
+            this.shown.push({ title, options });
+            return Promise.resolve();
+        },
+    },
     clients: {
         claim() { return Promise.resolve(); },
         matchAll() { return Promise.resolve([]); },
@@ -22,11 +30,11 @@ globalThis.self = mockSelf;
 let respondWithCalled = false;
 let respondWithArg = null;
 
-function makeFetchEvent(url) {
+function makeFetchEvent(url, mode = 'no-cors') {
     respondWithCalled = false;
     respondWithArg = null;
     return {
-        request: { url },
+        request: { url, method: 'GET', mode },
         respondWith(response) {
             respondWithCalled = true;
             respondWithArg = response;
@@ -35,8 +43,48 @@ function makeFetchEvent(url) {
     };
 }
 
-// Mock fetch
-globalThis.fetch = (req) => Promise.resolve({ ok: true });
+// Mock fetch — records requested URLs; set fetchFails to simulate being offline
+const fetched = [];
+let fetchFails = false;
+globalThis.fetch = (req) => {
+    fetched.push(req.url);
+    if (fetchFails) return Promise.reject(new TypeError('Failed to fetch'));
+    return Promise.resolve({ ok: true, type: 'basic', url: req.url, clone() { return this; } });
+};
+
+// Minimal Request (install wraps manifest URLs) and in-memory CacheStorage
+globalThis.Request = class {
+    constructor(url) {
+        this.url = new URL(url, mockSelf.location.origin).href;
+        this.method = 'GET';
+    }
+};
+
+const cacheStore = new Map(); // cacheName → Map<url, response>
+function cacheKey(request, options = {}) {
+    const url = new URL(typeof request === 'string' ? request : request.url, mockSelf.location.origin);
+    if (options.ignoreSearch) url.search = '';
+    return url.href;
+}
+function openCache(name) {
+    if (!cacheStore.has(name)) cacheStore.set(name, new Map());
+    const entries = cacheStore.get(name);
+    return {
+        match: async (request, options) => entries.get(cacheKey(request, options)),
+        put: async (request, response) => { entries.set(cacheKey(request), response); },
+        addAll: async (requests) => {
+            for (const request of requests) entries.set(cacheKey(request), { ok: true, url: request.url });
+        },
+        keys: async () => [...entries.keys()].map(url => ({ url })),
+        delete: async (request) => entries.delete(cacheKey(request)),
+    };
+}
+globalThis.caches = {
+    open: async (name) => openCache(name),
+    keys: async () => [...cacheStore.keys()],
+    delete: async (name) => cacheStore.delete(name),
+    match: async (request, options = {}) => cacheStore.get(options.cacheName)?.get(cacheKey(request)),
+};
 
 // Load sw.js by reading and evaluating it (SW uses self, not import/export)
 import { readFileSync } from 'fs';
@@ -93,13 +141,36 @@ function testCrossOriginCDNNotIntercepted() {
 }
 
 /**
- * Test: Cross-origin tile server is NOT intercepted
+ * Test: Tile requests are served cache-first from the runtime tile cache
  */
-function testCrossOriginTilesNotIntercepted() {
-    const event = makeFetchEvent('https://a.basemaps.cartocdn.com/dark_all/12/1234/567.png');
+async function testTilesCached() {
+    const tileUrl = 'https://a.basemaps.cartocdn.com/dark_all/12/1234/567.png';
+    fetched.length = 0;
+
+    let event = makeFetchEvent(tileUrl);
+    fetchHandler(event);
+    assert.strictEqual(respondWithCalled, true, 'Tile request should be intercepted');
+    await respondWithArg;
+    assert.deepStrictEqual(fetched, [tileUrl], 'First tile request goes to the network');
+    assert.ok(cacheStore.get('ttracker-tiles').has(tileUrl), 'Tile stored in the tile cache');
+
+    event = makeFetchEvent(tileUrl);
     fetchHandler(event);
-    assert.strictEqual(respondWithCalled, false, 'Cross-origin tile server must NOT be intercepted');
-    console.log('  ok — cross-origin tile server not intercepted');
+    const response = await respondWithArg;
+    assert.strictEqual(fetched.length, 1, 'Second tile request served from cache');
+    assert.strictEqual(response.url, tileUrl);
+    console.log('  ok — tile requests cached at runtime');
+}
+
+/**
+ * Test: Non-GET requests are not intercepted
+ */
+function testNonGetNotIntercepted() {
+    const event = makeFetchEvent('https://supertra.in/index.html');
+    event.request.method = 'POST';
+    fetchHandler(event);
+    assert.strictEqual(respondWithCalled, false, 'POST must not be intercepted');
+    console.log('  ok — non-GET request not intercepted');
 }
 
 /**
@@ -126,17 +197,119 @@ function testNotificationClickListener() {
     console.log('  ok — notificationclick listener registered');
 }
 
-function runTests() {
+/**
+ * Test: push messages from the relay are shown as notifications
+ */
+async function testPushShowsNotification() {
+    const payload = { title: 'Train approaching Davis', body: '→ Alewife', tag: 'ttracker-R-1-p1', icon: '/icons/icon-192.png' };
+    let shown = null;
+    listeners['push']({
+        data: { json: () => payload, text: () => JSON.stringify(payload) },
+        waitUntil(p) { shown = p; },
+    });
+    await shown;
+    assert.deepStrictEqual(mockSelf.registration.shown.pop(), {
+        title: 'Train approaching Davis',
+        options: { body: '→ Alewife', tag: 'ttracker-R-1-p1', icon: '/icons/icon-192.png' },
+    }, 'Payload title and options passed to showNotification');
+
+    listeners['push']({
+        data: { json: () => { throw new SyntaxError('not JSON'); }, text: () => 'plain text' },
+        waitUntil(p) { shown = p; },
+    });
+    await shown;
+    assert.deepStrictEqual(mockSelf.registration.shown.pop(), { title: 'T-Tracker', options: { body: 'plain text' } },
+        'Non-JSON payload shown as body');
+
+    // Counted pair: the relay's new count is forwarded to open pages
+    const posted = [];
+    const matchAll = mockSelf.clients.matchAll;
+    mockSelf.clients.matchAll = () => Promise.resolve([{ postMessage: message => posted.push(message) }]);
+    listeners['push']({
+        data: { json: () => ({ ...payload, data: { pairId: 'p1', remainingCount: 2 } }) },
+        waitUntil(p) { shown = p; },
+    });
+    await shown;
+    mockSelf.clients.matchAll = matchAll;
+    assert.deepStrictEqual(mockSelf.registration.shown.pop().options.data, { pairId: 'p1', remainingCount: 2 });
+    assert.deepStrictEqual(posted, [{ type: 'pair-count', pairId: 'p1', remainingCount: 2 }], 'Count posted to open pages');
+    console.log('  ok — push message shown as notification');
+}
+
+/**
+ * Load a fresh copy of sw.js with the manifest build.js would inject, returning its listeners.
+ */
+function loadBuiltWorker(manifest) {
+    const placeholder = "const PRECACHE_MANIFEST = { version: 'dev', urls: [] };";
+    assert.ok(swCode.includes(placeholder), 'sw.js keeps the placeholder build.js replaces');
+    const built = swCode.replace(placeholder, `const PRECACHE_MANIFEST = ${JSON.stringify(manifest)};`);
+
+    const previous = { ...listeners };
+    new Function(built)();
+    const builtListeners = { ...listeners };
+    Object.assign(listeners, previous);
+    return builtListeners;
+}
+
+/**
+ * Test: Built worker precaches the manifest, serves it offline and drops old shells
+ */
+async function testPrecachedAppShell() {
+    const leafletJs = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
+    const built = loadBuiltWorker({ version: 'abc123', urls: ['/', '/index.html', '/src/api.js', leafletJs] });
+    cacheStore.set('ttracker-shell-old', new Map());
+
+    let installed = null;
+    built.install({ waitUntil(p) { installed = p; } });
+    await installed;
+    const shell = cacheStore.get('ttracker-shell-abc123');
+    assert.ok(shell.has('https://supertra.in/src/api.js'), 'Same-origin file precached');
+    assert.ok(shell.has(leafletJs), 'Pinned Leaflet CDN file precached');
+
+    let activated = null;
+    built.activate({ waitUntil(p) { activated = p; } });
+    await activated;
+    assert.ok(!cacheStore.has('ttracker-shell-old'), 'Previous app shell deleted on activate');
+    assert.ok(cacheStore.has('ttracker-tiles'), 'Tile cache survives activation');
+
+    fetchFails = true;
+    fetched.length = 0;
+
+    let event = makeFetchEvent('https://supertra.in/src/api.js?v=2');
+    built.fetch(event);
+    assert.strictEqual((await respondWithArg).url, 'https://supertra.in/src/api.js', 'Precached file served ignoring query');
+
+    event = makeFetchEvent(leafletJs, 'cors');
+    built.fetch(event);
+    assert.strictEqual((await respondWithArg).url, leafletJs, 'Leaflet served from cache');
+    assert.strictEqual(fetched.length, 0, 'Precached files never hit the network');
+
+    event = makeFetchEvent('https://supertra.in/some/deep/link', 'navigate');
+    built.fetch(event);
+    assert.strictEqual((await respondWithArg).url, 'https://supertra.in/index.html', 'Offline navigation falls back to index.html');
+
+    event = makeFetchEvent('https://api-v3.mbta.com/vehicles?filter[route]=Red');
+    built.fetch(event);
+    assert.strictEqual(respondWithCalled, false, 'MBTA SSE still bypasses the built worker');
+
+    fetchFails = false;
+    console.log('  ok — built worker precaches, serves offline and bypasses SSE');
+}
+
+async function runTests() {
     try {
         console.log('sw.js fetch handler tests:');
         testSameOriginIntercepted();
         testSameOriginRootIntercepted();
         testCrossOriginMBTANotIntercepted();
         testCrossOriginCDNNotIntercepted();
-        testCrossOriginTilesNotIntercepted();
+        await testTilesCached();
+        testNonGetNotIntercepted();
         testInstallListener();
         testActivateListener();
         testNotificationClickListener();
+        await testPushShowsNotification();
+        await testPrecachedAppShell();
         console.log('\n  All sw.js tests passed\n');
     } catch (err) {
         console.error('FAIL:', err.message);
@@ -0,0 +1,134 @@
+// tests/trip-detail.test.js — Unit tests for trip detail remaining stops, path ahead and panel formatting
+import assert from 'assert';
+import { buildRemainingStops, computePathAhead } from '../src/trip-detail.js';
+import { formatStopCountdown, buildTripDetailHtml } from '../src/trip-detail-ui.js';
+
+const NOW = Date.parse('2026-10-19T08:00:00-04:00');
+const iso = minutes => new Date(NOW + minutes * 60000).toISOString();
+
+function prediction(stopSequence, stopId, minutes, fields = {}) {
+    return {
+        tripId: 'trip-1',
+        stopId,
+        stopSequence,
+        arrivalTime: minutes === null ? null : iso(minutes),
+        departureTime: null,
+        status: null,
+        scheduleRelationship: null,
+        ...fields,
+    };
+}
+
+// Path running east along a line of latitude, about 820 m per 0.01° of longitude
+const PATH = [
+    { lat: 42.35, lng: -71.10 },
+    { lat: 42.35, lng: -71.08 },
+    { lat: 42.35, lng: -71.06 },
+];
+
+/**
+ * Test buildRemainingStops
+ */
+function testBuildRemainingStops() {
+    const predictions = [
+        prediction(30, 'c', 6),
+        prediction(10, 'a', -3),
+        prediction(20, 'b', 2, { status: 'Approaching' }),
+        prediction(40, 'd', 9, { scheduleRelationship: 'SKIPPED' }),
+        prediction(50, 'e', 12),
+        prediction(20, 'x', 2, { tripId: 'trip-2' }),
+    ];
+
+    const stops = buildRemainingStops(predictions, { tripId: 'trip-1', currentStopSequence: 20 }, NOW);
+    assert.deepStrictEqual(stops.map(s => s.stopId), ['b', 'c', 'd', 'e'], 'From the current stop on, in trip order, this trip only');
+    assert.deepStrictEqual(stops[0], { stopId: 'b', stopSequence: 20, time: NOW + 2 * 60000, status: 'Approaching', skipped: false });
+    assert.strictEqual(stops[2].skipped, true, 'Skipped stop kept and marked');
+
+    // No stop sequence on the vehicle: departed stops dropped by time
+    const byTime = buildRemainingStops(predictions, { tripId: 'trip-1', currentStopSequence: null }, NOW);
+    assert.deepStrictEqual(byTime.map(s => s.stopId), ['b', 'c', 'd', 'e']);
+
+    // Origin stop: departure time used
+    const origin = buildRemainingStops([
+        prediction(1, 'start', null, { departureTime: iso(4) }),
+    ], { tripId: 'trip-1', currentStopSequence: 1 }, NOW);
+    assert.strictEqual(origin[0].time, NOW + 4 * 60000);
+
+    assert.deepStrictEqual(buildRemainingStops([], { tripId: 'trip-1', currentStopSequence: 1 }, NOW), []);
+
+    console.log('✓ buildRemainingStops tests passed');
+}
+
+/**
+ * Test computePathAhead
+ */
+function testComputePathAhead() {
+    const position = { lat: 42.3502, lng: -71.09 };
+
+    // Eastbound to the path end
+    const east = computePathAhead(PATH, position, 1);
+    assert.strictEqual(east.length, 3, 'Start, middle vertex, end');
+    assert(Math.abs(east[0].lng - -71.09) < 1e-9 && east[0].lat === 42.35, 'Starts at the projected position');
+    assert.deepStrictEqual(east[2], { lat: 42.35, lng: -71.06 });
+
+    // Westbound: vertices in travel order, ending at the path start
+    const west = computePathAhead(PATH, position, -1);
+    assert.strictEqual(west.length, 2);
+    assert.deepStrictEqual(west[1], { lat: 42.35, lng: -71.10 });
+
+    // Ends at the trip's last stop when it lies ahead on the path
+    const toStop = computePathAhead(PATH, position, 1, { lat: 42.3501, lng: -71.07 });
+    assert(Math.abs(toStop[toStop.length - 1].lng - -71.07) < 1e-9, 'Ends at the last stop');
+
+    // Last stop behind the vehicle or off the path: drawn to the path end
+    assert.deepStrictEqual(computePathAhead(PATH, position, 1, { lat: 42.35, lng: -71.095 }).pop(), { lat: 42.35, lng: -71.06 });
+    assert.deepStrictEqual(computePathAhead(PATH, position, 1, { lat: 42.40, lng: -71.07 }).pop(), { lat: 42.35, lng: -71.06 });
+
+    // At the end of the path, or on a degenerate path: nothing ahead
+    assert.deepStrictEqual(computePathAhead(PATH, { lat: 42.35, lng: -71.06 }, 1), []);
+    assert.deepStrictEqual(computePathAhead([PATH[0]], position, 1), []);
+
+    console.log('✓ computePathAhead tests passed');
+}
+
+/**
+ * Test trip detail panel formatting
+ */
+function testPanelFormatting() {
+    assert.strictEqual(formatStopCountdown(NOW + 4 * 60000, NOW), '4 min');
+    assert.strictEqual(formatStopCountdown(NOW + 20000, NOW), 'Now');
+    assert.strictEqual(formatStopCountdown(NOW - 60000, NOW), 'Now');
+    assert.strictEqual(formatStopCountdown(null, NOW), '');
+
+    const html = buildTripDetailHtml([
+        { name: 'Park <Street>', time: NOW + 60000, status: 'Approaching', skipped: false },
+        { name: 'Downtown Crossing', time: NOW + 3 * 60000, status: null, skipped: false },
+        { name: 'South Station', time: NOW + 5 * 60000, status: null, skipped: true },
+    ], NOW);
+    assert(html.includes('Park &lt;Street&gt;') && !html.includes('<Street>'), 'Names are escaped');
+    assert(html.includes('Approaching'), 'Prediction status preferred over countdown');
+    assert(html.includes('3 min'), 'Countdown shown');
+    assert(html.includes('trip-detail__stop--skipped') && html.includes('Skipped'), 'Skipped stop marked');
+    assert.strictEqual((html.match(/<li/g) || []).length, 3);
+
+    assert(buildTripDetailHtml(null, NOW).includes('Loading'), 'Loading state');
+    assert(buildTripDetailHtml([], NOW).includes('No upcoming stops'), 'Empty state');
+
+    console.log('✓ trip detail panel formatting tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running trip detail tests...\n');
+
+    testBuildRemainingStops();
+    testComputePathAhead();
+    testPanelFormatting();
+
+    console.log('\n✓ All trip detail tests passed!');
+}
+
+// Run tests
+runTests();
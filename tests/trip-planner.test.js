@@ -0,0 +1,227 @@
+// tests/trip-planner.test.js — Unit tests for itinerary search, leg geometry and trip panel formatting
+import assert from 'assert';
+import {
+    stationOf, buildTripNetwork, legDirections, estimateTripMinutes, resolveLegGeometry, planTrips, findVehiclesForLeg,
+} from '../src/trip-planner.js';
+import { formatTripRouteName, buildItinerariesHtml } from '../src/trip-planner-ui.js';
+
+// Route A: a trunk running east, splitting at its east end into an east branch (A1) and a
+// north branch (A2) — stored as three pieces, like the Red Line. Route C shares the trunk.
+// Route 9 (bus) runs north from the east branch station.
+const TRUNK = [{ lat: 42.35, lng: -71.10 }, { lat: 42.35, lng: -71.06 }];
+const EAST_BRANCH = [{ lat: 42.35, lng: -71.06 }, { lat: 42.35, lng: -71.03 }];
+const NORTH_BRANCH = [{ lat: 42.35, lng: -71.06 }, { lat: 42.38, lng: -71.06 }];
+const BUS = [{ lat: 42.35, lng: -71.04 }, { lat: 42.40, lng: -71.04 }];
+
+const PATHS = new Map([
+    ['A', [TRUNK, EAST_BRANCH, NORTH_BRANCH]],
+    ['C', [TRUNK]],
+    ['9', [BUS]],
+]);
+
+function stop(id, lat, lng, parentStopId = null) {
+    return [id, { id, name: `Stop ${id}`, latitude: lat, longitude: lng, parentStopId }];
+}
+
+const STOPS = new Map([
+    stop('west', 42.35, -71.10),
+    stop('mid', 42.35, -71.08),
+    stop('junction', 42.35, -71.065),
+    stop('place-east', 42.35, -71.04),
+    stop('east-rail', 42.35, -71.04, 'place-east'),
+    stop('east-bus', 42.3501, -71.0401, 'place-east'),
+    stop('north', 42.37, -71.06),
+    stop('far', 42.39, -71.04),
+]);
+
+const ROUTE_STOPS = new Map([
+    ['A', new Set(['west', 'mid', 'junction', 'east-rail', 'north'])],
+    ['C', new Set(['west', 'mid'])],
+    ['9', new Set(['east-bus', 'far'])],
+]);
+
+const ROUTE_TYPES = new Map([['A', 1], ['C', 1], ['9', 3]]);
+
+function network(directions = new Map()) {
+    return buildTripNetwork(ROUTE_STOPS, STOPS, directions, ROUTE_TYPES);
+}
+
+function plan(from, to, options = {}) {
+    return planTrips(from, to, network(), { routePathsFn: id => PATHS.get(id) || [], ...options });
+}
+
+const routeSequence = trip => trip.legs.map(leg => leg.routeId).join('>');
+
+/**
+ * Test stationOf / buildTripNetwork
+ */
+function testNetwork() {
+    assert.strictEqual(stationOf('east-rail', STOPS), 'place-east', 'Platform resolves to parent station');
+    assert.strictEqual(stationOf('west', STOPS), 'west', 'Stop without parent is its own station');
+    assert.strictEqual(stationOf('unknown', STOPS), 'unknown', 'Unknown stop is its own station');
+
+    const { stationRoutes, routeStations } = network();
+    assert.deepStrictEqual([...stationRoutes.get('place-east')].sort(), ['9', 'A'], 'Parent station links both routes');
+    assert.deepStrictEqual(routeStations.get('9').get('place-east'), ['east-bus'], 'Route keeps its own platform at the station');
+
+    console.log('✓ network tests passed');
+}
+
+/**
+ * Test legDirections / estimateTripMinutes
+ */
+function testLegHelpers() {
+    assert.deepStrictEqual(legDirections(['a'], ['b'], undefined), [0, 1], 'Unrestricted stops serve both directions');
+    assert.deepStrictEqual(legDirections(['a'], ['b'], new Map([['a', 1]])), [1], 'Direction-only boarding stop fixes direction');
+    assert.deepStrictEqual(legDirections(['a'], ['b'], new Map([['a', 0], ['b', 1]])), [], 'Opposite direction-only stops cannot be ridden between');
+
+    // Heavy rail 9 m/s: 5.4km ≈ 10 min; bus 4 m/s: 2.4km = 10 min; one transfer adds 5
+    assert.strictEqual(estimateTripMinutes([{ routeId: 'A', meters: 5400 }], ROUTE_TYPES), 10, 'Single ride');
+    assert.strictEqual(estimateTripMinutes([{ routeId: 'A', meters: 5400 }, { routeId: '9', meters: 2400 }], ROUTE_TYPES), 25, 'Transfer penalty added');
+
+    console.log('✓ leg helper tests passed');
+}
+
+/**
+ * Test resolveLegGeometry across joined polyline pieces
+ */
+function testLegGeometry() {
+    const at = id => [STOPS.get(id)];
+
+    const forward = resolveLegGeometry([TRUNK], at('west'), at('mid'));
+    assert(forward, 'Leg on one piece resolves');
+    assert(forward.fromDistance < forward.toDistance, 'Path is oriented in travel direction');
+    assert(Math.abs(forward.length - 1646) < 5, `West → mid is ~1.6km (got ${forward.length})`);
+
+    const reverse = resolveLegGeometry([TRUNK], at('mid'), at('west'));
+    assert(Math.abs(reverse.length - forward.length) < 1, 'Reverse ride has the same length');
+    assert(reverse.path[0].lng > reverse.path[reverse.path.length - 1].lng, 'Reverse path runs west');
+
+    const across = resolveLegGeometry(PATHS.get('A'), at('mid'), at('north'));
+    assert(across, 'Leg from trunk onto a branch resolves');
+    assert.deepStrictEqual(across.pathIndexes, [0, 2], 'Rides the trunk, then the north branch');
+    assert(Math.abs(across.coords[0].lng - -71.08) < 1e-6, 'Ridden stretch starts at the boarding stop');
+
+    assert.strictEqual(resolveLegGeometry(PATHS.get('A'), at('east-rail'), at('north')), null,
+        'Branch to branch would reverse through the junction');
+    assert.strictEqual(resolveLegGeometry([TRUNK], at('west'), at('far')), null, 'Stop far from the route is not served');
+
+    console.log('✓ leg geometry tests passed');
+}
+
+/**
+ * Test planTrips itinerary search
+ */
+function testPlanTrips() {
+    const direct = plan('west', 'east-rail');
+    assert.strictEqual(routeSequence(direct[0]), 'A', 'Direct ride on A');
+    assert.strictEqual(direct[0].transfers, 0);
+    assert.strictEqual(direct[0].legs[0].toStationId, 'place-east', 'Platform destination resolves to station');
+
+    const transfer = plan('mid', 'far');
+    assert.strictEqual(routeSequence(transfer[0]), 'A>9', 'Transfer from rail to bus');
+    assert.strictEqual(transfer[0].legs[0].toStationId, 'place-east', 'Transfer happens at the shared parent station');
+    assert.deepStrictEqual(transfer[0].legs[1].fromStopIds, ['east-bus'], 'Second leg boards at the bus platform');
+
+    const branchChange = plan('east-rail', 'north');
+    assert.strictEqual(branchChange.length, 1, 'Only the junction change survives');
+    assert.strictEqual(routeSequence(branchChange[0]), 'A>A', 'Branch change stays on route A');
+    assert.strictEqual(branchChange[0].legs[0].toStationId, 'junction', 'Change at the trunk station nearest the split');
+
+    const parallel = plan('west', 'mid');
+    assert.strictEqual(parallel.length, 1, 'Parallel routes merge into one itinerary');
+    assert.deepStrictEqual(parallel[0].legs[0].alternatives.map(leg => leg.routeId), ['C'], 'Other route offered as alternative');
+
+    const blocked = planTrips('west', 'mid', buildTripNetwork(
+        new Map([['A', ROUTE_STOPS.get('A')]]), STOPS, new Map([['A', new Map([['west', 0], ['mid', 1]])]]), ROUTE_TYPES,
+    ));
+    assert.strictEqual(blocked.length, 0, 'No itinerary when direction-only stops disagree');
+
+    assert.strictEqual(plan('east-rail', 'east-bus').length, 0, 'Same station — nothing to plan');
+    assert.strictEqual(plan('mid', 'far', { maxTransfers: 0 }).length, 0, 'maxTransfers limits search');
+
+    const noGeometry = planTrips('mid', 'far', network());
+    assert.strictEqual(noGeometry[0].legs[0].geometry, null, 'Geometry skipped without routePathsFn');
+
+    console.log('✓ planTrips tests passed');
+}
+
+/**
+ * Test findVehiclesForLeg
+ */
+function testFindVehicles() {
+    const [leg] = plan('mid', 'east-rail')[0].legs;
+    const vehicles = [
+        { id: 'v-near', latitude: 42.35, longitude: -71.09, bearing: 90, routeId: 'A', directionId: 0 },
+        { id: 'v-far', latitude: 42.35, longitude: -71.099, bearing: 85, routeId: 'A', directionId: 0 },
+        { id: 'v-wrong-way', latitude: 42.35, longitude: -71.09, bearing: 270, routeId: 'A', directionId: 1 },
+        { id: 'v-passed', latitude: 42.35, longitude: -71.07, bearing: 90, routeId: 'A', directionId: 0 },
+        { id: 'v-other-route', latitude: 42.35, longitude: -71.09, bearing: 90, routeId: 'C', directionId: 0 },
+        { id: 'v-no-bearing', latitude: 42.35, longitude: -71.09, bearing: null, routeId: 'A', directionId: 0 },
+    ];
+
+    const found = findVehiclesForLeg(vehicles, leg);
+    assert.deepStrictEqual(found.map(m => m.vehicle.id), ['v-near', 'v-far'], 'Approaching vehicles, nearest first');
+    assert(Math.abs(found[0].distance - 823) < 5, `v-near is ~820m from boarding (got ${found[0].distance})`);
+    assert.strictEqual(findVehiclesForLeg(vehicles, leg, 1).length, 1, 'Limit applied');
+    assert.deepStrictEqual(findVehiclesForLeg(vehicles, { ...leg, geometry: null }), [], 'No geometry, no vehicles');
+
+    console.log('✓ findVehiclesForLeg tests passed');
+}
+
+/**
+ * Test trip panel formatting
+ */
+function testPanelFormatting() {
+    assert.strictEqual(formatTripRouteName({ type: 3, shortName: '9' }, '9'), 'Route 9');
+    assert.strictEqual(formatTripRouteName({ type: 1, longName: 'Red Line' }, 'Red'), 'Red Line');
+    assert.strictEqual(formatTripRouteName(undefined, 'Red'), 'Red', 'Falls back to route ID');
+
+    const html = buildItinerariesHtml([
+        {
+            minutes: 25,
+            transfers: 1,
+            legs: [
+                { routeNames: ['Red Line'], color: '#DA291C', fromName: 'Mid', toName: 'East', approaching: [{ label: '<b>1812', distance: 823 }, { label: '1820', distance: 0 }] },
+                { routeNames: ['Route 9', 'Route 10'], color: '#FFC72C', fromName: 'East', toName: 'Far', approaching: [] },
+            ],
+        },
+        {
+            minutes: 30,
+            transfers: 0,
+            legs: [{ routeNames: ['Red Line'], color: '#DA291C', fromName: 'Mid', toName: 'Far', approaching: null }],
+        },
+    ], 0);
+
+    assert(html.includes('trip-itinerary trip-itinerary--selected" data-index="0"'), 'Selected itinerary marked');
+    assert(html.includes('~25 min') && html.includes('1 transfer<'), 'Summary shown');
+    assert(html.includes('Direct'), 'Direct itinerary labelled');
+    assert(html.includes('Route 9 / Route 10'), 'Alternatives listed together');
+    assert(html.includes('823 m away') && html.includes('1820 · boarding'), 'Approaching vehicles shown');
+    assert(html.includes('No vehicles approaching'), 'Empty approach list shown');
+    assert(html.includes('&lt;b&gt;1812') && !html.includes('<b>'), 'Labels are escaped');
+    assert.strictEqual((html.match(/trip-itinerary__vehicles/g) || []).length, 2, 'Vehicles only for the selected itinerary');
+
+    assert(buildItinerariesHtml([], 0).includes('No route found'), 'Empty state');
+
+    console.log('✓ trip panel formatting tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running trip planner tests...\n');
+
+    testNetwork();
+    testLegHelpers();
+    testLegGeometry();
+    testPlanTrips();
+    testFindVehicles();
+    testPanelFormatting();
+
+    console.log('\n✓ All trip planner tests passed!');
+}
+
+// Run tests
+runTests();
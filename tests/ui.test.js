@@ -1,7 +1,7 @@
 // tests/ui.test.js — Unit tests for UI utility functions
 import assert from 'assert';
 import { groupAndSortRoutes } from '../src/route-sorter.js';
-import { resolveVisibleRoutes } from '../src/ui.js';
+import { resolveVisibleRoutes, serviceTogglesForRoutes } from '../src/ui.js';
 
 /**
  * Test groupAndSortRoutes function
@@ -224,6 +224,37 @@ function testResolveVisibleRoutes() {
     console.log('✓ resolveVisibleRoutes tests passed');
 }
 
+/**
+ * Test serviceTogglesForRoutes — service groups shown for a linked view
+ */
+function testServiceTogglesForRoutes() {
+    const metadata = [
+        { id: 'Red', type: 1 },
+        { id: 'Green-B', type: 0 },
+        { id: '39', type: 3 },
+        { id: 'CR-Worcester', type: 2 },
+        { id: 'Boat-F1', type: 4 },
+    ];
+
+    assert.deepStrictEqual(
+        serviceTogglesForRoutes(new Set(['Green-B', '39']), metadata),
+        { subway: true, bus: true, commuterRail: false, ferry: false },
+        'Groups with a linked route are on, the rest off'
+    );
+    assert.deepStrictEqual(
+        serviceTogglesForRoutes(new Set(['Boat-F1', 'Nonexistent-Route']), metadata),
+        { subway: false, bus: false, commuterRail: false, ferry: true },
+        'Unknown route IDs ignored'
+    );
+    assert.deepStrictEqual(
+        serviceTogglesForRoutes(new Set(), metadata),
+        { subway: false, bus: false, commuterRail: false, ferry: false },
+        'Empty link turns every group off'
+    );
+
+    console.log('✓ serviceTogglesForRoutes tests passed');
+}
+
 /**
  * Run all tests
  */
@@ -231,6 +262,7 @@ function runTests() {
     console.log('Running UI utility tests...\n');
     testGroupAndSortRoutes();
     testResolveVisibleRoutes();
+    testServiceTogglesForRoutes();
     console.log('\n✓ All UI tests passed!');
 }
 
@@ -0,0 +1,94 @@
+// tests/url-state.test.js — Unit tests for map view and selection in the URL hash
+import assert from 'assert';
+import { parseMapHash, buildMapHash } from '../src/url-state.js';
+
+/**
+ * Test parseMapHash
+ */
+function testParseMapHash() {
+    assert.deepStrictEqual(
+        parseMapHash('#map=15/42.35550/-71.06040&routes=Red,39&vehicle=y1234&popup=stop:place-pktrm'),
+        {
+            center: { lat: 42.3555, lng: -71.0604 },
+            zoom: 15,
+            routes: ['Red', '39'],
+            vehicleId: 'y1234',
+            popup: { type: 'stop', id: 'place-pktrm' },
+        },
+        'All parameters parsed'
+    );
+
+    // Nothing in the hash: everything null, so the saved view is used
+    assert.deepStrictEqual(parseMapHash(''), { center: null, zoom: null, routes: null, vehicleId: null, popup: null });
+
+    // Leading '#' optional
+    assert.strictEqual(parseMapHash('vehicle=R-5471').vehicleId, 'R-5471');
+
+    // Empty route list is a view with nothing shown, not "no routes parameter"
+    assert.deepStrictEqual(parseMapHash('#routes=').routes, []);
+
+    // Malformed view parameters ignored
+    assert.strictEqual(parseMapHash('#map=15/42.3').center, null, 'Too few parts');
+    assert.strictEqual(parseMapHash('#map=15/abc/-71.06').center, null, 'Not a number');
+    assert.strictEqual(parseMapHash('#map=15/142.3/-71.06').center, null, 'Latitude out of range');
+    assert.strictEqual(parseMapHash('#map=15/142.3/-71.06').zoom, null);
+
+    // Popup needs a known type and an ID
+    assert.strictEqual(parseMapHash('#popup=train:1').popup, null);
+    assert.strictEqual(parseMapHash('#popup=stop:').popup, null);
+    assert.strictEqual(parseMapHash('#popup=place-pktrm').popup, null);
+    assert.deepStrictEqual(parseMapHash('#popup=vehicle:G-10:1').popup, { type: 'vehicle', id: 'G-10:1' }, 'ID may contain colons');
+
+    console.log('✓ parseMapHash tests passed');
+}
+
+/**
+ * Test buildMapHash
+ */
+function testBuildMapHash() {
+    const state = {
+        center: { lat: 42.355512345, lng: -71.060398765 },
+        zoom: 15,
+        routes: new Set(['Red', '39', 'Green-B']),
+        vehicleId: 'y1234',
+        popup: { type: 'vehicle', id: 'y1234' },
+    };
+    const hash = buildMapHash(state);
+    assert.strictEqual(hash, '#map=15/42.35551/-71.06040&routes=39,Green-B,Red&vehicle=y1234&popup=vehicle:y1234',
+        'Readable, with rounded coordinates and sorted routes');
+
+    // Round trip
+    const parsed = parseMapHash(hash);
+    assert.deepStrictEqual(parsed.routes, ['39', 'Green-B', 'Red']);
+    assert.deepStrictEqual(parsed.popup, state.popup);
+    assert.strictEqual(parsed.vehicleId, 'y1234');
+    assert.strictEqual(buildMapHash(parsed), hash, 'Parsed state builds the same hash');
+
+    // Unset parts left out
+    assert.strictEqual(buildMapHash({ center: null, zoom: null, routes: null, vehicleId: null, popup: null }), '');
+    assert.strictEqual(buildMapHash({ center: null, zoom: null, routes: [], vehicleId: null, popup: null }), '#routes=');
+
+    // IDs that need escaping survive the round trip
+    const odd = buildMapHash({ center: null, zoom: null, routes: null, vehicleId: 'a&b=c', popup: { type: 'stop', id: 'x y' } });
+    assert.strictEqual(parseMapHash(odd).vehicleId, 'a&b=c');
+    assert.deepStrictEqual(parseMapHash(odd).popup, { type: 'stop', id: 'x y' });
+
+    // Other modules' parameters carried over; stale own parameters replaced
+    const withSettings = buildMapHash({ ...state, popup: null, vehicleId: null }, '#settings=abc123&popup=stop:old&map=1/0/0');
+    assert.strictEqual(withSettings, '#map=15/42.35551/-71.06040&routes=39,Green-B,Red&settings=abc123');
+
+    console.log('✓ buildMapHash tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+    console.log('Running URL state tests...\n');
+    testParseMapHash();
+    testBuildMapHash();
+    console.log('\n✓ All URL state tests passed!');
+}
+
+// Run tests
+runTests();
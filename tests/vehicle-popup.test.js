@@ -5,6 +5,12 @@ import {
     formatSpeed,
     formatTimeAgo,
     formatVehiclePopup,
+    formatAdherence,
+    selectStopsAhead,
+    formatVehicleNotifyForm,
+    getCrowdingLevel,
+    formatCrowdingMeter,
+    formatConsist,
 } from '../src/vehicle-popup.js';
 
 /**
@@ -328,6 +334,146 @@ function testFormatVehiclePopup() {
     console.log('✓ formatVehiclePopup tests passed');
 }
 
+/**
+ * Test formatAdherence and the popup adherence line
+ */
+function testFormatAdherence() {
+    assert.strictEqual(formatAdherence(null), '', 'No schedule');
+    assert.strictEqual(formatAdherence({ deviation: 120, status: 'on-time' }), 'On time');
+    assert.strictEqual(formatAdherence({ deviation: 330, status: 'late' }), '6 min late');
+    assert.strictEqual(formatAdherence({ deviation: -61, status: 'early' }), '1 min early');
+    assert.strictEqual(formatAdherence({ deviation: -20, status: 'early' }), '1 min early', 'At least 1 minute');
+
+    const vehicle = { label: '1702', routeId: 'CR-Worcester', currentStatus: 'STOPPED_AT', directionId: 0 };
+    const routeMeta = { shortName: '', longName: 'Framingham/Worcester Line', color: '#80276C', type: 2 };
+    const late = formatVehiclePopup(vehicle, 'Newton Highlands', routeMeta, { deviation: 420, status: 'late' });
+    assert(late.includes('<div class="vehicle-popup__adherence vehicle-popup__adherence--late">7 min late</div>'), 'Adherence line');
+    assert(late.indexOf('vehicle-popup__status') < late.indexOf('vehicle-popup__adherence'), 'After the status line');
+    assert(!formatVehiclePopup(vehicle, null, routeMeta).includes('vehicle-popup__adherence'), 'Omitted without adherence');
+
+    console.log('✓ formatAdherence tests passed');
+}
+
+/**
+ * Test selectStopsAhead and the popup alert form
+ */
+function testVehicleNotifyForm() {
+    const stopsData = new Map([
+        ['70063', { name: 'Davis', parentStopId: 'place-davis' }],
+        ['place-davis', { name: 'Davis', parentStopId: null }],
+        ['70065', { name: 'Porter', parentStopId: 'place-portr' }],
+        ['place-portr', { name: 'Porter', parentStopId: null }],
+        ['70067', { name: 'Harvard', parentStopId: 'place-harsq' }],
+        ['place-harsq', { name: 'Harvard', parentStopId: null }],
+    ]);
+    const schedule = [
+        { stopId: '70063', stopSequence: 20 },
+        { stopId: '70065', stopSequence: 30 },
+        { stopId: '70067', stopSequence: 40 },
+    ];
+
+    const stopped = { currentStatus: 'STOPPED_AT', currentStopSequence: 20 };
+    assert.deepStrictEqual(selectStopsAhead(stopped, schedule, stopsData), [
+        { stopId: 'place-portr', name: 'Porter' },
+        { stopId: 'place-harsq', name: 'Harvard' },
+    ], 'Stopped: later stops only, as parent stations');
+    const inTransit = { currentStatus: 'IN_TRANSIT_TO', currentStopSequence: 30 };
+    assert.deepStrictEqual(selectStopsAhead(inTransit, schedule, stopsData).map(s => s.stopId), ['place-portr', 'place-harsq'],
+        'In transit: the stop it is heading to counts');
+    assert.deepStrictEqual(selectStopsAhead(stopped, null, stopsData), [], 'Schedule still loading');
+    assert.deepStrictEqual(selectStopsAhead({ currentStatus: 'STOPPED_AT', currentStopSequence: null }, schedule, stopsData), []);
+
+    const vehicle = { id: 'R-5468', label: '1812', routeId: 'Red', directionId: 0, tripId: 'trip-1' };
+    const stops = [{ stopId: 'place-portr', name: 'Porter <Sq>' }];
+    const form = formatVehicleNotifyForm(vehicle, stops);
+    assert(form.includes('data-vehicle-id="R-5468"') && form.includes('data-trip-id="trip-1"') && form.includes('data-direction-id="0"'));
+    assert(form.includes('<option value="place-portr">Porter &lt;Sq&gt;</option>'), 'Stop options escaped');
+    assert(form.includes('vehicle-popup__notify-target'), 'Vehicle/trip choice with a trip');
+    assert(!formatVehicleNotifyForm({ ...vehicle, tripId: null }, stops).includes('vehicle-popup__notify-target'), 'No trip choice without a trip');
+    assert.strictEqual(formatVehicleNotifyForm(vehicle, []), '', 'No form without stops ahead');
+    assert.strictEqual(formatVehicleNotifyForm({ ...vehicle, directionId: null }, stops), '', 'No form without a direction');
+
+    assert(formatVehiclePopup(vehicle, null, null, null, stops).includes('vehicle-popup__notify'), 'Form in popup');
+    assert(!formatVehiclePopup(vehicle, null, null).includes('vehicle-popup__notify'), 'Omitted by default');
+
+    console.log('✓ vehicle popup alert form tests passed');
+}
+
+/**
+ * Test getCrowdingLevel, formatCrowdingMeter and the popup crowding line
+ */
+function testCrowding() {
+    assert.strictEqual(getCrowdingLevel({ occupancyStatus: 'MANY_SEATS_AVAILABLE' }), 1);
+    assert.strictEqual(getCrowdingLevel({ occupancyStatus: 'FEW_SEATS_AVAILABLE' }), 2);
+    assert.strictEqual(getCrowdingLevel({ occupancyStatus: 'CRUSHED_STANDING_ROOM_ONLY' }), 3);
+    assert.strictEqual(getCrowdingLevel({ occupancyStatus: 'NO_DATA_AVAILABLE' }), null, 'No data');
+    assert.strictEqual(getCrowdingLevel({}), null, 'Not reported');
+
+    const carriages = [
+        { label: '1812', occupancyStatus: 'FULL', occupancyPercentage: 95 },
+        { label: '1813', occupancyStatus: 'MANY_SEATS_AVAILABLE', occupancyPercentage: 10 },
+        { label: '1814', occupancyStatus: 'FEW_SEATS_AVAILABLE', occupancyPercentage: 50 },
+        { label: '1815', occupancyStatus: 'NOT_BOARDABLE', occupancyPercentage: null },
+    ];
+    assert.strictEqual(getCrowdingLevel({ occupancyStatus: null, carriages }), 2, 'Average of reporting cars');
+    assert.strictEqual(getCrowdingLevel({ occupancyStatus: 'FULL', carriages }), 3, 'Vehicle status wins');
+    assert.strictEqual(getCrowdingLevel({ carriages: [{ occupancyStatus: 'NO_DATA_AVAILABLE' }] }), null);
+
+    const meter = formatCrowdingMeter({ occupancyStatus: 'FEW_SEATS_AVAILABLE' });
+    assert(meter.includes('vehicle-popup__crowding--2'), 'Level class');
+    assert.strictEqual((meter.match(/crowding-meter__bar--on/g) || []).length, 2, 'Two bars filled');
+    assert.strictEqual((meter.match(/crowding-meter__bar/g) || []).length, 5, 'Three bars in all');
+    assert(meter.includes('>Some crowding</span>'), 'Label');
+    assert.strictEqual(formatCrowdingMeter({ occupancyStatus: null }), '', 'Omitted when not reported');
+
+    const vehicle = { label: '1812', routeId: 'Red', currentStatus: 'IN_TRANSIT_TO', directionId: 0, occupancyStatus: 'FULL' };
+    const html = formatVehiclePopup(vehicle, 'Porter', null, { deviation: 0, status: 'on-time' });
+    assert(html.includes('vehicle-popup__crowding--3'), 'Crowding line in popup');
+    assert(html.indexOf('vehicle-popup__adherence') < html.indexOf('vehicle-popup__crowding'), 'After the adherence line');
+    assert(!formatVehiclePopup({ ...vehicle, occupancyStatus: null }, 'Porter', null).includes('vehicle-popup__crowding'),
+        'Omitted without occupancy');
+
+    console.log('✓ crowding tests passed');
+}
+
+/**
+ * Test formatConsist and the popup consist line
+ */
+function testFormatConsist() {
+    const subway = { shortName: 'Red', longName: 'Red Line', color: '#DA291C', type: 1 };
+    const carriages = [
+        { label: '1812', occupancyStatus: 'FULL', occupancyPercentage: 95 },
+        { label: '1813', occupancyStatus: 'MANY_SEATS_AVAILABLE', occupancyPercentage: null },
+        { label: '1814', occupancyStatus: 'NO_DATA_AVAILABLE', occupancyPercentage: null },
+    ];
+    const vehicle = { label: '1812', routeId: 'Red', carriages };
+
+    const html = formatConsist(vehicle, subway);
+    assert(html.includes('>3-car train</span>'), 'Car count');
+    assert.strictEqual((html.match(/class="vehicle-popup__car[ "]/g) || []).length, 3, 'One segment per car');
+    assert(html.indexOf('>1812<') < html.indexOf('>1813<') && html.indexOf('>1813<') < html.indexOf('>1814<'), 'Lead car first');
+    assert(html.includes('class="vehicle-popup__car vehicle-popup__car--lead vehicle-popup__car--crowding-3" title="Lead car 1812 · Crowded (95% full)"'),
+        'Lead car with crowding and percentage');
+    assert(html.includes('class="vehicle-popup__car vehicle-popup__car--crowding-1" title="Car 1813 · Not crowded"'));
+    assert(html.includes('class="vehicle-popup__car" title="Car 1814 · No crowding data"'), 'No shading without data');
+
+    const greenLine = { shortName: 'B', longName: 'Green Line B', color: '#00843D', type: 0 };
+    const twoCar = formatConsist({ carriages: [{ label: '3706', occupancyStatus: null }, { label: null, occupancyStatus: null }] }, greenLine);
+    assert(twoCar.includes('>2-car train</span>'), 'Light rail');
+    assert(twoCar.includes('title="Car · No crowding data"></span>'), 'Unlabelled car');
+
+    assert.strictEqual(formatConsist(vehicle, { ...subway, type: 2 }), '', 'Not for commuter rail');
+    assert.strictEqual(formatConsist(vehicle, null), '', 'Route unknown');
+    assert.strictEqual(formatConsist({ carriages: null }, subway), '', 'Cars not reported');
+    assert.strictEqual(formatConsist({ carriages: [] }, subway), '', 'Empty consist');
+
+    const popup = formatVehiclePopup({ ...vehicle, currentStatus: 'STOPPED_AT', directionId: 0 }, 'Porter', subway);
+    assert(popup.includes('vehicle-popup__consist'), 'Consist in popup');
+    assert(popup.indexOf('vehicle-popup__consist') < popup.indexOf('vehicle-popup__details'), 'Before the details line');
+
+    console.log('✓ formatConsist tests passed');
+}
+
 /**
  * Run all tests
  */
@@ -338,6 +484,10 @@ function runTests() {
     testFormatSpeed();
     testFormatTimeAgo();
     testFormatVehiclePopup();
+    testFormatAdherence();
+    testVehicleNotifyForm();
+    testCrowding();
+    testFormatConsist();
 
     console.log('\n✓ All tests passed!');
 }
@@ -10,7 +10,9 @@ globalThis.document = {
 
 let _now = 1000;
 globalThis.performance = { now: () => _now };
-globalThis.requestAnimationFrame = () => 1;
+// Capture the animation loop callback so tests can step frames manually
+let frame = null;
+globalThis.requestAnimationFrame = (cb) => { frame = cb; return 1; };
 globalThis.cancelAnimationFrame = () => {};
 
 function makeVehicle(overrides = {}) {
@@ -56,7 +58,19 @@ if (!configExisted) {
     writeFileSync(configPath, configContent, 'utf-8');
 }
 
-const { initVehicles, getVehicles } = await import('../src/vehicles.js');
+const { initVehicles, getVehicles, setRouteGeometry, extrapolatePathDistance } = await import('../src/vehicles.js');
+const { haversineDistance } = await import('../src/vehicle-math.js');
+
+// Straight eastbound route path through the default test vehicle position (~2.5km long)
+const ROUTE_PATH = [
+    { lat: 42.3601, lng: -71.07 },
+    { lat: 42.3601, lng: -71.04 },
+];
+// config.animation.interpolationDuration in the test config
+const INTERPOLATION_MS = 800;
+
+// Stop ~400m east of the default vehicle position
+const STOP_AHEAD = { latitude: 42.3601, longitude: -71.0541 };
 
 /**
  * Test: vehicles:reset populates vehicle map
@@ -198,6 +212,147 @@ function testMetadataUpdated() {
     console.log('  ok — metadata updated on vehicles:update');
 }
 
+/**
+ * Test: Re-initializing with a new event source detaches the old one
+ */
+function testSourceSwap() {
+    const live = new EventTarget();
+    initVehicles(live, () => null);
+    live.dispatchEvent(new CustomEvent('vehicles:reset', { detail: [makeVehicle({ id: 'live1' })] }));
+
+    const replay = new EventTarget();
+    initVehicles(replay, () => null);
+    assert.strictEqual(getVehicles().size, 0, 'Swapping sources should clear vehicle state');
+
+    live.dispatchEvent(new CustomEvent('vehicles:add', { detail: makeVehicle({ id: 'live2' }) }));
+    assert.ok(!getVehicles().has('live2'), 'Events from the previous source should be ignored');
+
+    replay.dispatchEvent(new CustomEvent('vehicles:add', { detail: makeVehicle({ id: 'replay1' }) }));
+    assert.ok(getVehicles().has('replay1'), 'Events from the new source should be handled');
+    console.log('  ok — re-initializing swaps the event source');
+}
+
+/**
+ * Test: extrapolatePathDistance caps at the next stop, path ends and the extrapolation limit
+ */
+function testExtrapolatePathDistance() {
+    const motion = { anchorDistance: 100, direction: 1, speed: 10, stopDistance: null, length: 1000 };
+    assert.strictEqual(extrapolatePathDistance(motion, 5000), 150, '10 m/s for 5s moves 50m');
+    assert.strictEqual(extrapolatePathDistance({ ...motion, direction: -1 }, 5000), 50, 'Reverse direction moves toward path start');
+    assert.strictEqual(extrapolatePathDistance({ ...motion, stopDistance: 120 }, 5000), 120, 'Vehicle dwells at its next stop');
+    assert.strictEqual(extrapolatePathDistance(motion, 600000), 400, 'Extrapolation stops after 30s without updates');
+    assert.strictEqual(extrapolatePathDistance({ ...motion, speed: 100 }, 20000), 1000, 'Clamped to path end');
+    assert.strictEqual(extrapolatePathDistance(motion, -100), 100, 'Negative elapsed time is ignored');
+    console.log('  ok — extrapolatePathDistance caps at stop, path end and time limit');
+}
+
+/**
+ * Test: Vehicles on a route path move along it at their speed between updates
+ */
+function testFollowsRoutePathBetweenUpdates() {
+    setRouteGeometry(() => [ROUTE_PATH], () => undefined);
+    const events = new EventTarget();
+    initVehicles(events, () => null);
+
+    _now = 10000;
+    events.dispatchEvent(new CustomEvent('vehicles:reset', {
+        detail: [makeVehicle({ latitude: 42.3603, speed: 10 })],
+    }));
+    const state = getVehicles().get('v1');
+    assert.ok(state.path, 'Vehicle near the route path should follow it');
+
+    frame(_now + 2000);
+    assert.ok(Math.abs(state.latitude - 42.3601) < 1e-9, 'Marker is drawn on the path, not at the raw fix');
+    const moved = haversineDistance(42.3601, -71.0589, state.latitude, state.longitude);
+    assert.ok(Math.abs(moved - 20) < 1, `Should extrapolate ~20m in 2s at 10 m/s, got ${moved.toFixed(1)}m`);
+    assert.ok(state.longitude > -71.0589, 'Eastbound bearing moves toward the path end');
+
+    setRouteGeometry(null);
+    console.log('  ok — vehicles extrapolate along route path at reported speed');
+}
+
+/**
+ * Test: A fix that disagrees with the extrapolated position is blended, not snapped
+ */
+function testPathCorrectionIsSmooth() {
+    setRouteGeometry(() => [ROUTE_PATH], () => undefined);
+    const events = new EventTarget();
+    initVehicles(events, () => null);
+
+    _now = 20000;
+    events.dispatchEvent(new CustomEvent('vehicles:reset', { detail: [makeVehicle({ speed: 10 })] }));
+    const state = getVehicles().get('v1');
+    frame(_now + 1000);
+    const before = state.longitude;
+
+    // New fix 150m ahead — beyond the straight-line snapThreshold
+    _now += 1000;
+    events.dispatchEvent(new CustomEvent('vehicles:update', {
+        detail: makeVehicle({ longitude: -71.0571, speed: 10 }),
+    }));
+    assert.strictEqual(state.longitude, before, 'Marker does not jump when the fix arrives');
+
+    frame(_now + 100);
+    assert.ok(state.longitude > before && state.longitude < -71.0571, 'Marker moves part way toward the new fix');
+    frame(_now + INTERPOLATION_MS + 1000);
+    const ahead = haversineDistance(42.3601, -71.0571, state.latitude, state.longitude);
+    assert.ok(Math.abs(ahead - (INTERPOLATION_MS / 1000 + 1) * 10) < 1, 'After blending, marker tracks the new fix extrapolation');
+
+    setRouteGeometry(null);
+    console.log('  ok — path corrections blend smoothly');
+}
+
+/**
+ * Test: STOPPED_AT vehicles dwell; in-transit vehicles stop at their next stop
+ */
+function testDwellAtStops() {
+    setRouteGeometry(() => [ROUTE_PATH], (stopId) => (stopId === 'stop2' ? STOP_AHEAD : undefined));
+    const events = new EventTarget();
+    initVehicles(events, () => null);
+
+    _now = 30000;
+    events.dispatchEvent(new CustomEvent('vehicles:reset', {
+        detail: [
+            makeVehicle({ id: 'stopped', currentStatus: 'STOPPED_AT', speed: 10 }),
+            makeVehicle({ id: 'approaching', currentStatus: 'IN_TRANSIT_TO', stopId: 'stop2', speed: 20 }),
+        ],
+    }));
+
+    frame(_now + 25000);
+    const stopped = getVehicles().get('stopped');
+    assert.ok(Math.abs(stopped.longitude - (-71.0589)) < 1e-9, 'STOPPED_AT vehicle holds position');
+
+    const approaching = getVehicles().get('approaching');
+    assert.ok(Math.abs(approaching.longitude - STOP_AHEAD.longitude) < 1e-6, 'Vehicle waits at its next stop instead of overshooting');
+
+    setRouteGeometry(null);
+    console.log('  ok — vehicles dwell at stops');
+}
+
+/**
+ * Test: Fixes away from every route path fall back to straight-line interpolation
+ */
+function testOffPathFallsBack() {
+    setRouteGeometry(() => [ROUTE_PATH], () => undefined);
+    const events = new EventTarget();
+    initVehicles(events, () => null);
+
+    events.dispatchEvent(new CustomEvent('vehicles:reset', {
+        detail: [makeVehicle({ latitude: 42.37 })],
+    }));
+    const state = getVehicles().get('v1');
+    assert.strictEqual(state.path, null, 'Fix ~1km off the path should not follow it');
+
+    events.dispatchEvent(new CustomEvent('vehicles:update', {
+        detail: makeVehicle({ latitude: 42.3703 }),
+    }));
+    assert.strictEqual(state.targetLatitude, 42.3703, 'Straight-line interpolation target is set');
+    assert.strictEqual(state.animationDuration, 800, 'Straight-line interpolation duration is used');
+
+    setRouteGeometry(null);
+    console.log('  ok — off-path vehicles use straight-line interpolation');
+}
+
 function runTests() {
     try {
         console.log('vehicles.js state management tests:\n');
@@ -209,6 +364,12 @@ function runTests() {
         testNearbyUpdateInterpolates();
         testFarUpdateSnaps();
         testMetadataUpdated();
+        testSourceSwap();
+        testExtrapolatePathDistance();
+        testFollowsRoutePathBetweenUpdates();
+        testPathCorrectionIsSmooth();
+        testDwellAtStops();
+        testOffPathFallsBack();
         console.log('\n  All vehicles state management tests passed\n');
     } catch (err) {
         console.error('FAIL:', err.message);